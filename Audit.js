@@ -1,98 +1,117 @@
 /**
  * Guard Monitoring System - Audit Trail & Activity Logging
- * Functions: logAudit, getRecentActivity, testAuditTrail, archiveOldAuditLogs
+ * Functions: logAudit_, getRecentActivity, archiveOldAuditLogs_
  */
 
-function logAudit(username, action, targetType, targetName, details) {
-  try {
-    const ss = getSpreadsheet();
-    let auditSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.AUDIT_TRAIL);
-
-    // Auto-create sheet if it doesn't exist
-    if (!auditSheet) {
-      auditSheet = createOrGetSheet(CONFIG.SHEET_NAMES.AUDIT_TRAIL, [
-        'Audit ID', 'Timestamp', 'Username', 'Action', 'Target Type', 'Target Name', 'Details'
-      ]);
-    }
+/**
+ * Log an action to the Audit Trail sheet
+ * @param {string} username - Username performing the action
+ * @param {string} action - Action performed (e.g. Add, Update, Delete)
+ * @param {string} targetType - Type of record affected
+ * @param {string} targetName - Name of record affected
+ * @param {string} details - Additional details
+ */
+function logAudit_(username, action, targetType, targetName, details) {
+  return withWriteLock(() => {
+    try {
+      // Generate unique Audit ID
+      const auditId = generateUniqueId('AUD');
+
+      // Append audit entry (sheet is auto-created if it doesn't exist)
+      getRepository('AUDIT_TRAIL').insert({
+        auditId: auditId,
+        timestamp: new Date(),
+        username: username || 'System',
+        action: action,
+        targetType: targetType,
+        targetName: targetName,
+        details: details || ''
+      });
 
-    // Generate unique Audit ID
-    const auditId = 'AUD' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMddHHmmss');
+      Logger.log('Audit logged: ' + action + ' - ' + targetType + ' - ' + targetName);
+    } catch (error) {
+      Logger.log('Error logging audit: ' + error.message);
+      // Don't throw error - audit logging should not break main functionality
+    }
+  });
+}
 
-    // Get current timestamp
-    const timestamp = new Date();
+/**
+ * Log a login or security event to the Audit Trail, with target type 'Security'
+ * Usernames typed at the login form are untrusted, so values Sheets would read as a formula are stored as text.
+ * @param {string} username - User the event is about; the typed username when no such account exists
+ * @param {string} action - Event, e.g. Login, Login Failed, Account Locked, Logout, Password Change, Permission Denied
+ * @param {string} details - Additional details
+ */
+function logSecurityEvent_(username, action, details) {
+  const name = String(username || '').substring(0, CONFIG.VALIDATION.MAX_NAME_LENGTH);
+  const safeName = /^[=+\-@]/.test(name) ? "'" + name : name;
+  logAudit_(safeName, action, 'Security', safeName, details);
+}
 
-    // Append audit entry
-    auditSheet.appendRow([
-      auditId,
-      timestamp,
-      username || 'System',
-      action,
-      targetType,
-      targetName,
-      details || ''
-    ]);
+/**
+ * Get recent activity from audit trail
+ * Login and security events (target type 'Security') are only shown to users who manage accounts.
+ * @param {string} sessionToken - Session token
+ * @param {number} limit - Maximum number of activities to return
+ * @returns {Array} Array of recent activities
+ */
+function getRecentActivity(sessionToken, limit) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'dashboard.view')) return buildPermissionDeniedResult_('dashboard.view', sessionUser);
 
-    Logger.log('Audit logged: ' + action + ' - ' + targetType + ' - ' + targetName);
-  } catch (error) {
-    Logger.log('Error logging audit: ' + error.message);
-    // Don't throw error - audit logging should not break main functionality
-  }
+  const showSecurity = hasPermission(sessionUser, 'users.manage');
+  return getRecentActivity_(limit, entry => showSecurity || entry.targetType !== 'Security');
 }
 
 /**
- * Get recent activity from audit trail
+ * Read the newest audit entries
  * @param {number} limit - Maximum number of activities to return
+ * @param {Function} filter - Optional predicate on audit entries
  * @returns {Array} Array of recent activities
  */
-function getRecentActivity(limit) {
+function getRecentActivity_(limit, filter) {
   try {
-    const ss = getSpreadsheet();
-    const auditSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.AUDIT_TRAIL);
+    const auditRepo = getRepository('AUDIT_TRAIL');
 
-    Logger.log('Getting recent activity - Sheet exists: ' + (!!auditSheet));
+    Logger.log('Getting recent activity - Sheet exists: ' + auditRepo.exists());
 
-    if (!auditSheet) {
+    if (!auditRepo.exists()) {
       Logger.log('Audit Trail sheet not found');
       return [];
     }
 
-    const lastRow = auditSheet.getLastRow();
-    Logger.log('Audit Trail last row: ' + lastRow);
-
-    if (lastRow <= 1) {
+    const entries = auditRepo.findAll(filter);
+    if (entries.length === 0) {
       Logger.log('No audit data found (only header or empty)');
       return [];
     }
 
-    const data = auditSheet.getDataRange().getValues();
-    const activities = [];
-
-    // Skip header row (index 0) and build activities array
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-
+    // Build activities array
+    const activities = entries.map(entry => {
       // Format timestamp
       let timestampFormatted = '';
-      if (row[1]) {
+      if (entry.timestamp) {
         try {
-          const ts = row[1] instanceof Date ? row[1] : new Date(row[1]);
+          const ts = parseDateValue(entry.timestamp) || new Date(entry.timestamp);
           timestampFormatted = Utilities.formatDate(ts, Session.getScriptTimeZone(), 'MMM dd, yyyy HH:mm:ss');
         } catch (e) {
-          timestampFormatted = row[1].toString();
+          timestampFormatted = entry.timestamp.toString();
         }
       }
 
-      activities.push({
-        auditId: row[0] ? row[0].toString() : '',
-        timestamp: row[1], // Keep as Date object for sorting
+      return {
+        auditId: entry.auditId,
+        timestamp: entry.timestamp, // Keep as Date object for sorting
         timestampFormatted: timestampFormatted,
-        username: row[2] ? row[2].toString() : '',
-        action: row[3] ? row[3].toString() : '',
-        targetType: row[4] ? row[4].toString() : '',
-        targetName: row[5] ? row[5].toString() : '',
-        details: row[6] ? row[6].toString() : ''
-      });
-    }
+        username: entry.username,
+        action: entry.action,
+        targetType: entry.targetType,
+        targetName: entry.targetName,
+        details: entry.details
+      };
+    });
 
     Logger.log('Total activities found: ' + activities.length);
 
@@ -121,128 +140,114 @@ function getRecentActivity(limit) {
  * Should be run periodically (e.g., weekly trigger)
  * @returns {Object} Result with archived count
  */
-function archiveOldAuditLogs() {
-  try {
-    const ss = getSpreadsheet();
-    const auditSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.AUDIT_TRAIL);
-
-    if (!auditSheet) {
-      return { success: false, message: 'Audit Trail sheet not found' };
-    }
-
-    const data = auditSheet.getDataRange().getValues();
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - CONFIG.AUDIT.RETENTION_DAYS);
-
-    let archivedCount = 0;
-    let rowsToDelete = [];
+function archiveOldAuditLogs_() {
+  return withWriteLock(() => {
+    try {
+      const auditRepo = getRepository('AUDIT_TRAIL');
 
-    // Find rows older than retention period (skip header)
-    for (let i = data.length - 1; i >= 1; i--) {
-      const timestamp = data[i][1]; // Timestamp column
-      if (timestamp instanceof Date && timestamp < cutoffDate) {
-        rowsToDelete.push(i + 1); // +1 for 1-based indexing
+      if (!auditRepo.exists()) {
+        return { success: false, message: 'Audit Trail sheet not found' };
       }
-    }
 
-    // Archive to a separate sheet before deletion
-    if (rowsToDelete.length > 0) {
-      const archiveSheetName = 'Audit Archive ' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM');
-      let archiveSheet = ss.getSheetByName(archiveSheetName);
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - CONFIG.AUDIT.RETENTION_DAYS);
 
-      if (!archiveSheet) {
-        archiveSheet = createOrGetSheet(archiveSheetName, [
-          'Audit ID', 'Timestamp', 'Username', 'Action', 'Target Type', 'Target Name', 'Details'
-        ]);
-      }
+      const isExpired = (entry) => entry.timestamp instanceof Date && entry.timestamp < cutoffDate;
+      const expiredEntries = auditRepo.findAll(isExpired);
+      let archivedCount = 0;
 
-      // Copy old records to archive
-      for (let i = 0; i < rowsToDelete.length; i++) {
-        const rowIndex = rowsToDelete[i];
-        archiveSheet.appendRow(data[rowIndex - 1]);
-      }
+      // Archive to a separate sheet before deletion
+      if (expiredEntries.length > 0) {
+        const archiveSheetName = CONFIG.AUDIT.ARCHIVE_SHEET_PREFIX + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM');
 
-      // Delete old records from main audit trail (delete from bottom to top)
-      for (let i = 0; i < rowsToDelete.length; i++) {
-        auditSheet.deleteRow(rowsToDelete[i]);
+        // Copy old records to archive (archive sheets share the Audit Trail schema)
+        getRepository('AUDIT_TRAIL', archiveSheetName).insertMany(expiredEntries);
+
+        // Delete old records from main audit trail
+        archivedCount = auditRepo.deleteWhere(isExpired).length;
       }
 
-      archivedCount = rowsToDelete.length;
+      Logger.log('Archived ' + archivedCount + ' audit log entries');
+      return {
+        success: true,
+        archivedCount: archivedCount,
+        message: 'Archived ' + archivedCount + ' old audit log entries'
+      };
+
+    } catch (error) {
+      Logger.log('Error archiving audit logs: ' + error.message);
+      return {
+        success: false,
+        message: 'Error archiving audit logs: ' + error.message
+      };
     }
-
-    Logger.log('Archived ' + archivedCount + ' audit log entries');
-    return {
-      success: true,
-      archivedCount: archivedCount,
-      message: 'Archived ' + archivedCount + ' old audit log entries'
-    };
-
-  } catch (error) {
-    Logger.log('Error archiving audit logs: ' + error.message);
-    return {
-      success: false,
-      message: 'Error archiving audit logs: ' + error.message
-    };
-  }
+  });
 }
 
 /**
  * Clear all data rows while preserving headers
  */
-function clearAllData() {
-  try {
-    const ss = getSpreadsheet();
-    const sheetNames = [
-      CONFIG.SHEET_NAMES.USERS,
-      CONFIG.SHEET_NAMES.GUARDS,
-      CONFIG.SHEET_NAMES.DOCUMENTS,
-      CONFIG.SHEET_NAMES.LICENSES,
-      CONFIG.SHEET_NAMES.PERFORMANCE,
-      CONFIG.SHEET_NAMES.HEALTH,
-      CONFIG.SHEET_NAMES.VIOLATION_TYPES,
-      CONFIG.SHEET_NAMES.VIOLATION_SANCTIONS
-    ];
-
-    let clearedSheets = [];
-
-    sheetNames.forEach(sheetName => {
-      const sheet = ss.getSheetByName(sheetName);
-      if (sheet) {
-        const lastRow = sheet.getLastRow();
-        if (lastRow > 1) {
-          // Delete all rows except header (row 1)
-          sheet.deleteRows(2, lastRow - 1);
-          clearedSheets.push(sheetName);
+function clearAllData_() {
+  return withWriteLock(() => {
+    try {
+      // Keep a way back before anything is deleted
+      const backup = createBackup_({ reason: 'pre-clear' });
+      if (!backup.success) {
+        return {
+          success: false,
+          message: 'Data was not cleared because the backup failed: ' + backup.message
+        };
+      }
+
+      const ss = getSpreadsheet();
+      const sheetNames = [
+        CONFIG.SHEET_NAMES.USERS,
+        CONFIG.SHEET_NAMES.GUARDS,
+        CONFIG.SHEET_NAMES.DOCUMENTS,
+        CONFIG.SHEET_NAMES.LICENSES,
+        CONFIG.SHEET_NAMES.PERFORMANCE,
+        CONFIG.SHEET_NAMES.HEALTH,
+        CONFIG.SHEET_NAMES.VIOLATION_TYPES,
+        CONFIG.SHEET_NAMES.VIOLATION_SANCTIONS
+      ];
+
+      let clearedSheets = [];
+
+      sheetNames.forEach(sheetName => {
+        const sheet = ss.getSheetByName(sheetName);
+        if (sheet) {
+          const lastRow = sheet.getLastRow();
+          if (lastRow > 1) {
+            // Delete all rows except header (row 1)
+            sheet.deleteRows(2, lastRow - 1);
+            clearedSheets.push(sheetName);
+          }
         }
+      });
+      invalidateCache_();
+
+      // Re-add default admin user to Users sheet
+      const usersRepo = getRepository('USERS');
+      let adminNote = '';
+      if (usersRepo.exists() && usersRepo.count() === 0) {
+        usersRepo.insert(buildDefaultAdminUser_());
+        adminNote = ' Default login: admin / ChangeMe2025! (must be changed at first login).';
       }
-    });
 
-    // Re-add default admin user to Users sheet
-    const usersSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.USERS);
-    if (usersSheet && usersSheet.getLastRow() === 1) {
-      usersSheet.appendRow([
-        'USR001',
-        'admin',
-        hashPassword('admin123'), // Hash the default password
-        'System Administrator',
-        'Admin',
-        'Active',
-        new Date()
-      ]);
+      return {
+        success: true,
+        message: 'All data cleared successfully. Cleared sheets: ' + clearedSheets.join(', ') + '. Backup: ' + backup.fileName + '.' + adminNote,
+        clearedCount: clearedSheets.length,
+        backupFileName: backup.fileName
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: 'Error clearing data: ' + error.message
+      };
     }
-
-    return {
-      success: true,
-      message: 'All data cleared successfully. Cleared sheets: ' + clearedSheets.join(', '),
-      clearedCount: clearedSheets.length
-    };
-
-  } catch (error) {
-    return {
-      success: false,
-      message: 'Error clearing data: ' + error.message
-    };
-  }
+  });
 }
 
 /**
@@ -257,7 +262,7 @@ function clearAllDataWithConfirmation() {
   );
 
   if (response === ui.Button.YES) {
-    const result = clearAllData();
+    const result = clearAllData_();
     if (result.success) {
       ui.alert('Success', result.message, ui.ButtonSet.OK);
     } else {
@@ -0,0 +1,464 @@
+/**
+ * Guard Monitoring System - Backup & Restore
+ * JSON snapshots of every system sheet stored in a private Drive folder
+ * Functions: createBackup, listBackups, restoreBackup, createBackupFromMenu, restoreBackupFromMenu, installBackupScheduleFromMenu
+ */
+
+const BACKUP_FORMAT = 'guard-monitoring-backup';
+
+/**
+ * Take a backup now (admin only)
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @returns {Object} Result with fileId, fileName and sheet/row counts
+ */
+function createBackup(sessionToken, csrfToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+
+  return createBackup_({ reason: 'manual', username: sessionUser.username });
+}
+
+/**
+ * List the backups in the backup folder, newest first (admin only)
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result with backups: [{ fileId, fileName, createdAt, size }]
+ */
+function listBackups(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+
+  return { success: true, backups: listBackups_() };
+}
+
+/**
+ * Restore one of the backups in the backup folder (admin only)
+ * Only files listed by listBackups can be restored.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} fileId - Drive file ID from listBackups
+ * @param {Object} options - Optional { dryRun: boolean }
+ * @returns {Object} Result with the restored sheets and row counts
+ */
+function restoreBackup(sessionToken, csrfToken, fileId, options) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+
+  if (!listBackups_().some(backup => backup.fileId === fileId)) {
+    return { success: false, message: 'Backup not found in the backup folder' };
+  }
+  return restoreBackup_(fileId, { dryRun: !!(options && options.dryRun), username: sessionUser.username });
+}
+
+/**
+ * Write a snapshot of every system sheet (and audit archive sheets) to the backup folder
+ * @param {Object} options - Optional { reason: string, username: string }
+ * @returns {Object} Result with fileId, fileName and sheet/row counts
+ */
+function createBackup_(options) {
+  return withWriteLock(() => {
+    const reason = (options && options.reason) || 'manual';
+    const username = (options && options.username) || 'System';
+
+    try {
+      const now = new Date();
+      const snapshot = {
+        format: BACKUP_FORMAT,
+        formatVersion: CONFIG.BACKUP.FORMAT_VERSION,
+        schemaVersion: getSchemaVersion(),
+        createdAt: now.toISOString(),
+        createdBy: username,
+        reason: reason,
+        sheets: {}
+      };
+
+      let rowCount = 0;
+      getBackupSheetNames().forEach(sheetName => {
+        const sheet = getSpreadsheet().getSheetByName(sheetName);
+        if (!sheet || sheet.getLastRow() === 0) return;
+
+        const values = sheet.getDataRange().getValues();
+        snapshot.sheets[sheetName] = {
+          headers: values[0].map(String),
+          rows: values.slice(1)
+        };
+        rowCount += values.length - 1;
+      });
+
+      const fileName = CONFIG.BACKUP.FILE_PREFIX +
+        Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd_HHmmss') + '-' + reason + '.json';
+      const json = JSON.stringify(snapshot, function(key, value) {
+        const original = this[key];
+        return original instanceof Date ? { $date: original.toISOString() } : value;
+      });
+      const file = getBackupFolder_().createFile(Utilities.newBlob(json, 'application/json', fileName));
+
+      const sheetCount = Object.keys(snapshot.sheets).length;
+      logAudit_(username, 'Backup', 'System', fileName, `Backed up ${sheetCount} sheets (${rowCount} rows), reason: ${reason}`);
+
+      return {
+        success: true,
+        fileId: file.getId(),
+        fileName: fileName,
+        sheetCount: sheetCount,
+        rowCount: rowCount,
+        message: `Backup ${fileName} created (${sheetCount} sheets, ${rowCount} rows)`
+      };
+    } catch (error) {
+      Logger.log('Error creating backup: ' + error.message);
+      return {
+        success: false,
+        message: 'Error creating backup: ' + error.message
+      };
+    }
+  });
+}
+
+/**
+ * Validate a backup and reload every sheet from it
+ * A safety backup of the current data is taken first. Sheets missing from the
+ * backup are emptied, and migrations run afterwards so older backups are upgraded.
+ * @param {string} fileId - Drive file ID of the backup
+ * @param {Object} options - Optional { dryRun: boolean, username: string }
+ * @returns {Object} Result with the restored sheets and row counts
+ */
+function restoreBackup_(fileId, options) {
+  return withWriteLock(() => {
+    const dryRun = !!(options && options.dryRun);
+    const username = (options && options.username) || 'System';
+
+    try {
+      const file = DriveApp.getFileById(fileId);
+      const snapshot = parseBackup(file.getBlob().getDataAsString());
+      const sheetNames = Object.keys(snapshot.sheets);
+      const summary = sheetNames.map(name => ({ name: name, rows: snapshot.sheets[name].rows.length }));
+
+      if (dryRun) {
+        return {
+          success: true,
+          dryRun: true,
+          fileName: file.getName(),
+          createdAt: snapshot.createdAt,
+          schemaVersion: snapshot.schemaVersion,
+          sheets: summary,
+          message: `Backup ${file.getName()} is valid (${sheetNames.length} sheets)`
+        };
+      }
+
+      const safety = createBackup_({ reason: 'pre-restore', username: username });
+      if (!safety.success) {
+        return {
+          success: false,
+          message: 'Restore cancelled, the current data could not be backed up first: ' + safety.message
+        };
+      }
+
+      sheetNames.forEach(name => writeBackupSheet_(name, snapshot.sheets[name]));
+
+      // Empty system sheets the backup did not contain (e.g. sheets added after it was taken)
+      Object.values(CONFIG.SHEET_NAMES).forEach(name => {
+        if (snapshot.sheets[name]) return;
+        const sheet = getSpreadsheet().getSheetByName(name);
+        if (sheet && sheet.getLastRow() > 1) {
+          sheet.deleteRows(2, sheet.getLastRow() - 1);
+        }
+      });
+
+      invalidateCache_();
+      const migration = runMigrations_({ username: username });
+      logAudit_(username, 'Restore', 'System', file.getName(), `Restored ${sheetNames.length} sheets; safety backup ${safety.fileName}`);
+
+      return {
+        success: true,
+        fileName: file.getName(),
+        safetyBackup: safety.fileName,
+        sheets: summary,
+        message: `Restored ${file.getName()}. ${migration.message}`
+      };
+    } catch (error) {
+      Logger.log('Error restoring backup: ' + error.message);
+      return {
+        success: false,
+        message: 'Error restoring backup: ' + error.message
+      };
+    }
+  });
+}
+
+/**
+ * List backups in the backup folder, newest first
+ * @returns {Array<Object>} { fileId, fileName, createdAt, size }
+ */
+function listBackups_() {
+  try {
+    const files = [];
+    const iterator = getBackupFolder_().getFiles();
+    while (iterator.hasNext()) {
+      const file = iterator.next();
+      if (file.getName().indexOf(CONFIG.BACKUP.FILE_PREFIX) !== 0) continue;
+      files.push({
+        fileId: file.getId(),
+        fileName: file.getName(),
+        created: file.getDateCreated(),
+        size: file.getSize()
+      });
+    }
+
+    files.sort((a, b) => b.created - a.created || b.fileName.localeCompare(a.fileName));
+    return files.map(file => ({
+      fileId: file.fileId,
+      fileName: file.fileName,
+      createdAt: formatDateTimeString(file.created),
+      size: file.size
+    }));
+  } catch (error) {
+    Logger.log('Error listing backups: ' + error.message);
+    return [];
+  }
+}
+
+/**
+ * Move scheduled backups beyond the retention count to the Drive trash
+ * Manual, pre-reset and pre-restore backups are never rotated out.
+ * @returns {Object} Result with the number of trashed backups
+ */
+function pruneBackups_() {
+  try {
+    const scheduled = listBackups_().filter(backup => /-scheduled\.json$/.test(backup.fileName));
+    const expired = scheduled.slice(CONFIG.BACKUP.RETENTION_COUNT);
+    expired.forEach(backup => DriveApp.getFileById(backup.fileId).setTrashed(true));
+
+    return {
+      success: true,
+      trashedCount: expired.length,
+      message: `Removed ${expired.length} old scheduled backup(s)`
+    };
+  } catch (error) {
+    Logger.log('Error pruning backups: ' + error.message);
+    return {
+      success: false,
+      message: 'Error pruning backups: ' + error.message
+    };
+  }
+}
+
+/**
+ * Trigger handler: take the daily backup and rotate old ones
+ * @returns {Object} Result of createBackup_
+ */
+function runScheduledBackup_() {
+  const result = createBackup_({ reason: 'scheduled' });
+  Logger.log(result.message);
+  if (result.success) {
+    Logger.log(pruneBackups_().message);
+  }
+  return result;
+}
+
+/**
+ * Install the daily backup trigger (replacing any existing one)
+ * @returns {Object} Result object
+ */
+function installBackupSchedule_() {
+  removeBackupSchedule_();
+  ScriptApp.newTrigger('runScheduledBackup_')
+    .timeBased()
+    .everyDays(1)
+    .atHour(CONFIG.BACKUP.SCHEDULE_HOUR)
+    .create();
+
+  return {
+    success: true,
+    message: `Daily backups scheduled around ${CONFIG.BACKUP.SCHEDULE_HOUR}:00, keeping the last ${CONFIG.BACKUP.RETENTION_COUNT}`
+  };
+}
+
+/**
+ * Remove the daily backup trigger, including triggers installed under the handler's old public name
+ * @returns {Object} Result with the number of removed triggers
+ */
+function removeBackupSchedule_() {
+  const handlers = ['runScheduledBackup_', 'runScheduledBackup'];
+  const triggers = ScriptApp.getProjectTriggers().filter(trigger => handlers.indexOf(trigger.getHandlerFunction()) !== -1);
+  triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  return {
+    success: true,
+    removedCount: triggers.length,
+    message: `Removed ${triggers.length} backup schedule(s)`
+  };
+}
+
+/**
+ * Sheets included in a backup: every system sheet plus the audit archives
+ * @returns {Array<string>} Sheet names
+ */
+function getBackupSheetNames() {
+  const names = Object.values(CONFIG.SHEET_NAMES);
+  getSpreadsheet().getSheets().forEach(sheet => {
+    if (sheet.getName().indexOf(CONFIG.AUDIT.ARCHIVE_SHEET_PREFIX) === 0) {
+      names.push(sheet.getName());
+    }
+  });
+  return names;
+}
+
+/**
+ * Get the Drive folder backups are written to
+ * Uses CONFIG.BACKUP_FOLDER_ID, or a folder created on first use when it is empty.
+ * @returns {Folder} Backup folder
+ */
+function getBackupFolder_() {
+  if (CONFIG.BACKUP_FOLDER_ID) {
+    return DriveApp.getFolderById(CONFIG.BACKUP_FOLDER_ID);
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  const folderId = properties.getProperty('BACKUP_FOLDER_ID');
+  if (folderId) {
+    return DriveApp.getFolderById(folderId);
+  }
+
+  // Drive folders are private to the script owner unless shared
+  const folder = DriveApp.createFolder('Guard Monitoring Backups');
+  properties.setProperty('BACKUP_FOLDER_ID', folder.getId());
+  return folder;
+}
+
+/**
+ * Parse and validate backup JSON
+ * @param {string} json - Backup file contents
+ * @returns {Object} Snapshot with Date cells restored
+ */
+function parseBackup(json) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(json, (key, value) => {
+      return value && typeof value === 'object' && typeof value.$date === 'string' ? new Date(value.$date) : value;
+    });
+  } catch (error) {
+    throw new Error('Backup file is not valid JSON');
+  }
+
+  if (!snapshot || snapshot.format !== BACKUP_FORMAT) {
+    throw new Error('File is not a Guard Monitoring backup');
+  }
+  if (!(snapshot.formatVersion >= 1 && snapshot.formatVersion <= CONFIG.BACKUP.FORMAT_VERSION)) {
+    throw new Error('Unsupported backup format version: ' + snapshot.formatVersion);
+  }
+  if (snapshot.schemaVersion > getLatestSchemaVersion()) {
+    throw new Error(`Backup uses schema version ${snapshot.schemaVersion}, newer than this system (${getLatestSchemaVersion()})`);
+  }
+  if (!snapshot.sheets || typeof snapshot.sheets !== 'object') {
+    throw new Error('Backup contains no sheets');
+  }
+
+  const knownSheets = Object.values(CONFIG.SHEET_NAMES);
+  Object.keys(snapshot.sheets).forEach(name => {
+    const sheet = snapshot.sheets[name];
+    if (knownSheets.indexOf(name) === -1 && name.indexOf(CONFIG.AUDIT.ARCHIVE_SHEET_PREFIX) !== 0) {
+      throw new Error('Backup contains an unknown sheet: ' + name);
+    }
+    if (!Array.isArray(sheet.headers) || sheet.headers.length === 0 || !Array.isArray(sheet.rows)) {
+      throw new Error('Sheet ' + name + ' is malformed');
+    }
+    if (sheet.rows.some(row => !Array.isArray(row) || row.length > sheet.headers.length)) {
+      throw new Error('Sheet ' + name + ' has rows that do not match its headers');
+    }
+  });
+
+  // Refuse backups that would leave nobody able to sign in
+  const users = snapshot.sheets[CONFIG.SHEET_NAMES.USERS];
+  const roleIndex = users ? users.headers.indexOf(SHEET_SCHEMAS.USERS.fields.role.header) : -1;
+  const statusIndex = users ? users.headers.indexOf(SHEET_SCHEMAS.USERS.fields.status.header) : -1;
+  const hasAdmin = roleIndex !== -1 && statusIndex !== -1 &&
+    users.rows.some(row => row[roleIndex] === 'Admin' && row[statusIndex] === 'Active');
+  if (!hasAdmin) {
+    throw new Error('Backup has no active Admin user');
+  }
+
+  return snapshot;
+}
+
+/**
+ * Replace the contents of a sheet with a backed up header row and data rows
+ * @param {string} sheetName - Sheet name
+ * @param {Object} data - { headers, rows }
+ */
+function writeBackupSheet_(sheetName, data) {
+  const sheet = createOrGetSheet(sheetName, data.headers);
+  const width = data.headers.length;
+  const values = [data.headers].concat(data.rows.map(row => {
+    const padded = row.slice();
+    while (padded.length < width) padded.push('');
+    return padded;
+  }));
+
+  sheet.clearContents();
+  if (sheet.getMaxColumns() < width) {
+    sheet.insertColumnsAfter(sheet.getMaxColumns(), width - sheet.getMaxColumns());
+  }
+  if (sheet.getMaxRows() < values.length) {
+    sheet.insertRowsAfter(sheet.getMaxRows(), values.length - sheet.getMaxRows());
+  }
+  sheet.getRange(1, 1, values.length, width).setValues(values);
+}
+
+/**
+ * Menu handler: take a backup now
+ */
+function createBackupFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const result = createBackup_({ reason: 'manual', username: Session.getActiveUser().getEmail() || 'System' });
+  ui.alert('Backup', result.message, ui.ButtonSet.OK);
+}
+
+/**
+ * Menu handler: install the daily backup trigger
+ */
+function installBackupScheduleFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Schedule Daily Backups', installBackupSchedule_().message, ui.ButtonSet.OK);
+}
+
+/**
+ * Menu handler: pick one of the recent backups and restore it
+ */
+function restoreBackupFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const backups = listBackups_().slice(0, 10);
+  if (backups.length === 0) {
+    ui.alert('Restore Backup', 'No backups found.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const choices = backups.map((backup, index) => `${index + 1}. ${backup.fileName} (${backup.createdAt})`).join('\n');
+  const response = ui.prompt('Restore Backup', 'Enter the number of the backup to restore:\n\n' + choices, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const backup = backups[parseInt(response.getResponseText(), 10) - 1];
+  if (!backup) {
+    ui.alert('Restore Backup', 'Invalid selection.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const preview = restoreBackup_(backup.fileId, { dryRun: true });
+  if (!preview.success) {
+    ui.alert('Restore Backup', preview.message, ui.ButtonSet.OK);
+    return;
+  }
+
+  const confirm = ui.alert(
+    'Restore Backup',
+    `${preview.message}\n\nAll current data will be replaced. A backup of the current data is taken first.\n\nContinue?`,
+    ui.ButtonSet.YES_NO
+  );
+  if (confirm !== ui.Button.YES) return;
+
+  const result = restoreBackup_(backup.fileId, { username: Session.getActiveUser().getEmail() || 'System' });
+  ui.alert('Restore Backup', result.message, ui.ButtonSet.OK);
+}
@@ -0,0 +1,261 @@
+/**
+ * Guard Monitoring System - Data Cache
+ * Chunked CacheService storage for sheet snapshots and computed aggregates
+ * Functions: showCacheDiagnostics
+ */
+
+/**
+ * Read every entity of a sheet, served from the cache when possible
+ * Callers may modify the returned objects; they are never shared with the cache.
+ * @param {string} entity - Entity key in CONFIG.CACHE.ENTITIES (e.g. GUARDS)
+ * @returns {Array<Object>} Entities in sheet order
+ */
+function getCachedEntities_(entity) {
+  if (CONFIG.CACHE.ENTITIES.indexOf(entity) === -1) {
+    throw new Error('Sheet is not cached: ' + entity);
+  }
+  const key = 'entities:' + entity + ':' + getCacheGenerations([entity]);
+  return readThroughCache('entities:' + entity, key, () => getRepository(entity).findAll());
+}
+
+/**
+ * Get a computed value, served from the cache when possible
+ * The cached value is dropped as soon as one of the entities it depends on is invalidated.
+ * @param {string} name - Aggregate name (e.g. dashboardStats)
+ * @param {Array} args - Arguments the value depends on (month, year, ...)
+ * @param {Array<string>} entities - Entities the value is computed from
+ * @param {Function} compute - Computes the value on a cache miss; thrown errors are not cached
+ * @returns {*} Aggregate value
+ */
+function getCachedAggregate_(name, args, entities, compute) {
+  const key = 'aggregate:' + name + ':' + JSON.stringify(args || []) + ':' + getCacheGenerations(entities);
+  return readThroughCache('aggregate:' + name, key, compute);
+}
+
+/**
+ * Invalidate cached snapshots and aggregates after a write
+ * Bumps the generation of each entity, so old cache entries are never read again
+ * and simply expire.
+ * @param {Array<string>} entities - Entities that changed (omit to invalidate everything)
+ */
+function invalidateCache_(entities) {
+  try {
+    // Commit the write first so no reader can cache pre-write rows under the new generation
+    SpreadsheetApp.flush();
+
+    const properties = PropertiesService.getScriptProperties();
+    const generations = JSON.parse(properties.getProperty(CONFIG.CACHE.GENERATIONS_PROPERTY) || '{}');
+    const stamp = Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36);
+
+    (entities || Object.keys(SHEET_SCHEMAS)).forEach(entity => {
+      generations[entity] = stamp;
+    });
+    properties.setProperty(CONFIG.CACHE.GENERATIONS_PROPERTY, JSON.stringify(generations));
+  } catch (error) {
+    Logger.log('Error invalidating cache: ' + error.message);
+  }
+}
+
+/**
+ * Get cache hit/miss counters per cache entry name since the last reset
+ * @returns {Object} { since, hits, misses, hitRate, entries: { name: { hits, misses, lastMissMs } } }
+ */
+function getCacheDiagnostics_() {
+  const stats = readCacheStats();
+  let hits = 0;
+  let misses = 0;
+  Object.keys(stats.entries).forEach(name => {
+    hits += stats.entries[name].hits;
+    misses += stats.entries[name].misses;
+  });
+
+  return {
+    success: true,
+    since: stats.since,
+    hits: hits,
+    misses: misses,
+    hitRate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 100) : 0,
+    entries: stats.entries
+  };
+}
+
+/**
+ * Reset the cache hit/miss counters
+ * @returns {Object} Result object
+ */
+function resetCacheDiagnostics_() {
+  CacheService.getScriptCache().remove(CONFIG.CACHE.STATS_KEY);
+  return {
+    success: true,
+    message: 'Cache diagnostics reset'
+  };
+}
+
+/**
+ * Menu handler: show cache hit/miss counters
+ */
+function showCacheDiagnostics() {
+  const ui = SpreadsheetApp.getUi();
+  const diagnostics = getCacheDiagnostics_();
+  const lines = [
+    `Hits: ${diagnostics.hits}   Misses: ${diagnostics.misses}   Hit rate: ${diagnostics.hitRate}%`,
+    'Since: ' + (diagnostics.since ? formatDateTimeString(new Date(diagnostics.since)) : 'N/A'),
+    ''
+  ];
+  Object.keys(diagnostics.entries).sort().forEach(name => {
+    const entry = diagnostics.entries[name];
+    lines.push(`${name}: ${entry.hits} hit(s), ${entry.misses} miss(es), last rebuild ${entry.lastMissMs} ms`);
+  });
+
+  ui.alert('Cache Diagnostics', lines.join('\n'), ui.ButtonSet.OK);
+}
+
+/**
+ * Get the cache key suffix for a set of entities
+ * @param {Array<string>} entities - Entity keys
+ * @returns {string} Generation stamps joined in entity order
+ */
+function getCacheGenerations(entities) {
+  const stored = PropertiesService.getScriptProperties().getProperty(CONFIG.CACHE.GENERATIONS_PROPERTY);
+  const generations = stored ? JSON.parse(stored) : {};
+  return entities.map(entity => generations[entity] || '0').join('.');
+}
+
+/**
+ * Return a cached value, computing and storing it on a miss
+ * Cache failures never break the caller; the value is computed instead.
+ * @param {string} name - Entry name used for diagnostics
+ * @param {string} key - Full cache key
+ * @param {Function} compute - Computes the value
+ * @returns {*} Value
+ */
+function readThroughCache(name, key, compute) {
+  const cache = CacheService.getScriptCache();
+
+  try {
+    const cached = readChunkedValue(cache, key);
+    if (cached !== null) {
+      recordCacheEvent(name, true, 0);
+      return deserializeCacheValue(cached);
+    }
+  } catch (error) {
+    Logger.log('Error reading cache entry ' + name + ': ' + error.message);
+  }
+
+  const started = Date.now();
+  const value = compute();
+
+  try {
+    writeChunkedValue(cache, key, serializeCacheValue(value));
+  } catch (error) {
+    Logger.log('Error writing cache entry ' + name + ': ' + error.message);
+  }
+  recordCacheEvent(name, false, Date.now() - started);
+  return value;
+}
+
+/**
+ * Read a value stored by writeChunkedValue
+ * @param {Cache} cache - Script cache
+ * @param {string} key - Cache key
+ * @returns {string|null} Stored string, or null when missing or partly evicted
+ */
+function readChunkedValue(cache, key) {
+  const chunkCount = parseInt(cache.get(key), 10);
+  if (!chunkCount) return null;
+
+  const chunkKeys = [];
+  for (let i = 0; i < chunkCount; i++) {
+    chunkKeys.push(key + ':' + i);
+  }
+
+  const chunks = cache.getAll(chunkKeys);
+  if (chunkKeys.some(chunkKey => chunks[chunkKey] === undefined || chunks[chunkKey] === null)) {
+    return null;
+  }
+  return chunkKeys.map(chunkKey => chunks[chunkKey]).join('');
+}
+
+/**
+ * Store a string across as many cache entries as needed (CacheService values are limited to 100KB)
+ * The chunk count is written last, so readers never see a half-written value.
+ * @param {Cache} cache - Script cache
+ * @param {string} key - Cache key
+ * @param {string} value - String to store
+ */
+function writeChunkedValue(cache, key, value) {
+  const chunkSize = CONFIG.CACHE.CHUNK_SIZE;
+  const chunkCount = Math.max(1, Math.ceil(value.length / chunkSize));
+  if (chunkCount > CONFIG.CACHE.MAX_CHUNKS) {
+    Logger.log('Cache entry too large, not cached: ' + key + ' (' + value.length + ' chars)');
+    return;
+  }
+
+  const chunks = {};
+  for (let i = 0; i < chunkCount; i++) {
+    chunks[key + ':' + i] = value.substring(i * chunkSize, (i + 1) * chunkSize);
+  }
+  cache.putAll(chunks, CONFIG.CACHE.TTL_SECONDS);
+  cache.put(key, String(chunkCount), CONFIG.CACHE.TTL_SECONDS);
+}
+
+/**
+ * Serialize a value to JSON, keeping Date objects recognisable
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON string
+ */
+function serializeCacheValue(value) {
+  return JSON.stringify(value, function(key, item) {
+    const original = this[key];
+    return original instanceof Date ? { $date: original.getTime() } : item;
+  });
+}
+
+/**
+ * Parse a value produced by serializeCacheValue
+ * @param {string} json - JSON string
+ * @returns {*} Value with Date objects restored
+ */
+function deserializeCacheValue(json) {
+  return JSON.parse(json, (key, item) => {
+    return item && typeof item === 'object' && typeof item.$date === 'number' ? new Date(item.$date) : item;
+  });
+}
+
+/**
+ * Read the hit/miss counters
+ * @returns {Object} { since, entries }
+ */
+function readCacheStats() {
+  try {
+    const stored = CacheService.getScriptCache().get(CONFIG.CACHE.STATS_KEY);
+    if (stored) return JSON.parse(stored);
+  } catch (error) {
+    Logger.log('Error reading cache diagnostics: ' + error.message);
+  }
+  return { since: Date.now(), entries: {} };
+}
+
+/**
+ * Count a cache hit or miss
+ * Counters are best effort: concurrent executions may overwrite each other's increments.
+ * @param {string} name - Entry name
+ * @param {boolean} hit - True for a hit, false for a miss
+ * @param {number} elapsedMs - Time spent computing the value on a miss
+ */
+function recordCacheEvent(name, hit, elapsedMs) {
+  try {
+    const stats = readCacheStats();
+    const entry = stats.entries[name] || { hits: 0, misses: 0, lastMissMs: 0 };
+    if (hit) {
+      entry.hits++;
+    } else {
+      entry.misses++;
+      entry.lastMissMs = elapsedMs;
+    }
+    stats.entries[name] = entry;
+    CacheService.getScriptCache().put(CONFIG.CACHE.STATS_KEY, JSON.stringify(stats), CONFIG.CACHE.STATS_TTL_SECONDS);
+  } catch (error) {
+    Logger.log('Error recording cache diagnostics: ' + error.message);
+  }
+}
@@ -7,6 +7,7 @@ const CONFIG = {
   SPREADSHEET_ID: '1Kd0YdASFbB6dhUSCD0HbS01dWvUal79-6Jh3pVek-4Q',
   GOOGLE_DRIVE_FOLDER_ID: '1hWMiF34dsF_tQy9xQ7YpNq_0U8JgH-U-', // Google Drive folder for PDF uploads
   PHOTO_FOLDER_ID: '1GrKaffYzNiEwJGTNDyLRbJrboUGiVurU', // Google Drive folder for guard photos
+  BACKUP_FOLDER_ID: '', // Google Drive folder for JSON backups (created on first backup when empty)
 
   SHEET_NAMES: {
     GUARDS: 'Guards',
@@ -17,7 +18,8 @@ const CONFIG = {
     USERS: 'Users',
     VIOLATION_TYPES: 'Violation Types',
     VIOLATION_SANCTIONS: 'Violation Sanctions',
-    AUDIT_TRAIL: 'Audit Trail'
+    AUDIT_TRAIL: 'Audit Trail',
+    SCHEMA_MIGRATIONS: 'Schema Migrations'
   },
 
   COLORS: {
@@ -35,19 +37,319 @@ const CONFIG = {
     MAX_LOGIN_ATTEMPTS: 5,
     LOCKOUT_DURATION_MINUTES: 15,
     PASSWORD_HISTORY_COUNT: 5,
-    SESSION_TIMEOUT_MINUTES: 360  // 6 hours
+    PASSWORD_HASH_ITERATIONS: 5000, // HMAC-SHA256 rounds; older hashes are upgraded at the next login
+    SESSION_TIMEOUT_MINUTES: 360,  // 6 hours
+    SESSION_IDLE_TIMEOUT_MINUTES: 30, // Sessions without a request for this long end before the 6 hours are up
+    CSRF_TOKEN_MINUTES: 60,        // CSRF tokens rotate this often; the client fetches a new one on expiry
+    MIN_HEIGHT_CM: 100,
+    MAX_HEIGHT_CM: 250,
+    MIN_WEIGHT_KG: 30,
+    MAX_WEIGHT_KG: 250
   },
 
+  GUARD_STATUSES: ['Active', 'Return To Agency', 'Banned'],
+
+  USER_STATUSES: ['Active', 'Inactive'],
+
   ALERTS: {
     LICENSE_EXPIRY_DAYS: 30,
     DOCUMENT_EXPIRY_DAYS: 30
   },
 
   AUDIT: {
-    RETENTION_DAYS: 365
+    RETENTION_DAYS: 365,
+    ARCHIVE_SHEET_PREFIX: 'Audit Archive '
+  },
+
+  BACKUP: {
+    FORMAT_VERSION: 1,
+    FILE_PREFIX: 'gms-backup-',
+    RETENTION_COUNT: 14,  // Scheduled backups kept before the oldest is trashed
+    SCHEDULE_HOUR: 2      // Hour of day (script time zone) for the daily backup
+  },
+
+  RECYCLE_BIN: {
+    PURGE_AFTER_DAYS: 30, // Soft-deleted guards and records are purged this many days after deletion
+    SCHEDULE_HOUR: 3      // Hour of day (script time zone) for the daily purge
   },
 
   SECURITY: {
     FORCE_PASSWORD_CHANGE_ON_FIRST_LOGIN: true
+  },
+
+  // Defaults for the admin-editable password policy (PasswordPolicy.js); the saved policy is a script property
+  PASSWORD_POLICY: {
+    PROPERTY: 'PASSWORD_POLICY',
+    MAX_BANNED_PASSWORDS: 500,
+    DEFAULTS: {
+      minLength: 8,             // Never below VALIDATION.MIN_PASSWORD_LENGTH
+      requireUppercase: true,
+      requireLowercase: true,
+      requireNumber: true,
+      requireSymbol: false,
+      maxAgeDays: 90,           // 0 = passwords never expire
+      disallowPersonalInfo: true,
+      bannedPasswords: []       // Added to the built-in list of common passwords
+    }
+  },
+
+  // Thresholds of the suspicious-activity report (SecurityReport.js)
+  SECURITY_REPORT: {
+    DAYS: 7,                  // Default report period
+    BURST_WINDOW_MINUTES: 10, // Failed logins this close together form a burst...
+    BURST_MIN_FAILURES: 5,    // ...once there are at least this many...
+    BURST_MIN_ACCOUNTS: 3,    // ...against at least this many usernames
+    WORK_HOURS_START: 6,      // Logins before this hour or from WORK_HOURS_END on (script time zone) are flagged
+    WORK_HOURS_END: 20,
+    REPEATED_LOCKOUTS: 2      // Accounts locked this often within the period are flagged
+  },
+
+  // Server-side checks of uploaded files (Files.js); the type is read from the file's first bytes
+  UPLOADS: {
+    PHOTO: { LABEL: 'Photo', MAX_BYTES: 5 * 1024 * 1024, TYPES: ['image/jpeg', 'image/png'] },
+    DOCUMENT: { LABEL: 'PDF', MAX_BYTES: 5 * 1024 * 1024, TYPES: ['application/pdf'] },
+    MAX_FILENAME_LENGTH: 100
+  },
+
+  TWO_FACTOR: {
+    ISSUER: 'Guard Monitoring System', // Account label shown in authenticator apps
+    PERIOD_SECONDS: 30,
+    DIGITS: 6,
+    WINDOW_STEPS: 1,                   // Codes from this many periods before or after now are accepted
+    RECOVERY_CODE_COUNT: 10,
+    CHALLENGE_MINUTES: 5,              // Time to enter the code after the password step
+    ENROLLMENT_MINUTES: 10             // Time to confirm a new secret after it is shown
+  },
+
+  // Permissions checked by the server functions, with the wording used in "Permission denied" messages
+  PERMISSIONS: {
+    'dashboard.view': 'view the dashboard',
+    'guards.read': 'view guards',
+    'guards.write': 'add and edit guards',
+    'guards.delete': 'delete and restore guards',
+    'guards.import': 'import guards from CSV',
+    'performance.read': 'view performance records',
+    'performance.write': 'add and edit performance records',
+    'performance.delete': 'delete and restore performance records',
+    'data.export': 'export guards and records',
+    'users.manage': 'manage user accounts',
+    'settings.edit': 'edit violation types and sanctions',
+    'system.manage': 'run maintenance such as integrity repairs, recycle bin purges and database resets'
+  },
+
+  // Roles and the permissions they grant; a user whose role is not listed here can do nothing
+  ROLES: {
+    'Admin': [
+      'dashboard.view', 'guards.read', 'guards.write', 'guards.delete', 'guards.import',
+      'performance.read', 'performance.write', 'performance.delete', 'data.export',
+      'users.manage', 'settings.edit', 'system.manage'
+    ],
+    'HR Officer': [
+      'dashboard.view', 'guards.read', 'guards.write', 'guards.delete', 'guards.import',
+      'performance.read', 'performance.write', 'performance.delete', 'data.export'
+    ],
+    'Supervisor': [
+      'dashboard.view', 'guards.read', 'performance.read', 'performance.write', 'performance.delete'
+    ],
+    'Encoder': [
+      'dashboard.view', 'guards.read', 'guards.write', 'guards.import', 'performance.read', 'performance.write'
+    ],
+    'Viewer': [
+      'dashboard.view', 'guards.read', 'performance.read'
+    ]
+  },
+
+  IMPORT: {
+    MAX_ROWS: 500,        // Guards accepted in one CSV import
+    BATCH_SIZE: 100       // Rows written per sheet call when committing an import
+  },
+
+  REPORTS: {
+    TOP_COUNT: 5          // Entries in each dashboard ranking
+  },
+
+  QUERY: {
+    DEFAULT_PAGE_SIZE: 8,
+    MAX_PAGE_SIZE: 100
+  },
+
+  CACHE: {
+    // Sheets whose rows may be cached; USERS and the log sheets hold secrets or change too often
+    ENTITIES: ['GUARDS', 'DOCUMENTS', 'HEALTH', 'PERFORMANCE', 'VIOLATION_TYPES', 'VIOLATION_SANCTIONS'],
+    TTL_SECONDS: 600,                 // Lifetime of cached snapshots and aggregates
+    CHUNK_SIZE: 30000,                // Characters per cache entry (CacheService values are limited to 100KB)
+    MAX_CHUNKS: 40,                   // Larger values are not cached
+    GENERATIONS_PROPERTY: 'CACHE_GENERATIONS',
+    STATS_KEY: 'cache:stats',
+    STATS_TTL_SECONDS: 21600          // Maximum CacheService lifetime
+  },
+
+  LOCK: {
+    WAIT_MS: 5000,        // How long each attempt waits for the script lock
+    MAX_ATTEMPTS: 3,      // Attempts before returning a "busy" result
+    BACKOFF_MS: 500       // Base delay between attempts, doubled each retry
+  }
+};
+
+/**
+ * Sheet schemas - maps entity fields to header names
+ * Column positions are resolved from the header row at runtime, so the key
+ * order here only decides the column order of newly created sheets.
+ * Field types: string, number, date, boolean, json
+ */
+const SHEET_SCHEMAS = {
+  USERS: {
+    idField: 'userId',
+    fields: {
+      userId: { header: 'User ID', type: 'string' },
+      username: { header: 'Username', type: 'string' },
+      passwordHash: { header: 'Password', type: 'string' },
+      fullName: { header: 'Full Name', type: 'string' },
+      role: { header: 'Role', type: 'string' },
+      status: { header: 'Status', type: 'string' },
+      createdDate: { header: 'Created Date', type: 'date' },
+      failedAttempts: { header: 'Failed Attempts', type: 'number' },
+      lastFailed: { header: 'Last Failed', type: 'date' },
+      lockedUntil: { header: 'Locked Until', type: 'date' },
+      passwordHistory: { header: 'Password History', type: 'json' },
+      forcePasswordChange: { header: 'Force Password Change', type: 'boolean' },
+      twoFactorEnabled: { header: '2FA Enabled', type: 'boolean' },
+      twoFactorRequired: { header: '2FA Required', type: 'boolean' },
+      twoFactorSecret: { header: '2FA Secret', type: 'string' },
+      twoFactorRecoveryCodes: { header: '2FA Recovery Codes', type: 'json' },
+      twoFactorLastStep: { header: '2FA Last Step', type: 'number' },
+      sessionVersion: { header: 'Session Version', type: 'number' },
+      passwordChangedAt: { header: 'Password Changed', type: 'date' }
+    }
+  },
+
+  GUARDS: {
+    idField: 'guardId',
+    fields: {
+      guardId: { header: 'Guard ID', type: 'string' },
+      firstName: { header: 'First Name', type: 'string' },
+      middleName: { header: 'Middle Name', type: 'string' },
+      lastName: { header: 'Last Name', type: 'string' },
+      suffix: { header: 'Suffix', type: 'string' },
+      dateOfBirth: { header: 'Date of Birth', type: 'date' },
+      hiredDate: { header: 'Hired Date', type: 'date' },
+      endOfContractDate: { header: 'End of Contract Date', type: 'date' },
+      status: { header: 'Status', type: 'string' },
+      photoUrl: { header: 'Photo URL', type: 'string' },
+      version: { header: 'Version', type: 'number' },
+      lastModified: { header: 'Last Modified', type: 'date' },
+      lastModifiedBy: { header: 'Last Modified By', type: 'string' },
+      deletedAt: { header: 'Deleted At', type: 'date' },
+      deletedBy: { header: 'Deleted By', type: 'string' }
+    }
+  },
+
+  DOCUMENTS: {
+    idField: 'guardId',
+    fields: {
+      guardId: { header: 'Guard ID', type: 'string' },
+      guardName: { header: 'Guard Name', type: 'string' },
+      licenseNumber: { header: 'License Number', type: 'string' },
+      licenseExpiry: { header: 'License Expiry', type: 'date' },
+      policeClearance: { header: 'National Police Clearance', type: 'date' },
+      nbiClearance: { header: 'NBI Clearance', type: 'date' },
+      drugTestValidity: { header: 'Drug Test Validity', type: 'date' },
+      neuroExamValidity: { header: 'Neuro Exam Validity', type: 'date' }
+    }
+  },
+
+  LICENSES: {
+    idField: 'guardId',
+    fields: {
+      guardId: { header: 'Guard ID', type: 'string' },
+      guardName: { header: 'Guard Name', type: 'string' },
+      licenseType: { header: 'License Type', type: 'string' },
+      licenseNumber: { header: 'License Number', type: 'string' },
+      issueDate: { header: 'Issue Date', type: 'date' },
+      expiryDate: { header: 'Expiry Date', type: 'date' },
+      status: { header: 'Status', type: 'string' }
+    }
+  },
+
+  PERFORMANCE: {
+    idField: 'recordId',
+    fields: {
+      recordId: { header: 'Record ID', type: 'string' },
+      guardId: { header: 'Guard ID', type: 'string' },
+      guardName: { header: 'Guard Name', type: 'string' },
+      type: { header: 'Type', type: 'string' },
+      typeOfViolation: { header: 'Type of Violation', type: 'string' },
+      violationTypeId: { header: 'Violation Type ID', type: 'string' },
+      shortDescription: { header: 'Short Description', type: 'string' },
+      date: { header: 'Date', type: 'date' },
+      violationSanction: { header: 'Violation Sanction', type: 'string' },
+      violationSanctionId: { header: 'Violation Sanction ID', type: 'string' },
+      pdfLink: { header: 'PDF Link', type: 'string' },
+      version: { header: 'Version', type: 'number' },
+      lastModified: { header: 'Last Modified', type: 'date' },
+      lastModifiedBy: { header: 'Last Modified By', type: 'string' },
+      deletedAt: { header: 'Deleted At', type: 'date' },
+      deletedBy: { header: 'Deleted By', type: 'string' }
+    }
+  },
+
+  HEALTH: {
+    idField: 'guardId',
+    fields: {
+      guardId: { header: 'Guard ID', type: 'string' },
+      guardName: { header: 'Guard Name', type: 'string' },
+      date: { header: 'Date', type: 'date' },
+      height: { header: 'Height (cm)', type: 'number' },
+      weight: { header: 'Weight (kg)', type: 'number' },
+      bmi: { header: 'BMI', type: 'number' },
+      status: { header: 'Status', type: 'string' },
+      notes: { header: 'Notes', type: 'string' }
+    }
+  },
+
+  VIOLATION_TYPES: {
+    idField: 'id',
+    fields: {
+      id: { header: 'Violation ID', type: 'string' },
+      name: { header: 'Violation Name', type: 'string' },
+      description: { header: 'Description', type: 'string' },
+      createdDate: { header: 'Created Date', type: 'date' }
+    }
+  },
+
+  VIOLATION_SANCTIONS: {
+    idField: 'id',
+    fields: {
+      id: { header: 'Sanction ID', type: 'string' },
+      name: { header: 'Sanction Name', type: 'string' },
+      description: { header: 'Description', type: 'string' },
+      createdDate: { header: 'Created Date', type: 'date' }
+    }
+  },
+
+  AUDIT_TRAIL: {
+    idField: 'auditId',
+    fields: {
+      auditId: { header: 'Audit ID', type: 'string' },
+      timestamp: { header: 'Timestamp', type: 'date' },
+      username: { header: 'Username', type: 'string' },
+      action: { header: 'Action', type: 'string' },
+      targetType: { header: 'Target Type', type: 'string' },
+      targetName: { header: 'Target Name', type: 'string' },
+      details: { header: 'Details', type: 'string' }
+    }
+  },
+
+  // One row per migration run; the highest Applied version is the schema version
+  SCHEMA_MIGRATIONS: {
+    idField: 'version',
+    fields: {
+      version: { header: 'Version', type: 'number' },
+      name: { header: 'Migration', type: 'string' },
+      status: { header: 'Status', type: 'string' },
+      appliedAt: { header: 'Applied At', type: 'date' },
+      appliedBy: { header: 'Applied By', type: 'string' },
+      details: { header: 'Details', type: 'string' }
+    }
   }
 };
@@ -1,356 +1,295 @@
 /**
  * Guard Monitoring System - Dashboard Statistics & Analytics
- * Functions: getDashboardStats, getTopViolationTypes, getTopGuardsViolations, getTopGuardsAccomplishments
+ * Functions: getDashboardReport, getDashboardStats, getTopViolationTypes, getTopGuardsViolations, getTopGuardsAccomplishments
  */
 
-function getDashboardStats(month, year) {
-  try {
-    const ss = getSpreadsheet();
-    const guardsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.GUARDS);
-    const documentsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.DOCUMENTS);
-    const performanceSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
-    const healthSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.HEALTH);
-
-    if (!guardsSheet || !documentsSheet) {
-      return {
-        totalGuards: 0,
-        activeGuards: 0,
-        expiredLicenses: 0,
-        monthlyViolations: 0,
-        monthlyAccomplishments: 0,
-        bmiNormal: 0,
-        bmiUnderweight: 0,
-        bmiOverweight: 0,
-        bmiObese: 0
-      };
-    }
-
-    const guardsData = guardsSheet.getDataRange().getValues();
-    const documentsData = documentsSheet.getDataRange().getValues();
-    const healthData = healthSheet ? healthSheet.getDataRange().getValues() : [];
-
-    let totalGuards = 0;
-    let activeGuards = 0;
-    let expiredLicenses = 0;
-    let monthlyViolations = 0;
-    let monthlyAccomplishments = 0;
-    let bmiNormal = 0;
-    let bmiUnderweight = 0;
-    let bmiOverweight = 0;
-    let bmiObese = 0;
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Get month start and end dates (use parameters or current month/year)
-    const now = new Date();
-    const filterYear = year || now.getFullYear();
-
-    let currentMonthStart, currentMonthEnd;
-
-    if (month === null || month === undefined) {
-      // All year view - from Jan 1 to Dec 31 of the year
-      currentMonthStart = new Date(filterYear, 0, 1);
-      currentMonthStart.setHours(0, 0, 0, 0);
-      currentMonthEnd = new Date(filterYear, 11, 31);
-      currentMonthEnd.setHours(23, 59, 59, 999);
-    } else {
-      // Specific month view
-      const filterMonth = month;
-      currentMonthStart = new Date(filterYear, filterMonth - 1, 1);
-      currentMonthStart.setHours(0, 0, 0, 0);
-      currentMonthEnd = new Date(filterYear, filterMonth, 0);
-      currentMonthEnd.setHours(23, 59, 59, 999);
-    }
-
-    // Count guards by status
-    for (let i = 1; i < guardsData.length; i++) {
-      if (guardsData[i][0]) { // Guard ID exists
-        totalGuards++;
-        const status = guardsData[i][8] ? guardsData[i][8].toString() : '';
-        if (status === 'Active') {
-          activeGuards++;
-        }
-      }
-    }
-
-    // Count expired licenses for active guards only
-    // Build a map of active guard IDs
-    const activeGuardIds = new Set();
-    for (let i = 1; i < guardsData.length; i++) {
-      const guardId = guardsData[i][0] ? guardsData[i][0].toString() : '';
-      const status = guardsData[i][8] ? guardsData[i][8].toString() : '';
-      if (guardId && status === 'Active') {
-        activeGuardIds.add(guardId);
-      }
-    }
-
-    // Check documents for expired licenses (only for active guards)
-    for (let i = 1; i < documentsData.length; i++) {
-      const guardId = documentsData[i][0] ? documentsData[i][0].toString() : '';
-
-      // Only check if guard is active
-      if (activeGuardIds.has(guardId)) {
-        const licenseExpiry = documentsData[i][3]; // License Expiry column
-
-        if (licenseExpiry) {
-          const expiryDate = licenseExpiry instanceof Date ? licenseExpiry : new Date(licenseExpiry);
-
-          // Check if license is expired
-          if (expiryDate < today) {
-            expiredLicenses++;
-          }
-        }
-      }
-    }
-
-    // Count monthly violations and accomplishments
-    if (performanceSheet && performanceSheet.getLastRow() > 1) {
-      const performanceData = performanceSheet.getDataRange().getValues();
-
-      for (let i = 1; i < performanceData.length; i++) {
-        const recordDate = performanceData[i][6]; // Date column
-        const recordType = performanceData[i][3] ? performanceData[i][3].toString() : ''; // Type column
-
-        if (recordDate) {
-          const dateObj = recordDate instanceof Date ? recordDate : new Date(recordDate);
-
-          // Check if date is within current month
-          if (dateObj >= currentMonthStart && dateObj <= currentMonthEnd) {
-            if (recordType === 'Violation') {
-              monthlyViolations++;
-            } else if (recordType === 'Accomplishment') {
-              monthlyAccomplishments++;
-            }
-          }
-        }
-      }
-    }
-
-    // Count BMI status for active guards only
-    // Create a map of health data by guardId
-    const healthMap = {};
-    for (let i = 1; i < healthData.length; i++) {
-      const guardId = healthData[i][0] ? healthData[i][0].toString() : '';
-      const bmi = healthData[i][5]; // BMI column
-      if (guardId && bmi) {
-        healthMap[guardId] = parseFloat(bmi);
-      }
-    }
-
-    // Count BMI categories for active guards
-    for (const guardId of activeGuardIds) {
-      if (healthMap[guardId]) {
-        const bmiValue = healthMap[guardId];
-
-        // Categorize based on BMI ranges
-        if (bmiValue > 18.5 && bmiValue <= 25) {
-          bmiNormal++;
-        } else if (bmiValue <= 18.5) {
-          bmiUnderweight++; // Includes both underweight and severely underweight
-        } else if (bmiValue > 25 && bmiValue <= 30) {
-          bmiOverweight++;
-        } else {
-          bmiObese++; // BMI > 30
-        }
-      }
-    }
-
-    return {
-      totalGuards: totalGuards,
-      activeGuards: activeGuards,
-      expiredLicenses: expiredLicenses,
-      monthlyViolations: monthlyViolations,
-      monthlyAccomplishments: monthlyAccomplishments,
-      bmiNormal: bmiNormal,
-      bmiUnderweight: bmiUnderweight,
-      bmiOverweight: bmiOverweight,
-      bmiObese: bmiObese
-    };
+/**
+ * Build the dashboard report for a date range
+ * Reads the Guards, Documents, Health and Performance sheets once and computes the
+ * stat cards and all three top-5 charts together.
+ * @param {string} sessionToken - Session token
+ * @param {Object} range - { startDate, endDate } (yyyy-MM-dd, inclusive) or { month, year };
+ *   month null means the whole year, and both default to the current month
+ * @returns {Object} Result with range, stats, topViolationTypes, topGuardsViolations and topGuardsAccomplishments
+ */
+function getDashboardReport(sessionToken, range) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'dashboard.view')) return buildPermissionDeniedResult_('dashboard.view', sessionUser);
 
+  try {
+    const period = resolveReportRange(range);
+    const todayKey = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+
+    const report = getCachedAggregate_(
+      'dashboardReport',
+      [period.startDate, period.endDate, todayKey],
+      ['GUARDS', 'DOCUMENTS', 'HEALTH', 'PERFORMANCE', 'VIOLATION_TYPES'],
+      () => computeDashboardReport_(period)
+    );
+    report.success = true;
+    return report;
   } catch (error) {
-    Logger.log('Error getting dashboard stats: ' + error.message);
-    return {
-      totalGuards: 0,
-      activeGuards: 0,
-      expiredLicenses: 0,
-      monthlyViolations: 0,
-      monthlyAccomplishments: 0,
-      bmiNormal: 0,
-      bmiUnderweight: 0,
-      bmiOverweight: 0,
-      bmiObese: 0
-    };
+    Logger.log('Error building dashboard report: ' + error.message);
+    return Object.assign(buildEmptyDashboardReport(), {
+      success: false,
+      message: 'Error loading dashboard: ' + error.message
+    });
   }
 }
 
 /**
- * Get top 5 violation types for specified month
- * @param {number} month - Month filter (1-12), defaults to current month
- * @param {number} year - Year filter, defaults to current year
- * @returns {Array} Array of violation type objects with counts
+ * Get the dashboard stat cards
+ * @param {string} sessionToken - Session token
+ * @param {Object|number} range - Report range (see getDashboardReport), or a month (1-12, null for all year)
+ * @param {number} year - Year, when range is a month
+ * @returns {Object} Dashboard statistics; monthlyViolations and monthlyAccomplishments cover the range
  */
-function getTopViolationTypes(month, year) {
-  try {
-    const ss = getSpreadsheet();
-    const performanceSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
+function getDashboardStats(sessionToken, range, year) {
+  return getDashboardReportSection(sessionToken, range, year, 'stats');
+}
 
-    if (!performanceSheet || performanceSheet.getLastRow() <= 1) {
-      return [];
-    }
+/**
+ * Get top 5 violation types for a date range
+ * @param {string} sessionToken - Session token
+ * @param {Object|number} range - Report range, or a month (1-12, null for all year)
+ * @param {number} year - Year, when range is a month
+ * @returns {Array} Array of violation type objects with counts
+ */
+function getTopViolationTypes(sessionToken, range, year) {
+  return getDashboardReportSection(sessionToken, range, year, 'topViolationTypes');
+}
 
-    // Get month start and end dates (use parameters or current month/year)
-    const now = new Date();
-    const filterYear = year || now.getFullYear();
-
-    let currentMonthStart, currentMonthEnd;
-
-    if (month === null || month === undefined) {
-      // All year view - from Jan 1 to Dec 31 of the year
-      currentMonthStart = new Date(filterYear, 0, 1);
-      currentMonthStart.setHours(0, 0, 0, 0);
-      currentMonthEnd = new Date(filterYear, 11, 31);
-      currentMonthEnd.setHours(23, 59, 59, 999);
-    } else {
-      // Specific month view
-      const filterMonth = month;
-      currentMonthStart = new Date(filterYear, filterMonth - 1, 1);
-      currentMonthStart.setHours(0, 0, 0, 0);
-      currentMonthEnd = new Date(filterYear, filterMonth, 0);
-      currentMonthEnd.setHours(23, 59, 59, 999);
-    }
+/**
+ * Get top 5 guards with most violations for a date range
+ * @param {string} sessionToken - Session token
+ * @param {Object|number} range - Report range, or a month (1-12, null for all year)
+ * @param {number} year - Year, when range is a month
+ * @returns {Array} Array of guard objects with violation counts
+ */
+function getTopGuardsViolations(sessionToken, range, year) {
+  return getDashboardReportSection(sessionToken, range, year, 'topGuardsViolations');
+}
 
-    const performanceData = performanceSheet.getDataRange().getValues();
-    const violationCounts = {};
-
-    // Count violation types for current month
-    for (let i = 1; i < performanceData.length; i++) {
-      const recordDate = performanceData[i][6]; // Date column
-      const recordType = performanceData[i][3] ? performanceData[i][3].toString() : ''; // Type column
-      const violationType = performanceData[i][4] ? performanceData[i][4].toString() : ''; // Type of Violation column
-
-      if (recordDate && recordType === 'Violation' && violationType && violationType !== 'N/A') {
-        const dateObj = recordDate instanceof Date ? recordDate : new Date(recordDate);
-
-        // Check if date is within current month
-        if (dateObj >= currentMonthStart && dateObj <= currentMonthEnd) {
-          if (violationCounts[violationType]) {
-            violationCounts[violationType]++;
-          } else {
-            violationCounts[violationType] = 1;
-          }
-        }
-      }
-    }
+/**
+ * Get top 5 guards with most accomplishments for a date range
+ * @param {string} sessionToken - Session token
+ * @param {Object|number} range - Report range, or a month (1-12, null for all year)
+ * @param {number} year - Year, when range is a month
+ * @returns {Array} Array of guards with accomplishment counts
+ */
+function getTopGuardsAccomplishments(sessionToken, range, year) {
+  return getDashboardReportSection(sessionToken, range, year, 'topGuardsAccomplishments');
+}
 
-    // Convert to array and sort by count descending
-    const violationArray = Object.keys(violationCounts).map(key => ({
-      violationType: key,
-      count: violationCounts[key]
-    }));
+/**
+ * Get one part of the dashboard report
+ * @param {string} sessionToken - Session token
+ * @param {Object|number} range - Report range, or a month (1-12, null for all year)
+ * @param {number} year - Year, when range is a month
+ * @param {string} section - Report property to return
+ * @returns {*} The section, or the error result when the report could not be built
+ */
+function getDashboardReportSection(sessionToken, range, year, section) {
+  const report = getDashboardReport(sessionToken, toReportRange(range, year));
+  return report.success ? report[section] : report;
+}
 
-    violationArray.sort((a, b) => b.count - a.count);
+/**
+ * Accept both a range object and the older (month, year) arguments
+ * @param {Object|number} range - Report range or month
+ * @param {number} year - Year, when range is a month
+ * @returns {Object} Report range
+ */
+function toReportRange(range, year) {
+  if (range && typeof range === 'object') return range;
+  return { month: range === undefined ? null : range, year: year };
+}
 
-    // Return top 5
-    return violationArray.slice(0, 5);
+/**
+ * Resolve a report range to inclusive yyyy-MM-dd bounds
+ * @param {Object} range - { startDate, endDate } or { month, year }
+ * @returns {Object} { startDate, endDate, start, end } with start/end as Dates
+ */
+function resolveReportRange(range) {
+  const options = range || {};
+  const now = new Date();
+  let start;
+  let end;
+
+  if (options.startDate || options.endDate) {
+    start = parseDateValue(options.startDate);
+    end = parseDateValue(options.endDate);
+    if ((options.startDate && !start) || (options.endDate && !end)) {
+      throw new Error('Invalid date range');
+    }
+    // An open-ended range runs from the start of the records or up to today
+    start = start || new Date(1900, 0, 1);
+    end = end || new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  } else {
+    const year = parseInt(options.year, 10) || now.getFullYear();
+    const month = options.month === null ? null : (parseInt(options.month, 10) || (now.getMonth() + 1));
+    // A null month means the whole year
+    start = month === null ? new Date(year, 0, 1) : new Date(year, month - 1, 1);
+    end = month === null ? new Date(year, 11, 31) : new Date(year, month, 0);
+  }
 
-  } catch (error) {
-    Logger.log('Error getting top violation types: ' + error.message);
-    return [];
+  if (start > end) {
+    throw new Error('Start date must be on or before end date');
   }
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+
+  const timeZone = Session.getScriptTimeZone();
+  return {
+    startDate: Utilities.formatDate(start, timeZone, 'yyyy-MM-dd'),
+    endDate: Utilities.formatDate(end, timeZone, 'yyyy-MM-dd'),
+    start: start,
+    end: end
+  };
 }
 
 /**
- * Get top 5 guards with most violations for specified month
- * @param {number} month - Month filter (1-12), defaults to current month
- * @param {number} year - Year filter, defaults to current year
- * @returns {Array} Array of guard objects with violation counts
+ * Compute the dashboard report in a single pass over each sheet
+ * @param {Object} period - Resolved range from resolveReportRange
+ * @returns {Object} Report without the success flag
  */
-function getTopGuardsViolations(month, year) {
-  try {
-    const ss = getSpreadsheet();
-    const performanceSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
+function computeDashboardReport_(period) {
+  const report = buildEmptyDashboardReport();
+  report.range = { startDate: period.startDate, endDate: period.endDate };
 
-    if (!performanceSheet || performanceSheet.getLastRow() <= 1) {
-      return [];
-    }
+  if (!getRepository('GUARDS').exists() || !getRepository('DOCUMENTS').exists()) {
+    return report;
+  }
 
-    // Get month start and end dates (use parameters or current month/year)
-    const now = new Date();
-    const filterYear = year || now.getFullYear();
-
-    let currentMonthStart, currentMonthEnd;
-
-    if (month === null || month === undefined) {
-      // All year view - from Jan 1 to Dec 31 of the year
-      currentMonthStart = new Date(filterYear, 0, 1);
-      currentMonthStart.setHours(0, 0, 0, 0);
-      currentMonthEnd = new Date(filterYear, 11, 31);
-      currentMonthEnd.setHours(23, 59, 59, 999);
-    } else {
-      // Specific month view
-      const filterMonth = month;
-      currentMonthStart = new Date(filterYear, filterMonth - 1, 1);
-      currentMonthStart.setHours(0, 0, 0, 0);
-      currentMonthEnd = new Date(filterYear, filterMonth, 0);
-      currentMonthEnd.setHours(23, 59, 59, 999);
+  const stats = report.stats;
+  const today = getTodayDate();
+
+  // Guards: totals and the set of active guards the license and BMI cards are limited to
+  const activeGuardIds = new Set();
+  getCachedEntities_('GUARDS').forEach(guard => {
+    if (isSoftDeleted(guard)) return;
+    stats.totalGuards++;
+    if (guard.status === 'Active') {
+      stats.activeGuards++;
+      activeGuardIds.add(guard.guardId);
     }
-
-    const performanceData = performanceSheet.getDataRange().getValues();
-    const violationCounts = {};
-
-    // Count violations per guard for current month
-    for (let i = 1; i < performanceData.length; i++) {
-      const recordDate = performanceData[i][6]; // Date column
-      const recordType = performanceData[i][3] ? performanceData[i][3].toString() : ''; // Type column
-      const guardName = performanceData[i][2] ? performanceData[i][2].toString() : ''; // Guard Name column
-
-      if (recordDate && recordType === 'Violation' && guardName) {
-        const dateObj = recordDate instanceof Date ? recordDate : new Date(recordDate);
-
-        // Check if date is within current month
-        if (dateObj >= currentMonthStart && dateObj <= currentMonthEnd) {
-          if (violationCounts[guardName]) {
-            violationCounts[guardName]++;
-          } else {
-            violationCounts[guardName] = 1;
-          }
-        }
+  });
+
+  // Documents: expired licenses of active guards
+  getCachedEntities_('DOCUMENTS').forEach(document => {
+    if (activeGuardIds.has(document.guardId)) {
+      const expiryDate = parseDateValue(document.licenseExpiry);
+      if (expiryDate && expiryDate < today) {
+        stats.expiredLicenses++;
       }
     }
+  });
 
-    // Convert to array and sort by count descending
-    const violationArray = Object.keys(violationCounts).map(key => ({
-      guardName: key,
-      count: violationCounts[key]
-    }));
+  // Health: latest BMI per guard, counted for active guards only
+  const bmiByGuard = {};
+  getCachedEntities_('HEALTH').forEach(health => {
+    if (health.bmi) {
+      bmiByGuard[health.guardId] = health.bmi;
+    }
+  });
+  activeGuardIds.forEach(guardId => {
+    if (bmiByGuard[guardId]) {
+      stats['bmi' + getBmiCategory(bmiByGuard[guardId])]++;
+    }
+  });
+
+  // Performance: range totals and all three rankings in one pass, grouped by the
+  // current names of the referenced guards and violation types
+  const references = loadPerformanceReferences();
+  const violationTypeCounts = {};
+  const violationsByGuard = {};
+  const accomplishmentsByGuard = {};
+  getCachedEntities_('PERFORMANCE').forEach(record => {
+    if (isSoftDeleted(record)) return;
+    const recordDate = parseDateValue(record.date);
+    if (!recordDate || !(recordDate >= period.start && recordDate <= period.end)) return;
+
+    const guardName = resolveReferenceName(references.guards, record.guardId, record.guardName);
+    if (record.type === 'Violation') {
+      stats.monthlyViolations++;
+      const typeOfViolation = resolveReferenceName(references.violationTypes, record.violationTypeId, record.typeOfViolation);
+      if (typeOfViolation && typeOfViolation !== 'N/A') {
+        violationTypeCounts[typeOfViolation] = (violationTypeCounts[typeOfViolation] || 0) + 1;
+      }
+      if (guardName) {
+        violationsByGuard[guardName] = (violationsByGuard[guardName] || 0) + 1;
+      }
+    } else if (record.type === 'Accomplishment') {
+      stats.monthlyAccomplishments++;
+      if (guardName) {
+        accomplishmentsByGuard[guardName] = (accomplishmentsByGuard[guardName] || 0) + 1;
+      }
+    }
+  });
 
-    violationArray.sort((a, b) => b.count - a.count);
+  report.topViolationTypes = rankCounts(violationTypeCounts, 'violationType');
+  report.topGuardsViolations = rankCounts(violationsByGuard, 'guardName');
+  report.topGuardsAccomplishments = rankCounts(accomplishmentsByGuard, 'guardName');
+  return report;
+}
 
-    // Return top 5
-    return violationArray.slice(0, 5);
+/**
+ * Turn a count map into the top entries, highest count first
+ * @param {Object} counts - Map of name -> count
+ * @param {string} nameField - Property name for the name in each entry
+ * @returns {Array<Object>} Top CONFIG.REPORTS.TOP_COUNT entries as { [nameField], count }
+ */
+function rankCounts(counts, nameField) {
+  return Object.keys(counts)
+    .map(name => {
+      const entry = { count: counts[name] };
+      entry[nameField] = name;
+      return entry;
+    })
+    .sort((a, b) => b.count - a.count)
+    .slice(0, CONFIG.REPORTS.TOP_COUNT);
+}
 
-  } catch (error) {
-    Logger.log('Error getting top guards violations: ' + error.message);
-    return [];
-  }
+/**
+ * Dashboard report with every count at zero
+ * @returns {Object} Empty report
+ */
+function buildEmptyDashboardReport() {
+  return {
+    range: null,
+    stats: {
+      totalGuards: 0,
+      activeGuards: 0,
+      expiredLicenses: 0,
+      monthlyViolations: 0,
+      monthlyAccomplishments: 0,
+      bmiNormal: 0,
+      bmiUnderweight: 0,
+      bmiOverweight: 0,
+      bmiObese: 0
+    },
+    topViolationTypes: [],
+    topGuardsViolations: [],
+    topGuardsAccomplishments: []
+  };
 }
 
 /**
  * Test function to create sample audit entries
  */
-function testAuditTrail() {
+function testAuditTrail_() {
   try {
     // Create 5 sample audit entries
-    logAudit('admin', 'Add', 'Guard', 'John Doe', 'Added new guard with ID: GRD20250103120000');
+    logAudit_('admin', 'Add', 'Guard', 'John Doe', 'Added new guard with ID: GRD20250103120000');
     Utilities.sleep(100);
-    logAudit('admin', 'Update', 'Guard', 'Jane Smith', 'Updated guard information');
+    logAudit_('admin', 'Update', 'Guard', 'Jane Smith', 'Updated guard information');
     Utilities.sleep(100);
-    logAudit('admin', 'Violation', 'Performance Record', 'Mike Johnson', 'Violation added for guard');
+    logAudit_('admin', 'Violation', 'Performance Record', 'Mike Johnson', 'Violation added for guard');
     Utilities.sleep(100);
-    logAudit('admin', 'Accomplishment', 'Performance Record', 'Sarah Williams', 'Accomplishment added for guard');
+    logAudit_('admin', 'Accomplishment', 'Performance Record', 'Sarah Williams', 'Accomplishment added for guard');
     Utilities.sleep(100);
-    logAudit('admin', 'Delete', 'Guard', 'Tom Brown', 'Deleted guard with ID: GRD20250103110000');
+    logAudit_('admin', 'Delete', 'Guard', 'Tom Brown', 'Deleted guard with ID: GRD20250103110000');
 
     return {
       success: true,
@@ -377,8 +316,13 @@ function testConnection() {
 
 /**
  * Check sheet status - returns info about Guards, Documents, and Performance sheets
+ * @param {string} sessionToken - Session token
  */
-function checkSheetStatus() {
+function checkSheetStatus(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+
   try {
     const ss = getSpreadsheet();
     const guardsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.GUARDS);
@@ -418,116 +362,6 @@ function checkSheetStatus() {
   }
 }
 
-/**
- * Authenticate user credentials with rate limiting and account lockout
- */
-function authenticateUser(username, password) {
-  try {
-    const sheet = getSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.USERS);
-
-    if (!sheet) {
-      return { success: false, message: 'System error. Please contact administrator.' };
-    }
-
-    // Input validation
-    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
-      return { success: false, message: 'Invalid credentials' };
-    }
-
-    if (username.length > 50 || password.length > 128) {
-      return { success: false, message: 'Invalid credentials' };
-    }
-
-    const data = sheet.getDataRange().getValues();
-    const now = new Date();
-
-    // Skip header row, start from row 1
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      const storedUsername = row[1]; // Username column
-
-      if (storedUsername === username) {
-        const rowIndex = i + 1;
-        const storedPasswordHash = row[2];
-        const fullName = row[3];
-        const role = row[4];
-        const status = row[5];
-        const failedAttempts = row[7] || 0;
-        const lockedUntil = row[9] ? new Date(row[9]) : null;
-
-        // Check account status
-        if (status !== 'Active') {
-          return { success: false, message: 'Account is inactive. Please contact administrator.' };
-        }
-
-        // Check account lockout
-        if (lockedUntil && now < lockedUntil) {
-          const minutesLeft = Math.ceil((lockedUntil - now) / 60000);
-          return {
-            success: false,
-            message: `Account locked due to multiple failed login attempts. Try again in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}.`
-          };
-        }
-
-        // Verify password
-        if (verifyPassword(password, storedPasswordHash)) {
-          // Successful login - Reset failed attempts
-          sheet.getRange(rowIndex, 8).setValue(0);
-          sheet.getRange(rowIndex, 9).setValue('');
-          sheet.getRange(rowIndex, 10).setValue('');
-
-          // Check if password change is required
-          const forcePasswordChange = row[11] === 'TRUE' || row[11] === true;
-
-          // Generate session and CSRF tokens
-          const sessionToken = generateSessionToken(storedUsername);
-          const csrfToken = generateCsrfToken(storedUsername);
-
-          return {
-            success: true,
-            message: 'Login successful!',
-            user: {
-              username: storedUsername,
-              fullName: fullName,
-              role: role
-            },
-            sessionToken: sessionToken,
-            csrfToken: csrfToken,
-            forcePasswordChange: forcePasswordChange
-          };
-        } else {
-          // Failed login - Increment failed attempts
-          const newFailedAttempts = failedAttempts + 1;
-          sheet.getRange(rowIndex, 8).setValue(newFailedAttempts);
-          sheet.getRange(rowIndex, 9).setValue(now);
-
-          // Lock account after max attempts
-          if (newFailedAttempts >= CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS) {
-            const lockUntil = new Date(now.getTime() + CONFIG.VALIDATION.LOCKOUT_DURATION_MINUTES * 60000);
-            sheet.getRange(rowIndex, 10).setValue(lockUntil);
-            return {
-              success: false,
-              message: `Account locked due to multiple failed login attempts. Try again in ${CONFIG.VALIDATION.LOCKOUT_DURATION_MINUTES} minutes.`
-            };
-          }
-
-          const attemptsLeft = CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS - newFailedAttempts;
-          return {
-            success: false,
-            message: `Invalid credentials. ${attemptsLeft} attempt${attemptsLeft !== 1 ? 's' : ''} remaining.`
-          };
-        }
-      }
-    }
-
-    // Username not found - Use generic message to prevent user enumeration
-    return { success: false, message: 'Invalid credentials' };
-  } catch (error) {
-    Logger.log('Authentication error: ' + error.message);
-    return { success: false, message: 'Authentication failed. Please try again.' };
-  }
-}
-
 /**
  * Show dialog to add new guard
  */
@@ -674,80 +508,3 @@ function showAddGuardDialog() {
 
   SpreadsheetApp.getUi().showModalDialog(html, 'Add New Guard');
 }
-
-/**
- * Get top 5 guards with most accomplishments for specified month
- * @param {number} month - Month filter (1-12), null for all year
- * @param {number} year - Year filter, defaults to current year
- * @returns {Array} Array of guards with accomplishment counts
- */
-function getTopGuardsAccomplishments(month, year) {
-  try {
-    const ss = getSpreadsheet();
-    const performanceSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
-
-    if (!performanceSheet || performanceSheet.getLastRow() <= 1) {
-      return [];
-    }
-
-    // Get month start and end dates (use parameters or current month/year)
-    const now = new Date();
-    const filterYear = year || now.getFullYear();
-
-    let currentMonthStart, currentMonthEnd;
-
-    if (month === null || month === undefined) {
-      // All year view - from Jan 1 to Dec 31 of the year
-      currentMonthStart = new Date(filterYear, 0, 1);
-      currentMonthStart.setHours(0, 0, 0, 0);
-      currentMonthEnd = new Date(filterYear, 11, 31);
-      currentMonthEnd.setHours(23, 59, 59, 999);
-    } else {
-      // Specific month view
-      const filterMonth = month;
-      currentMonthStart = new Date(filterYear, filterMonth - 1, 1);
-      currentMonthStart.setHours(0, 0, 0, 0);
-      currentMonthEnd = new Date(filterYear, filterMonth, 0);
-      currentMonthEnd.setHours(23, 59, 59, 999);
-    }
-
-    const performanceData = performanceSheet.getDataRange().getValues();
-    const accomplishmentCounts = {};
-
-    // Count accomplishments per guard for current month
-    for (let i = 1; i < performanceData.length; i++) {
-      const recordDate = performanceData[i][6]; // Date column
-      const recordType = performanceData[i][3] ? performanceData[i][3].toString() : ''; // Type column
-      const guardName = performanceData[i][2] ? performanceData[i][2].toString() : ''; // Guard Name column
-
-      if (recordDate && recordType === 'Accomplishment' && guardName) {
-        const dateObj = recordDate instanceof Date ? recordDate : new Date(recordDate);
-
-        // Check if date is within current month
-        if (dateObj >= currentMonthStart && dateObj <= currentMonthEnd) {
-          if (accomplishmentCounts[guardName]) {
-            accomplishmentCounts[guardName]++;
-          } else {
-            accomplishmentCounts[guardName] = 1;
-          }
-        }
-      }
-    }
-
-    // Convert to array and sort by count descending
-    const accomplishmentArray = Object.keys(accomplishmentCounts).map(key => ({
-      guardName: key,
-      count: accomplishmentCounts[key]
-    }));
-
-    accomplishmentArray.sort((a, b) => b.count - a.count);
-
-    // Return top 5
-    return accomplishmentArray.slice(0, 5);
-
-  } catch (error) {
-    Logger.log('Error getting top guards accomplishments: ' + error.message);
-    return [];
-  }
-}
-
@@ -0,0 +1,130 @@
+/**
+ * Guard Monitoring System - Date Handling
+ * One place to parse and format every date read from or written to the sheets
+ * Functions: parseDateValue, getTodayDate, formatDateString, formatDateTimeString, formatInputDate
+ */
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Parse a date from a cell, form field, CSV file or legacy text cell
+ * Text without a time zone is read as a local date in the script time zone (never as UTC),
+ * so "2024-01-05" and "Jan 05, 2024" are the same day everywhere.
+ * Accepted text: yyyy-MM-dd, MMM dd, yyyy (e.g. Jan 05, 2024), dd MMM yyyy, MM/dd/yyyy,
+ * each optionally followed by HH:mm[:ss], and ISO timestamps with a zone (e.g. 2024-01-05T08:00:00Z).
+ * @param {*} value - Date object, timestamp in milliseconds or date text
+ * @returns {Date|null} Parsed date, or null when blank or unparseable
+ */
+function parseDateValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : new Date(value.getTime());
+  if (typeof value === 'number') return isFinite(value) ? new Date(value) : null;
+
+  const text = String(value).trim();
+  const time = '(?:[ T]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?$';
+  let match;
+
+  if ((match = text.match(new RegExp('^(\\d{4})-(\\d{1,2})-(\\d{1,2})' + time)))) {
+    return buildLocalDate(match[1], match[2], match[3], match.slice(4));
+  }
+  if ((match = text.match(new RegExp('^([A-Za-z]{3,9})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})' + time)))) {
+    return buildLocalDate(match[3], parseMonthName(match[1]), match[2], match.slice(4));
+  }
+  if ((match = text.match(new RegExp('^(\\d{1,2})\\s+([A-Za-z]{3,9})\\.?,?\\s+(\\d{4})' + time)))) {
+    return buildLocalDate(match[3], parseMonthName(match[2]), match[1], match.slice(4));
+  }
+  if ((match = text.match(new RegExp('^(\\d{1,2})/(\\d{1,2})/(\\d{4})' + time)))) {
+    return buildLocalDate(match[3], match[1], match[2], match.slice(4));
+  }
+
+  // Full ISO timestamps carry their own offset
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  return null;
+}
+
+/**
+ * Get today's date at midnight in the script time zone
+ * @returns {Date} Today without a time of day
+ */
+function getTodayDate() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+/**
+ * Format a date for display (e.g. Jan 05, 2024)
+ * @param {*} value - Any value parseDateValue accepts
+ * @returns {string} Formatted date, empty for blanks, or the text itself when it is not a date
+ */
+function formatDateString(value) {
+  return formatDateValue(value, 'MMM dd, yyyy');
+}
+
+/**
+ * Format a date and time for display (e.g. Jan 05, 2024 14:30)
+ * @param {*} value - Any value parseDateValue accepts
+ * @returns {string} Formatted date and time, empty for blanks, or the text itself when it is not a date
+ */
+function formatDateTimeString(value) {
+  return formatDateValue(value, 'MMM dd, yyyy HH:mm');
+}
+
+/**
+ * Format a date for an <input type="date"> field (yyyy-MM-dd)
+ * @param {*} value - Any value parseDateValue accepts
+ * @returns {string} Formatted date, or empty when blank or unparseable
+ */
+function formatInputDate(value) {
+  const date = parseDateValue(value);
+  return date ? Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd') : '';
+}
+
+/**
+ * Format a date with a Utilities.formatDate pattern
+ * @param {*} value - Any value parseDateValue accepts
+ * @param {string} pattern - Format pattern
+ * @returns {string} Formatted date, empty for blanks, or the text itself when it is not a date
+ */
+function formatDateValue(value, pattern) {
+  if (value === null || value === undefined || value === '') return '';
+  const date = parseDateValue(value);
+  return date ? Utilities.formatDate(date, Session.getScriptTimeZone(), pattern) : String(value);
+}
+
+/**
+ * Build a local date, rejecting impossible dates such as Feb 30
+ * @param {string|number} year - Four-digit year
+ * @param {string|number} month - Month 1-12 (0 for an unknown month name)
+ * @param {string|number} day - Day of the month
+ * @param {Array<string>} timeParts - Optional [hours, minutes, seconds]
+ * @returns {Date|null} Date or null
+ */
+function buildLocalDate(year, month, day, timeParts) {
+  const y = Number(year);
+  const m = Number(month) - 1;
+  const d = Number(day);
+  const hours = Number((timeParts && timeParts[0]) || 0);
+  const minutes = Number((timeParts && timeParts[1]) || 0);
+  const seconds = Number((timeParts && timeParts[2]) || 0);
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  const date = new Date(y, m, d, hours, minutes, seconds);
+  if (date.getFullYear() !== y || date.getMonth() !== m || date.getDate() !== d) return null;
+  return date;
+}
+
+/**
+ * @param {string} name - Month name or abbreviation (any case)
+ * @returns {number} Month 1-12, or 0 when unknown
+ */
+function parseMonthName(name) {
+  // Accept the full name or any abbreviation of at least three letters (Jan, Sept, ...)
+  const lower = name.toLowerCase();
+  const index = MONTH_NAMES.findIndex(month => month.indexOf(lower) === 0);
+  return index + 1;
+}
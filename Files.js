@@ -0,0 +1,257 @@
+/**
+ * Guard Monitoring System - Private Files
+ * Guard photos and performance attachments are private to the deploying account; signed-in users
+ * get their content through these endpoints, which check the session and permissions first.
+ * Uploads are checked here before they reach Drive (validateUpload_).
+ * Functions: getGuardPhoto, getPerformanceAttachment
+ */
+
+/**
+ * File types accepted for upload, with the bytes their files start with and their extensions
+ * The first extension is the one stored files get.
+ */
+const UPLOAD_FILE_TYPES = {
+  'application/pdf': { label: 'PDF', signature: [0x25, 0x50, 0x44, 0x46, 0x2D], extensions: ['.pdf'] },
+  'image/jpeg': { label: 'JPEG', signature: [0xFF, 0xD8, 0xFF], extensions: ['.jpg', '.jpeg'] },
+  'image/png': { label: 'PNG', signature: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], extensions: ['.png'] }
+};
+
+/**
+ * First bytes of programs and scripts, refused whatever name or type they claim
+ */
+const EXECUTABLE_SIGNATURES = [
+  [0x4D, 0x5A],             // Windows executable (MZ)
+  [0x7F, 0x45, 0x4C, 0x46], // Linux executable (ELF)
+  [0xCF, 0xFA, 0xED, 0xFE], // macOS executable (Mach-O)
+  [0xCE, 0xFA, 0xED, 0xFE],
+  [0xCA, 0xFE, 0xBA, 0xBE], // macOS universal binary and Java class
+  [0x23, 0x21]              // Script (#!)
+];
+
+const EXECUTABLE_EXTENSIONS = [
+  '.exe', '.com', '.bat', '.cmd', '.scr', '.pif', '.msi', '.dll', '.cpl', '.jar', '.apk', '.app',
+  '.js', '.jse', '.vbs', '.vbe', '.wsf', '.ps1', '.sh', '.hta', '.htm', '.html', '.svg'
+];
+
+/**
+ * Check whether bytes start with a signature
+ * @param {Array<number>} bytes - File bytes (signed, as from Utilities.base64Decode)
+ * @param {Array<number>} signature - Expected first bytes (0-255)
+ * @returns {boolean} True when the bytes start with the signature
+ */
+function matchesSignature(bytes, signature) {
+  return bytes.length >= signature.length && signature.every((value, i) => (bytes[i] & 0xFF) === value);
+}
+
+/**
+ * Identify an upload from its first bytes
+ * @param {Array<number>} bytes - File bytes
+ * @returns {string} Content type from UPLOAD_FILE_TYPES, or empty string when none matches
+ */
+function detectUploadType(bytes) {
+  return Object.keys(UPLOAD_FILE_TYPES).find(type => matchesSignature(bytes, UPLOAD_FILE_TYPES[type].signature)) || '';
+}
+
+/**
+ * Lowercase extension of a filename, with the dot
+ * @param {string} filename - Filename
+ * @returns {string} Extension (e.g. '.pdf'), or empty string when there is none
+ */
+function getLowerCaseExtension(filename) {
+  const match = String(filename || '').match(/\.[^.\\/]*$/);
+  return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Make an uploaded filename safe to store: folders, control and special characters are removed,
+ * the length is capped and the extension is the one of the detected type
+ * @param {string} filename - Filename from the client
+ * @param {string} mimeType - Detected content type
+ * @returns {string} Safe filename
+ */
+function sanitizeFileName(filename, mimeType) {
+  const extension = UPLOAD_FILE_TYPES[mimeType].extensions[0];
+  const base = String(filename || '').split(/[\\/]/).pop()
+    .replace(/\.[^.]*$/, '')
+    .replace(/[^\w .()-]+/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s._-]+|[\s._-]+$/g, '');
+  return (base.substring(0, CONFIG.UPLOADS.MAX_FILENAME_LENGTH - extension.length) || 'file') + extension;
+}
+
+/**
+ * Check an uploaded file and decode it
+ * The type is taken from the content; a claimed type or extension that disagrees with it is rejected.
+ * Rejections are logged as security events.
+ * @param {Object} fileData - { content or base64 (data URL or plain base64), filename, mimeType } from the client
+ * @param {string} kind - PHOTO or DOCUMENT (CONFIG.UPLOADS)
+ * @param {string} username - Uploading user
+ * @returns {Object} { bytes, mimeType, fileName } or { error }
+ */
+function validateUpload_(fileData, kind, username) {
+  const rules = CONFIG.UPLOADS[kind];
+  const claimedName = String((fileData && fileData.filename) || '').substring(0, 255);
+  const reject = reason => {
+    logSecurityEvent_(username, 'Upload Rejected', `${rules.LABEL} "${claimedName}": ${reason}`);
+    return { error: `${rules.LABEL} rejected: ${reason}` };
+  };
+
+  const encoded = String((fileData && (fileData.content || fileData.base64)) || '');
+  const base64 = encoded.indexOf(',') > -1 ? encoded.substring(encoded.indexOf(',') + 1) : encoded;
+  const maxSize = Math.round(rules.MAX_BYTES / (1024 * 1024)) + ' MB';
+  // Checked before decoding so oversized uploads are not decoded at all
+  if (base64.length > Math.ceil(rules.MAX_BYTES / 3) * 4) {
+    return reject(`the file is larger than ${maxSize}`);
+  }
+
+  let bytes;
+  try {
+    bytes = Utilities.base64Decode(base64);
+  } catch (error) {
+    return reject('the file could not be read');
+  }
+  if (bytes.length === 0) {
+    return reject('the file is empty');
+  }
+  if (bytes.length > rules.MAX_BYTES) {
+    return reject(`the file is larger than ${maxSize}`);
+  }
+
+  const extension = getLowerCaseExtension(claimedName);
+  if (EXECUTABLE_SIGNATURES.some(signature => matchesSignature(bytes, signature)) || EXECUTABLE_EXTENSIONS.indexOf(extension) !== -1) {
+    return reject('programs and scripts cannot be uploaded');
+  }
+
+  const detected = detectUploadType(bytes);
+  if (rules.TYPES.indexOf(detected) === -1) {
+    const accepted = rules.TYPES.map(type => UPLOAD_FILE_TYPES[type].label).join(' or ');
+    return reject(`the file content is not ${accepted}`);
+  }
+
+  const fileType = UPLOAD_FILE_TYPES[detected];
+  const claimedType = String((fileData && fileData.mimeType) || '').toLowerCase().replace('image/jpg', 'image/jpeg');
+  if (claimedType && claimedType !== detected) {
+    return reject(`the file claims to be ${claimedType} but its content is ${fileType.label}`);
+  }
+  if (extension && fileType.extensions.indexOf(extension) === -1) {
+    return reject(`the file name ends in ${extension} but its content is ${fileType.label}`);
+  }
+
+  return { bytes: bytes, mimeType: detected, fileName: sanitizeFileName(claimedName, detected) };
+}
+
+/**
+ * Extract the Drive file ID from a stored photo or attachment link
+ * Handles /file/d/ID/view, open?id=ID, uc?export=view&id=ID and thumbnail?id=ID links.
+ * @param {string} url - Stored link
+ * @returns {string} File ID, or empty string when the link names no Drive file
+ */
+function extractDriveFileId(url) {
+  const link = String(url || '');
+  const match = link.match(/\/file\/d\/([\w-]+)/) || link.match(/[?&]id=([\w-]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Read a file from one of the app's upload folders
+ * Files outside the folder are refused, so a record pointing at another Drive file can't be used to read it.
+ * @param {string} fileId - Drive file ID
+ * @param {string} folderId - Folder the file must be in
+ * @returns {Object} { base64, mimeType, fileName } or { error }
+ */
+function readPrivateFile_(fileId, folderId) {
+  let file;
+  try {
+    file = DriveApp.getFileById(fileId);
+  } catch (error) {
+    return { error: 'File not found. It may have been deleted from Drive.' };
+  }
+
+  if (file.isTrashed()) {
+    return { error: 'File not found. It may have been deleted from Drive.' };
+  }
+
+  let inFolder = false;
+  const parents = file.getParents();
+  while (parents.hasNext()) {
+    if (parents.next().getId() === folderId) inFolder = true;
+  }
+  if (!inFolder) {
+    return { error: 'File is not stored in the app\'s upload folder' };
+  }
+
+  const blob = file.getBlob();
+  return {
+    base64: Utilities.base64Encode(blob.getBytes()),
+    mimeType: blob.getContentType() || file.getMimeType(),
+    fileName: file.getName()
+  };
+}
+
+/**
+ * Get a guard's photo as a data URL for an <img> tag
+ * @param {string} sessionToken - Session token
+ * @param {string} guardId - Guard ID
+ * @returns {Object} Result with dataUrl
+ */
+function getGuardPhoto(sessionToken, guardId) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'guards.read')) return buildPermissionDeniedResult_('guards.read', sessionUser);
+
+  try {
+    const guard = getRepository('GUARDS').findById(guardId);
+    if (!guard || isSoftDeleted(guard)) {
+      return { success: false, message: 'Guard not found' };
+    }
+
+    const fileId = extractDriveFileId(guard.photoUrl);
+    if (!fileId) {
+      return { success: false, message: 'This guard has no photo' };
+    }
+
+    const file = readPrivateFile_(fileId, CONFIG.PHOTO_FOLDER_ID);
+    if (file.error) {
+      return { success: false, message: file.error };
+    }
+
+    return { success: true, dataUrl: 'data:' + file.mimeType + ';base64,' + file.base64 };
+  } catch (error) {
+    Logger.log('Error in getGuardPhoto: ' + error.message);
+    return { success: false, message: 'Error loading photo: ' + error.message };
+  }
+}
+
+/**
+ * Get the PDF attached to a performance record
+ * @param {string} sessionToken - Session token
+ * @param {string} recordId - Performance record ID
+ * @returns {Object} Result with base64, mimeType and fileName
+ */
+function getPerformanceAttachment(sessionToken, recordId) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'performance.read')) return buildPermissionDeniedResult_('performance.read', sessionUser);
+
+  try {
+    const record = getRepository('PERFORMANCE').findById(recordId);
+    if (!record || isSoftDeleted(record)) {
+      return { success: false, message: 'Record not found' };
+    }
+
+    const fileId = extractDriveFileId(record.pdfLink);
+    if (!fileId) {
+      return { success: false, message: 'This record has no attachment' };
+    }
+
+    const file = readPrivateFile_(fileId, CONFIG.GOOGLE_DRIVE_FOLDER_ID);
+    if (file.error) {
+      return { success: false, message: file.error };
+    }
+
+    return { success: true, base64: file.base64, mimeType: file.mimeType, fileName: file.fileName };
+  } catch (error) {
+    Logger.log('Error in getPerformanceAttachment: ' + error.message);
+    return { success: false, message: 'Error loading attachment: ' + error.message };
+  }
+}
@@ -1,29 +1,22 @@
 /**
  * Guard Monitoring System - Guard Management - CRUD operations for guards
- * Functions: addGuard, updateGuard, deleteGuard, getAllGuards, uploadGuardPhoto
+ * Functions: addGuard, validateGuardData, buildGuardEntities, updateGuard, deleteGuard, getAllGuards_, queryGuards, uploadGuardPhoto_
  */
 
 /**
  * Upload guard photo to Google Drive
- * @param {Object} fileData - File data with base64 content, filename, and mimeType
+ * @param {Object} photo - Checked upload from validateUpload_: { bytes, mimeType, fileName }
  * @param {string} guardId - Guard ID for folder organization
  * @returns {Object} Result with photo URL or error
  */
-function uploadGuardPhoto(fileData, guardId) {
+function uploadGuardPhoto_(photo, guardId) {
   try {
     Logger.log("Uploading photo for guard: " + guardId);
 
     // Get the photos folder
     const folder = DriveApp.getFolderById(CONFIG.PHOTO_FOLDER_ID);
 
-    // Decode base64 content
-    const contentType = fileData.mimeType || "image/jpeg";
-    const base64Data = fileData.base64.split(",")[1] || fileData.base64; // Remove data:image/jpeg;base64, if present
-    const blob = Utilities.newBlob(
-      Utilities.base64Decode(base64Data),
-      contentType,
-      fileData.filename
-    );
+    const blob = Utilities.newBlob(photo.bytes, photo.mimeType, photo.fileName);
 
     // Check if guard already has a photo and delete it
     const allFiles = folder.getFiles();
@@ -38,15 +31,12 @@ function uploadGuardPhoto(fileData, guardId) {
     }
 
     // Create new file with guard ID as prefix
-    const filename = guardId + "_photo" + getFileExtension(fileData.filename);
+    const filename = guardId + "_photo" + getFileExtension(photo.fileName);
     const file = folder.createFile(blob.setName(filename));
 
-    // Set sharing to anyone with link can view
-    file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
-
-    // Get the file ID and create a thumbnail URL (more reliable for display)
+    // The file stays private to the deploying account; the app serves it through getGuardPhoto
     const fileId = file.getId();
-    const photoUrl = "https://drive.google.com/thumbnail?id=" + fileId + "&sz=w400";
+    const photoUrl = file.getUrl();
 
     Logger.log("Photo uploaded successfully. File ID: " + fileId);
     Logger.log("Photo URL: " + photoUrl);
@@ -111,427 +101,399 @@ function testPhotoFolder() {
   }
 }
 
-function addGuard(guardData, username) {
-  try {
-    const ss = getSpreadsheet();
-    let guardsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.GUARDS);
-    let documentsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.DOCUMENTS);
+/**
+ * Add a new guard with documents and optional health record
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {Object} guardData - Guard data object
+ * @returns {Object} Result object
+ */
+function addGuard(sessionToken, csrfToken, guardData) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'guards.write')) return buildPermissionDeniedResult_('guards.write', sessionUser);
+  const username = sessionUser.username;
+
+  const errors = validateGuardData(guardData);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      message: errors.join("; "),
+    };
+  }
 
-    // Auto-create sheets if they don't exist
-    if (!guardsSheet) {
-      Logger.log("Guards sheet not found, creating it...");
-      guardsSheet = createOrGetSheet(CONFIG.SHEET_NAMES.GUARDS, [
-        "Guard ID",
-        "First Name",
-        "Middle Name",
-        "Last Name",
-        "Suffix",
-        "Date of Birth",
-        "Hired Date",
-        "End of Contract Date",
-        "Status",
-        "Photo URL",
-      ]);
-    }
+  const photo = guardData.photo && guardData.photo.base64 ? validateUpload_(guardData.photo, "PHOTO", username) : null;
+  if (photo && photo.error) {
+    return { success: false, message: photo.error };
+  }
 
-    if (!documentsSheet) {
-      Logger.log("Documents sheet not found, creating it...");
-      documentsSheet = createOrGetSheet(CONFIG.SHEET_NAMES.DOCUMENTS, [
-        "Guard ID",
-        "Guard Name",
-        "License Number",
-        "License Expiry",
-        "National Police Clearance",
-        "NBI Clearance",
-        "Drug Test Validity",
-        "Neuro Exam Validity",
-      ]);
-    }
+  return withWriteLock(() => {
+    try {
+      const guardId = generateUniqueId("GRD");
+      const entities = buildGuardEntities(guardId, guardData, username);
 
-    const guardId =
-      "GRD" +
-      Utilities.formatDate(
-        new Date(),
-        Session.getScriptTimeZone(),
-        "yyyyMMddHHmmss"
-      );
+      // Handle photo upload if provided
+      if (photo) {
+        const photoResult = uploadGuardPhoto_(photo, guardId);
+        if (photoResult.success) {
+          entities.guard.photoUrl = photoResult.photoUrl;
+        } else {
+          Logger.log("Warning: Photo upload failed: " + photoResult.message);
+        }
+      }
 
-    // Format date of birth if provided
-    let dateOfBirth = "";
-    if (guardData.dateOfBirth) {
-      const dob = new Date(guardData.dateOfBirth);
-      dateOfBirth = Utilities.formatDate(
-        dob,
-        Session.getScriptTimeZone(),
-        "MMM dd, yyyy"
-      );
-    }
+      // Add guard personal information and document validity (sheets are auto-created if they don't exist)
+      getRepository("GUARDS").insert(entities.guard);
+      getRepository("DOCUMENTS").insert(entities.documents);
 
-    // Format hired date
-    const hiredDate = Utilities.formatDate(
-      new Date(guardData.hiredDate || new Date()),
-      Session.getScriptTimeZone(),
-      "MMM dd, yyyy"
-    );
+      // Add health records if provided
+      if (entities.health) {
+        getRepository("HEALTH").insert(entities.health);
+      }
+
+      invalidateCache_(["GUARDS", "DOCUMENTS", "HEALTH"]);
 
-    // Format end of contract date if provided
-    let endOfContractDate = "";
-    if (guardData.endOfContractDate) {
-      const eoc = new Date(guardData.endOfContractDate);
-      endOfContractDate = Utilities.formatDate(
-        eoc,
-        Session.getScriptTimeZone(),
-        "MMM dd, yyyy"
+      // Log audit trail
+      logAudit_(
+        username,
+        "Add",
+        "Guard",
+        entities.fullName,
+        "Added new guard with ID: " + guardId
       );
-    }
 
-    // Convert name fields to uppercase
-    const firstName = (guardData.firstName || "").toUpperCase();
-    const middleName = (guardData.middleName || "").toUpperCase();
-    const lastName = (guardData.lastName || "").toUpperCase();
-    const suffix = (guardData.suffix || "").toUpperCase();
-
-    // Handle photo upload if provided
-    let photoUrl = "";
-    if (guardData.photo && guardData.photo.base64) {
-      const photoResult = uploadGuardPhoto(guardData.photo, guardId);
-      if (photoResult.success) {
-        photoUrl = photoResult.photoUrl;
-      } else {
-        Logger.log("Warning: Photo upload failed: " + photoResult.message);
-      }
+      return {
+        success: true,
+        guardId: guardId,
+        message: "Guard added successfully!",
+      };
+    } catch (error) {
+      Logger.log("Error adding guard: " + error.message);
+      return {
+        success: false,
+        message: "Error adding guard: " + error.message,
+      };
     }
+  });
+}
 
-    // Add guard personal information
-    guardsSheet.appendRow([
-      guardId,
-      firstName,
-      middleName,
-      lastName,
-      suffix,
-      dateOfBirth,
-      hiredDate,
-      endOfContractDate,
-      guardData.status || "Active",
-      photoUrl,
-    ]);
-
-    // Format document validity dates
-    const formatDate = (dateStr) => {
-      if (!dateStr) return "";
-      const d = new Date(dateStr);
-      return Utilities.formatDate(
-        d,
-        Session.getScriptTimeZone(),
-        "MMM dd, yyyy"
-      );
-    };
-
-    // Build full name
-    const fullName = [firstName, middleName, lastName, suffix]
-      .filter(Boolean)
-      .join(" ");
-
-    // Add document validity information
-    documentsSheet.appendRow([
-      guardId,
-      fullName,
-      guardData.licenseNumber || "",
-      formatDate(guardData.licenseExpiry),
-      formatDate(guardData.policeClearance),
-      formatDate(guardData.nbiClearance),
-      formatDate(guardData.drugTestValidity),
-      formatDate(guardData.neuroExamValidity),
-    ]);
-
-    // Add health records if provided
-    if (guardData.height && guardData.weight) {
-      let healthSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.HEALTH);
-
-      // Create health sheet if it doesn't exist
-      if (!healthSheet) {
-        Logger.log("Health Records sheet not found, creating it...");
-        healthSheet = createOrGetSheet(CONFIG.SHEET_NAMES.HEALTH, [
-          "Guard ID",
-          "Guard Name",
-          "Date",
-          "Height (cm)",
-          "Weight (kg)",
-          "BMI",
-          "Status",
-          "Notes",
-        ]);
-      }
+/**
+ * Validate guard data before a guard is added or updated
+ * @param {Object} guardData - Guard data object
+ * @returns {Array<string>} Validation errors (empty when the data is valid)
+ */
+function validateGuardData(guardData) {
+  const data = guardData || {};
+  const errors = [];
+
+  // First and last name are required; every name part is length-limited
+  ["firstName", "middleName", "lastName", "suffix"].forEach((field) => {
+    const label = SHEET_SCHEMAS.GUARDS.fields[field].header;
+    const value = String(data[field] || "").trim();
+    if (!value && (field === "firstName" || field === "lastName")) {
+      errors.push(label + " is required");
+      return;
+    }
+    const lengthCheck = validateStringLength(
+      value,
+      label,
+      CONFIG.VALIDATION.MAX_NAME_LENGTH
+    );
+    if (!lengthCheck.valid) errors.push(lengthCheck.error);
+  });
+
+  // Dates are optional, but must be real dates when given
+  const dateFields = {
+    dateOfBirth: SHEET_SCHEMAS.GUARDS,
+    hiredDate: SHEET_SCHEMAS.GUARDS,
+    endOfContractDate: SHEET_SCHEMAS.GUARDS,
+    licenseExpiry: SHEET_SCHEMAS.DOCUMENTS,
+    policeClearance: SHEET_SCHEMAS.DOCUMENTS,
+    nbiClearance: SHEET_SCHEMAS.DOCUMENTS,
+    drugTestValidity: SHEET_SCHEMAS.DOCUMENTS,
+    neuroExamValidity: SHEET_SCHEMAS.DOCUMENTS,
+  };
+  Object.keys(dateFields).forEach((field) => {
+    if (!data[field]) return;
+    const dateCheck = validateDate(
+      data[field],
+      dateFields[field].fields[field].header
+    );
+    if (!dateCheck.valid) errors.push(dateCheck.error);
+  });
 
-      const heightCm = parseFloat(guardData.height);
-      const weightKg = parseFloat(guardData.weight);
-      const bmi = calculateBMI(heightCm, weightKg);
-      const bmiStatus = getBMIStatus(bmi);
-      const currentDate = Utilities.formatDate(
-        new Date(),
-        Session.getScriptTimeZone(),
-        "MMM dd, yyyy"
-      );
+  if (data.status && CONFIG.GUARD_STATUSES.indexOf(data.status) === -1) {
+    errors.push("Status must be one of: " + CONFIG.GUARD_STATUSES.join(", "));
+  }
 
-      healthSheet.appendRow([
-        guardId,
-        fullName,
-        currentDate,
-        heightCm,
-        weightKg,
-        bmi,
-        bmiStatus,
-        guardData.healthNotes || "",
-      ]);
+  const licenseCheck = validateStringLength(
+    String(data.licenseNumber || ""),
+    "License Number",
+    CONFIG.VALIDATION.MAX_NAME_LENGTH
+  );
+  if (!licenseCheck.valid) errors.push(licenseCheck.error);
+
+  // Height and weight are optional, but must be plausible numbers when given
+  const measurements = [
+    [
+      "height",
+      "Height (cm)",
+      CONFIG.VALIDATION.MIN_HEIGHT_CM,
+      CONFIG.VALIDATION.MAX_HEIGHT_CM,
+    ],
+    [
+      "weight",
+      "Weight (kg)",
+      CONFIG.VALIDATION.MIN_WEIGHT_KG,
+      CONFIG.VALIDATION.MAX_WEIGHT_KG,
+    ],
+  ];
+  measurements.forEach(([field, label, min, max]) => {
+    const raw = data[field];
+    if (raw === undefined || raw === null || raw === "") return;
+    const value = Number(raw);
+    if (isNaN(value) || value < min || value > max) {
+      errors.push(label + " must be a number between " + min + " and " + max);
     }
+  });
 
-    // Log audit trail
-    logAudit(
-      username,
-      "Add",
-      "Guard",
-      fullName,
-      "Added new guard with ID: " + guardId
-    );
+  return errors;
+}
 
-    return {
-      success: true,
+/**
+ * Build the Guards, Documents and Health Records entities of a new guard
+ * @param {string} guardId - New guard ID
+ * @param {Object} guardData - Validated guard data object
+ * @param {string} username - Username performing the action
+ * @returns {Object} { fullName, guard, documents, health } (health is null without height and weight)
+ */
+function buildGuardEntities(guardId, guardData, username) {
+  // Convert name fields to uppercase
+  const firstName = String(guardData.firstName || "").trim().toUpperCase();
+  const middleName = String(guardData.middleName || "").trim().toUpperCase();
+  const lastName = String(guardData.lastName || "").trim().toUpperCase();
+  const suffix = String(guardData.suffix || "").trim().toUpperCase();
+
+  const fullName = buildGuardFullName({
+    firstName: firstName,
+    middleName: middleName,
+    lastName: lastName,
+    suffix: suffix,
+  });
+
+  return {
+    fullName: fullName,
+    guard: {
       guardId: guardId,
-      message: "Guard added successfully!",
-    };
-  } catch (error) {
-    Logger.log("Error adding guard: " + error.message);
-    return {
-      success: false,
-      message: "Error adding guard: " + error.message,
-    };
-  }
+      firstName: firstName,
+      middleName: middleName,
+      lastName: lastName,
+      suffix: suffix,
+      dateOfBirth: parseDateValue(guardData.dateOfBirth),
+      hiredDate: parseDateValue(guardData.hiredDate) || getTodayDate(),
+      endOfContractDate: parseDateValue(guardData.endOfContractDate),
+      status: guardData.status || "Active",
+      photoUrl: "",
+      ...nextVersionStamp(null, username),
+    },
+    documents: {
+      guardId: guardId,
+      guardName: fullName,
+      licenseNumber: guardData.licenseNumber || "",
+      licenseExpiry: parseDateValue(guardData.licenseExpiry),
+      policeClearance: parseDateValue(guardData.policeClearance),
+      nbiClearance: parseDateValue(guardData.nbiClearance),
+      drugTestValidity: parseDateValue(guardData.drugTestValidity),
+      neuroExamValidity: parseDateValue(guardData.neuroExamValidity),
+    },
+    health:
+      guardData.height && guardData.weight
+        ? buildHealthRecord(guardId, fullName, guardData)
+        : null,
+  };
+}
+
+/**
+ * Build a guard's full name from its name parts
+ * @param {Object} guard - Object with firstName, middleName, lastName, suffix
+ * @returns {string} Full name
+ */
+function buildGuardFullName(guard) {
+  return [guard.firstName, guard.middleName, guard.lastName, guard.suffix]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Build a Health Records entity from submitted height/weight data
+ * @param {string} guardId - Guard ID
+ * @param {string} fullName - Guard full name
+ * @param {Object} guardData - Guard data with height, weight and healthNotes
+ * @returns {Object} Health record entity
+ */
+function buildHealthRecord(guardId, fullName, guardData) {
+  const heightCm = parseFloat(guardData.height);
+  const weightKg = parseFloat(guardData.weight);
+  const bmi = calculateBMI(heightCm, weightKg);
+
+  return {
+    guardId: guardId,
+    guardName: fullName,
+    date: getTodayDate(),
+    height: heightCm,
+    weight: weightKg,
+    bmi: bmi,
+    status: getBMIStatus(bmi),
+    notes: guardData.healthNotes || "",
+  };
 }
 
 /**
  * Updates an existing guard's information
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
  * @param {string} guardId - Guard ID
  * @param {Object} guardData - Guard data object
- * @param {string} username - Username performing the action
  * @returns {Object} Result object
  */
-function updateGuard(guardId, guardData, username) {
-  try {
-    const ss = getSpreadsheet();
-    const guardsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.GUARDS);
-    const documentsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.DOCUMENTS);
+function updateGuard(sessionToken, csrfToken, guardId, guardData) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'guards.write')) return buildPermissionDeniedResult_('guards.write', sessionUser);
+  const username = sessionUser.username;
+
+  const errors = validateGuardData(guardData);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      message: errors.join("; "),
+    };
+  }
 
-    if (!guardsSheet || !documentsSheet) {
-      return {
-        success: false,
-        message: "Required sheets not found",
-      };
-    }
+  const photo = guardData.photo && guardData.photo.base64 ? validateUpload_(guardData.photo, "PHOTO", username) : null;
+  if (photo && photo.error) {
+    return { success: false, message: photo.error };
+  }
 
-    // Find guard row in Guards sheet
-    const guardsData = guardsSheet.getDataRange().getValues();
-    let guardRowIndex = -1;
+  return withWriteLock(() => {
+    try {
+      const guardsRepo = getRepository("GUARDS");
+      const documentsRepo = getRepository("DOCUMENTS");
 
-    for (let i = 1; i < guardsData.length; i++) {
-      if (guardsData[i][0] === guardId) {
-        guardRowIndex = i + 1; // +1 because sheet rows are 1-indexed
-        break;
+      if (!guardsRepo.exists() || !documentsRepo.exists()) {
+        return {
+          success: false,
+          message: "Required sheets not found",
+        };
       }
-    }
-
-    if (guardRowIndex === -1) {
-      return {
-        success: false,
-        message: "Guard not found",
-      };
-    }
 
-    // Format dates
-    const formatDate = (dateStr) => {
-      if (!dateStr) return "";
-      const d = new Date(dateStr);
-      return Utilities.formatDate(
-        d,
-        Session.getScriptTimeZone(),
-        "MMM dd, yyyy"
-      );
-    };
+      // Find guard in Guards sheet (guards in the recycle bin can't be edited)
+      const existingGuard = guardsRepo.findById(guardId);
 
-    const dateOfBirth = formatDate(guardData.dateOfBirth);
-    const hiredDate = formatDate(guardData.hiredDate);
-    const endOfContractDate = formatDate(guardData.endOfContractDate);
-
-    // Convert name fields to uppercase
-    const firstName = (guardData.firstName || "").toUpperCase();
-    const middleName = (guardData.middleName || "").toUpperCase();
-    const lastName = (guardData.lastName || "").toUpperCase();
-    const suffix = (guardData.suffix || "").toUpperCase();
-
-    // Handle photo upload if provided
-    let photoUrl = guardsData[guardRowIndex - 1][9] || ""; // Keep existing photo URL
-    if (guardData.photo && guardData.photo.base64) {
-      const photoResult = uploadGuardPhoto(guardData.photo, guardId);
-      if (photoResult.success) {
-        photoUrl = photoResult.photoUrl;
-      } else {
-        Logger.log("Warning: Photo upload failed: " + photoResult.message);
+      if (!existingGuard || isSoftDeleted(existingGuard)) {
+        return {
+          success: false,
+          message: "Guard not found",
+        };
       }
-    }
 
-    // Update Guards sheet
-    guardsSheet.getRange(guardRowIndex, 2).setValue(firstName);
-    guardsSheet.getRange(guardRowIndex, 3).setValue(middleName);
-    guardsSheet.getRange(guardRowIndex, 4).setValue(lastName);
-    guardsSheet.getRange(guardRowIndex, 5).setValue(suffix);
-    guardsSheet.getRange(guardRowIndex, 6).setValue(dateOfBirth);
-    guardsSheet.getRange(guardRowIndex, 7).setValue(hiredDate);
-    guardsSheet.getRange(guardRowIndex, 8).setValue(endOfContractDate);
-    guardsSheet
-      .getRange(guardRowIndex, 9)
-      .setValue(guardData.status || "Active");
-    guardsSheet.getRange(guardRowIndex, 10).setValue(photoUrl);
-
-    // Find and update document row
-    const documentsData = documentsSheet.getDataRange().getValues();
-    let documentRowIndex = -1;
-
-    for (let i = 1; i < documentsData.length; i++) {
-      if (documentsData[i][0] === guardId) {
-        documentRowIndex = i + 1;
-        break;
+      // Reject the update if someone else saved the guard after this client loaded it
+      if (isVersionConflict(existingGuard, guardData.version)) {
+        const current = getAllGuards_().find((guard) => guard.guardId === guardId);
+        return buildConflictResult("guard", existingGuard, current || null);
       }
-    }
-
-    // Build full name (using uppercase variables)
-    const fullName = [firstName, middleName, lastName, suffix]
-      .filter(Boolean)
-      .join(" ");
-
-    if (documentRowIndex !== -1) {
-      // Update existing document row
-      documentsSheet.getRange(documentRowIndex, 2).setValue(fullName);
-      documentsSheet
-        .getRange(documentRowIndex, 3)
-        .setValue(guardData.licenseNumber || "");
-      documentsSheet
-        .getRange(documentRowIndex, 4)
-        .setValue(formatDate(guardData.licenseExpiry));
-      documentsSheet
-        .getRange(documentRowIndex, 5)
-        .setValue(formatDate(guardData.policeClearance));
-      documentsSheet
-        .getRange(documentRowIndex, 6)
-        .setValue(formatDate(guardData.nbiClearance));
-      documentsSheet
-        .getRange(documentRowIndex, 7)
-        .setValue(formatDate(guardData.drugTestValidity));
-      documentsSheet
-        .getRange(documentRowIndex, 8)
-        .setValue(formatDate(guardData.neuroExamValidity));
-    } else {
-      // Create new document row if it doesn't exist
-      documentsSheet.appendRow([
-        guardId,
-        fullName,
-        guardData.licenseNumber || "",
-        formatDate(guardData.licenseExpiry),
-        formatDate(guardData.policeClearance),
-        formatDate(guardData.nbiClearance),
-        formatDate(guardData.drugTestValidity),
-        formatDate(guardData.neuroExamValidity),
-      ]);
-    }
 
-    // Update or create health records if provided
-    if (guardData.height && guardData.weight) {
-      let healthSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.HEALTH);
-
-      if (!healthSheet) {
-        healthSheet = createOrGetSheet(CONFIG.SHEET_NAMES.HEALTH, [
-          "Guard ID",
-          "Guard Name",
-          "Date",
-          "Height (cm)",
-          "Weight (kg)",
-          "BMI",
-          "Status",
-          "Notes",
-        ]);
+      // Convert name fields to uppercase
+      const firstName = (guardData.firstName || "").toUpperCase();
+      const middleName = (guardData.middleName || "").toUpperCase();
+      const lastName = (guardData.lastName || "").toUpperCase();
+      const suffix = (guardData.suffix || "").toUpperCase();
+
+      // Handle photo upload if provided
+      let photoUrl = existingGuard.photoUrl; // Keep existing photo URL
+      if (photo) {
+        const photoResult = uploadGuardPhoto_(photo, guardId);
+        if (photoResult.success) {
+          photoUrl = photoResult.photoUrl;
+        } else {
+          Logger.log("Warning: Photo upload failed: " + photoResult.message);
+        }
       }
 
-      const heightCm = parseFloat(guardData.height);
-      const weightKg = parseFloat(guardData.weight);
-      const bmi = calculateBMI(heightCm, weightKg);
-      const bmiStatus = getBMIStatus(bmi);
-      const currentDate = Utilities.formatDate(
-        new Date(),
-        Session.getScriptTimeZone(),
-        "MMM dd, yyyy"
-      );
+      // Update Guards sheet
+      const versionStamp = nextVersionStamp(existingGuard, username);
+      guardsRepo.update(guardId, {
+        firstName: firstName,
+        middleName: middleName,
+        lastName: lastName,
+        suffix: suffix,
+        dateOfBirth: parseDateValue(guardData.dateOfBirth),
+        hiredDate: parseDateValue(guardData.hiredDate),
+        endOfContractDate: parseDateValue(guardData.endOfContractDate),
+        status: guardData.status || "Active",
+        photoUrl: photoUrl,
+        ...versionStamp,
+      });
 
-      // Find existing health record for this guard
-      const healthData = healthSheet.getDataRange().getValues();
-      let healthRowIndex = -1;
+      // Build full name (using uppercase variables)
+      const fullName = buildGuardFullName({
+        firstName: firstName,
+        middleName: middleName,
+        lastName: lastName,
+        suffix: suffix,
+      });
 
-      for (let i = 1; i < healthData.length; i++) {
-        if (healthData[i][0] === guardId) {
-          healthRowIndex = i + 1;
-          break;
-        }
-      }
+      // Update document row, creating it if it doesn't exist
+      documentsRepo.upsert(guardId, {
+        guardName: fullName,
+        licenseNumber: guardData.licenseNumber || "",
+        licenseExpiry: parseDateValue(guardData.licenseExpiry),
+        policeClearance: parseDateValue(guardData.policeClearance),
+        nbiClearance: parseDateValue(guardData.nbiClearance),
+        drugTestValidity: parseDateValue(guardData.drugTestValidity),
+        neuroExamValidity: parseDateValue(guardData.neuroExamValidity),
+      });
 
-      if (healthRowIndex !== -1) {
-        // Update existing health record
-        healthSheet.getRange(healthRowIndex, 2).setValue(fullName);
-        healthSheet.getRange(healthRowIndex, 3).setValue(currentDate);
-        healthSheet.getRange(healthRowIndex, 4).setValue(heightCm);
-        healthSheet.getRange(healthRowIndex, 5).setValue(weightKg);
-        healthSheet.getRange(healthRowIndex, 6).setValue(bmi);
-        healthSheet.getRange(healthRowIndex, 7).setValue(bmiStatus);
-        healthSheet
-          .getRange(healthRowIndex, 8)
-          .setValue(guardData.healthNotes || "");
-      } else {
-        // Create new health record
-        healthSheet.appendRow([
+      // Update or create health records if provided
+      if (guardData.height && guardData.weight) {
+        getRepository("HEALTH").upsert(
           guardId,
-          fullName,
-          currentDate,
-          heightCm,
-          weightKg,
-          bmi,
-          bmiStatus,
-          guardData.healthNotes || "",
-        ]);
+          buildHealthRecord(guardId, fullName, guardData)
+        );
       }
-    }
 
-    // Log audit trail
-    logAudit(
-      username,
-      "Update",
-      "Guard",
-      fullName,
-      "Updated guard information"
-    );
+      invalidateCache_(["GUARDS", "DOCUMENTS", "HEALTH"]);
 
-    return {
-      success: true,
-      message: "Guard updated successfully!",
-    };
-  } catch (error) {
-    Logger.log("Error updating guard: " + error.message);
-    return {
-      success: false,
-      message: "Error updating guard: " + error.message,
-    };
-  }
+      // Log audit trail
+      logAudit_(
+        username,
+        "Update",
+        "Guard",
+        fullName,
+        "Updated guard information"
+      );
+
+      return {
+        success: true,
+        version: versionStamp.version,
+        message: "Guard updated successfully!",
+      };
+    } catch (error) {
+      Logger.log("Error updating guard: " + error.message);
+      return {
+        success: false,
+        message: "Error updating guard: " + error.message,
+      };
+    }
+  });
 }
 
 /**
  * Debug function to check raw sheet data
  */
-function debugSheetData() {
+function debugSheetData_() {
   Logger.log("=== DEBUG SHEET DATA START ===");
 
   try {
@@ -654,172 +616,85 @@ function debugSheetData() {
 /**
  * Get all guards with their documents
  */
-function getAllGuards() {
+function getAllGuards_() {
   try {
-    const ss = getSpreadsheet();
-    const guardsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.GUARDS);
-    const documentsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.DOCUMENTS);
-    const healthSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.HEALTH);
+    const guardsRepo = getRepository("GUARDS");
+    const documentsRepo = getRepository("DOCUMENTS");
 
     // If sheets don't exist, return empty array
-    if (!guardsSheet) {
+    if (!guardsRepo.exists()) {
       Logger.log("Guards sheet not found");
       return [];
     }
 
-    if (!documentsSheet) {
+    if (!documentsRepo.exists()) {
       Logger.log("Documents sheet not found");
       return [];
     }
 
-    // Check if there's any data beyond headers
-    const guardsLastRow = guardsSheet.getLastRow();
+    // Guards in the recycle bin are listed by getRecycleBin only
+    const guardEntities = getCachedEntities_("GUARDS").filter((guard) => !isSoftDeleted(guard));
 
-    if (guardsLastRow <= 1) {
+    if (guardEntities.length === 0) {
       return [];
     }
 
-    const guardsData = guardsSheet.getDataRange().getValues();
-    const documentsData = documentsSheet.getDataRange().getValues();
-    const healthData = healthSheet
-      ? healthSheet.getDataRange().getValues()
-      : [];
+    const documentEntities = getCachedEntities_("DOCUMENTS");
+    const healthEntities = getCachedEntities_("HEALTH");
 
     const guards = [];
-    const timezone = Session.getScriptTimeZone();
-
-    // Optimized date formatter with simple string conversion
-    const formatDate = (value) => {
-      if (!value) return "";
-      if (value instanceof Date) {
-        // Fast date formatting using native JS methods
-        const months = [
-          "Jan",
-          "Feb",
-          "Mar",
-          "Apr",
-          "May",
-          "Jun",
-          "Jul",
-          "Aug",
-          "Sep",
-          "Oct",
-          "Nov",
-          "Dec",
-        ];
-        const d = new Date(value.getTime());
-        return (
-          months[d.getMonth()] +
-          " " +
-          String(d.getDate()).padStart(2, "0") +
-          ", " +
-          d.getFullYear()
-        );
-      }
-      return value.toString();
-    };
 
     // Create a map of documents by guardId for O(1) lookup
     const documentsMap = {};
-    for (let i = 1; i < documentsData.length; i++) {
-      const guardId = documentsData[i][0];
-      if (guardId) {
-        const gid = guardId.toString();
-        documentsMap[gid] = {
-          licenseNumber: documentsData[i][2]
-            ? documentsData[i][2].toString()
-            : "",
-          licenseExpiry: formatDate(documentsData[i][3]),
-          policeClearance: formatDate(documentsData[i][4]),
-          nbiClearance: formatDate(documentsData[i][5]),
-          drugTestValidity: formatDate(documentsData[i][6]),
-          neuroExamValidity: formatDate(documentsData[i][7]),
-        };
-      }
-    }
+    documentEntities.forEach((document) => {
+      documentsMap[document.guardId] = {
+        licenseNumber: document.licenseNumber,
+        licenseExpiry: formatDateString(document.licenseExpiry),
+        policeClearance: formatDateString(document.policeClearance),
+        nbiClearance: formatDateString(document.nbiClearance),
+        drugTestValidity: formatDateString(document.drugTestValidity),
+        neuroExamValidity: formatDateString(document.neuroExamValidity),
+      };
+    });
 
     // Create a map of health records by guardId for O(1) lookup
     const healthMap = {};
-    for (let i = 1; i < healthData.length; i++) {
-      const guardId = healthData[i][0];
-      if (guardId) {
-        const gid = guardId.toString();
-        healthMap[gid] = {
-          height: healthData[i][3] || "",
-          weight: healthData[i][4] || "",
-          bmi: healthData[i][5] || "",
-          status: healthData[i][6] || "",
-          notes: healthData[i][7] || "",
-          date: formatDate(healthData[i][2]),
-        };
-      }
-    }
+    healthEntities.forEach((health) => {
+      healthMap[health.guardId] = {
+        height: health.height || "",
+        weight: health.weight || "",
+        bmi: health.bmi || "",
+        status: health.status,
+        notes: health.notes,
+        date: formatDateString(health.date),
+      };
+    });
 
-    // Skip header row (index 0) and build guards array
-    for (let i = 1; i < guardsData.length; i++) {
-      const row = guardsData[i];
-      const guardId = row[0] ? row[0].toString() : "";
-
-      // Convert old Google Drive URLs to thumbnail URLs (more reliable for display)
-      let photoUrl = row[9] ? row[9].toString() : "";
-      if (photoUrl) {
-        try {
-          Logger.log("Original photo URL for guard " + guardId + ": " + photoUrl);
-
-          let fileId = null;
-
-          // Extract file ID from various Google Drive URL formats
-          if (photoUrl.indexOf("/file/d/") > -1) {
-            // Format: https://drive.google.com/file/d/FILE_ID/view...
-            const parts = photoUrl.split("/file/d/");
-            if (parts.length > 1) {
-              fileId = parts[1].split("/")[0];
-            }
-          } else if (photoUrl.indexOf("/open?id=") > -1) {
-            // Format: https://drive.google.com/open?id=FILE_ID
-            const parts = photoUrl.split("/open?id=");
-            if (parts.length > 1) {
-              fileId = parts[1].split("&")[0];
-            }
-          } else if (photoUrl.indexOf("id=") > -1) {
-            // Format: https://drive.google.com/uc?export=view&id=FILE_ID
-            const parts = photoUrl.split("id=");
-            if (parts.length > 1) {
-              fileId = parts[1].split("&")[0];
-            }
-          }
-
-          // Convert to thumbnail URL if we extracted a file ID
-          if (fileId) {
-            // Use thumbnail URL which is more reliable for embedded images
-            photoUrl = "https://drive.google.com/thumbnail?id=" + fileId + "&sz=w400";
-            Logger.log("Converted to thumbnail URL: " + photoUrl);
-          } else {
-            Logger.log("Could not extract file ID, keeping original URL");
-          }
-        } catch (error) {
-          Logger.log("Error converting photo URL for guard " + guardId + ": " + error.message);
-          // Keep original URL if conversion fails
-        }
-      }
+    // Build guards array
+    guardEntities.forEach((row) => {
+      const guardId = row.guardId;
 
       const guard = {
         guardId: guardId,
-        firstName: row[1] ? row[1].toString() : "",
-        middleName: row[2] ? row[2].toString() : "",
-        lastName: row[3] ? row[3].toString() : "",
-        suffix: row[4] ? row[4].toString() : "",
-        dateOfBirth: formatDate(row[5]),
-        hiredDate: formatDate(row[6]),
-        endOfContractDate: formatDate(row[7]),
-        status: row[8] ? row[8].toString() : "Active",
-        photoUrl: photoUrl,
+        firstName: row.firstName,
+        middleName: row.middleName,
+        lastName: row.lastName,
+        suffix: row.suffix,
+        dateOfBirth: formatDateString(row.dateOfBirth),
+        hiredDate: formatDateString(row.hiredDate),
+        endOfContractDate: formatDateString(row.endOfContractDate),
+        status: row.status || "Active",
+        // Photos are private Drive files; the client loads them through getGuardPhoto
+        hasPhoto: !!extractDriveFileId(row.photoUrl),
+        version: row.version || 0,
+        lastModified: formatDateTimeString(row.lastModified),
+        lastModifiedBy: row.lastModifiedBy,
         documents: documentsMap[guardId] || null,
         health: healthMap[guardId] || null,
       };
 
       guards.push(guard);
-    }
+    });
 
     return guards;
   } catch (error) {
@@ -829,126 +704,221 @@ function getAllGuards() {
 }
 
 /**
- * Delete a guard and their associated documents
- * @param {string} guardId - Guard ID to delete
- * @param {string} username - Username performing the action
- * @returns {Object} Result object
+ * Query guards with filtering, sorting and paging done on the server
+ * @param {string} sessionToken - Session token
+ * @param {Object} criteria - Query criteria:
+ *   search {string} - Matches first, middle or last name
+ *   status {string} - Guard status ('all' or omitted for any)
+ *   documentStatus {string} - Good, Nearly Expire, Expired or No Documents
+ *   expiresWithinDays {number} - Only guards with a document expiring in the next N days
+ *   bmiCategory {string} - Underweight, Normal, Overweight or Obese
+ *   sortBy {string} - name, hiredDate, licenseExpiry, status or documentStatus
+ *   sortDirection {string} - asc or desc
+ *   pageSize {number} - Guards per page (0 for all)
+ *   cursor {string} - Cursor from a previous result, or page {number}
+ * @returns {Object} Result with one page of guards, paging information and totals
  */
-function deleteGuard(guardId, username) {
+function queryGuards(sessionToken, criteria) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'guards.read')) return buildPermissionDeniedResult_('guards.read', sessionUser);
+
   try {
-    // Check admin permission
-    if (!hasAdminPermission(username)) {
-      return {
-        success: false,
-        message: "Permission denied. Admin access required.",
-      };
-    }
+    const query = criteria || {};
+    const today = getTodayDate();
 
-    const ss = getSpreadsheet();
-    const guardsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.GUARDS);
-    const documentsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.DOCUMENTS);
+    const allGuards = getAllGuards_().map((guard) => {
+      guard.documentStatus = getDocumentStatus(guard.documents, today);
+      return guard;
+    });
 
-    if (!guardsSheet || !documentsSheet) {
-      return {
-        success: false,
-        message: "System error. Please contact administrator.",
-      };
-    }
+    const search = (query.search || "").toString().toLowerCase().trim();
+    const expiresWithinDays = parseInt(query.expiresWithinDays, 10);
+    const windowEnd = new Date(today.getTime() + (expiresWithinDays || 0) * 24 * 60 * 60 * 1000);
 
-    // Find and delete guard from Guards sheet
-    const guardsData = guardsSheet.getDataRange().getValues();
-    let guardRowIndex = -1;
-    let guardName = "";
-
-    for (let i = 1; i < guardsData.length; i++) {
-      if (guardsData[i][0] === guardId) {
-        guardRowIndex = i + 1; // +1 because sheet rows are 1-indexed
-        // Build full name for audit
-        guardName = [
-          guardsData[i][1], // firstName
-          guardsData[i][2], // middleName
-          guardsData[i][3], // lastName
-          guardsData[i][4], // suffix
-        ]
-          .filter(Boolean)
-          .join(" ");
-        break;
+    const matches = allGuards.filter((guard) => {
+      if (search) {
+        const name = [guard.firstName, guard.middleName, guard.lastName]
+          .join(" ")
+          .toLowerCase();
+        if (name.indexOf(search) === -1) return false;
       }
-    }
-
-    if (guardRowIndex === -1) {
-      return {
-        success: false,
-        message: "Guard not found",
-      };
-    }
-
-    // Delete guard row
-    guardsSheet.deleteRow(guardRowIndex);
-
-    // Find and delete documents row
-    const documentsData = documentsSheet.getDataRange().getValues();
-    let documentRowIndex = -1;
-
-    for (let i = 1; i < documentsData.length; i++) {
-      if (documentsData[i][0] === guardId) {
-        documentRowIndex = i + 1;
-        break;
+      if (query.status && query.status !== "all" && guard.status !== query.status) {
+        return false;
       }
-    }
-
-    if (documentRowIndex !== -1) {
-      documentsSheet.deleteRow(documentRowIndex);
-    }
+      if (
+        query.documentStatus &&
+        query.documentStatus !== "all" &&
+        guard.documentStatus !== query.documentStatus
+      ) {
+        return false;
+      }
+      if (expiresWithinDays >= 0) {
+        const expiring = getDocumentExpiryDates(guard.documents).some(
+          (date) => date >= today && date <= windowEnd
+        );
+        if (!expiring) return false;
+      }
+      if (query.bmiCategory && query.bmiCategory !== "all") {
+        const bmi = guard.health ? parseFloat(guard.health.bmi) : NaN;
+        if (isNaN(bmi) || getBmiCategory(bmi) !== query.bmiCategory) return false;
+      }
+      return true;
+    });
 
-    // Log audit trail
-    logAudit(
-      username,
-      "Delete",
-      "Guard",
-      guardName,
-      "Deleted guard with ID: " + guardId
-    );
+    const result = paginateResults(matches, query, {
+      name: (guard) => [guard.lastName, guard.firstName, guard.middleName].join(" "),
+      hiredDate: (guard) => parseDateValue(guard.hiredDate),
+      licenseExpiry: (guard) =>
+        guard.documents ? parseDateValue(guard.documents.licenseExpiry) : null,
+      status: (guard) => guard.status,
+      documentStatus: (guard) => guard.documentStatus,
+    });
 
-    return {
-      success: true,
-      message: "Guard deleted successfully",
+    result.success = true;
+    result.totalAll = allGuards.length;
+    result.totals = {
+      byStatus: countBy(allGuards, (guard) => guard.status),
+      byDocumentStatus: countBy(allGuards, (guard) => guard.documentStatus),
     };
+    return result;
   } catch (error) {
-    Logger.log("Error deleting guard: " + error.message);
+    Logger.log("Error querying guards: " + error.message);
     return {
       success: false,
-      message: "Error deleting guard: " + error.message,
+      message: "Error loading guards: " + error.message,
     };
   }
 }
 
 /**
- * Get all violation types
+ * Get the parsed expiry dates of a guard's documents
+ * @param {Object} documents - Documents object from getAllGuards_
+ * @returns {Array<Date>} Valid expiry dates
  */
-function getViolationTypes() {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.VIOLATION_TYPES);
+function getDocumentExpiryDates(documents) {
+  if (!documents) return [];
+  return [
+    documents.licenseExpiry,
+    documents.policeClearance,
+    documents.nbiClearance,
+    documents.drugTestValidity,
+    documents.neuroExamValidity,
+  ]
+    .map((value) => parseDateValue(value))
+    .filter(Boolean);
+}
 
-    if (!sheet || sheet.getLastRow() <= 1) {
-      return [];
-    }
+/**
+ * Summarize a guard's document validity
+ * Nearly Expire means a document expires within CONFIG.ALERTS.DOCUMENT_EXPIRY_DAYS.
+ * @param {Object} documents - Documents object from getAllGuards_
+ * @param {Date} today - Start of the current day
+ * @returns {string} Good, Nearly Expire, Expired or No Documents
+ */
+function getDocumentStatus(documents, today) {
+  const dates = getDocumentExpiryDates(documents);
+  if (dates.length === 0) return "No Documents";
+
+  const warningEnd = new Date(
+    today.getTime() + CONFIG.ALERTS.DOCUMENT_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+  );
+  if (dates.some((date) => date < today)) return "Expired";
+  if (dates.some((date) => date <= warningEnd)) return "Nearly Expire";
+  return "Good";
+}
+
+/**
+ * BMI category used by the guards list filter
+ * @param {number} bmi - BMI value
+ * @returns {string} Underweight, Normal, Overweight or Obese
+ */
+function getBmiCategory(bmi) {
+  if (bmi <= 18.5) return "Underweight";
+  if (bmi <= 25) return "Normal";
+  if (bmi <= 30) return "Overweight";
+  return "Obese";
+}
+
+/**
+ * Move a guard to the recycle bin
+ * Documents and health rows stay in place so a restore brings the whole guard back;
+ * they are removed when the guard is purged from the recycle bin.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} guardId - Guard ID to delete
+ * @param {number} expectedVersion - Version of the guard the caller read
+ * @returns {Object} Result object
+ */
+function deleteGuard(sessionToken, csrfToken, guardId, expectedVersion) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'guards.delete')) return buildPermissionDeniedResult_('guards.delete', sessionUser);
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      const guardsRepo = getRepository("GUARDS");
+
+      if (!guardsRepo.exists()) {
+        return {
+          success: false,
+          message: "System error. Please contact administrator.",
+        };
+      }
 
-    const lastRow = sheet.getLastRow();
-    // Get only first 3 columns (ID, Name, Description) - skip Created Date column
-    const data = sheet.getRange(2, 1, lastRow - 1, 3).getValues();
+      const existingGuard = guardsRepo.findById(guardId);
 
-    // Use map for better performance and filter out empty rows
-    const violationTypes = data
-      .filter((row) => row[0]) // Filter out rows with empty ID
-      .map((row) => ({
-        id: row[0] ? String(row[0]).trim() : "",
-        name: row[1] ? String(row[1]).trim() : "",
-        description: row[2] ? String(row[2]).trim() : "",
-      }));
+      if (!existingGuard || isSoftDeleted(existingGuard)) {
+        return {
+          success: false,
+          message: "Guard not found",
+        };
+      }
+
+      // Don't delete a guard someone else changed after this client loaded it
+      if (isVersionConflict(existingGuard, expectedVersion)) {
+        const current = getAllGuards_().find((guard) => guard.guardId === guardId);
+        return buildConflictResult("guard", existingGuard, current || null);
+      }
+
+      guardsRepo.update(guardId, buildSoftDeleteChanges(existingGuard, username));
+      invalidateCache_(["GUARDS"]);
 
-    return violationTypes;
+      // Log audit trail
+      logAudit_(
+        username,
+        "Delete",
+        "Guard",
+        buildGuardFullName(existingGuard),
+        "Moved guard with ID " + guardId + " to the recycle bin"
+      );
+
+      return {
+        success: true,
+        message: "Guard deleted successfully",
+      };
+    } catch (error) {
+      Logger.log("Error deleting guard: " + error.message);
+      return {
+        success: false,
+        message: "Error deleting guard: " + error.message,
+      };
+    }
+  });
+}
+
+/**
+ * Get all violation types
+ * @param {string} sessionToken - Session token
+ */
+function getViolationTypes(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+
+  try {
+    return getMasterDataList_("VIOLATION_TYPES");
   } catch (error) {
     Logger.log("Error getting violation types: " + error.message);
     Logger.log("Stack trace: " + error.stack);
@@ -958,30 +928,14 @@ function getViolationTypes() {
 
 /**
  * Get all violation sanctions
+ * @param {string} sessionToken - Session token
  */
-function getViolationSanctions() {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.VIOLATION_SANCTIONS);
-
-    if (!sheet || sheet.getLastRow() <= 1) {
-      return [];
-    }
+function getViolationSanctions(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
 
-    const lastRow = sheet.getLastRow();
-    // Get only first 3 columns (ID, Name, Description) - skip Created Date column
-    const data = sheet.getRange(2, 1, lastRow - 1, 3).getValues();
-
-    // Use map for better performance and filter out empty rows
-    const sanctions = data
-      .filter((row) => row[0]) // Filter out rows with empty ID
-      .map((row) => ({
-        id: row[0] ? String(row[0]).trim() : "",
-        name: row[1] ? String(row[1]).trim() : "",
-        description: row[2] ? String(row[2]).trim() : "",
-      }));
-
-    return sanctions;
+  try {
+    return getMasterDataList_("VIOLATION_SANCTIONS");
   } catch (error) {
     Logger.log("Error getting violation sanctions: " + error.message);
     Logger.log("Stack trace: " + error.stack);
@@ -990,181 +944,347 @@ function getViolationSanctions() {
 }
 
 /**
- * Add a new violation type
+ * Read a master data sheet (violation types or sanctions) as { id, name, description }
+ * @param {string} entity - VIOLATION_TYPES or VIOLATION_SANCTIONS
+ * @returns {Array} Master data items
  */
-function addViolationType(name, description) {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.VIOLATION_TYPES);
+function getMasterDataList_(entity) {
+  return getRepository(entity)
+    .findAll()
+    .map((item) => ({
+      id: item.id.trim(),
+      name: item.name.trim(),
+      description: item.description.trim(),
+    }));
+}
 
-    if (!sheet) {
-      return { success: false, message: "Violation Types sheet not found" };
-    }
+/**
+ * Add a new violation type
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ */
+function addViolationType(sessionToken, csrfToken, name, description) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'settings.edit')) return buildPermissionDeniedResult_('settings.edit', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const repo = getRepository("VIOLATION_TYPES");
+
+      if (!repo.exists()) {
+        return { success: false, message: "Violation Types sheet not found" };
+      }
 
-    // Generate ID
-    const lastRow = sheet.getLastRow();
-    const newId = "VT" + String(lastRow).padStart(3, "0");
+      // Generate ID
+      const newId = generateUniqueId("VT");
 
-    sheet.appendRow([newId, name, description, new Date()]);
+      repo.insert({
+        id: newId,
+        name: name,
+        description: description,
+        createdDate: new Date(),
+      });
+      invalidateCache_(["VIOLATION_TYPES"]);
+
+      // Log audit trail
+      logAudit_(
+        sessionUser.username,
+        "Add",
+        "Violation type",
+        name,
+        "Added violation type with ID: " + newId
+      );
 
-    return {
-      success: true,
-      message: "Violation type added successfully",
-      id: newId,
-    };
-  } catch (error) {
-    Logger.log("Error adding violation type: " + error.message);
-    return { success: false, message: error.message };
-  }
+      return {
+        success: true,
+        message: "Violation type added successfully",
+        id: newId,
+      };
+    } catch (error) {
+      Logger.log("Error adding violation type: " + error.message);
+      return { success: false, message: error.message };
+    }
+  });
 }
 
 /**
  * Add a new violation sanction
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
  */
-function addViolationSanction(name, description) {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.VIOLATION_SANCTIONS);
-
-    if (!sheet) {
-      return { success: false, message: "Violation Sanctions sheet not found" };
-    }
+function addViolationSanction(sessionToken, csrfToken, name, description) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'settings.edit')) return buildPermissionDeniedResult_('settings.edit', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const repo = getRepository("VIOLATION_SANCTIONS");
+
+      if (!repo.exists()) {
+        return { success: false, message: "Violation Sanctions sheet not found" };
+      }
 
-    // Generate ID
-    const lastRow = sheet.getLastRow();
-    const newId = "VS" + String(lastRow).padStart(3, "0");
+      // Generate ID
+      const newId = generateUniqueId("VS");
 
-    sheet.appendRow([newId, name, description, new Date()]);
+      repo.insert({
+        id: newId,
+        name: name,
+        description: description,
+        createdDate: new Date(),
+      });
+      invalidateCache_(["VIOLATION_SANCTIONS"]);
+
+      // Log audit trail
+      logAudit_(
+        sessionUser.username,
+        "Add",
+        "Sanction",
+        name,
+        "Added sanction with ID: " + newId
+      );
 
-    return { success: true, message: "Sanction added successfully", id: newId };
-  } catch (error) {
-    Logger.log("Error adding sanction: " + error.message);
-    return { success: false, message: error.message };
-  }
+      return { success: true, message: "Sanction added successfully", id: newId };
+    } catch (error) {
+      Logger.log("Error adding sanction: " + error.message);
+      return { success: false, message: error.message };
+    }
+  });
 }
 
 /**
- * Update a violation type
+ * How performance records reference each kind of master data
+ * Records store the ID, plus the name at the time of saving for people reading the sheet.
  */
-function updateViolationType(violationId, name, description) {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.VIOLATION_TYPES);
-
-    if (!sheet) {
-      return { success: false, message: "Violation Types sheet not found" };
-    }
+const MASTER_DATA_REFERENCES = {
+  VIOLATION_TYPES: {
+    idField: "violationTypeId",
+    nameField: "typeOfViolation",
+    label: "Violation type",
+  },
+  VIOLATION_SANCTIONS: {
+    idField: "violationSanctionId",
+    nameField: "violationSanction",
+    label: "Sanction",
+  },
+};
 
-    const data = sheet.getDataRange().getValues();
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === violationId) {
-        sheet.getRange(i + 1, 2).setValue(name);
-        sheet.getRange(i + 1, 3).setValue(description);
-        return {
-          success: true,
-          message: "Violation type updated successfully",
-        };
-      }
-    }
-
-    return { success: false, message: "Violation type not found" };
-  } catch (error) {
-    Logger.log("Error updating violation type: " + error.message);
-    return { success: false, message: error.message };
-  }
+/**
+ * Update a violation type
+ * Records reference the type by ID, so they show the new name straight away.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ */
+function updateViolationType(sessionToken, csrfToken, violationId, name, description) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'settings.edit')) return buildPermissionDeniedResult_('settings.edit', sessionUser);
+  return updateMasterDataItem_("VIOLATION_TYPES", violationId, name, description, sessionUser.username);
 }
 
 /**
  * Update a violation sanction
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
  */
-function updateViolationSanction(sanctionId, name, description) {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.VIOLATION_SANCTIONS);
-
-    if (!sheet) {
-      return { success: false, message: "Violation Sanctions sheet not found" };
-    }
+function updateViolationSanction(sessionToken, csrfToken, sanctionId, name, description) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'settings.edit')) return buildPermissionDeniedResult_('settings.edit', sessionUser);
+  return updateMasterDataItem_("VIOLATION_SANCTIONS", sanctionId, name, description, sessionUser.username);
+}
 
-    const data = sheet.getDataRange().getValues();
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === sanctionId) {
-        sheet.getRange(i + 1, 2).setValue(name);
-        sheet.getRange(i + 1, 3).setValue(description);
-        return { success: true, message: "Sanction updated successfully" };
-      }
-    }
+/**
+ * Delete a violation type
+ * Types used by performance records are only deleted when the records are
+ * reassigned to another type (options.reassignTo).
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} violationId - Violation type ID
+ * @param {Object} options - Optional { reassignTo: violation type ID }
+ */
+function deleteViolationType(sessionToken, csrfToken, violationId, options) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'settings.edit')) return buildPermissionDeniedResult_('settings.edit', sessionUser);
+  return deleteMasterDataItem_("VIOLATION_TYPES", violationId, options, sessionUser.username);
+}
 
-    return { success: false, message: "Sanction not found" };
-  } catch (error) {
-    Logger.log("Error updating sanction: " + error.message);
-    return { success: false, message: error.message };
-  }
+/**
+ * Delete a violation sanction
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} sanctionId - Sanction ID
+ * @param {Object} options - Optional { reassignTo: sanction ID }
+ */
+function deleteViolationSanction(sessionToken, csrfToken, sanctionId, options) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'settings.edit')) return buildPermissionDeniedResult_('settings.edit', sessionUser);
+  return deleteMasterDataItem_("VIOLATION_SANCTIONS", sanctionId, options, sessionUser.username);
 }
 
 /**
- * Delete a violation type
+ * Find a master data item by ID, or by name (ignoring case) when no ID is given
+ * @param {string} entity - VIOLATION_TYPES or VIOLATION_SANCTIONS
+ * @param {string} id - Item ID
+ * @param {string} name - Item name
+ * @returns {Object|null|undefined} Item, null when not found, undefined when neither is given
  */
-function deleteViolationType(violationId) {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.VIOLATION_TYPES);
+function findMasterDataItem_(entity, id, name) {
+  const key = String(id || "").trim();
+  const wanted = String(name || "").trim().toLowerCase();
+  if (!key && (!wanted || wanted === "n/a")) return undefined;
+
+  const items = getCachedEntities_(entity);
+  const item = key
+    ? items.find((candidate) => String(candidate.id).trim() === key)
+    : items.find((candidate) => String(candidate.name).trim().toLowerCase() === wanted);
+  return item || null;
+}
 
-    if (!sheet) {
-      return { success: false, message: "Violation Types sheet not found" };
-    }
+/**
+ * Rename a master data item and refresh the names stored with the records using it
+ * @param {string} entity - VIOLATION_TYPES or VIOLATION_SANCTIONS
+ * @param {string} itemId - Item ID
+ * @param {string} name - New name
+ * @param {string} description - New description
+ * @param {string} username - Username making the change
+ * @returns {Object} Result object
+ */
+function updateMasterDataItem_(entity, itemId, name, description, username) {
+  const reference = MASTER_DATA_REFERENCES[entity];
+  return withWriteLock(() => {
+    try {
+      const repo = getRepository(entity);
+
+      if (!repo.exists()) {
+        return { success: false, message: `${CONFIG.SHEET_NAMES[entity]} sheet not found` };
+      }
 
-    const data = sheet.getDataRange().getValues();
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === violationId) {
-        sheet.deleteRow(i + 1);
-        return {
-          success: true,
-          message: "Violation type deleted successfully",
-        };
+      const item = repo.findById(itemId);
+      if (!item) {
+        return { success: false, message: `${reference.label} not found` };
       }
-    }
+      repo.update(itemId, { name: name, description: description });
 
-    return { success: false, message: "Violation type not found" };
-  } catch (error) {
-    Logger.log("Error deleting violation type: " + error.message);
-    return { success: false, message: error.message };
-  }
+      getRepository("PERFORMANCE").updateWhere(
+        (record) => record[reference.idField] === itemId && record[reference.nameField] !== name,
+        () => ({ [reference.nameField]: name })
+      );
+      invalidateCache_([entity, "PERFORMANCE"]);
+
+      // Log audit trail
+      logAudit_(
+        username,
+        "Update",
+        reference.label,
+        name,
+        `Updated ${reference.label.toLowerCase()} with ID: ${itemId}` +
+          (item.name !== name ? ` (renamed from "${item.name}")` : "")
+      );
+
+      return { success: true, message: `${reference.label} updated successfully` };
+    } catch (error) {
+      Logger.log(`Error updating ${reference.label.toLowerCase()}: ` + error.message);
+      return { success: false, message: error.message };
+    }
+  });
 }
 
 /**
- * Delete a violation sanction
+ * Delete a master data item, refusing while performance records use it unless they
+ * are reassigned to another item first
+ * @param {string} entity - VIOLATION_TYPES or VIOLATION_SANCTIONS
+ * @param {string} itemId - Item ID
+ * @param {Object} options - Optional { reassignTo: ID of the item the records move to }
+ * @param {string} username - Username making the change
+ * @returns {Object} Result object; inUse and usageCount are set when the deletion is refused
  */
-function deleteViolationSanction(sanctionId) {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.VIOLATION_SANCTIONS);
+function deleteMasterDataItem_(entity, itemId, options, username) {
+  const reference = MASTER_DATA_REFERENCES[entity];
+  const reassignTo = options && options.reassignTo;
+  return withWriteLock(() => {
+    try {
+      const repo = getRepository(entity);
+
+      if (!repo.exists()) {
+        return { success: false, message: `${CONFIG.SHEET_NAMES[entity]} sheet not found` };
+      }
 
-    if (!sheet) {
-      return { success: false, message: "Violation Sanctions sheet not found" };
-    }
+      const item = repo.findById(itemId);
+      if (!item) {
+        return { success: false, message: `${reference.label} not found` };
+      }
+
+      const performanceRepo = getRepository("PERFORMANCE");
+      const isUsing = (record) => record[reference.idField] === itemId;
+      const usageCount = performanceRepo.findAll(isUsing).length;
+      let reassigned = 0;
+      let target = null;
+
+      if (usageCount > 0) {
+        if (!reassignTo) {
+          return {
+            success: false,
+            inUse: true,
+            usageCount: usageCount,
+            message: `"${item.name}" is used by ${usageCount} performance record(s). Reassign them before deleting it.`,
+          };
+        }
 
-    const data = sheet.getDataRange().getValues();
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === sanctionId) {
-        sheet.deleteRow(i + 1);
-        return { success: true, message: "Sanction deleted successfully" };
+        target = reassignTo === itemId ? null : repo.findById(reassignTo);
+        if (!target) {
+          return { success: false, message: `Choose another ${reference.label.toLowerCase()} to reassign the records to` };
+        }
+
+        reassigned = performanceRepo.updateWhere(isUsing, () => ({
+          [reference.idField]: target.id,
+          [reference.nameField]: target.name,
+        }));
       }
-    }
 
-    return { success: false, message: "Sanction not found" };
-  } catch (error) {
-    Logger.log("Error deleting sanction: " + error.message);
-    return { success: false, message: error.message };
-  }
+      repo.delete(itemId);
+      invalidateCache_([entity, "PERFORMANCE"]);
+
+      // Log audit trail
+      logAudit_(
+        username,
+        "Delete",
+        reference.label,
+        item.name,
+        `Deleted ${reference.label.toLowerCase()} with ID: ${itemId}` +
+          (reassigned > 0 ? ` (${reassigned} record(s) reassigned to "${target.name}")` : "")
+      );
+
+      return {
+        success: true,
+        reassigned: reassigned,
+        message:
+          `${reference.label} deleted successfully` +
+          (reassigned > 0 ? ` (${reassigned} record(s) reassigned)` : ""),
+      };
+    } catch (error) {
+      Logger.log(`Error deleting ${reference.label.toLowerCase()}: ` + error.message);
+      return { success: false, message: error.message };
+    }
+  });
 }
 
 /**
  * Check for expiring licenses using configurable alert window
  */
 function checkLicenseExpiry() {
-  const sheet = getSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.LICENSES);
-  const data = sheet.getDataRange().getValues();
+  const ui = SpreadsheetApp.getUi();
+  const licenses = getRepository("LICENSES").findAll();
   const today = new Date();
   const alertDaysFromNow = new Date(
     today.getTime() + CONFIG.ALERTS.LICENSE_EXPIRY_DAYS * 24 * 60 * 60 * 1000
@@ -1172,21 +1292,17 @@ function checkLicenseExpiry() {
 
   let expiringLicenses = [];
 
-  for (let i = 1; i < data.length; i++) {
-    const expiryDate = new Date(data[i][5]);
+  licenses.forEach((license) => {
+    const expiryDate = parseDateValue(license.expiryDate);
 
-    if (expiryDate <= alertDaysFromNow && expiryDate >= today) {
+    if (expiryDate && expiryDate <= alertDaysFromNow && expiryDate >= today) {
       expiringLicenses.push({
-        guardName: data[i][1],
-        licenseType: data[i][2],
-        expiryDate: Utilities.formatDate(
-          expiryDate,
-          Session.getScriptTimeZone(),
-          "yyyy-MM-dd"
-        ),
+        guardName: license.guardName,
+        licenseType: license.licenseType,
+        expiryDate: formatInputDate(expiryDate),
       });
     }
-  }
+  });
 
   if (expiringLicenses.length > 0) {
     let message =
@@ -1196,16 +1312,12 @@ function checkLicenseExpiry() {
     expiringLicenses.forEach((license) => {
       message += `${license.guardName} - ${license.licenseType} (Expires: ${license.expiryDate})\n`;
     });
-    SpreadsheetApp.getUi().alert(
-      "License Expiry Alert",
-      message,
-      SpreadsheetApp.getUi().ButtonSet.OK
-    );
+    ui.alert("License Expiry Alert", message, ui.ButtonSet.OK);
   } else {
-    SpreadsheetApp.getUi().alert(
+    ui.alert(
       "License Check",
       "No licenses expiring in the next 30 days.",
-      SpreadsheetApp.getUi().ButtonSet.OK
+      ui.ButtonSet.OK
     );
   }
 }
@@ -1232,595 +1344,499 @@ function getBMIStatus(bmi) {
 
 /**
  * Generate 200 sample guard records for testing
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
  */
-function generateSampleGuards() {
-  try {
-    const ss = getSpreadsheet();
-    const guardsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.GUARDS);
-    const documentsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.DOCUMENTS);
-    let healthSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.HEALTH);
-
-    if (!guardsSheet || !documentsSheet) {
-      throw new Error(
-        "Guards or Documents sheet not found. Run setupSheets() first."
-      );
-    }
-
-    // Create Health Records sheet if it doesn't exist
-    if (!healthSheet) {
-      healthSheet = createOrGetSheet(CONFIG.SHEET_NAMES.HEALTH, [
-        "Guard ID",
-        "Guard Name",
-        "Date",
-        "Height (cm)",
-        "Weight (kg)",
-        "BMI",
-        "Status",
-        "Notes",
-      ]);
-    }
-
-    // Sample data arrays
-    const firstNames = [
-      "Juan",
-      "Maria",
-      "Jose",
-      "Ana",
-      "Pedro",
-      "Rosa",
-      "Miguel",
-      "Carmen",
-      "Antonio",
-      "Sofia",
-      "Carlos",
-      "Isabella",
-      "Luis",
-      "Elena",
-      "Diego",
-      "Lucia",
-      "Fernando",
-      "Victoria",
-      "Rafael",
-      "Gabriela",
-      "Roberto",
-      "Camila",
-      "Manuel",
-      "Valentina",
-      "Jorge",
-      "Natalia",
-      "Ricardo",
-      "Andrea",
-      "Alejandro",
-      "Paula",
-    ];
-
-    const middleNames = [
-      "Santos",
-      "Cruz",
-      "Reyes",
-      "Ramos",
-      "Flores",
-      "Torres",
-      "Rivera",
-      "Gomez",
-      "Morales",
-      "Castro",
-      "Garcia",
-      "Martinez",
-      "Rodriguez",
-      "Lopez",
-      "Gonzalez",
-      "Perez",
-      "Sanchez",
-      "Ramirez",
-      "Diaz",
-      "Fernandez",
-    ];
-
-    const lastNames = [
-      "Dela Cruz",
-      "Santos",
-      "Reyes",
-      "Bautista",
-      "Garcia",
-      "Mendoza",
-      "Fernandez",
-      "Torres",
-      "Gonzales",
-      "Ramos",
-      "Flores",
-      "Rivera",
-      "Castro",
-      "Gomez",
-      "Morales",
-      "Aquino",
-      "Villanueva",
-      "Santiago",
-      "Lopez",
-      "Martinez",
-    ];
-
-    const suffixes = ["", "", "", "", "Jr.", "Sr.", "III", "", "", ""]; // Mostly empty
-    const statuses = [
-      "Active",
-      "Active",
-      "Active",
-      "Active",
-      "Active",
-      "Return To Agency",
-      "Banned",
-    ];
-
-    const guardRows = [];
-    const documentRows = [];
-    const healthRows = [];
-
-    Logger.log("Generating 200 sample guards...");
-
-    for (let i = 0; i < 200; i++) {
-      const guardId =
-        "GRD" +
-        Utilities.formatDate(
-          new Date(Date.now() - (200 - i) * 3600000),
-          Session.getScriptTimeZone(),
-          "yyyyMMddHHmmss"
+function generateSampleGuards(sessionToken, csrfToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const guardsRepo = getRepository("GUARDS");
+      const documentsRepo = getRepository("DOCUMENTS");
+      const healthRepo = getRepository("HEALTH"); // Created on insert if it doesn't exist
+
+      if (!guardsRepo.exists() || !documentsRepo.exists()) {
+        throw new Error(
+          "Guards or Documents sheet not found. Run setupSheets() first."
         );
+      }
 
-      // Random personal info
-      const firstName =
-        firstNames[Math.floor(Math.random() * firstNames.length)];
-      const middleName =
-        middleNames[Math.floor(Math.random() * middleNames.length)];
-      const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
-      const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
-      const status = statuses[Math.floor(Math.random() * statuses.length)];
-
-      // Random dates
-      const dobYear = 1975 + Math.floor(Math.random() * 25); // Born between 1975-2000
-      const dobMonth = Math.floor(Math.random() * 12);
-      const dobDay = 1 + Math.floor(Math.random() * 28);
-      const dob = new Date(dobYear, dobMonth, dobDay);
-      const dobStr = Utilities.formatDate(
-        dob,
-        Session.getScriptTimeZone(),
-        "MMM dd, yyyy"
-      );
+      // Sample data arrays
+      const firstNames = [
+        "Juan",
+        "Maria",
+        "Jose",
+        "Ana",
+        "Pedro",
+        "Rosa",
+        "Miguel",
+        "Carmen",
+        "Antonio",
+        "Sofia",
+        "Carlos",
+        "Isabella",
+        "Luis",
+        "Elena",
+        "Diego",
+        "Lucia",
+        "Fernando",
+        "Victoria",
+        "Rafael",
+        "Gabriela",
+        "Roberto",
+        "Camila",
+        "Manuel",
+        "Valentina",
+        "Jorge",
+        "Natalia",
+        "Ricardo",
+        "Andrea",
+        "Alejandro",
+        "Paula",
+      ];
+
+      const middleNames = [
+        "Santos",
+        "Cruz",
+        "Reyes",
+        "Ramos",
+        "Flores",
+        "Torres",
+        "Rivera",
+        "Gomez",
+        "Morales",
+        "Castro",
+        "Garcia",
+        "Martinez",
+        "Rodriguez",
+        "Lopez",
+        "Gonzalez",
+        "Perez",
+        "Sanchez",
+        "Ramirez",
+        "Diaz",
+        "Fernandez",
+      ];
+
+      const lastNames = [
+        "Dela Cruz",
+        "Santos",
+        "Reyes",
+        "Bautista",
+        "Garcia",
+        "Mendoza",
+        "Fernandez",
+        "Torres",
+        "Gonzales",
+        "Ramos",
+        "Flores",
+        "Rivera",
+        "Castro",
+        "Gomez",
+        "Morales",
+        "Aquino",
+        "Villanueva",
+        "Santiago",
+        "Lopez",
+        "Martinez",
+      ];
+
+      const suffixes = ["", "", "", "", "Jr.", "Sr.", "III", "", "", ""]; // Mostly empty
+      const statuses = [
+        "Active",
+        "Active",
+        "Active",
+        "Active",
+        "Active",
+        "Return To Agency",
+        "Banned",
+      ];
+
+      const guardRows = [];
+      const documentRows = [];
+      const healthRows = [];
+
+      Logger.log("Generating 200 sample guards...");
+
+      for (let i = 0; i < 200; i++) {
+        const guardId = generateUniqueId("GRD");
+
+        // Random personal info
+        const firstName =
+          firstNames[Math.floor(Math.random() * firstNames.length)];
+        const middleName =
+          middleNames[Math.floor(Math.random() * middleNames.length)];
+        const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
+        const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+        const status = statuses[Math.floor(Math.random() * statuses.length)];
+
+        // Random dates
+        const dobYear = 1975 + Math.floor(Math.random() * 25); // Born between 1975-2000
+        const dobMonth = Math.floor(Math.random() * 12);
+        const dobDay = 1 + Math.floor(Math.random() * 28);
+        const dob = new Date(dobYear, dobMonth, dobDay);
+
+        // Hired date (last 5 years)
+        const hiredYear = 2019 + Math.floor(Math.random() * 6);
+        const hiredMonth = Math.floor(Math.random() * 12);
+        const hiredDay = 1 + Math.floor(Math.random() * 28);
+        const hiredDate = new Date(hiredYear, hiredMonth, hiredDay);
+
+        // End of contract (50% chance of having one)
+        let endOfContract = "";
+        if (Math.random() > 0.5) {
+          const endYear = 2025 + Math.floor(Math.random() * 3);
+          const endMonth = Math.floor(Math.random() * 12);
+          const endDay = 1 + Math.floor(Math.random() * 28);
+          endOfContract = new Date(endYear, endMonth, endDay);
+        }
 
-      // Hired date (last 5 years)
-      const hiredYear = 2019 + Math.floor(Math.random() * 6);
-      const hiredMonth = Math.floor(Math.random() * 12);
-      const hiredDay = 1 + Math.floor(Math.random() * 28);
-      const hiredDate = new Date(hiredYear, hiredMonth, hiredDay);
-      const hiredDateStr = Utilities.formatDate(
-        hiredDate,
-        Session.getScriptTimeZone(),
-        "MMM dd, yyyy"
-      );
+        // Add guard row
+        guardRows.push({
+          guardId: guardId,
+          firstName: firstName,
+          middleName: middleName,
+          lastName: lastName,
+          suffix: suffix,
+          dateOfBirth: dob,
+          hiredDate: hiredDate,
+          endOfContractDate: endOfContract,
+          status: status,
+          ...nextVersionStamp(null, "System"),
+        });
+
+        // Full name for documents
+        const fullName = [firstName, middleName, lastName, suffix]
+          .filter(Boolean)
+          .join(" ");
 
-      // End of contract (50% chance of having one)
-      let endOfContract = "";
-      if (Math.random() > 0.5) {
-        const endYear = 2025 + Math.floor(Math.random() * 3);
-        const endMonth = Math.floor(Math.random() * 12);
-        const endDay = 1 + Math.floor(Math.random() * 28);
-        const endDate = new Date(endYear, endMonth, endDay);
-        endOfContract = Utilities.formatDate(
-          endDate,
-          Session.getScriptTimeZone(),
-          "MMM dd, yyyy"
-        );
-      }
+        // License number
+        const licenseNumber =
+          "LIC-" + (100000 + Math.floor(Math.random() * 900000));
 
-      // Add guard row
-      guardRows.push([
-        guardId,
-        firstName,
-        middleName,
-        lastName,
-        suffix,
-        dobStr,
-        hiredDateStr,
-        endOfContract,
-        status,
-      ]);
-
-      // Full name for documents
-      const fullName = [firstName, middleName, lastName, suffix]
-        .filter(Boolean)
-        .join(" ");
-
-      // License number
-      const licenseNumber =
-        "LIC-" + (100000 + Math.floor(Math.random() * 900000));
-
-      // Document expiry dates - varied to create Good/Nearly Expire/Expired statuses
-      const randomDays = Math.floor(Math.random() * 365) - 180; // -180 to +185 days from today
-
-      const licenseExpiry = new Date(
-        Date.now() + randomDays * 24 * 60 * 60 * 1000
-      );
-      const policeClearance = new Date(
-        Date.now() +
-          (randomDays + Math.floor(Math.random() * 90)) * 24 * 60 * 60 * 1000
-      );
-      const nbiClearance = new Date(
-        Date.now() +
-          (randomDays - Math.floor(Math.random() * 60)) * 24 * 60 * 60 * 1000
-      );
-      const drugTest = new Date(
-        Date.now() +
-          (randomDays + Math.floor(Math.random() * 120)) * 24 * 60 * 60 * 1000
-      );
-      const neuroExam = new Date(
-        Date.now() +
-          (randomDays - Math.floor(Math.random() * 90)) * 24 * 60 * 60 * 1000
-      );
+        // Document expiry dates - varied to create Good/Nearly Expire/Expired statuses
+        const randomDays = Math.floor(Math.random() * 365) - 180; // -180 to +185 days from today
 
-      const formatDate = (date) =>
-        Utilities.formatDate(date, Session.getScriptTimeZone(), "MMM dd, yyyy");
+        const daysFromToday = (days) => {
+          const date = getTodayDate();
+          date.setDate(date.getDate() + days);
+          return date;
+        };
 
-      // Add document row
-      documentRows.push([
-        guardId,
-        fullName,
-        licenseNumber,
-        formatDate(licenseExpiry),
-        formatDate(policeClearance),
-        formatDate(nbiClearance),
-        formatDate(drugTest),
-        formatDate(neuroExam),
-      ]);
-
-      // Generate health records (90% of guards have health data)
-      if (Math.random() > 0.1) {
-        // Realistic Filipino height range: 155cm - 180cm
-        const heightCm = 155 + Math.floor(Math.random() * 25);
-
-        // Realistic weight range: 50kg - 90kg
-        const weightKg = 50 + Math.floor(Math.random() * 40);
-
-        // Calculate BMI
-        const bmi = calculateBMI(heightCm, weightKg);
-        const bmiStatus = getBMIStatus(bmi);
-
-        // Health notes (30% chance of having notes)
-        const healthNotes =
-          Math.random() > 0.7
-            ? [
-                "Regular checkup completed",
-                "Cleared for duty",
-                "No medical concerns",
-                "Fit for active duty",
-                "Good physical condition",
-              ][Math.floor(Math.random() * 5)]
-            : "";
-
-        const currentDate = Utilities.formatDate(
-          new Date(),
-          Session.getScriptTimeZone(),
-          "MMM dd, yyyy"
+        const licenseExpiry = daysFromToday(randomDays);
+        const policeClearance = daysFromToday(
+          randomDays + Math.floor(Math.random() * 90)
+        );
+        const nbiClearance = daysFromToday(
+          randomDays - Math.floor(Math.random() * 60)
+        );
+        const drugTest = daysFromToday(
+          randomDays + Math.floor(Math.random() * 120)
+        );
+        const neuroExam = daysFromToday(
+          randomDays - Math.floor(Math.random() * 90)
         );
 
-        // Add health record row
-        healthRows.push([
-          guardId,
-          fullName,
-          currentDate,
-          heightCm,
-          weightKg,
-          bmi,
-          bmiStatus,
-          healthNotes,
-        ]);
-      }
+        // Add document row
+        documentRows.push({
+          guardId: guardId,
+          guardName: fullName,
+          licenseNumber: licenseNumber,
+          licenseExpiry: licenseExpiry,
+          policeClearance: policeClearance,
+          nbiClearance: nbiClearance,
+          drugTestValidity: drugTest,
+          neuroExamValidity: neuroExam,
+        });
+
+        // Generate health records (90% of guards have health data)
+        if (Math.random() > 0.1) {
+          // Realistic Filipino height range: 155cm - 180cm
+          const heightCm = 155 + Math.floor(Math.random() * 25);
+
+          // Realistic weight range: 50kg - 90kg
+          const weightKg = 50 + Math.floor(Math.random() * 40);
+
+          // Calculate BMI
+          const bmi = calculateBMI(heightCm, weightKg);
+          const bmiStatus = getBMIStatus(bmi);
+
+          // Health notes (30% chance of having notes)
+          const healthNotes =
+            Math.random() > 0.7
+              ? [
+                  "Regular checkup completed",
+                  "Cleared for duty",
+                  "No medical concerns",
+                  "Fit for active duty",
+                  "Good physical condition",
+                ][Math.floor(Math.random() * 5)]
+              : "";
+
+          const currentDate = getTodayDate();
+
+          // Add health record row
+          healthRows.push({
+            guardId: guardId,
+            guardName: fullName,
+            date: currentDate,
+            height: heightCm,
+            weight: weightKg,
+            bmi: bmi,
+            status: bmiStatus,
+            notes: healthNotes,
+          });
+        }
 
-      // Log progress every 50 records
-      if ((i + 1) % 50 === 0) {
-        Logger.log(`Generated ${i + 1} guards...`);
+        // Log progress every 50 records
+        if ((i + 1) % 50 === 0) {
+          Logger.log(`Generated ${i + 1} guards...`);
+        }
       }
-    }
 
-    // Batch insert all guards at once (much faster than individual inserts)
-    Logger.log("Inserting guards into sheet...");
-    guardsSheet
-      .getRange(
-        guardsSheet.getLastRow() + 1,
-        1,
-        guardRows.length,
-        guardRows[0].length
-      )
-      .setValues(guardRows);
-
-    Logger.log("Inserting documents into sheet...");
-    documentsSheet
-      .getRange(
-        documentsSheet.getLastRow() + 1,
-        1,
-        documentRows.length,
-        documentRows[0].length
-      )
-      .setValues(documentRows);
-
-    Logger.log("Inserting health records into sheet...");
-    if (healthRows.length > 0) {
-      healthSheet
-        .getRange(
-          healthSheet.getLastRow() + 1,
-          1,
-          healthRows.length,
-          healthRows[0].length
-        )
-        .setValues(healthRows);
-    }
+      // Batch insert all guards at once (much faster than individual inserts)
+      Logger.log("Inserting guards into sheet...");
+      guardsRepo.insertMany(guardRows);
 
-    Logger.log(
-      `Done! Successfully generated 200 sample guards with ${healthRows.length} health records.`
-    );
+      Logger.log("Inserting documents into sheet...");
+      documentsRepo.insertMany(documentRows);
 
-    return {
-      success: true,
-      message: `200 sample guards created successfully with ${healthRows.length} health records!`,
-      count: 200,
-      healthRecords: healthRows.length,
-    };
-  } catch (error) {
-    Logger.log("Error generating sample guards: " + error.message);
-    return {
-      success: false,
-      message: "Error: " + error.message,
-    };
-  }
+      Logger.log("Inserting health records into sheet...");
+      healthRepo.insertMany(healthRows);
+      invalidateCache_(["GUARDS", "DOCUMENTS", "HEALTH"]);
+
+      Logger.log(
+        `Done! Successfully generated 200 sample guards with ${healthRows.length} health records.`
+      );
+
+      return {
+        success: true,
+        message: `200 sample guards created successfully with ${healthRows.length} health records!`,
+        count: 200,
+        healthRecords: healthRows.length,
+      };
+    } catch (error) {
+      Logger.log("Error generating sample guards: " + error.message);
+      return {
+        success: false,
+        message: "Error: " + error.message,
+      };
+    }
+  });
 }
 
 /**
  * Generate 2000 sample performance records (violations and accomplishments)
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
  */
-function generateSamplePerformance() {
-  try {
-    const ss = getSpreadsheet();
-    const performanceSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
-    const guardsSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.GUARDS);
-    const violationTypesSheet = ss.getSheetByName(
-      CONFIG.SHEET_NAMES.VIOLATION_TYPES
-    );
-    const sanctionsSheet = ss.getSheetByName(
-      CONFIG.SHEET_NAMES.VIOLATION_SANCTIONS
-    );
-
-    if (!performanceSheet || !guardsSheet) {
-      throw new Error(
-        "Performance or Guards sheet not found. Run setupSheets() first."
-      );
-    }
+function generateSamplePerformance(sessionToken, csrfToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const performanceRepo = getRepository("PERFORMANCE");
+      const guardsRepo = getRepository("GUARDS");
+
+      if (!performanceRepo.exists() || !guardsRepo.exists()) {
+        throw new Error(
+          "Performance or Guards sheet not found. Run setupSheets() first."
+        );
+      }
 
-    // Get all active guards
-    const guardsData = guardsSheet.getDataRange().getValues();
-    const activeGuards = [];
-
-    for (let i = 1; i < guardsData.length; i++) {
-      if (guardsData[i][8] === "Active") {
-        // Status column
-        const guardId = guardsData[i][0];
-        const guardName = [
-          guardsData[i][1], // firstName
-          guardsData[i][2], // middleName
-          guardsData[i][3], // lastName
-          guardsData[i][4], // suffix
-        ]
-          .filter(Boolean)
-          .join(" ");
+      // Get all active guards
+      const activeGuards = guardsRepo
+        .findAll((guard) => guard.status === "Active" && !isSoftDeleted(guard))
+        .map((guard) => ({ id: guard.guardId, name: buildGuardFullName(guard) }));
 
-        activeGuards.push({ id: guardId, name: guardName });
+      if (activeGuards.length === 0) {
+        throw new Error("No active guards found. Generate sample guards first.");
       }
-    }
 
-    if (activeGuards.length === 0) {
-      throw new Error("No active guards found. Generate sample guards first.");
-    }
+      // Get violation types
+      const violationTypes = getRepository("VIOLATION_TYPES")
+        .findAll()
+        .map((violationType) => ({ id: violationType.id, name: violationType.name }));
+
+      // Default violation types if none exist (not linked to master data)
+      if (violationTypes.length === 0) {
+        violationTypes.push(
+          ...[
+            "Late Arrival",
+            "Unauthorized Absence",
+            "Sleeping on Duty",
+            "Improper Uniform",
+            "Failure to Report Incident",
+            "Negligence",
+            "Insubordination",
+            "Use of Mobile Phone on Duty",
+            "Abandonment of Post",
+            "Poor Conduct",
+          ].map((name) => ({ id: "", name: name }))
+        );
+      }
 
-    // Get violation types
-    const violationTypes = [];
-    if (violationTypesSheet && violationTypesSheet.getLastRow() > 1) {
-      const violationData = violationTypesSheet
-        .getRange(2, 1, violationTypesSheet.getLastRow() - 1, 2)
-        .getValues();
-      for (let i = 0; i < violationData.length; i++) {
-        if (violationData[i][0]) {
-          violationTypes.push(violationData[i][1]); // Violation name
-        }
+      // Get sanctions
+      const sanctions = getRepository("VIOLATION_SANCTIONS")
+        .findAll()
+        .map((sanction) => ({ id: sanction.id, name: sanction.name }));
+
+      // Default sanctions if none exist (not linked to master data)
+      if (sanctions.length === 0) {
+        sanctions.push(
+          ...[
+            "Verbal Warning",
+            "Written Warning",
+            "Suspension (1 day)",
+            "Suspension (3 days)",
+            "Suspension (7 days)",
+            "Final Warning",
+            "Termination",
+          ].map((name) => ({ id: "", name: name }))
+        );
       }
-    }
 
-    // Default violation types if none exist
-    if (violationTypes.length === 0) {
-      violationTypes.push(
-        "Late Arrival",
-        "Unauthorized Absence",
-        "Sleeping on Duty",
-        "Improper Uniform",
-        "Failure to Report Incident",
-        "Negligence",
-        "Insubordination",
-        "Use of Mobile Phone on Duty",
-        "Abandonment of Post",
-        "Poor Conduct"
-      );
-    }
+      // Sample accomplishment descriptions
+      const accomplishments = [
+        "Prevented unauthorized entry",
+        "Detected security breach",
+        "Assisted in emergency situation",
+        "Excellent customer service",
+        "Identified suspicious activity",
+        "Successfully handled conflict",
+        "Maintained perfect attendance",
+        "Received commendation from client",
+        "Completed additional training",
+        "Demonstrated leadership",
+        "Quick response to incident",
+        "Property recovery",
+        "First aid assistance",
+        "Fire safety response",
+        "Outstanding performance",
+        "Team coordination excellence",
+        "Professional conduct commendation",
+        "Initiative and proactivity",
+        "Problem-solving excellence",
+        "Client appreciation",
+      ];
+
+      const performanceRows = [];
+
+      Logger.log("Generating 2000 sample performance records...");
+
+      // Generate records over the past 12 months
+      const today = new Date();
+      const oneYearAgo = new Date(today.getTime() - 365 * 24 * 60 * 60 * 1000);
+
+      for (let i = 0; i < 2000; i++) {
+        // Random guard
+        const guard =
+          activeGuards[Math.floor(Math.random() * activeGuards.length)];
+
+        // 30% accomplishments, 70% violations (realistic ratio)
+        const isAccomplishment = Math.random() < 0.3;
+        const type = isAccomplishment ? "Accomplishment" : "Violation";
+
+        // Random date within past year
+        const randomTime =
+          oneYearAgo.getTime() +
+          Math.random() * (today.getTime() - oneYearAgo.getTime());
+        const recordDate = new Date(randomTime);
+        recordDate.setHours(0, 0, 0, 0);
+
+        // Generate record ID
+        const recordId = generateUniqueId("PERF");
+
+        let violationType = { id: "", name: "" };
+        let description = "";
+        let sanction = { id: "", name: "" };
+
+        if (isAccomplishment) {
+          description =
+            accomplishments[Math.floor(Math.random() * accomplishments.length)];
+        } else {
+          violationType =
+            violationTypes[Math.floor(Math.random() * violationTypes.length)];
+
+          // Generate description based on violation type
+          const violationName = violationType.name.toLowerCase();
+          const descriptionTemplates = [
+            `Failed to comply with ${violationName} policy`,
+            `Reported incident of ${violationName}`,
+            `Multiple instances of ${violationName}`,
+            `Documented case of ${violationName}`,
+            `Witnessed engaging in ${violationName}`,
+          ];
 
-    // Get sanctions
-    const sanctions = [];
-    if (sanctionsSheet && sanctionsSheet.getLastRow() > 1) {
-      const sanctionData = sanctionsSheet
-        .getRange(2, 1, sanctionsSheet.getLastRow() - 1, 2)
-        .getValues();
-      for (let i = 0; i < sanctionData.length; i++) {
-        if (sanctionData[i][0]) {
-          sanctions.push(sanctionData[i][1]); // Sanction name
+          description =
+            descriptionTemplates[
+              Math.floor(Math.random() * descriptionTemplates.length)
+            ];
+          sanction = sanctions[Math.floor(Math.random() * sanctions.length)];
+        }
+
+        // Add performance record row
+        performanceRows.push({
+          recordId: recordId,
+          guardId: guard.id,
+          guardName: guard.name,
+          type: type,
+          typeOfViolation: violationType.name,
+          violationTypeId: violationType.id,
+          shortDescription: description,
+          date: recordDate,
+          violationSanction: sanction.name,
+          violationSanctionId: sanction.id,
+          pdfLink: "", // PDF Link - empty for sample data
+          ...nextVersionStamp(null, "System"),
+        });
+
+        // Log progress every 200 records
+        if ((i + 1) % 200 === 0) {
+          Logger.log(`Generated ${i + 1} performance records...`);
         }
       }
-    }
 
-    // Default sanctions if none exist
-    if (sanctions.length === 0) {
-      sanctions.push(
-        "Verbal Warning",
-        "Written Warning",
-        "Suspension (1 day)",
-        "Suspension (3 days)",
-        "Suspension (7 days)",
-        "Final Warning",
-        "Termination"
-      );
-    }
+      // Sort by date descending (most recent first)
+      performanceRows.sort((a, b) => b.date - a.date);
 
-    // Sample accomplishment descriptions
-    const accomplishments = [
-      "Prevented unauthorized entry",
-      "Detected security breach",
-      "Assisted in emergency situation",
-      "Excellent customer service",
-      "Identified suspicious activity",
-      "Successfully handled conflict",
-      "Maintained perfect attendance",
-      "Received commendation from client",
-      "Completed additional training",
-      "Demonstrated leadership",
-      "Quick response to incident",
-      "Property recovery",
-      "First aid assistance",
-      "Fire safety response",
-      "Outstanding performance",
-      "Team coordination excellence",
-      "Professional conduct commendation",
-      "Initiative and proactivity",
-      "Problem-solving excellence",
-      "Client appreciation",
-    ];
-
-    const performanceRows = [];
-
-    Logger.log("Generating 2000 sample performance records...");
-
-    // Generate records over the past 12 months
-    const today = new Date();
-    const oneYearAgo = new Date(today.getTime() - 365 * 24 * 60 * 60 * 1000);
-
-    for (let i = 0; i < 2000; i++) {
-      // Random guard
-      const guard =
-        activeGuards[Math.floor(Math.random() * activeGuards.length)];
-
-      // 30% accomplishments, 70% violations (realistic ratio)
-      const isAccomplishment = Math.random() < 0.3;
-      const type = isAccomplishment ? "Accomplishment" : "Violation";
-
-      // Random date within past year
-      const randomTime =
-        oneYearAgo.getTime() +
-        Math.random() * (today.getTime() - oneYearAgo.getTime());
-      const recordDate = Utilities.formatDate(
-        new Date(randomTime),
-        Session.getScriptTimeZone(),
-        "MMM dd, yyyy"
-      );
+      // Batch insert all records at once (much faster than individual inserts)
+      Logger.log("Inserting performance records into sheet...");
+      performanceRepo.insertMany(performanceRows);
+      invalidateCache_(["PERFORMANCE"]);
 
-      // Generate record ID
-      const recordId =
-        "PRF" +
-        Utilities.formatDate(
-          new Date(Date.now() - (2000 - i) * 1000),
-          Session.getScriptTimeZone(),
-          "yyyyMMddHHmmss"
-        );
+      // Count violations vs accomplishments
+      const violationCount = performanceRows.filter(
+        (row) => row.type === "Violation"
+      ).length;
+      const accomplishmentCount = performanceRows.filter(
+        (row) => row.type === "Accomplishment"
+      ).length;
 
-      let violationType = "";
-      let description = "";
-      let sanction = "";
-
-      if (isAccomplishment) {
-        description =
-          accomplishments[Math.floor(Math.random() * accomplishments.length)];
-      } else {
-        violationType =
-          violationTypes[Math.floor(Math.random() * violationTypes.length)];
-
-        // Generate description based on violation type
-        const descriptionTemplates = [
-          `Failed to comply with ${violationType.toLowerCase()} policy`,
-          `Reported incident of ${violationType.toLowerCase()}`,
-          `Multiple instances of ${violationType.toLowerCase()}`,
-          `Documented case of ${violationType.toLowerCase()}`,
-          `Witnessed engaging in ${violationType.toLowerCase()}`,
-        ];
-
-        description =
-          descriptionTemplates[
-            Math.floor(Math.random() * descriptionTemplates.length)
-          ];
-        sanction = sanctions[Math.floor(Math.random() * sanctions.length)];
-      }
+      Logger.log(
+        `Done! Successfully generated 2000 performance records (${violationCount} violations, ${accomplishmentCount} accomplishments).`
+      );
 
-      // Add performance record row
-      performanceRows.push([
-        recordId,
-        guard.id,
-        guard.name,
-        type,
-        violationType,
-        description,
-        recordDate,
-        sanction,
-        "", // PDF Link - empty for sample data
-      ]);
-
-      // Log progress every 200 records
-      if ((i + 1) % 200 === 0) {
-        Logger.log(`Generated ${i + 1} performance records...`);
-      }
+      return {
+        success: true,
+        message: `2000 performance records created successfully! (${violationCount} violations, ${accomplishmentCount} accomplishments)`,
+        count: 2000,
+        violations: violationCount,
+        accomplishments: accomplishmentCount,
+      };
+    } catch (error) {
+      Logger.log("Error generating sample performance records: " + error.message);
+      return {
+        success: false,
+        message: "Error: " + error.message,
+      };
     }
-
-    // Sort by date descending (most recent first)
-    performanceRows.sort((a, b) => {
-      const dateA = new Date(a[6]);
-      const dateB = new Date(b[6]);
-      return dateB - dateA;
-    });
-
-    // Batch insert all records at once (much faster than individual inserts)
-    Logger.log("Inserting performance records into sheet...");
-    performanceSheet
-      .getRange(
-        performanceSheet.getLastRow() + 1,
-        1,
-        performanceRows.length,
-        performanceRows[0].length
-      )
-      .setValues(performanceRows);
-
-    // Count violations vs accomplishments
-    const violationCount = performanceRows.filter(
-      (row) => row[3] === "Violation"
-    ).length;
-    const accomplishmentCount = performanceRows.filter(
-      (row) => row[3] === "Accomplishment"
-    ).length;
-
-    Logger.log(
-      `Done! Successfully generated 2000 performance records (${violationCount} violations, ${accomplishmentCount} accomplishments).`
-    );
-
-    return {
-      success: true,
-      message: `2000 performance records created successfully! (${violationCount} violations, ${accomplishmentCount} accomplishments)`,
-      count: 2000,
-      violations: violationCount,
-      accomplishments: accomplishmentCount,
-    };
-  } catch (error) {
-    Logger.log("Error generating sample performance records: " + error.message);
-    return {
-      success: false,
-      message: "Error: " + error.message,
-    };
-  }
+  });
 }
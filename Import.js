@@ -0,0 +1,268 @@
+/**
+ * Guard Monitoring System - Bulk Guard Import
+ * CSV import of guard personal data, document expiries and health measurements
+ * Functions: importGuardsFromCsv, getGuardImportTemplate
+ */
+
+/**
+ * CSV columns accepted by the guard import, in template order
+ * Columns are matched by header (or field name), ignoring case, spaces and punctuation.
+ */
+const GUARD_IMPORT_COLUMNS = [
+  { field: 'firstName', header: 'First Name', example: 'Juan' },
+  { field: 'middleName', header: 'Middle Name', example: 'Santos' },
+  { field: 'lastName', header: 'Last Name', example: 'Dela Cruz' },
+  { field: 'suffix', header: 'Suffix', example: '' },
+  { field: 'dateOfBirth', header: 'Date of Birth', example: '1990-01-15' },
+  { field: 'hiredDate', header: 'Hired Date', example: '2024-03-01' },
+  { field: 'endOfContractDate', header: 'End of Contract Date', example: '2025-02-28' },
+  { field: 'status', header: 'Status', example: 'Active' },
+  { field: 'licenseNumber', header: 'License Number', example: 'LIC-2024-0001' },
+  { field: 'licenseExpiry', header: 'License Expiry', example: '2026-03-01' },
+  { field: 'policeClearance', header: 'National Police Clearance', example: '2025-06-30' },
+  { field: 'nbiClearance', header: 'NBI Clearance', example: '2025-06-30' },
+  { field: 'drugTestValidity', header: 'Drug Test Validity', example: '2025-03-01' },
+  { field: 'neuroExamValidity', header: 'Neuro Exam Validity', example: '2025-03-01' },
+  { field: 'height', header: 'Height (cm)', example: '170' },
+  { field: 'weight', header: 'Weight (kg)', example: '68' },
+  { field: 'healthNotes', header: 'Health Notes', example: '' }
+];
+
+/**
+ * Import guards from CSV text
+ * Every row is validated the way addGuard validates a single guard, and rows that
+ * duplicate an existing guard (or an earlier row) by name and date of birth are rejected.
+ * With dryRun nothing is written and the per-row preview is returned. Otherwise the
+ * import is refused while any row has errors, unless skipInvalid is set, in which case
+ * only the valid rows are written. All rows are written in batches with one audit entry.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} csvText - CSV text with a header row
+ * @param {Object} options - Optional { dryRun: boolean, skipInvalid: boolean }
+ * @returns {Object} Result with per-row errors, counts and (after a commit) importedCount
+ */
+function importGuardsFromCsv(sessionToken, csrfToken, csvText, options) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'guards.import')) return buildPermissionDeniedResult_('guards.import', sessionUser);
+  const username = sessionUser.username;
+  const dryRun = !!(options && options.dryRun);
+  const skipInvalid = !!(options && options.skipInvalid);
+
+  const run = () => {
+    try {
+      const parsed = parseGuardImportCsv_(csvText);
+      const rows = validateGuardImportRows_(parsed.rows);
+      const validRows = rows.filter(row => row.errors.length === 0);
+
+      const result = {
+        success: true,
+        dryRun: dryRun,
+        total: rows.length,
+        validCount: validRows.length,
+        errorCount: rows.length - validRows.length,
+        ignoredColumns: parsed.ignoredColumns,
+        rows: rows.map(row => ({ rowNumber: row.rowNumber, name: row.name, errors: row.errors }))
+      };
+
+      if (dryRun) {
+        result.message = `${result.validCount} of ${result.total} row(s) ready to import` +
+          (result.errorCount > 0 ? `, ${result.errorCount} with errors` : '');
+        return result;
+      }
+
+      if (result.errorCount > 0 && !skipInvalid) {
+        result.success = false;
+        result.message = `${result.errorCount} row(s) have errors. Fix them or import only the valid rows.`;
+        return result;
+      }
+
+      if (validRows.length === 0) {
+        result.success = false;
+        result.message = 'No valid rows to import';
+        return result;
+      }
+
+      result.importedCount = writeGuardImportRows_(validRows, username);
+
+      const skipped = result.errorCount > 0 ? `, skipped ${result.errorCount} row(s) with errors` : '';
+      logAudit_(username, 'Import', 'Guard', `${result.importedCount} guards`, `Imported ${result.importedCount} guards from CSV` + skipped);
+
+      result.message = `Imported ${result.importedCount} guard(s)` + skipped;
+      return result;
+    } catch (error) {
+      Logger.log('Error importing guards: ' + error.message);
+      return {
+        success: false,
+        message: 'Error importing guards: ' + error.message
+      };
+    }
+  };
+
+  // A preview only reads, so it does not need the write lock
+  return dryRun ? run() : withWriteLock(run);
+}
+
+/**
+ * Get a CSV template with the import header row and one example guard
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result with fileName and csv text
+ */
+function getGuardImportTemplate(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'guards.import')) return buildPermissionDeniedResult_('guards.import', sessionUser);
+
+  const quote = value => /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+  const lines = [
+    GUARD_IMPORT_COLUMNS.map(column => quote(column.header)).join(','),
+    GUARD_IMPORT_COLUMNS.map(column => quote(column.example)).join(',')
+  ];
+
+  return {
+    success: true,
+    fileName: 'guard-import-template.csv',
+    csv: lines.join('\n')
+  };
+}
+
+/**
+ * Parse import CSV text into guard data objects
+ * @param {string} csvText - CSV text with a header row
+ * @returns {Object} { rows: [{ rowNumber, data }], ignoredColumns: [header] }
+ * @throws {Error} When the header row is unusable or there are no or too many rows
+ */
+function parseGuardImportCsv_(csvText) {
+  const text = String(csvText || '').replace(/^\uFEFF/, '');
+  if (!text.trim()) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const values = Utilities.parseCsv(text);
+  const normalize = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  // Map each CSV column to an import field by header or field name
+  const columnFields = [];
+  const ignoredColumns = [];
+  values[0].forEach((header, index) => {
+    const key = normalize(header);
+    const column = GUARD_IMPORT_COLUMNS.find(candidate =>
+      normalize(candidate.header) === key || normalize(candidate.field) === key);
+    if (column && columnFields.indexOf(column.field) === -1) {
+      columnFields[index] = column.field;
+    } else if (key) {
+      ignoredColumns.push(String(header));
+    }
+  });
+
+  const missing = ['firstName', 'lastName'].filter(field => columnFields.indexOf(field) === -1);
+  if (missing.length > 0) {
+    throw new Error('Missing required column(s): ' +
+      missing.map(field => GUARD_IMPORT_COLUMNS.find(column => column.field === field).header).join(', '));
+  }
+
+  const rows = [];
+  values.slice(1).forEach((cells, index) => {
+    if (cells.every(cell => !String(cell).trim())) return;
+
+    const data = {};
+    columnFields.forEach((field, columnIndex) => {
+      if (field) data[field] = String(cells[columnIndex] === undefined ? '' : cells[columnIndex]).trim();
+    });
+
+    // Accept statuses in any letter case
+    if (data.status) {
+      data.status = CONFIG.GUARD_STATUSES.find(status => status.toLowerCase() === data.status.toLowerCase()) || data.status;
+    }
+
+    rows.push({ rowNumber: index + 2, data: data });
+  });
+
+  if (rows.length === 0) {
+    throw new Error('The CSV file has no guard rows');
+  }
+  if (rows.length > CONFIG.IMPORT.MAX_ROWS) {
+    throw new Error(`Too many rows (${rows.length}); import at most ${CONFIG.IMPORT.MAX_ROWS} guards at a time`);
+  }
+
+  return { rows: rows, ignoredColumns: ignoredColumns };
+}
+
+/**
+ * Validate parsed import rows, including duplicate checks
+ * @param {Array<Object>} rows - Rows from parseGuardImportCsv_
+ * @returns {Array<Object>} Rows with name and errors added
+ */
+function validateGuardImportRows_(rows) {
+  const seen = {};
+  getCachedEntities_('GUARDS').filter(guard => !isSoftDeleted(guard)).forEach(guard => {
+    seen[getGuardImportKey(guard)] = 'an existing guard';
+  });
+
+  return rows.map(row => {
+    const errors = validateGuardData(row.data);
+    const name = buildGuardFullName({
+      firstName: String(row.data.firstName || '').toUpperCase(),
+      middleName: String(row.data.middleName || '').toUpperCase(),
+      lastName: String(row.data.lastName || '').toUpperCase(),
+      suffix: String(row.data.suffix || '').toUpperCase()
+    });
+
+    if (errors.length === 0) {
+      const key = getGuardImportKey(row.data);
+      if (seen[key]) {
+        errors.push('Duplicate of ' + seen[key]);
+      } else {
+        seen[key] = 'row ' + row.rowNumber;
+      }
+    }
+
+    return { rowNumber: row.rowNumber, data: row.data, name: name, errors: errors };
+  });
+}
+
+/**
+ * Build the duplicate-detection key of a guard: full name plus date of birth
+ * @param {Object} guard - Guard entity or import data
+ * @returns {string} Key
+ */
+function getGuardImportKey(guard) {
+  const name = [guard.firstName, guard.middleName, guard.lastName, guard.suffix]
+    .map(part => String(part || '').trim().toUpperCase())
+    .filter(Boolean)
+    .join(' ');
+  return name + '|' + formatInputDate(guard.dateOfBirth);
+}
+
+/**
+ * Write validated import rows to the Guards, Documents and Health Records sheets
+ * @param {Array<Object>} rows - Valid rows from validateGuardImportRows_
+ * @param {string} username - Username performing the action
+ * @returns {number} Number of guards written
+ */
+function writeGuardImportRows_(rows, username) {
+  const guards = [];
+  const documents = [];
+  const health = [];
+
+  rows.forEach(row => {
+    const entities = buildGuardEntities(generateUniqueId('GRD'), row.data, username);
+    guards.push(entities.guard);
+    documents.push(entities.documents);
+    if (entities.health) health.push(entities.health);
+  });
+
+  const insertInBatches = (entity, items) => {
+    const repo = getRepository(entity);
+    for (let i = 0; i < items.length; i += CONFIG.IMPORT.BATCH_SIZE) {
+      repo.insertMany(items.slice(i, i + CONFIG.IMPORT.BATCH_SIZE));
+    }
+  };
+  insertInBatches('GUARDS', guards);
+  insertInBatches('DOCUMENTS', documents);
+  insertInBatches('HEALTH', health);
+
+  invalidateCache_(['GUARDS', 'DOCUMENTS', 'HEALTH']);
+  return guards.length;
+}
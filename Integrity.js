@@ -0,0 +1,442 @@
+/**
+ * Guard Monitoring System - Data Integrity
+ * Cross-sheet consistency scan with selectable automated repairs
+ * Functions: runIntegrityScan, repairIntegrityIssues, showIntegrityReport
+ */
+
+/**
+ * Integrity checks in repair order
+ * Duplicate IDs are fixed before missing Documents rows are created, so guards
+ * that receive a new ID also receive their Documents row in the same run.
+ */
+const INTEGRITY_CHECKS = {
+  duplicateGuardIds: { label: 'Duplicate Guard IDs', repair: 'Give every duplicate after the first a new Guard ID' },
+  missingDocuments: { label: 'Guards without a Documents row', repair: 'Create an empty Documents row' },
+  orphanDocuments: { label: 'Documents rows without a guard', repair: 'Delete the orphaned Documents rows' },
+  orphanHealth: { label: 'Health Records without a guard', repair: 'Delete the orphaned Health Records' },
+  orphanPerformance: { label: 'Performance records without a guard', repair: 'Delete the orphaned performance records' },
+  unknownViolationTypes: { label: 'Violations not linked to a violation type', repair: 'Link them to the type of the same name, re-creating missing types' },
+  unknownSanctions: { label: 'Violations not linked to a sanction', repair: 'Link them to the sanction of the same name, re-creating missing sanctions' },
+  unparseableDates: { label: 'Unparseable dates', repair: 'Clear the unparseable date values' }
+};
+
+/**
+ * Scan every sheet for consistency problems
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result with issueCount and checks: { key: { label, repair, issues: [{ sheet, id, name, message }] } }
+ */
+function runIntegrityScan(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+  return scanIntegrity_();
+}
+
+/**
+ * Run the integrity scan (shared by the client, the menu report and repairs)
+ * @returns {Object} Result as described for runIntegrityScan
+ */
+function scanIntegrity_() {
+  try {
+    const issues = findIntegrityIssues(loadIntegrityData_());
+    const checks = {};
+    let issueCount = 0;
+
+    Object.keys(INTEGRITY_CHECKS).forEach(key => {
+      checks[key] = {
+        label: INTEGRITY_CHECKS[key].label,
+        repair: INTEGRITY_CHECKS[key].repair,
+        issues: issues[key]
+      };
+      issueCount += issues[key].length;
+    });
+
+    return {
+      success: true,
+      scannedAt: formatDateTimeString(new Date()),
+      issueCount: issueCount,
+      checks: checks,
+      message: issueCount === 0 ? 'No integrity problems found' : `Found ${issueCount} integrity problem(s)`
+    };
+  } catch (error) {
+    Logger.log('Error running integrity scan: ' + error.message);
+    return {
+      success: false,
+      message: 'Error running integrity scan: ' + error.message
+    };
+  }
+}
+
+/**
+ * Apply the selected automated repairs
+ * Every repair re-reads the sheets first, and each one that changes data is logged
+ * to the audit trail with the affected IDs.
+ * @param {string} sessionToken - Session token (the user must be an Admin)
+ * @param {string} csrfToken - CSRF token
+ * @param {Array<string>} checks - Keys of INTEGRITY_CHECKS to repair
+ * @returns {Object} Result with repaired counts per check and a fresh scan
+ */
+function repairIntegrityIssues(sessionToken, csrfToken, checks) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      const selected = Object.keys(INTEGRITY_CHECKS).filter(key => (checks || []).indexOf(key) !== -1);
+      if (selected.length === 0) {
+        return {
+          success: false,
+          message: 'Select at least one repair'
+        };
+      }
+
+      const repaired = {};
+      let total = 0;
+      selected.forEach(key => {
+        const result = applyIntegrityRepair_(key, username);
+        repaired[key] = result.count;
+        total += result.count;
+        if (result.count > 0) {
+          logAudit_(username, 'Repair', 'Integrity', INTEGRITY_CHECKS[key].label, truncateAuditDetails(result.details));
+        }
+      });
+
+      invalidateCache_();
+
+      return {
+        success: true,
+        repaired: repaired,
+        scan: scanIntegrity_(),
+        message: `Repaired ${total} issue(s)`
+      };
+    } catch (error) {
+      Logger.log('Error repairing integrity issues: ' + error.message);
+      return {
+        success: false,
+        message: 'Error repairing integrity issues: ' + error.message
+      };
+    }
+  });
+}
+
+/**
+ * Menu handler: show the integrity scan summary
+ */
+function showIntegrityReport() {
+  const ui = SpreadsheetApp.getUi();
+  const scan = scanIntegrity_();
+  if (!scan.success) {
+    ui.alert('Data Integrity', scan.message, ui.ButtonSet.OK);
+    return;
+  }
+
+  const lines = [scan.message, ''];
+  Object.keys(scan.checks).forEach(key => {
+    const check = scan.checks[key];
+    lines.push(`${check.label}: ${check.issues.length}`);
+    check.issues.slice(0, 5).forEach(issue => lines.push('   - ' + issue.message));
+    if (check.issues.length > 5) lines.push(`   ... and ${check.issues.length - 5} more`);
+  });
+  lines.push('', 'Repairs can be applied from Settings > Data Integrity in the web app.');
+
+  ui.alert('Data Integrity', lines.join('\n'), ui.ButtonSet.OK);
+}
+
+/**
+ * Read every entity the checks need, straight from the sheets (never from the cache)
+ * @returns {Object} Map of entity key -> entities
+ */
+function loadIntegrityData_() {
+  const data = {};
+  Object.keys(SHEET_SCHEMAS)
+    .filter(entity => entity !== 'AUDIT_TRAIL')
+    .forEach(entity => {
+      data[entity] = getRepository(entity).findAll();
+    });
+  return data;
+}
+
+/**
+ * Run every check over a data snapshot
+ * @param {Object} data - Snapshot from loadIntegrityData_
+ * @returns {Object} Map of check key -> issues
+ */
+function findIntegrityIssues(data) {
+  const issues = {};
+  Object.keys(INTEGRITY_CHECKS).forEach(key => {
+    issues[key] = [];
+  });
+
+  const guardIds = new Set(data.GUARDS.map(guard => guard.guardId));
+
+  // Guard IDs used by more than one guard
+  const guardsById = {};
+  data.GUARDS.forEach(guard => {
+    (guardsById[guard.guardId] = guardsById[guard.guardId] || []).push(guard);
+  });
+  Object.keys(guardsById).forEach(guardId => {
+    const guards = guardsById[guardId];
+    if (guards.length < 2) return;
+    issues.duplicateGuardIds.push({
+      sheet: CONFIG.SHEET_NAMES.GUARDS,
+      id: guardId,
+      name: guards.map(buildGuardFullName).join(', '),
+      message: `Guard ID ${guardId} is used by ${guards.length} guards`
+    });
+  });
+
+  // Guards with no Documents row
+  const documentIds = new Set(data.DOCUMENTS.map(documents => documents.guardId));
+  data.GUARDS.forEach(guard => {
+    if (documentIds.has(guard.guardId)) return;
+    const name = buildGuardFullName(guard);
+    issues.missingDocuments.push({
+      sheet: CONFIG.SHEET_NAMES.GUARDS,
+      id: guard.guardId,
+      name: name,
+      message: `${name} (${guard.guardId}) has no Documents row`
+    });
+  });
+
+  // Rows that belong to a guard that no longer exists
+  const orphanChecks = {
+    orphanDocuments: 'DOCUMENTS',
+    orphanHealth: 'HEALTH',
+    orphanPerformance: 'PERFORMANCE'
+  };
+  Object.keys(orphanChecks).forEach(key => {
+    const entity = orphanChecks[key];
+    const idField = SHEET_SCHEMAS[entity].idField;
+    data[entity].forEach(row => {
+      if (guardIds.has(row.guardId)) return;
+      issues[key].push({
+        sheet: CONFIG.SHEET_NAMES[entity],
+        id: row[idField],
+        name: row.guardName,
+        message: `${row.guardName || 'Unknown guard'} (${row.guardId || 'no Guard ID'}) is not in the Guards sheet`
+      });
+    });
+  });
+
+  // Violations whose type or sanction ID does not point at an existing item
+  const unlinkedChecks = { unknownViolationTypes: 'VIOLATION_TYPES', unknownSanctions: 'VIOLATION_SANCTIONS' };
+  Object.keys(unlinkedChecks).forEach(key => {
+    const entity = unlinkedChecks[key];
+    const label = MASTER_DATA_REFERENCES[entity].label.toLowerCase();
+    const unlinked = findUnlinkedReferences(data, entity);
+    Object.keys(unlinked).forEach(normalized => {
+      const entry = unlinked[normalized];
+      issues[key].push({
+        sheet: CONFIG.SHEET_NAMES.PERFORMANCE,
+        id: entry.name,
+        name: entry.name,
+        message: entry.item ?
+          `${entry.count} violation record(s) name "${entry.name}" but are not linked to that ${label}` :
+          `"${entry.name}" is used by ${entry.count} violation record(s) but is not a ${label}`
+      });
+    });
+  });
+
+  // Text in date columns that cannot be read as a date
+  forEachUnparseableDate(data, (entity, row, field) => {
+    const id = row[SHEET_SCHEMAS[entity].idField];
+    const header = SHEET_SCHEMAS[entity].fields[field].header;
+    issues.unparseableDates.push({
+      sheet: CONFIG.SHEET_NAMES[entity],
+      id: id,
+      name: row.guardName || row.name || row.username || '',
+      message: `${CONFIG.SHEET_NAMES[entity]} ${id}: ${header} "${row[field]}" is not a date`
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Call a function for every date field holding text that cannot be parsed
+ * @param {Object} data - Snapshot from loadIntegrityData_
+ * @param {Function} callback - Called with (entity, row, field)
+ */
+function forEachUnparseableDate(data, callback) {
+  Object.keys(data).forEach(entity => {
+    const fields = SHEET_SCHEMAS[entity].fields;
+    const dateFields = Object.keys(fields).filter(field => fields[field].type === 'date');
+    data[entity].forEach(row => {
+      dateFields.forEach(field => {
+        if (isUnparseableDate(row[field])) callback(entity, row, field);
+      });
+    });
+  });
+}
+
+/**
+ * @param {*} value - Date cell value
+ * @returns {boolean} True for non-blank values that are neither dates nor parseable date text
+ */
+function isUnparseableDate(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (value instanceof Date) return isNaN(value.getTime());
+  return parseDateValue(String(value).trim()) === null;
+}
+
+/**
+ * Apply one repair to a fresh data snapshot read from the sheets
+ * @param {string} key - Key of INTEGRITY_CHECKS
+ * @param {string} username - Username performing the action
+ * @returns {Object} { count, details }
+ */
+function applyIntegrityRepair_(key, username) {
+  const data = loadIntegrityData_();
+  const guardIds = new Set(data.GUARDS.map(guard => guard.guardId));
+  const isOrphan = row => !guardIds.has(row.guardId);
+
+  switch (key) {
+    case 'duplicateGuardIds': {
+      const seen = new Set();
+      const changes = [];
+      getRepository('GUARDS').updateWhere(() => true, guard => {
+        if (!seen.has(guard.guardId)) {
+          seen.add(guard.guardId);
+          return null;
+        }
+        const newId = generateUniqueId('GRD');
+        changes.push(`${buildGuardFullName(guard)}: ${guard.guardId} -> ${newId}`);
+        return { guardId: newId, ...nextVersionStamp(guard, username) };
+      });
+      return { count: changes.length, details: 'Reassigned Guard IDs: ' + changes.join('; ') };
+    }
+
+    case 'missingDocuments': {
+      const documentIds = new Set(data.DOCUMENTS.map(documents => documents.guardId));
+      const rows = data.GUARDS
+        .filter(guard => !documentIds.has(guard.guardId))
+        .map(guard => ({ guardId: guard.guardId, guardName: buildGuardFullName(guard) }));
+      getRepository('DOCUMENTS').insertMany(rows);
+      return { count: rows.length, details: 'Created Documents rows for: ' + rows.map(row => row.guardId).join(', ') };
+    }
+
+    case 'orphanDocuments':
+    case 'orphanHealth':
+    case 'orphanPerformance': {
+      const entity = { orphanDocuments: 'DOCUMENTS', orphanHealth: 'HEALTH', orphanPerformance: 'PERFORMANCE' }[key];
+      const idField = SHEET_SCHEMAS[entity].idField;
+      const deleted = getRepository(entity).deleteWhere(isOrphan);
+      return {
+        count: deleted.length,
+        details: `Deleted ${deleted.length} row(s) from ${CONFIG.SHEET_NAMES[entity]}: ` +
+          deleted.map(row => `${row[idField]} (${row.guardName || 'unknown'})`).join(', ')
+      };
+    }
+
+    case 'unknownViolationTypes':
+    case 'unknownSanctions':
+      return linkMasterDataReferences_(data, key === 'unknownViolationTypes' ? 'VIOLATION_TYPES' : 'VIOLATION_SANCTIONS');
+
+    case 'unparseableDates': {
+      const cleared = [];
+      Object.keys(data).forEach(entity => {
+        const fields = SHEET_SCHEMAS[entity].fields;
+        const dateFields = Object.keys(fields).filter(field => fields[field].type === 'date');
+        getRepository(entity).updateWhere(() => true, row => {
+          const changes = {};
+          dateFields.forEach(field => {
+            if (!isUnparseableDate(row[field])) return;
+            changes[field] = null;
+            cleared.push(`${CONFIG.SHEET_NAMES[entity]} ${row[SHEET_SCHEMAS[entity].idField]} ${fields[field].header} "${row[field]}"`);
+          });
+          return changes;
+        });
+      });
+      return { count: cleared.length, details: 'Cleared unparseable dates: ' + cleared.join('; ') };
+    }
+
+    default:
+      throw new Error('Unknown integrity check: ' + key);
+  }
+}
+
+/**
+ * Normalize a master data name for comparison
+ * @param {string} name - Name
+ * @returns {string} Trimmed, lower-case name
+ */
+function normalizeIntegrityName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Group the violation records whose reference to a master data item is missing or broken
+ * @param {Object} data - Snapshot from loadIntegrityData_
+ * @param {string} entity - VIOLATION_TYPES or VIOLATION_SANCTIONS
+ * @returns {Object} Map of normalized name -> { name, count, item } (item is the existing item of that name, if any)
+ */
+function findUnlinkedReferences(data, entity) {
+  const reference = MASTER_DATA_REFERENCES[entity];
+  const ids = new Set(data[entity].map(item => String(item.id).trim()));
+  const unlinked = {};
+  data.PERFORMANCE.forEach(record => {
+    const name = String(record[reference.nameField] || '').trim();
+    if (record.type !== 'Violation' || !name || name === 'N/A' || ids.has(record[reference.idField])) return;
+
+    const normalized = normalizeIntegrityName(name);
+    if (!unlinked[normalized]) {
+      const item = data[entity].find(candidate => normalizeIntegrityName(candidate.name) === normalized);
+      unlinked[normalized] = { name: name, count: 0, item: item || null };
+    }
+    unlinked[normalized].count++;
+  });
+  return unlinked;
+}
+
+/**
+ * Link unlinked violation records to the master data item of the same name,
+ * creating the items that do not exist
+ * @param {Object} data - Snapshot from loadIntegrityData_
+ * @param {string} entity - VIOLATION_TYPES or VIOLATION_SANCTIONS
+ * @returns {Object} { count, details }
+ */
+function linkMasterDataReferences_(data, entity) {
+  const reference = MASTER_DATA_REFERENCES[entity];
+  const unlinked = findUnlinkedReferences(data, entity);
+  const created = [];
+  Object.keys(unlinked).forEach(normalized => {
+    if (unlinked[normalized].item) return;
+    unlinked[normalized].item = {
+      id: generateUniqueId(entity === 'VIOLATION_TYPES' ? 'VT' : 'VS'),
+      name: unlinked[normalized].name,
+      description: 'Re-created by data integrity repair',
+      createdDate: new Date()
+    };
+    created.push(unlinked[normalized].item);
+  });
+  getRepository(entity).insertMany(created);
+
+  const ids = new Set(data[entity].map(item => String(item.id).trim()));
+  const linked = getRepository('PERFORMANCE').updateWhere(
+    record => record.type === 'Violation' && !ids.has(record[reference.idField]),
+    record => {
+      const entry = unlinked[normalizeIntegrityName(record[reference.nameField])];
+      return entry ? { [reference.idField]: entry.item.id, [reference.nameField]: entry.item.name } : null;
+    }
+  );
+
+  const names = Object.keys(unlinked).map(normalized => unlinked[normalized].name);
+  return {
+    count: names.length,
+    details: `Linked ${linked} record(s) to ${names.join(', ')}` +
+      (created.length > 0 ? '; re-created ' + created.map(item => item.name).join(', ') : '')
+  };
+}
+
+/**
+ * Keep audit details within the description length limit
+ * @param {string} details - Details text
+ * @returns {string} Details, shortened with an ellipsis when too long
+ */
+function truncateAuditDetails(details) {
+  const max = CONFIG.VALIDATION.MAX_DESCRIPTION_LENGTH;
+  return details.length > max ? details.substring(0, max - 3) + '...' : details;
+}
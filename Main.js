@@ -5,19 +5,28 @@
 
 /**
  * Auto-initialize database if Users sheet doesn't exist
+ * and apply any pending schema migrations
  * @returns {boolean} True if initialization was performed
  */
 function autoInitialize() {
   try {
     const ss = getSpreadsheet();
     const usersSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.USERS);
+    let initialized = false;
 
     if (!usersSheet) {
       Logger.log('Users sheet not found. Running initial setup...');
       setupSheets();
-      return true;
+      initialized = true;
     }
-    return false;
+
+    // Upgrade sheets created by older versions of the system
+    const migrationResult = runMigrations_();
+    if (!migrationResult.success) {
+      Logger.log('Schema migration failed: ' + migrationResult.message);
+    }
+
+    return initialized;
   } catch (error) {
     Logger.log('Auto-initialize error: ' + error.message);
     return false;
@@ -72,6 +81,15 @@ function onOpen(e) {
     .addItem('Clear All Data', 'clearAllDataWithConfirmation')
     .addSeparator()
     .addItem('Setup System', 'setupSheets')
+    .addItem('Run Schema Migrations', 'runMigrationsFromMenu')
+    .addItem('Preview Schema Migrations', 'previewMigrationsFromMenu')
+    .addItem('Cache Diagnostics', 'showCacheDiagnostics')
+    .addItem('Check Data Integrity', 'showIntegrityReport')
+    .addSeparator()
+    .addItem('Create Backup', 'createBackupFromMenu')
+    .addItem('Restore Backup', 'restoreBackupFromMenu')
+    .addItem('Schedule Daily Backups', 'installBackupScheduleFromMenu')
+    .addItem('Schedule Recycle Bin Purge', 'installRecycleBinScheduleFromMenu')
     .addToUi();
 }
 
@@ -0,0 +1,537 @@
+/**
+ * Guard Monitoring System - Schema Migrations
+ * Brings existing spreadsheets up to the current SHEET_SCHEMAS layout
+ * Functions: getSchemaVersion, getLatestSchemaVersion, runMigrationsFromMenu, previewMigrationsFromMenu
+ */
+
+/**
+ * Ordered list of schema migrations
+ * Append new migrations at the end with the next version number; never edit
+ * or reorder a migration that has shipped. Steps must be safe to re-run.
+ *
+ * Step types:
+ *   addColumn    { entity, field, after }  - add the schema header for field (after another field's column, or at the end)
+ *   renameHeader { entity, from, field }   - rename a legacy header to the schema header for field
+ *   backfill     { entity, field, value }  - value(entity) returns the new value, or undefined to leave the row alone
+ *   convertDates { entity, field }         - turn text dates in the field's column into date cells; text that
+ *                                             can't be parsed is kept and flagged with a cell note
+ *   revokeSharing { folder }               - make the CONFIG folder (e.g. 'PHOTO_FOLDER_ID'), its subfolders and
+ *                                             their files private to the deploying account
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Add Users lockout and password history columns',
+    steps: [
+      { type: 'addColumn', entity: 'USERS', field: 'failedAttempts' },
+      { type: 'addColumn', entity: 'USERS', field: 'lastFailed' },
+      { type: 'addColumn', entity: 'USERS', field: 'lockedUntil' },
+      { type: 'addColumn', entity: 'USERS', field: 'passwordHistory' },
+      { type: 'addColumn', entity: 'USERS', field: 'forcePasswordChange' },
+      {
+        type: 'backfill',
+        entity: 'USERS',
+        field: 'failedAttempts',
+        value: user => user.failedAttempts === null ? 0 : undefined
+      },
+      {
+        type: 'backfill',
+        entity: 'USERS',
+        field: 'passwordHistory',
+        // Seed history with the current password so it cannot be reused immediately
+        value: user => !user.passwordHistory && user.passwordHash ? [user.passwordHash] : undefined
+      }
+    ]
+  },
+  {
+    version: 2,
+    name: 'Add guard photo column',
+    steps: [
+      { type: 'addColumn', entity: 'GUARDS', field: 'photoUrl', after: 'status' }
+    ]
+  },
+  {
+    version: 3,
+    name: 'Add row versions to guards and performance records',
+    steps: [
+      { type: 'addColumn', entity: 'GUARDS', field: 'version' },
+      { type: 'addColumn', entity: 'GUARDS', field: 'lastModified' },
+      { type: 'addColumn', entity: 'GUARDS', field: 'lastModifiedBy' },
+      { type: 'addColumn', entity: 'PERFORMANCE', field: 'version' },
+      { type: 'addColumn', entity: 'PERFORMANCE', field: 'lastModified' },
+      { type: 'addColumn', entity: 'PERFORMANCE', field: 'lastModifiedBy' },
+      {
+        type: 'backfill',
+        entity: 'GUARDS',
+        field: 'version',
+        value: guard => guard.version === null ? 1 : undefined
+      },
+      {
+        type: 'backfill',
+        entity: 'PERFORMANCE',
+        field: 'version',
+        value: record => record.version === null ? 1 : undefined
+      }
+    ]
+  },
+  {
+    version: 4,
+    name: 'Store dates as date cells instead of text',
+    steps: [
+      { type: 'convertDates', entity: 'USERS', field: 'createdDate' },
+      { type: 'convertDates', entity: 'USERS', field: 'lastFailed' },
+      { type: 'convertDates', entity: 'USERS', field: 'lockedUntil' },
+      { type: 'convertDates', entity: 'GUARDS', field: 'dateOfBirth' },
+      { type: 'convertDates', entity: 'GUARDS', field: 'hiredDate' },
+      { type: 'convertDates', entity: 'GUARDS', field: 'endOfContractDate' },
+      { type: 'convertDates', entity: 'GUARDS', field: 'lastModified' },
+      { type: 'convertDates', entity: 'DOCUMENTS', field: 'licenseExpiry' },
+      { type: 'convertDates', entity: 'DOCUMENTS', field: 'policeClearance' },
+      { type: 'convertDates', entity: 'DOCUMENTS', field: 'nbiClearance' },
+      { type: 'convertDates', entity: 'DOCUMENTS', field: 'drugTestValidity' },
+      { type: 'convertDates', entity: 'DOCUMENTS', field: 'neuroExamValidity' },
+      { type: 'convertDates', entity: 'LICENSES', field: 'issueDate' },
+      { type: 'convertDates', entity: 'LICENSES', field: 'expiryDate' },
+      { type: 'convertDates', entity: 'PERFORMANCE', field: 'date' },
+      { type: 'convertDates', entity: 'PERFORMANCE', field: 'lastModified' },
+      { type: 'convertDates', entity: 'HEALTH', field: 'date' },
+      { type: 'convertDates', entity: 'VIOLATION_TYPES', field: 'createdDate' },
+      { type: 'convertDates', entity: 'VIOLATION_SANCTIONS', field: 'createdDate' }
+    ]
+  },
+  {
+    version: 5,
+    name: 'Reference violation types and sanctions by ID',
+    steps: [
+      { type: 'addColumn', entity: 'PERFORMANCE', field: 'violationTypeId', after: 'typeOfViolation' },
+      { type: 'addColumn', entity: 'PERFORMANCE', field: 'violationSanctionId', after: 'violationSanction' },
+      {
+        type: 'backfill',
+        entity: 'PERFORMANCE',
+        field: 'violationTypeId',
+        // Names with no matching type stay unlinked; the integrity scan reports them
+        value: record => findMigrationReferenceId(record, 'VIOLATION_TYPES')
+      },
+      {
+        type: 'backfill',
+        entity: 'PERFORMANCE',
+        field: 'violationSanctionId',
+        value: record => findMigrationReferenceId(record, 'VIOLATION_SANCTIONS')
+      }
+    ]
+  },
+  {
+    version: 6,
+    name: 'Add soft delete columns to guards and performance records',
+    steps: [
+      { type: 'addColumn', entity: 'GUARDS', field: 'deletedAt' },
+      { type: 'addColumn', entity: 'GUARDS', field: 'deletedBy' },
+      { type: 'addColumn', entity: 'PERFORMANCE', field: 'deletedAt' },
+      { type: 'addColumn', entity: 'PERFORMANCE', field: 'deletedBy' }
+    ]
+  },
+  {
+    version: 7,
+    name: 'Move legacy User accounts to the Encoder role',
+    steps: [
+      {
+        type: 'backfill',
+        entity: 'USERS',
+        field: 'role',
+        // "User" was the only non-admin role; Encoder keeps its data entry rights
+        value: user => user.role === 'User' ? 'Encoder' : undefined
+      }
+    ]
+  },
+  {
+    version: 8,
+    name: 'Add two-factor authentication columns to Users',
+    steps: [
+      { type: 'addColumn', entity: 'USERS', field: 'twoFactorEnabled' },
+      { type: 'addColumn', entity: 'USERS', field: 'twoFactorRequired' },
+      { type: 'addColumn', entity: 'USERS', field: 'twoFactorSecret' },
+      { type: 'addColumn', entity: 'USERS', field: 'twoFactorRecoveryCodes' },
+      { type: 'addColumn', entity: 'USERS', field: 'twoFactorLastStep' }
+    ]
+  },
+  {
+    version: 9,
+    name: 'Add session version column to Users',
+    steps: [
+      { type: 'addColumn', entity: 'USERS', field: 'sessionVersion' }
+    ]
+  },
+  {
+    version: 10,
+    name: 'Add password changed date to Users',
+    steps: [
+      { type: 'addColumn', entity: 'USERS', field: 'passwordChangedAt' },
+      {
+        type: 'backfill',
+        entity: 'USERS',
+        field: 'passwordChangedAt',
+        // Existing passwords start aging when the policy arrives instead of expiring at once
+        value: user => user.passwordChangedAt ? undefined : new Date()
+      }
+    ]
+  },
+  {
+    version: 11,
+    name: 'Stop sharing guard photos and attachments by link',
+    steps: [
+      { type: 'revokeSharing', folder: 'PHOTO_FOLDER_ID' },
+      { type: 'revokeSharing', folder: 'GOOGLE_DRIVE_FOLDER_ID' }
+    ]
+  }
+];
+
+/**
+ * Get the schema version of the spreadsheet
+ * @returns {number} Highest applied migration version (0 if none)
+ */
+function getSchemaVersion() {
+  const applied = getRepository('SCHEMA_MIGRATIONS').findAll(entry => entry.status === 'Applied');
+  return applied.reduce((max, entry) => Math.max(max, entry.version || 0), 0);
+}
+
+/**
+ * Get the schema version this code expects
+ * @returns {number} Version of the last migration in MIGRATIONS
+ */
+function getLatestSchemaVersion() {
+  return MIGRATIONS.length > 0 ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+}
+
+/**
+ * Run all pending schema migrations in order
+ * Each applied or failed migration is logged to the Schema Migrations sheet.
+ * A dry run reports the changes each pending step would make without touching the spreadsheet.
+ * @param {Object} options - Optional { dryRun: boolean, username: string }
+ * @returns {Object} Result object with fromVersion, toVersion and per-migration changes
+ */
+function runMigrations_(options) {
+  return withWriteLock(() => {
+    const dryRun = !!(options && options.dryRun);
+    const username = (options && options.username) || 'System';
+    let currentVersion = 0;
+
+    try {
+      currentVersion = getSchemaVersion();
+      const fromVersion = currentVersion;
+      const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+
+      if (pending.length === 0) {
+        return {
+          success: true,
+          dryRun: dryRun,
+          fromVersion: fromVersion,
+          toVersion: currentVersion,
+          migrations: [],
+          message: 'Schema is up to date (version ' + currentVersion + ')'
+        };
+      }
+
+      const results = [];
+      for (const migration of pending) {
+        Logger.log(`${dryRun ? '[Dry run] ' : ''}Running migration ${migration.version}: ${migration.name}`);
+
+        let changes;
+        try {
+          changes = migration.steps
+            .map(step => applyMigrationStep_(step, dryRun))
+            .filter(change => change);
+        } catch (error) {
+          if (!dryRun) {
+            logMigration_(migration, 'Failed', username, error.message);
+          }
+          throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+
+        if (!dryRun) {
+          // Backfills rewrite rows behind the cached snapshots
+          invalidateCache_();
+          logMigration_(migration, 'Applied', username, changes.length > 0 ? changes.join('; ') : 'No changes needed');
+          currentVersion = migration.version;
+        }
+
+        changes.forEach(change => Logger.log('  ' + change));
+        results.push({
+          version: migration.version,
+          name: migration.name,
+          changes: changes
+        });
+      }
+
+      const targetVersion = pending[pending.length - 1].version;
+      return {
+        success: true,
+        dryRun: dryRun,
+        fromVersion: fromVersion,
+        toVersion: dryRun ? fromVersion : currentVersion,
+        migrations: results,
+        message: dryRun ?
+          `Dry run: ${pending.length} pending migration(s) would upgrade the schema from version ${fromVersion} to ${targetVersion}` :
+          `Schema upgraded from version ${fromVersion} to ${currentVersion}`
+      };
+    } catch (error) {
+      Logger.log('Error running migrations: ' + error.message);
+      return {
+        success: false,
+        dryRun: dryRun,
+        toVersion: currentVersion,
+        message: 'Error running migrations: ' + error.message
+      };
+    }
+  });
+}
+
+/**
+ * Apply (or describe, in dry-run mode) a single migration step
+ * @param {Object} step - Migration step
+ * @param {boolean} dryRun - Only describe the change
+ * @returns {string} Description of the change, or empty string if nothing needed changing
+ */
+function applyMigrationStep_(step, dryRun) {
+  if (step.type === 'revokeSharing') return revokeFolderSharing_(step, dryRun);
+
+  const schema = SHEET_SCHEMAS[step.entity];
+  if (!schema || !schema.fields[step.field]) {
+    throw new Error(`Unknown field "${step.field}" for entity ${step.entity}`);
+  }
+
+  const sheetName = CONFIG.SHEET_NAMES[step.entity];
+  const sheet = getSpreadsheet().getSheetByName(sheetName);
+
+  // Missing sheets are created later with the current headers by setupSheets
+  if (!sheet) return '';
+
+  const header = schema.fields[step.field].header;
+  const headers = sheet.getLastColumn() > 0 ?
+    sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(normalizeHeader) : [];
+
+  switch (step.type) {
+    case 'addColumn': {
+      if (headers.indexOf(normalizeHeader(header)) !== -1) return '';
+
+      let afterColumn = headers.length;
+      if (step.after) {
+        const afterIndex = headers.indexOf(normalizeHeader(schema.fields[step.after].header));
+        if (afterIndex !== -1) afterColumn = afterIndex + 1;
+      }
+      const description = `Add column "${header}" to ${sheetName}`;
+      if (dryRun) return description;
+
+      if (afterColumn > 0) {
+        sheet.insertColumnAfter(afterColumn);
+      } else {
+        sheet.insertColumnBefore(1);
+      }
+      const headerCell = sheet.getRange(1, afterColumn + 1);
+      headerCell.setValue(header);
+      headerCell.setBackground(CONFIG.COLORS.GREEN);
+      headerCell.setFontColor(CONFIG.COLORS.WHITE);
+      headerCell.setFontWeight('bold');
+      headerCell.setHorizontalAlignment('center');
+      return description;
+    }
+
+    case 'renameHeader': {
+      const fromIndex = headers.indexOf(normalizeHeader(step.from));
+      if (fromIndex === -1 || headers.indexOf(normalizeHeader(header)) !== -1) return '';
+
+      const description = `Rename column "${step.from}" to "${header}" in ${sheetName}`;
+      if (!dryRun) {
+        sheet.getRange(1, fromIndex + 1).setValue(header);
+      }
+      return description;
+    }
+
+    case 'backfill': {
+      // In a dry run the column may not have been added yet; blank values are read for it
+      const repo = getRepository(step.entity);
+      const needsValue = entity => step.value(entity) !== undefined;
+      const count = dryRun ?
+        repo.findAll(needsValue).length :
+        repo.updateWhere(needsValue, entity => {
+          const changes = {};
+          changes[step.field] = step.value(entity);
+          return changes;
+        });
+
+      return count > 0 ? `Backfill "${header}" for ${count} row(s) in ${sheetName}` : '';
+    }
+
+    case 'convertDates': {
+      const columnIndex = headers.indexOf(normalizeHeader(header));
+      const lastRow = sheet.getLastRow();
+      if (columnIndex === -1 || lastRow < 2) return '';
+
+      // Works on the raw cells: the repository already hides text dates behind parseDateValue
+      const range = sheet.getRange(2, columnIndex + 1, lastRow - 1, 1);
+      const values = range.getValues();
+      let converted = 0;
+      const unparseable = [];
+      values.forEach((row, index) => {
+        if (typeof row[0] !== 'string' || !row[0].trim()) return;
+        const date = parseDateValue(row[0]);
+        if (date) {
+          row[0] = date;
+          converted++;
+        } else {
+          unparseable.push({ row: index + 2, value: row[0] });
+        }
+      });
+      if (converted === 0 && unparseable.length === 0) return '';
+
+      if (!dryRun) {
+        if (converted > 0) range.setValues(values);
+        unparseable.forEach(item => {
+          sheet.getRange(item.row, columnIndex + 1).setNote('Not a recognizable date; fix it by hand (kept as text by migration 4)');
+        });
+      }
+
+      let description = `Convert ${converted} text date(s) in "${header}" of ${sheetName}`;
+      if (unparseable.length > 0) {
+        const examples = unparseable.slice(0, 3).map(item => `row ${item.row}: "${item.value}"`).join(', ');
+        description += `; ${unparseable.length} could not be parsed and ${dryRun ? 'would be' : 'were'} flagged (${examples})`;
+      }
+      return description;
+    }
+
+    default:
+      throw new Error('Unknown migration step type: ' + step.type);
+  }
+}
+
+/**
+ * Make an upload folder, its subfolders and every file in them private (revokeSharing step)
+ * @param {Object} step - Migration step with the CONFIG key of the folder
+ * @param {boolean} dryRun - Only describe the change
+ * @returns {string} Description of the change, or empty string if everything was private already
+ */
+function revokeFolderSharing_(step, dryRun) {
+  const folderId = CONFIG[step.folder];
+  if (!folderId) {
+    throw new Error('Unknown folder setting: ' + step.folder);
+  }
+
+  const folder = DriveApp.getFolderById(folderId);
+  const counts = { files: 0, folders: 0 };
+  revokeSharingInFolder_(folder, dryRun, counts);
+
+  const parts = [];
+  if (counts.files > 0) parts.push(`${counts.files} file(s)`);
+  if (counts.folders > 0) parts.push(`${counts.folders} folder(s)`);
+  return parts.length > 0 ? `Stop sharing ${parts.join(' and ')} in Drive folder "${folder.getName()}"` : '';
+}
+
+/**
+ * Make a folder and everything below it private, counting what was shared
+ * @param {Folder} folder - Drive folder
+ * @param {boolean} dryRun - Only count the changes
+ * @param {Object} counts - { files, folders } counters updated in place
+ */
+function revokeSharingInFolder_(folder, dryRun, counts) {
+  if (folder.getSharingAccess() !== DriveApp.Access.PRIVATE) {
+    if (!dryRun) {
+      folder.setSharing(DriveApp.Access.PRIVATE, DriveApp.Permission.NONE);
+    }
+    counts.folders++;
+  }
+
+  const files = folder.getFiles();
+  while (files.hasNext()) {
+    const file = files.next();
+    if (file.getSharingAccess() === DriveApp.Access.PRIVATE) continue;
+    if (!dryRun) {
+      file.setSharing(DriveApp.Access.PRIVATE, DriveApp.Permission.NONE);
+    }
+    counts.files++;
+  }
+
+  const subfolders = folder.getFolders();
+  while (subfolders.hasNext()) {
+    revokeSharingInFolder_(subfolders.next(), dryRun, counts);
+  }
+}
+
+/**
+ * Find the ID of the master data item a legacy violation record names
+ * @param {Object} record - Performance record
+ * @param {string} entity - VIOLATION_TYPES or VIOLATION_SANCTIONS
+ * @returns {string|undefined} Item ID, or undefined when the record is linked already or nothing matches
+ */
+function findMigrationReferenceId(record, entity) {
+  const reference = MASTER_DATA_REFERENCES[entity];
+  if (record.type !== 'Violation' || record[reference.idField]) return undefined;
+  const item = findMasterDataItem_(entity, '', record[reference.nameField]);
+  return item ? item.id : undefined;
+}
+
+/**
+ * Record a migration run in the Schema Migrations sheet
+ * @param {Object} migration - Migration definition
+ * @param {string} status - Applied or Failed
+ * @param {string} username - User running the migration
+ * @param {string} details - Changes made or error message
+ */
+function logMigration_(migration, status, username, details) {
+  getRepository('SCHEMA_MIGRATIONS').insert({
+    version: migration.version,
+    name: migration.name,
+    status: status,
+    appliedAt: new Date(),
+    appliedBy: username,
+    details: details
+  });
+}
+
+/**
+ * Menu handler: run pending migrations and show the result
+ */
+function runMigrationsFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const preview = runMigrations_({ dryRun: true });
+
+  if (!preview.success || preview.migrations.length === 0) {
+    ui.alert('Schema Migrations', preview.message, ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.alert(
+    'Schema Migrations',
+    formatMigrationReport(preview) + '\n\nApply these changes now?',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) return;
+
+  const result = runMigrations_({ username: Session.getActiveUser().getEmail() || 'System' });
+  ui.alert('Schema Migrations', result.success ? formatMigrationReport(result) : result.message, ui.ButtonSet.OK);
+}
+
+/**
+ * Menu handler: show pending migrations without applying them
+ */
+function previewMigrationsFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const preview = runMigrations_({ dryRun: true });
+  ui.alert('Schema Migrations (Dry Run)', preview.success ? formatMigrationReport(preview) : preview.message, ui.ButtonSet.OK);
+}
+
+/**
+ * Format a runMigrations_ result for display
+ * @param {Object} result - Result from runMigrations_
+ * @returns {string} Multi-line report
+ */
+function formatMigrationReport(result) {
+  const lines = [result.message];
+  result.migrations.forEach(migration => {
+    lines.push('');
+    lines.push(`Version ${migration.version}: ${migration.name}`);
+    if (migration.changes.length === 0) {
+      lines.push('  - No changes needed');
+    }
+    migration.changes.forEach(change => lines.push('  - ' + change));
+  });
+  return lines.join('\n');
+}
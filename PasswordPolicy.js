@@ -0,0 +1,215 @@
+/**
+ * Guard Monitoring System - Password Policy
+ * Admin-editable password rules, stored in script properties over CONFIG.PASSWORD_POLICY.DEFAULTS,
+ * and a local dictionary of common passwords
+ * Functions: getPasswordPolicy, updatePasswordPolicy
+ */
+
+/**
+ * Common passwords and password stems refused by every policy
+ * Compared after normalizePasswordForDictionary, so "P@ssw0rd123!" matches "password".
+ */
+const COMMON_PASSWORDS = [
+  'password', 'passw', 'passwd', 'pass', 'letmein', 'welcome', 'admin', 'administrator', 'root', 'user',
+  'login', 'guest', 'test', 'demo', 'default', 'changeme', 'secret', 'master', 'access', 'system',
+  'qwerty', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbn', 'zxcvbnm', 'qazwsx', 'abc', 'abcdef', 'abcdefg',
+  'iloveyou', 'loveme', 'sunshine', 'princess', 'dragon', 'monkey', 'football', 'baseball', 'basketball', 'soccer',
+  'superman', 'batman', 'starwars', 'pokemon', 'shadow', 'michael', 'jennifer', 'jordan', 'hunter', 'ranger',
+  'trustno', 'whatever', 'freedom', 'computer', 'internet', 'hello', 'hellow', 'flower', 'summer', 'winter',
+  'spring', 'autumn', 'january', 'february', 'december', 'monday', 'friday', 'manila', 'philippines', 'pilipinas',
+  'mahalkita', 'iloveu', 'guard', 'guards', 'security', 'securityguard', 'agency', 'company', 'office', 'manager',
+  'supervisor', 'encoder', 'viewer', 'officer', 'police', 'guardmonitoring', 'monitoring', 'temp', 'temporary'
+];
+
+/**
+ * Get the password policy in force: the stored policy over the defaults
+ * @returns {Object} Policy: { minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol,
+ *                   maxAgeDays, disallowPersonalInfo, bannedPasswords }
+ */
+function loadPasswordPolicy() {
+  const defaults = CONFIG.PASSWORD_POLICY.DEFAULTS;
+  try {
+    const stored = PropertiesService.getScriptProperties().getProperty(CONFIG.PASSWORD_POLICY.PROPERTY);
+    if (!stored) return Object.assign({}, defaults, { bannedPasswords: defaults.bannedPasswords.slice() });
+
+    const parsed = normalizePasswordPolicy(Object.assign({}, defaults, JSON.parse(stored)));
+    return parsed.policy || Object.assign({}, defaults, { bannedPasswords: defaults.bannedPasswords.slice() });
+  } catch (error) {
+    Logger.log('Error loading password policy: ' + error.message);
+    return Object.assign({}, defaults, { bannedPasswords: defaults.bannedPasswords.slice() });
+  }
+}
+
+/**
+ * Validate a policy from the settings form and bring it into its stored shape
+ * @param {Object} input - Policy fields
+ * @returns {Object} { policy } or { error }
+ */
+function normalizePasswordPolicy(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Password policy is required' };
+  }
+
+  const minLength = Number(input.minLength);
+  const floor = CONFIG.VALIDATION.MIN_PASSWORD_LENGTH;
+  if (!Number.isInteger(minLength) || minLength < floor || minLength > CONFIG.VALIDATION.MAX_PASSWORD_LENGTH) {
+    return { error: `Minimum length must be a whole number from ${floor} to ${CONFIG.VALIDATION.MAX_PASSWORD_LENGTH}` };
+  }
+
+  const maxAgeDays = Number(input.maxAgeDays);
+  if (!Number.isInteger(maxAgeDays) || maxAgeDays < 0 || maxAgeDays > 3650) {
+    return { error: 'Maximum password age must be a whole number of days from 0 (never expires) to 3650' };
+  }
+
+  const banned = Array.isArray(input.bannedPasswords) ? input.bannedPasswords : String(input.bannedPasswords || '').split(/\r?\n/);
+  const bannedPasswords = Array.from(new Set(banned
+    .map(word => String(word).trim().toLowerCase())
+    .filter(word => word.length > 0)));
+  if (bannedPasswords.length > CONFIG.PASSWORD_POLICY.MAX_BANNED_PASSWORDS) {
+    return { error: `The banned password list holds at most ${CONFIG.PASSWORD_POLICY.MAX_BANNED_PASSWORDS} entries` };
+  }
+  if (bannedPasswords.some(word => word.length > CONFIG.VALIDATION.MAX_PASSWORD_LENGTH)) {
+    return { error: 'Banned passwords cannot be longer than ' + CONFIG.VALIDATION.MAX_PASSWORD_LENGTH + ' characters' };
+  }
+
+  return {
+    policy: {
+      minLength: minLength,
+      requireUppercase: input.requireUppercase === true,
+      requireLowercase: input.requireLowercase === true,
+      requireNumber: input.requireNumber === true,
+      requireSymbol: input.requireSymbol === true,
+      maxAgeDays: maxAgeDays,
+      disallowPersonalInfo: input.disallowPersonalInfo === true,
+      bannedPasswords: bannedPasswords
+    }
+  };
+}
+
+/**
+ * Describe a policy as a list of rules for the password forms
+ * @param {Object} policy - Password policy
+ * @returns {Array<string>} Rules
+ */
+function describePasswordPolicy(policy) {
+  const rules = [`At least ${policy.minLength} characters`];
+  const classes = [];
+  if (policy.requireUppercase) classes.push('an uppercase letter');
+  if (policy.requireLowercase) classes.push('a lowercase letter');
+  if (policy.requireNumber) classes.push('a number');
+  if (policy.requireSymbol) classes.push('a symbol');
+  if (classes.length > 0) {
+    rules.push('Contains ' + (classes.length > 1 ? classes.slice(0, -1).join(', ') + ' and ' + classes[classes.length - 1] : classes[0]));
+  }
+  if (policy.disallowPersonalInfo) rules.push('Does not contain your username or name');
+  rules.push('Is not a common or banned password');
+  if (policy.maxAgeDays > 0) rules.push(`Expires after ${policy.maxAgeDays} days`);
+  return rules;
+}
+
+/**
+ * Reduce a password to the word it is built on: lowercase, common letter substitutions undone,
+ * and leading or trailing digits and symbols removed ("P@ssw0rd123!" becomes "password")
+ * @param {string} password - Password
+ * @returns {string} Normalized password
+ */
+function normalizePasswordForDictionary(password) {
+  const substitutions = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+  const stem = String(password).toLowerCase().replace(/^[^a-z]+|[^a-z]+$/g, '');
+  return stem.replace(/[013457@$!]/g, char => substitutions[char]);
+}
+
+/**
+ * Check whether a password is common or on the policy's banned list
+ * @param {string} password - Password
+ * @param {Object} policy - Password policy
+ * @returns {boolean} True when the password is banned
+ */
+function isBannedPassword(password, policy) {
+  const candidates = [String(password).toLowerCase(), normalizePasswordForDictionary(password)];
+  const banned = COMMON_PASSWORDS.concat(policy.bannedPasswords || []);
+  return candidates.some(candidate => candidate && banned.indexOf(candidate) !== -1);
+}
+
+/**
+ * Check whether a password contains the user's username or a part of their full name
+ * Parts shorter than three characters are ignored.
+ * @param {string} password - Password
+ * @param {Object} context - { username, fullName }
+ * @returns {boolean} True when the password contains personal information
+ */
+function containsPersonalInfo(password, context) {
+  if (!context) return false;
+  const lower = String(password).toLowerCase();
+  const normalized = normalizePasswordForDictionary(password);
+  const parts = [context.username].concat(String(context.fullName || '').split(/[\s.,'-]+/))
+    .map(part => String(part || '').toLowerCase())
+    .filter(part => part.length >= 3);
+  return parts.some(part => lower.indexOf(part) !== -1 || normalized.indexOf(part) !== -1);
+}
+
+/**
+ * Check whether a user's password is older than the policy allows
+ * Users without a recorded change date (added before passwords expired) are not expired.
+ * @param {Object} user - User entity
+ * @param {Object} policy - Optional password policy (default: loadPasswordPolicy())
+ * @returns {boolean} True when the password must be changed
+ */
+function isPasswordExpired(user, policy) {
+  const rules = policy || loadPasswordPolicy();
+  if (!(rules.maxAgeDays > 0)) return false;
+  const changedAt = parseDateValue(user.passwordChangedAt);
+  return !!changedAt && Date.now() - changedAt.getTime() > rules.maxAgeDays * 86400000;
+}
+
+/**
+ * Get the password policy and its rules, for the password forms and the settings page
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result with policy and rules
+ */
+function getPasswordPolicy(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken, { allowPasswordChange: true });
+  if (!sessionUser) return buildSessionExpiredResult();
+
+  const policy = loadPasswordPolicy();
+  const rules = describePasswordPolicy(policy);
+  // Only admins see the banned list; it is part of the settings, not the rules
+  if (!hasPermission(sessionUser, 'users.manage')) {
+    delete policy.bannedPasswords;
+  }
+  return { success: true, policy: policy, rules: rules };
+}
+
+/**
+ * Save the password policy (admin only)
+ * Tighter rules apply to the next password change; a shorter maximum age applies at the next login.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {Object} policyData - Policy fields
+ * @returns {Object} Result with the saved policy and its rules
+ */
+function updatePasswordPolicy(sessionToken, csrfToken, policyData) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const normalized = normalizePasswordPolicy(policyData);
+      if (normalized.error) {
+        return { success: false, message: normalized.error };
+      }
+
+      const policy = normalized.policy;
+      PropertiesService.getScriptProperties().setProperty(CONFIG.PASSWORD_POLICY.PROPERTY, JSON.stringify(policy));
+
+      logAudit_(sessionUser.username, 'Update', 'Settings', 'Password Policy',
+        `${describePasswordPolicy(policy).join('; ')}; ${policy.bannedPasswords.length} banned password(s)`);
+      return { success: true, message: 'Password policy saved', policy: policy, rules: describePasswordPolicy(policy) };
+    } catch (error) {
+      Logger.log('Error in updatePasswordPolicy: ' + error.message);
+      return { success: false, message: 'Error saving password policy: ' + error.message };
+    }
+  });
+}
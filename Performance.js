@@ -1,146 +1,164 @@
 /**
  * Guard Monitoring System - Performance Records Management
- * Functions: addPerformanceRecord, updatePerformanceRecord, deletePerformanceRecord, getAllPerformanceRecords, uploadPDFToDrive
+ * Functions: addPerformanceRecord, updatePerformanceRecord, deletePerformanceRecord, getAllPerformanceRecords_, queryPerformanceRecords, uploadPDFToDrive
  */
 
-function addPerformanceRecord(performanceData, username) {
-  try {
-    const ss = getSpreadsheet();
-    let performanceSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
-
-    // Auto-create sheet if it doesn't exist
-    if (!performanceSheet) {
-      Logger.log('Performance sheet not found, creating it...');
-      performanceSheet = createOrGetSheet(CONFIG.SHEET_NAMES.PERFORMANCE, [
-        'Record ID', 'Guard ID', 'Guard Name', 'Type', 'Type of Violation', 'Short Description', 'Date', 'Violation Sanction', 'PDF Link'
-      ]);
-    }
+/**
+ * Add a performance record (violation or accomplishment)
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {Object} performanceData - Performance data
+ * @returns {Object} Result object
+ */
+function addPerformanceRecord(sessionToken, csrfToken, performanceData) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'performance.write')) return buildPermissionDeniedResult_('performance.write', sessionUser);
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      // Generate unique Record ID
+      const recordId = generateUniqueId('PERF');
+
+      const date = parseDateValue(performanceData.date) || '';
+
+      // Resolve the violation type and sanction the record references
+      const references = buildPerformanceReferenceFields(performanceData);
+      if (references.error) {
+        return { success: false, message: references.error };
+      }
 
-    // Generate unique Record ID
-    const recordId = 'PERF' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMddHHmmss');
-
-    // Format date
-    const date = performanceData.date ?
-      Utilities.formatDate(new Date(performanceData.date), Session.getScriptTimeZone(), 'MMM dd, yyyy') : '';
-
-    // Determine Type of Violation and Violation Sanction based on Type
-    const typeOfViolation = performanceData.type === 'Violation' ? (performanceData.typeOfViolation || '') : 'N/A';
-    const violationSanction = performanceData.type === 'Violation' ? (performanceData.violationSanction || '') : 'N/A';
-
-    // Add performance record
-    performanceSheet.appendRow([
-      recordId,
-      performanceData.guardId || '',
-      performanceData.guardName || '',
-      performanceData.type || '',
-      typeOfViolation,
-      performanceData.shortDescription || '',
-      date,
-      violationSanction,
-      performanceData.pdfLink || ''
-    ]);
-
-    // Log audit trail
-    const actionType = performanceData.type === 'Violation' ? 'Violation' : 'Accomplishment';
-    logAudit(username, actionType, 'Performance Record', performanceData.guardName, actionType + ' added for guard');
+      // Records belong to an existing guard; its current name is stored alongside its ID
+      const guard = performanceData.guardId ? getRepository('GUARDS').findById(performanceData.guardId) : null;
+      if (!guard || isSoftDeleted(guard)) {
+        return { success: false, message: 'Guard not found' };
+      }
+      const guardName = buildGuardFullName(guard);
+
+      // Add performance record (sheet is auto-created if it doesn't exist)
+      getRepository('PERFORMANCE').insert({
+        recordId: recordId,
+        guardId: guard.guardId,
+        guardName: guardName,
+        type: performanceData.type || '',
+        shortDescription: performanceData.shortDescription || '',
+        date: date,
+        pdfLink: performanceData.pdfLink || '',
+        ...references.fields,
+        ...nextVersionStamp(null, username)
+      });
+      invalidateCache_(['PERFORMANCE']);
+
+      // Log audit trail
+      const actionType = performanceData.type === 'Violation' ? 'Violation' : 'Accomplishment';
+      logAudit_(username, actionType, 'Performance Record', guardName, actionType + ' added for guard');
 
-    return {
-      success: true,
-      recordId: recordId,
-      message: 'Performance record added successfully!'
-    };
-  } catch (error) {
-    Logger.log('Error adding performance record: ' + error.message);
-    return {
-      success: false,
-      message: 'Error adding performance record: ' + error.message
-    };
-  }
+      return {
+        success: true,
+        recordId: recordId,
+        message: 'Performance record added successfully!'
+      };
+    } catch (error) {
+      Logger.log('Error adding performance record: ' + error.message);
+      return {
+        success: false,
+        message: 'Error adding performance record: ' + error.message
+      };
+    }
+  });
 }
 
 /**
  * Update a performance record
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
  * @param {string} recordId - Record ID to update
  * @param {Object} performanceData - Performance data
- * @param {string} username - Username performing the action
  * @returns {Object} Result object
  */
-function updatePerformanceRecord(recordId, performanceData, username) {
-  try {
-    const ss = getSpreadsheet();
-    const performanceSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
+function updatePerformanceRecord(sessionToken, csrfToken, recordId, performanceData) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'performance.write')) return buildPermissionDeniedResult_('performance.write', sessionUser);
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      const performanceRepo = getRepository('PERFORMANCE');
+
+      if (!performanceRepo.exists()) {
+        return {
+          success: false,
+          message: 'Performance sheet not found'
+        };
+      }
 
-    if (!performanceSheet) {
-      return {
-        success: false,
-        message: 'Performance sheet not found'
-      };
-    }
+      // Find record (records in the recycle bin can't be edited)
+      const existingRecord = performanceRepo.findById(recordId);
 
-    // Find record row
-    const data = performanceSheet.getDataRange().getValues();
-    let recordRowIndex = -1;
-    let guardName = '';
-    let recordType = '';
-
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === recordId) {
-        recordRowIndex = i + 1; // +1 because sheet rows are 1-indexed
-        guardName = data[i][2] || ''; // Guard Name
-        recordType = data[i][3] || ''; // Type (Violation/Accomplishment)
-        break;
+      if (!existingRecord || isSoftDeleted(existingRecord)) {
+        return {
+          success: false,
+          message: 'Record not found'
+        };
       }
-    }
 
-    if (recordRowIndex === -1) {
-      return {
-        success: false,
-        message: 'Record not found'
-      };
-    }
+      // Reject the update if someone else saved the record after this client loaded it
+      if (isVersionConflict(existingRecord, performanceData.version)) {
+        const current = getAllPerformanceRecords_().find(record => record.recordId === recordId);
+        return buildConflictResult('record', existingRecord, current || null);
+      }
 
-    // Format date
-    const date = performanceData.date ?
-      Utilities.formatDate(new Date(performanceData.date), Session.getScriptTimeZone(), 'MMM dd, yyyy') : '';
+      const guardName = existingRecord.guardName;
 
-    // Determine Type of Violation and Violation Sanction based on Type
-    const typeOfViolation = performanceData.type === 'Violation' ? (performanceData.typeOfViolation || '') : 'N/A';
-    const violationSanction = performanceData.type === 'Violation' ? (performanceData.violationSanction || '') : 'N/A';
+      const date = parseDateValue(performanceData.date) || '';
 
-    // Update record (keep Record ID, Guard ID, and Guard Name unchanged)
-    performanceSheet.getRange(recordRowIndex, 4).setValue(performanceData.type || '');
-    performanceSheet.getRange(recordRowIndex, 5).setValue(typeOfViolation);
-    performanceSheet.getRange(recordRowIndex, 6).setValue(performanceData.shortDescription || '');
-    performanceSheet.getRange(recordRowIndex, 7).setValue(date);
-    performanceSheet.getRange(recordRowIndex, 8).setValue(violationSanction);
-    performanceSheet.getRange(recordRowIndex, 9).setValue(performanceData.pdfLink || '');
+      // Resolve the violation type and sanction the record references
+      const references = buildPerformanceReferenceFields(performanceData);
+      if (references.error) {
+        return { success: false, message: references.error };
+      }
 
-    // Log audit trail
-    const actionType = performanceData.type === 'Violation' ? 'Violation' : 'Accomplishment';
-    logAudit(username, 'Update', actionType, guardName, 'Updated ' + actionType + ' record');
+      // Update record (keep Record ID, Guard ID, and Guard Name unchanged)
+      const versionStamp = nextVersionStamp(existingRecord, username);
+      performanceRepo.update(recordId, {
+        type: performanceData.type || '',
+        shortDescription: performanceData.shortDescription || '',
+        date: date,
+        pdfLink: performanceData.pdfLink || '',
+        ...references.fields,
+        ...versionStamp
+      });
+      invalidateCache_(['PERFORMANCE']);
+
+      // Log audit trail
+      const actionType = performanceData.type === 'Violation' ? 'Violation' : 'Accomplishment';
+      logAudit_(username, 'Update', actionType, guardName, 'Updated ' + actionType + ' record');
 
-    return {
-      success: true,
-      message: 'Performance record updated successfully!'
-    };
-  } catch (error) {
-    Logger.log('Error updating performance record: ' + error.message);
-    return {
-      success: false,
-      message: 'Error updating record: ' + error.message
-    };
-  }
+      return {
+        success: true,
+        version: versionStamp.version,
+        message: 'Performance record updated successfully!'
+      };
+    } catch (error) {
+      Logger.log('Error updating performance record: ' + error.message);
+      return {
+        success: false,
+        message: 'Error updating record: ' + error.message
+      };
+    }
+  });
 }
 
 /**
  * Generate performance report
  */
 function generateReport() {
-  const guardsSheet = getSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.GUARDS);
-  const performanceSheet = getSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
-
-  const guardCount = guardsSheet.getLastRow() - 1;
-  const performanceRecords = performanceSheet.getLastRow() - 1;
+  const guardCount = getRepository('GUARDS').count();
+  const performanceRecords = getRepository('PERFORMANCE').count();
 
   const message = `Guard Monitoring System Report
 
@@ -153,170 +171,282 @@ Report generated on: ${Utilities.formatDate(new Date(), Session.getScriptTimeZon
 }
 
 /**
- * Delete a performance record
+ * Move a performance record to the recycle bin
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
  * @param {string} recordId - Record ID to delete
- * @param {string} username - Username of the user performing the action
+ * @param {number} expectedVersion - Version of the record the caller read
  * @returns {Object} Result object
  */
-function deletePerformanceRecord(recordId, username) {
-  try {
-    const ss = getSpreadsheet();
-    const performanceSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
+function deletePerformanceRecord(sessionToken, csrfToken, recordId, expectedVersion) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'performance.delete')) return buildPermissionDeniedResult_('performance.delete', sessionUser);
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      const performanceRepo = getRepository('PERFORMANCE');
+
+      if (!performanceRepo.exists()) {
+        return {
+          success: false,
+          message: 'Performance sheet not found'
+        };
+      }
 
-    if (!performanceSheet) {
-      return {
-        success: false,
-        message: 'Performance sheet not found'
-      };
-    }
+      const deletedRecord = performanceRepo.findById(recordId);
 
-    // Find and delete record
-    const performanceData = performanceSheet.getDataRange().getValues();
-    let recordRowIndex = -1;
-    let guardName = '';
-    let recordType = '';
-
-    for (let i = 1; i < performanceData.length; i++) {
-      if (performanceData[i][0] === recordId) {
-        recordRowIndex = i + 1; // +1 because sheet rows are 1-indexed
-        guardName = performanceData[i][2] || ''; // Guard Name
-        recordType = performanceData[i][3] || ''; // Type (Violation/Accomplishment)
-        break;
+      if (!deletedRecord || isSoftDeleted(deletedRecord)) {
+        return {
+          success: false,
+          message: 'Record not found'
+        };
       }
-    }
 
-    if (recordRowIndex === -1) {
+      // Don't delete a record someone else changed after this client loaded it
+      if (isVersionConflict(deletedRecord, expectedVersion)) {
+        const current = getAllPerformanceRecords_().find(record => record.recordId === recordId);
+        return buildConflictResult('record', deletedRecord, current || null);
+      }
+
+      performanceRepo.update(recordId, buildSoftDeleteChanges(deletedRecord, username));
+      invalidateCache_(['PERFORMANCE']);
+
+      const guardName = deletedRecord.guardName; // Guard Name
+      const recordType = deletedRecord.type; // Type (Violation/Accomplishment)
+
+      // Log audit trail
+      logAudit_(username, 'Delete', recordType, guardName, 'Moved ' + recordType + ' record ' + recordId + ' to the recycle bin');
+
+      return {
+        success: true,
+        message: 'Performance record deleted successfully'
+      };
+
+    } catch (error) {
+      Logger.log('Error deleting performance record: ' + error.message);
       return {
         success: false,
-        message: 'Record not found'
+        message: 'Error deleting record: ' + error.message
       };
     }
+  });
+}
 
-    // Delete record row
-    performanceSheet.deleteRow(recordRowIndex);
+/**
+ * Get all performance records
+ * @returns {Array} Array of performance records
+ */
+function getAllPerformanceRecords_() {
+  try {
+    // Returns empty array if the sheet doesn't exist or has no data
+    // Records in the recycle bin are listed by getRecycleBin only
+    const performanceRecords = getCachedEntities_('PERFORMANCE').filter(record => !isSoftDeleted(record));
+    const references = loadPerformanceReferences();
+
+    // Build records array, with names resolved from the referenced guard, type and sanction
+    const records = performanceRecords.map(record => ({
+      recordId: record.recordId,
+      guardId: record.guardId,
+      guardName: resolveReferenceName(references.guards, record.guardId, record.guardName),
+      type: record.type,
+      typeOfViolation: resolveReferenceName(references.violationTypes, record.violationTypeId, record.typeOfViolation),
+      violationTypeId: record.violationTypeId,
+      shortDescription: record.shortDescription,
+      date: formatDateString(record.date),
+      dateRaw: record.date, // Keep raw date for sorting
+      violationSanction: resolveReferenceName(references.violationSanctions, record.violationSanctionId, record.violationSanction),
+      violationSanctionId: record.violationSanctionId,
+      pdfLink: record.pdfLink,
+      version: record.version || 0,
+      lastModified: formatDateTimeString(record.lastModified),
+      lastModifiedBy: record.lastModifiedBy
+    }));
 
-    // Log audit trail
-    logAudit(username, 'Delete', recordType, guardName, 'Deleted ' + recordType + ' record');
+    // Sort by date descending (newest first)
+    records.sort((a, b) => {
+      const dateA = parseDateValue(a.dateRaw) || new Date(0);
+      const dateB = parseDateValue(b.dateRaw) || new Date(0);
+      return dateB - dateA; // Descending order
+    });
 
-    return {
-      success: true,
-      message: 'Performance record deleted successfully'
-    };
+    // Remove dateRaw from final output
+    records.forEach(record => delete record.dateRaw);
 
+    return records;
   } catch (error) {
-    Logger.log('Error deleting performance record: ' + error.message);
-    return {
-      success: false,
-      message: 'Error deleting record: ' + error.message
-    };
+    Logger.log('Error getting performance records: ' + error.message);
+    return [];
   }
 }
 
 /**
- * Get all performance records
- * @returns {Array} Array of performance records
+ * Load the names of everything performance records reference by ID
+ * @returns {Object} { guards, violationTypes, violationSanctions }, each a map of ID to name
  */
-function getAllPerformanceRecords() {
-  try {
-    const ss = getSpreadsheet();
-    const performanceSheet = ss.getSheetByName(CONFIG.SHEET_NAMES.PERFORMANCE);
+function loadPerformanceReferences() {
+  const namesById = (items, idField, getName) => {
+    const names = {};
+    items.forEach(item => {
+      names[String(item[idField]).trim()] = getName(item);
+    });
+    return names;
+  };
+
+  return {
+    guards: namesById(getCachedEntities_('GUARDS'), 'guardId', buildGuardFullName),
+    violationTypes: namesById(getCachedEntities_('VIOLATION_TYPES'), 'id', item => String(item.name).trim()),
+    violationSanctions: namesById(getCachedEntities_('VIOLATION_SANCTIONS'), 'id', item => String(item.name).trim())
+  };
+}
 
-    // If sheet doesn't exist, return empty array
-    if (!performanceSheet) {
-      Logger.log('Performance sheet not found');
-      return [];
-    }
+/**
+ * Resolve the current name of a referenced guard, type or sanction
+ * Falls back to the name stored with the record when the reference is missing
+ * (records that were never linked, or whose guard was deleted).
+ * @param {Object} names - Map of ID to name from loadPerformanceReferences
+ * @param {string} id - Referenced ID
+ * @param {string} storedName - Name stored with the record
+ * @returns {string} Name to show
+ */
+function resolveReferenceName(names, id, storedName) {
+  return (id && names[id]) || storedName || '';
+}
 
-    // Check if there's any data beyond headers
-    const performanceLastRow = performanceSheet.getLastRow();
+/**
+ * Build the violation type and sanction fields of a record being saved
+ * Clients send violationTypeId and violationSanctionId; a name is accepted in their
+ * place (typeOfViolation, violationSanction) and resolved to the matching ID.
+ * @param {Object} performanceData - Performance data
+ * @returns {Object} { fields } or { error } when a referenced item does not exist
+ */
+function buildPerformanceReferenceFields(performanceData) {
+  if (performanceData.type !== 'Violation') {
+    return { fields: { typeOfViolation: 'N/A', violationTypeId: '', violationSanction: 'N/A', violationSanctionId: '' } };
+  }
 
-    if (performanceLastRow <= 1) {
-      return [];
-    }
+  const violationType = findMasterDataItem_('VIOLATION_TYPES', performanceData.violationTypeId, performanceData.typeOfViolation);
+  if (violationType === null) {
+    return { error: 'Unknown violation type: ' + (performanceData.violationTypeId || performanceData.typeOfViolation) };
+  }
 
-    const performanceData = performanceSheet.getDataRange().getValues();
-    const records = [];
-    const timezone = Session.getScriptTimeZone();
-
-    // Optimized date formatter
-    const formatDate = (value) => {
-      if (!value) return '';
-      if (value instanceof Date) {
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const d = new Date(value.getTime());
-        return months[d.getMonth()] + ' ' +
-               String(d.getDate()).padStart(2, '0') + ', ' +
-               d.getFullYear();
-      }
-      return value.toString();
-    };
+  const sanction = findMasterDataItem_('VIOLATION_SANCTIONS', performanceData.violationSanctionId, performanceData.violationSanction);
+  if (sanction === null) {
+    return { error: 'Unknown sanction: ' + (performanceData.violationSanctionId || performanceData.violationSanction) };
+  }
 
-    // Parse date for sorting
-    const parseDate = (dateStr) => {
-      if (!dateStr) return new Date(0);
-      if (dateStr instanceof Date) return dateStr;
-      // Try to parse the date string
-      const parsed = new Date(dateStr);
-      return isNaN(parsed.getTime()) ? new Date(0) : parsed;
-    };
+  return {
+    fields: {
+      typeOfViolation: violationType ? violationType.name : '',
+      violationTypeId: violationType ? violationType.id : '',
+      violationSanction: sanction ? sanction.name : '',
+      violationSanctionId: sanction ? sanction.id : ''
+    }
+  };
+}
 
-    // Skip header row (index 0) and build records array
-    for (let i = 1; i < performanceData.length; i++) {
-      const row = performanceData[i];
-
-      const record = {
-        recordId: row[0] ? row[0].toString() : '',
-        guardId: row[1] ? row[1].toString() : '',
-        guardName: row[2] ? row[2].toString() : '',
-        type: row[3] ? row[3].toString() : '',
-        typeOfViolation: row[4] ? row[4].toString() : '',
-        shortDescription: row[5] ? row[5].toString() : '',
-        date: formatDate(row[6]),
-        dateRaw: row[6], // Keep raw date for sorting
-        violationSanction: row[7] ? row[7].toString() : '',
-        pdfLink: row[8] ? row[8].toString() : ''
-      };
+/**
+ * Query performance records with filtering, sorting and paging done on the server
+ * @param {string} sessionToken - Session token
+ * @param {Object} criteria - Query criteria:
+ *   search {string} - Matches guard name, description, type or violation type
+ *   guardId {string} - Only records of one guard
+ *   type {string} - Violation or Accomplishment ('all' or omitted for any)
+ *   violationType {string} - Type of violation name
+ *   startDate, endDate {string} - Inclusive date range (yyyy-MM-dd)
+ *   sortBy {string} - date, guardName, type or typeOfViolation (default: date, newest first)
+ *   sortDirection {string} - asc or desc
+ *   pageSize {number} - Records per page (0 for all)
+ *   cursor {string} - Cursor from a previous result, or page {number}
+ * @returns {Object} Result with one page of records, paging information and totals
+ */
+function queryPerformanceRecords(sessionToken, criteria) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'performance.read')) return buildPermissionDeniedResult_('performance.read', sessionUser);
 
-      records.push(record);
-    }
+  try {
+    const query = Object.assign({ sortBy: 'date', sortDirection: 'desc' }, criteria || {});
+    const allRecords = getAllPerformanceRecords_();
+
+    const search = (query.search || '').toString().toLowerCase().trim();
+    const startDate = parseDateValue(query.startDate);
+    const endDate = parseDateValue(query.endDate);
+    if (endDate) endDate.setHours(23, 59, 59, 999);
+
+    const matches = allRecords.filter(record => {
+      if (query.guardId && record.guardId !== query.guardId) return false;
+      if (query.type && query.type !== 'all' && record.type !== query.type) return false;
+      if (query.violationType && query.violationType !== 'all' && record.typeOfViolation !== query.violationType) return false;
+
+      if (startDate || endDate) {
+        const recordDate = parseDateValue(record.date);
+        if (!recordDate) return false;
+        if (startDate && recordDate < startDate) return false;
+        if (endDate && recordDate > endDate) return false;
+      }
 
-    // Sort by date descending (newest first)
-    records.sort((a, b) => {
-      const dateA = parseDate(a.dateRaw);
-      const dateB = parseDate(b.dateRaw);
-      return dateB - dateA; // Descending order
+      if (search) {
+        const haystack = [record.guardName, record.shortDescription, record.type, record.typeOfViolation]
+          .join(' ')
+          .toLowerCase();
+        if (haystack.indexOf(search) === -1) return false;
+      }
+      return true;
     });
 
-    // Remove dateRaw from final output
-    records.forEach(record => delete record.dateRaw);
+    const result = paginateResults(matches, query, {
+      date: record => parseDateValue(record.date),
+      guardName: record => record.guardName,
+      type: record => record.type,
+      typeOfViolation: record => record.type === 'Violation' ? record.typeOfViolation : ''
+    });
 
-    return records;
+    result.success = true;
+    result.totalAll = allRecords.length;
+    result.totals = {
+      byType: countBy(matches, record => record.type),
+      byViolationType: countBy(matches.filter(record => record.type === 'Violation'), record => record.typeOfViolation)
+    };
+    return result;
   } catch (error) {
-    Logger.log('Error getting performance records: ' + error.message);
-    return [];
+    Logger.log('Error querying performance records: ' + error.message);
+    return {
+      success: false,
+      message: 'Error loading records: ' + error.message
+    };
   }
 }
 
 /**
  * Upload PDF file to Google Drive
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
  * @param {Object} fileData - File data object with content, mimeType, filename
  * @returns {Object} Result with file URL
  */
-function uploadPDFToDrive(fileData) {
+function uploadPDFToDrive(sessionToken, csrfToken, fileData) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'performance.write')) return buildPermissionDeniedResult_('performance.write', sessionUser);
+
+  // The content decides the type; the client's mimeType and filename are only checked against it
+  const upload = validateUpload_(fileData, 'DOCUMENT', sessionUser.username);
+  if (upload.error) {
+    return { success: false, message: upload.error };
+  }
+
   try {
     // Get folder from CONFIG
     const folder = DriveApp.getFolderById(CONFIG.GOOGLE_DRIVE_FOLDER_ID);
 
-    // Decode base64 content
-    const base64Data = fileData.content.split(',')[1]; // Remove data:application/pdf;base64, prefix
-    const blob = Utilities.newBlob(Utilities.base64Decode(base64Data), fileData.mimeType, fileData.filename);
-
     // Create file in folder
-    const file = folder.createFile(blob);
-
-    // Set sharing permissions to anyone with the link can view
-    file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+    const file = folder.createFile(Utilities.newBlob(upload.bytes, upload.mimeType, upload.fileName));
 
+    // The file stays private to the deploying account; the app serves it through getPerformanceAttachment
     return {
       success: true,
       fileUrl: file.getUrl(),
@@ -0,0 +1,106 @@
+/**
+ * Guard Monitoring System - List Query Helpers
+ * Shared sorting, paging and cursor handling for the list query endpoints
+ * Functions: paginateResults, countBy, encodeCursor, decodeCursor
+ */
+
+/**
+ * Sort a filtered list and cut one page out of it
+ * Paging starts at the criteria cursor when given, otherwise at criteria.page.
+ * @param {Array<Object>} items - Filtered items
+ * @param {Object} criteria - Query criteria (sortBy, sortDirection, pageSize, cursor, page)
+ * @param {Object} sortFields - Map of sort key -> function returning the value to sort on
+ * @returns {Object} Page of items with paging information
+ */
+function paginateResults(items, criteria, sortFields) {
+  const sortKey = criteria.sortBy && sortFields[criteria.sortBy] ? criteria.sortBy : null;
+  if (sortKey) {
+    const getValue = sortFields[sortKey];
+    const direction = criteria.sortDirection === 'desc' ? -1 : 1;
+    // Tag with the original index so equal values keep their existing order
+    items = items
+      .map((item, index) => ({ item: item, index: index, value: getValue(item) }))
+      .sort((a, b) => compareValues(a.value, b.value) * direction || a.index - b.index)
+      .map(entry => entry.item);
+  }
+
+  const total = items.length;
+
+  // A page size of 0 returns every matching item (used for exports)
+  const requestedSize = parseInt(criteria.pageSize, 10);
+  const pageSize = requestedSize === 0 ? Math.max(total, 1) :
+    Math.min(Math.max(requestedSize || CONFIG.QUERY.DEFAULT_PAGE_SIZE, 1), CONFIG.QUERY.MAX_PAGE_SIZE);
+
+  let offset = criteria.cursor ? decodeCursor(criteria.cursor) : (Math.max(parseInt(criteria.page, 10) || 1, 1) - 1) * pageSize;
+  if (offset >= total) {
+    offset = Math.max(0, Math.floor((total - 1) / pageSize) * pageSize);
+  }
+
+  const nextOffset = offset + pageSize;
+  return {
+    items: items.slice(offset, nextOffset),
+    total: total,
+    page: Math.floor(offset / pageSize) + 1,
+    pageSize: pageSize,
+    totalPages: Math.max(1, Math.ceil(total / pageSize)),
+    sortBy: sortKey,
+    sortDirection: sortKey && criteria.sortDirection === 'desc' ? 'desc' : 'asc',
+    nextCursor: nextOffset < total ? encodeCursor(nextOffset) : null,
+    previousCursor: offset > 0 ? encodeCursor(Math.max(0, offset - pageSize)) : null
+  };
+}
+
+/**
+ * Compare two sort values; blanks always sort last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const aBlank = a === null || a === undefined || a === '';
+  const bBlank = b === null || b === undefined || b === '';
+  if (aBlank || bBlank) return aBlank === bBlank ? 0 : (aBlank ? 1 : -1);
+
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+}
+
+/**
+ * Count items per value of a key
+ * @param {Array<Object>} items - Items to count
+ * @param {Function} getKey - Returns the group key for an item
+ * @returns {Object} Map of key -> count
+ */
+function countBy(items, getKey) {
+  const counts = {};
+  items.forEach(item => {
+    const key = getKey(item) || 'Unknown';
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Encode a list offset as an opaque cursor
+ * @param {number} offset - Zero-based offset
+ * @returns {string} Cursor
+ */
+function encodeCursor(offset) {
+  return Utilities.base64EncodeWebSafe(JSON.stringify({ offset: offset }));
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {number} Zero-based offset (0 for invalid cursors)
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(cursor)).getDataAsString());
+    const offset = parseInt(decoded.offset, 10);
+    return offset > 0 ? offset : 0;
+  } catch (e) {
+    return 0;
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * Guard Monitoring System - Recycle Bin
+ * Soft-deleted guards and performance records, with restore, permanent purge
+ * and a scheduled purge of items deleted more than CONFIG.RECYCLE_BIN.PURGE_AFTER_DAYS ago
+ * Functions: getRecycleBin, restoreDeletedItem, purgeDeletedItem, installRecycleBinScheduleFromMenu
+ */
+
+/**
+ * Kinds of items that go to the recycle bin
+ * related: entities keyed by the same Guard ID that are purged together with a guard
+ * permission: needed to see and restore the items, the same one that deletes them (purging needs system.manage)
+ */
+const RECYCLE_BIN_TYPES = {
+  guard: {
+    entity: 'GUARDS',
+    label: 'Guard',
+    related: ['DOCUMENTS', 'HEALTH'],
+    permission: 'guards.delete',
+    describe: guard => ({ name: buildGuardFullName(guard), detail: guard.status || '' })
+  },
+  record: {
+    entity: 'PERFORMANCE',
+    label: 'Performance record',
+    related: [],
+    permission: 'performance.delete',
+    describe: record => ({
+      name: record.guardName,
+      detail: [record.type, formatDateString(record.date), record.shortDescription].filter(Boolean).join(' - ')
+    })
+  }
+};
+
+/**
+ * Check whether a guard or performance record is in the recycle bin
+ * @param {Object} item - Guard or performance entity
+ * @returns {boolean} True when soft-deleted
+ */
+function isSoftDeleted(item) {
+  return !!item.deletedAt;
+}
+
+/**
+ * Fields that move an entity to the recycle bin
+ * @param {Object} entity - Current entity
+ * @param {string} username - Username performing the deletion
+ * @returns {Object} Changes for the repository
+ */
+function buildSoftDeleteChanges(entity, username) {
+  return {
+    deletedAt: new Date(),
+    deletedBy: username || '',
+    ...nextVersionStamp(entity, username)
+  };
+}
+
+/**
+ * List the recycle bin items the user may restore, most recently deleted first
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result with purgeAfterDays and items: [{ type, typeLabel, id, name, detail, deletedAt, deletedBy, purgeOn }]
+ */
+function getRecycleBin(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+
+  try {
+    const purgeAfterDays = CONFIG.RECYCLE_BIN.PURGE_AFTER_DAYS;
+    const items = [];
+
+    const types = Object.keys(RECYCLE_BIN_TYPES).filter(type => hasPermission(sessionUser, RECYCLE_BIN_TYPES[type].permission));
+    if (types.length === 0) {
+      return buildPermissionDeniedResult_(RECYCLE_BIN_TYPES.record.permission, sessionUser);
+    }
+
+    types.forEach(type => {
+      const binType = RECYCLE_BIN_TYPES[type];
+      const idField = SHEET_SCHEMAS[binType.entity].idField;
+      getCachedEntities_(binType.entity).filter(isSoftDeleted).forEach(entity => {
+        const deletedAt = parseDateValue(entity.deletedAt);
+        const description = binType.describe(entity);
+        items.push({
+          type: type,
+          typeLabel: binType.label,
+          id: entity[idField],
+          name: description.name,
+          detail: description.detail,
+          deletedTime: deletedAt ? deletedAt.getTime() : 0,
+          deletedAt: formatDateTimeString(entity.deletedAt),
+          deletedBy: entity.deletedBy,
+          purgeOn: deletedAt ? formatDateString(new Date(deletedAt.getTime() + purgeAfterDays * 86400000)) : ''
+        });
+      });
+    });
+
+    items.sort((a, b) => b.deletedTime - a.deletedTime);
+    items.forEach(item => delete item.deletedTime);
+
+    return {
+      success: true,
+      purgeAfterDays: purgeAfterDays,
+      items: items
+    };
+  } catch (error) {
+    Logger.log('Error loading recycle bin: ' + error.message);
+    return {
+      success: false,
+      message: 'Error loading recycle bin: ' + error.message,
+      items: []
+    };
+  }
+}
+
+/**
+ * Restore a soft-deleted guard or performance record
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} type - guard or record
+ * @param {string} id - Guard ID or Record ID
+ * @returns {Object} Result object
+ */
+function restoreDeletedItem(sessionToken, csrfToken, type, id) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      const binType = RECYCLE_BIN_TYPES[type];
+      if (!binType) {
+        return { success: false, message: 'Unknown item type: ' + type };
+      }
+      if (!hasPermission(sessionUser, binType.permission)) {
+        return buildPermissionDeniedResult_(binType.permission, sessionUser);
+      }
+
+      const repo = getRepository(binType.entity);
+      const entity = repo.findById(id);
+      if (!entity || !isSoftDeleted(entity)) {
+        return { success: false, message: `${binType.label} not found in the recycle bin` };
+      }
+
+      repo.update(id, {
+        deletedAt: null,
+        deletedBy: '',
+        ...nextVersionStamp(entity, username)
+      });
+      invalidateCache_([binType.entity]);
+
+      const name = binType.describe(entity).name;
+      logAudit_(username, 'Restore', binType.label, name, `Restored ${binType.label.toLowerCase()} ${id} from the recycle bin`);
+
+      return {
+        success: true,
+        message: `${binType.label} restored successfully`
+      };
+    } catch (error) {
+      Logger.log('Error restoring item: ' + error.message);
+      return {
+        success: false,
+        message: 'Error restoring item: ' + error.message
+      };
+    }
+  });
+}
+
+/**
+ * Permanently delete an item from the recycle bin (guards take their documents and health rows with them)
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} type - guard or record
+ * @param {string} id - Guard ID or Record ID
+ * @returns {Object} Result object
+ */
+function purgeDeletedItem(sessionToken, csrfToken, type, id) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      const binType = RECYCLE_BIN_TYPES[type];
+      if (!binType) {
+        return { success: false, message: 'Unknown item type: ' + type };
+      }
+      const entity = getRepository(binType.entity).findById(id);
+      if (!entity || !isSoftDeleted(entity)) {
+        return { success: false, message: `${binType.label} not found in the recycle bin` };
+      }
+
+      purgeRecycleBinEntities_(binType, [entity]);
+
+      const name = binType.describe(entity).name;
+      logAudit_(username, 'Purge', binType.label, name, `Permanently deleted ${binType.label.toLowerCase()} ${id}`);
+
+      return {
+        success: true,
+        message: `${binType.label} permanently deleted`
+      };
+    } catch (error) {
+      Logger.log('Error purging item: ' + error.message);
+      return {
+        success: false,
+        message: 'Error purging item: ' + error.message
+      };
+    }
+  });
+}
+
+/**
+ * Trigger handler: permanently delete items that have been in the recycle bin
+ * for more than CONFIG.RECYCLE_BIN.PURGE_AFTER_DAYS days
+ * @returns {Object} Result with purgedCount
+ */
+function purgeRecycleBin_() {
+  return withWriteLock(() => {
+    try {
+      const cutoff = new Date(Date.now() - CONFIG.RECYCLE_BIN.PURGE_AFTER_DAYS * 86400000);
+      const purged = [];
+      let purgedCount = 0;
+
+      Object.keys(RECYCLE_BIN_TYPES).forEach(type => {
+        const binType = RECYCLE_BIN_TYPES[type];
+        const expired = getRepository(binType.entity).findAll(entity => {
+          const deletedAt = isSoftDeleted(entity) ? parseDateValue(entity.deletedAt) : null;
+          return !!deletedAt && deletedAt < cutoff;
+        });
+        if (expired.length === 0) return;
+
+        purgeRecycleBinEntities_(binType, expired);
+        purged.push(`${expired.length} ${binType.label.toLowerCase()}(s)`);
+        purgedCount += expired.length;
+      });
+
+      if (purgedCount > 0) {
+        logAudit_('System', 'Purge', 'Recycle Bin', `${purgedCount} items`,
+          `Purged ${purged.join(' and ')} deleted more than ${CONFIG.RECYCLE_BIN.PURGE_AFTER_DAYS} days ago`);
+      }
+      Logger.log(`Recycle bin purge removed ${purgedCount} item(s)`);
+
+      return {
+        success: true,
+        purgedCount: purgedCount,
+        message: `Purged ${purgedCount} item(s) from the recycle bin`
+      };
+    } catch (error) {
+      Logger.log('Error purging recycle bin: ' + error.message);
+      return {
+        success: false,
+        message: 'Error purging recycle bin: ' + error.message
+      };
+    }
+  });
+}
+
+/**
+ * Install the daily recycle bin purge trigger (replacing any existing one)
+ * @returns {Object} Result object
+ */
+function installRecycleBinSchedule_() {
+  removeRecycleBinSchedule_();
+  ScriptApp.newTrigger('purgeRecycleBin_')
+    .timeBased()
+    .everyDays(1)
+    .atHour(CONFIG.RECYCLE_BIN.SCHEDULE_HOUR)
+    .create();
+
+  return {
+    success: true,
+    message: `Recycle bin items older than ${CONFIG.RECYCLE_BIN.PURGE_AFTER_DAYS} days will be purged daily around ${CONFIG.RECYCLE_BIN.SCHEDULE_HOUR}:00`
+  };
+}
+
+/**
+ * Remove the daily recycle bin purge trigger
+ * @returns {Object} Result with the number of removed triggers
+ */
+function removeRecycleBinSchedule_() {
+  const handlers = ['purgeRecycleBin_', 'purgeRecycleBin'];
+  const triggers = ScriptApp.getProjectTriggers().filter(trigger => handlers.indexOf(trigger.getHandlerFunction()) !== -1);
+  triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  return {
+    success: true,
+    removedCount: triggers.length,
+    message: `Removed ${triggers.length} recycle bin schedule(s)`
+  };
+}
+
+/**
+ * Menu handler: install the daily recycle bin purge trigger
+ */
+function installRecycleBinScheduleFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Schedule Recycle Bin Purge', installRecycleBinSchedule_().message, ui.ButtonSet.OK);
+}
+
+/**
+ * Delete soft-deleted entities and their related rows for good
+ * @param {Object} binType - Entry of RECYCLE_BIN_TYPES
+ * @param {Array<Object>} entities - Soft-deleted entities to remove
+ */
+function purgeRecycleBinEntities_(binType, entities) {
+  const idField = SHEET_SCHEMAS[binType.entity].idField;
+  const ids = new Set(entities.map(entity => entity[idField]));
+  const isPurged = entity => isSoftDeleted(entity) && ids.has(entity[idField]);
+
+  getRepository(binType.entity).deleteWhere(isPurged);
+  binType.related.forEach(entity => {
+    getRepository(entity).deleteWhere(row => ids.has(row.guardId));
+  });
+  invalidateCache_([binType.entity].concat(binType.related));
+}
@@ -0,0 +1,435 @@
+/**
+ * Guard Monitoring System - Sheet Repository Layer
+ * Header-driven data access for the entity sheets defined in SHEET_SCHEMAS
+ * Functions: getRepository, getSchemaHeaders, nextVersionStamp, isVersionConflict, buildConflictResult
+ */
+
+/**
+ * Get the header row for an entity as defined in SHEET_SCHEMAS
+ * @param {string} entity - Entity key (e.g. 'GUARDS')
+ * @returns {Array<string>} Header names in schema order
+ */
+function getSchemaHeaders(entity) {
+  const schema = SHEET_SCHEMAS[entity];
+  if (!schema) {
+    throw new Error('Unknown entity: ' + entity);
+  }
+  return Object.keys(schema.fields).map(field => schema.fields[field].header);
+}
+
+/**
+ * Create a repository for an entity sheet
+ * Columns are located by header name, never by position, so manually
+ * inserted or reordered columns do not shift the data being read or written.
+ * @param {string} entity - Entity key in SHEET_SCHEMAS (e.g. 'GUARDS')
+ * @param {string} sheetName - Optional sheet name override (e.g. archive sheets sharing a schema)
+ * @returns {Object} Repository with find/insert/update/delete methods
+ */
+function getRepository(entity, sheetName) {
+  const schema = SHEET_SCHEMAS[entity];
+  if (!schema) {
+    throw new Error('Unknown entity: ' + entity);
+  }
+
+  const name = sheetName || CONFIG.SHEET_NAMES[entity];
+  const fieldNames = Object.keys(schema.fields);
+  let sheet = null;
+  let columnMap = null;
+
+  // Returns the sheet, creating it with the schema headers when create is true
+  const getSheet = (create) => {
+    if (!sheet) {
+      sheet = getSpreadsheet().getSheetByName(name);
+      if (!sheet && create) {
+        sheet = createOrGetSheet(name, getSchemaHeaders(entity));
+      }
+    }
+    return sheet;
+  };
+
+  // Map of field name -> zero-based column index, resolved from the header row
+  const getColumnMap = () => {
+    if (!columnMap) {
+      const lastColumn = sheet.getLastColumn();
+      const headerRow = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+      const headerIndex = {};
+      headerRow.forEach((header, index) => {
+        const key = normalizeHeader(header);
+        if (key && headerIndex[key] === undefined) {
+          headerIndex[key] = index;
+        }
+      });
+
+      columnMap = {};
+      fieldNames.forEach(field => {
+        const index = headerIndex[normalizeHeader(schema.fields[field].header)];
+        if (index !== undefined) {
+          columnMap[field] = index;
+        }
+      });
+    }
+    return columnMap;
+  };
+
+  const getIdColumn = () => {
+    const index = getColumnMap()[schema.idField];
+    if (index === undefined) {
+      throw new Error(`Column "${schema.fields[schema.idField].header}" not found in sheet "${name}"`);
+    }
+    return index;
+  };
+
+  const toEntity = (row) => {
+    const map = getColumnMap();
+    const entityObject = {};
+    fieldNames.forEach(field => {
+      const index = map[field];
+      entityObject[field] = readCellValue(index === undefined ? '' : row[index], schema.fields[field].type);
+    });
+    return entityObject;
+  };
+
+  // Write entity values into a row array, failing loudly on unknown columns
+  const applyToRow = (row, values) => {
+    const map = getColumnMap();
+    Object.keys(values).forEach(field => {
+      if (!schema.fields[field] || values[field] === undefined) return;
+      const index = map[field];
+      if (index === undefined) {
+        throw new Error(`Column "${schema.fields[field].header}" not found in sheet "${name}". Run schema migrations.`);
+      }
+      row[index] = writeCellValue(values[field], schema.fields[field].type);
+    });
+    return row;
+  };
+
+  const getWidth = () => Math.max(sheet.getLastColumn(), 1);
+
+  // Find the 1-based sheet row of a record by ID, or -1
+  const findRowNumber = (id) => {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return -1;
+
+    const ids = sheet.getRange(2, getIdColumn() + 1, lastRow - 1, 1).getValues();
+    const target = String(id);
+    for (let i = 0; i < ids.length; i++) {
+      if (ids[i][0] !== '' && String(ids[i][0]) === target) {
+        return i + 2;
+      }
+    }
+    return -1;
+  };
+
+  // All non-empty data rows as { rowNumber, entity }
+  const readRecords = () => {
+    if (!getSheet(false) || sheet.getLastRow() <= 1) return [];
+
+    const data = sheet.getDataRange().getValues();
+    const idColumn = getIdColumn();
+    const records = [];
+    for (let i = 1; i < data.length; i++) {
+      const id = data[i][idColumn];
+      if (id === '' || id === null || id.toString().trim() === '') continue;
+      records.push({ rowNumber: i + 1, entity: toEntity(data[i]) });
+    }
+    return records;
+  };
+
+  return {
+    entity: entity,
+    sheetName: name,
+
+    /**
+     * @param {boolean} create - Create the sheet with schema headers if missing
+     * @returns {Sheet|null} Underlying sheet
+     */
+    getSheet: function(create) {
+      return getSheet(create);
+    },
+
+    /**
+     * @returns {boolean} True if the sheet exists
+     */
+    exists: function() {
+      return !!getSheet(false);
+    },
+
+    /**
+     * @returns {Array<string>} Schema headers missing from the sheet
+     */
+    getMissingHeaders: function() {
+      if (!getSheet(false)) return getSchemaHeaders(entity);
+      const map = getColumnMap();
+      return fieldNames.filter(field => map[field] === undefined).map(field => schema.fields[field].header);
+    },
+
+    /**
+     * @param {Function} predicate - Optional filter applied to each entity
+     * @returns {Array<Object>} Matching entities in sheet order
+     */
+    findAll: function(predicate) {
+      const entities = readRecords().map(record => record.entity);
+      return predicate ? entities.filter(predicate) : entities;
+    },
+
+    /**
+     * @param {Function} predicate - Filter applied to each entity
+     * @returns {Object|null} First matching entity
+     */
+    findOne: function(predicate) {
+      const records = readRecords();
+      for (let i = 0; i < records.length; i++) {
+        if (predicate(records[i].entity)) return records[i].entity;
+      }
+      return null;
+    },
+
+    /**
+     * @param {string} id - Value of the entity's ID field
+     * @returns {Object|null} Entity or null if not found
+     */
+    findById: function(id) {
+      if (!getSheet(false)) return null;
+      const rowNumber = findRowNumber(id);
+      if (rowNumber === -1) return null;
+      return toEntity(sheet.getRange(rowNumber, 1, 1, getWidth()).getValues()[0]);
+    },
+
+    /**
+     * @returns {number} Number of data rows
+     */
+    count: function() {
+      return getSheet(false) ? Math.max(0, sheet.getLastRow() - 1) : 0;
+    },
+
+    /**
+     * Append a single entity
+     * @param {Object} values - Entity field values
+     * @returns {Object} The inserted entity
+     */
+    insert: function(values) {
+      getSheet(true);
+      const row = applyToRow(new Array(getWidth()).fill(''), values);
+      sheet.appendRow(row);
+      return toEntity(row);
+    },
+
+    /**
+     * Append many entities with a single batched write
+     * @param {Array<Object>} entities - Entity field values
+     * @returns {number} Number of rows inserted
+     */
+    insertMany: function(entities) {
+      if (!entities || entities.length === 0) return 0;
+      getSheet(true);
+      const width = getWidth();
+      const rows = entities.map(values => applyToRow(new Array(width).fill(''), values));
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, width).setValues(rows);
+      return rows.length;
+    },
+
+    /**
+     * Update fields of an entity by ID
+     * @param {string} id - Value of the entity's ID field
+     * @param {Object} changes - Field values to change
+     * @returns {Object|null} Updated entity or null if not found
+     */
+    update: function(id, changes) {
+      if (!getSheet(false)) return null;
+      const rowNumber = findRowNumber(id);
+      if (rowNumber === -1) return null;
+
+      const range = sheet.getRange(rowNumber, 1, 1, getWidth());
+      const row = applyToRow(range.getValues()[0], changes);
+      range.setValues([row]);
+      return toEntity(row);
+    },
+
+    /**
+     * Update an entity by ID, inserting it when it does not exist yet
+     * @param {string} id - Value of the entity's ID field
+     * @param {Object} values - Entity field values
+     * @returns {Object} Updated or inserted entity
+     */
+    upsert: function(id, values) {
+      const updated = this.update(id, values);
+      if (updated) return updated;
+      const record = Object.assign({}, values);
+      record[schema.idField] = id;
+      return this.insert(record);
+    },
+
+    /**
+     * Apply changes to every matching entity with a single batched write
+     * @param {Function} predicate - Filter applied to each entity
+     * @param {Function} changesFn - Returns the field values to change for an entity
+     * @returns {number} Number of entities updated
+     */
+    updateWhere: function(predicate, changesFn) {
+      if (!getSheet(false) || sheet.getLastRow() <= 1) return 0;
+
+      const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, getWidth());
+      const rows = range.getValues();
+      const idColumn = getIdColumn();
+      let updatedCount = 0;
+
+      rows.forEach(row => {
+        const id = row[idColumn];
+        if (id === '' || id === null || id.toString().trim() === '') return;
+
+        const current = toEntity(row);
+        if (!predicate(current)) return;
+
+        const changes = changesFn(current);
+        if (changes && Object.keys(changes).length > 0) {
+          applyToRow(row, changes);
+          updatedCount++;
+        }
+      });
+
+      if (updatedCount > 0) {
+        range.setValues(rows);
+      }
+      return updatedCount;
+    },
+
+    /**
+     * Delete an entity row by ID
+     * @param {string} id - Value of the entity's ID field
+     * @returns {Object|null} Deleted entity or null if not found
+     */
+    delete: function(id) {
+      if (!getSheet(false)) return null;
+      const rowNumber = findRowNumber(id);
+      if (rowNumber === -1) return null;
+
+      const deleted = toEntity(sheet.getRange(rowNumber, 1, 1, getWidth()).getValues()[0]);
+      sheet.deleteRow(rowNumber);
+      return deleted;
+    },
+
+    /**
+     * Delete every entity matching a predicate
+     * @param {Function} predicate - Filter applied to each entity
+     * @returns {Array<Object>} Deleted entities
+     */
+    deleteWhere: function(predicate) {
+      const matches = readRecords().filter(record => predicate(record.entity));
+      // Delete from the bottom up so earlier row numbers stay valid
+      for (let i = matches.length - 1; i >= 0; i--) {
+        sheet.deleteRow(matches[i].rowNumber);
+      }
+      return matches.map(record => record.entity);
+    }
+  };
+}
+
+/**
+ * Normalize a header for lookup (trimmed, case-insensitive)
+ * @param {*} header - Header cell value
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return header === null || header === undefined ? '' : header.toString().trim().toLowerCase();
+}
+
+/**
+ * Convert a raw cell value to its schema type
+ * Date cells are returned as Date objects. Legacy text dates are parsed; text that
+ * is not a date is returned as stored so the integrity scan can report it.
+ * @param {*} value - Raw cell value
+ * @param {string} type - Schema field type
+ * @returns {*} Typed value
+ */
+function readCellValue(value, type) {
+  const isBlank = value === '' || value === null || value === undefined;
+
+  switch (type) {
+    case 'number': {
+      if (isBlank) return null;
+      const number = Number(value);
+      return isNaN(number) ? null : number;
+    }
+    case 'date':
+      return isBlank ? null : (parseDateValue(value) || value);
+    case 'boolean':
+      return value === true || (typeof value === 'string' && value.trim().toUpperCase() === 'TRUE');
+    case 'json':
+      if (isBlank) return null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return null;
+      }
+    default:
+      return isBlank ? '' : value.toString();
+  }
+}
+
+/**
+ * Convert a typed value to the value stored in the cell
+ * @param {*} value - Typed value
+ * @param {string} type - Schema field type
+ * @returns {*} Cell value
+ */
+function writeCellValue(value, type) {
+  if (value === null || value === undefined) return '';
+
+  switch (type) {
+    case 'date':
+      // Dates are always stored as date cells, never as formatted text
+      return value === '' ? '' : (parseDateValue(value) || value);
+    case 'boolean':
+      return value === true || (typeof value === 'string' && value.trim().toUpperCase() === 'TRUE');
+    case 'json':
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Version fields for a new or modified entity (Guards, Performance)
+ * @param {Object} entity - Current entity, or null for a new one
+ * @param {string} username - Username making the change
+ * @returns {Object} version, lastModified and lastModifiedBy values
+ */
+function nextVersionStamp(entity, username) {
+  return {
+    version: entity ? (entity.version || 0) + 1 : 1,
+    lastModified: new Date(),
+    lastModifiedBy: username || 'System'
+  };
+}
+
+/**
+ * Check whether an entity was modified after the caller read it
+ * A missing version counts as stale, so every update and delete has to send the version it read.
+ * @param {Object} entity - Current entity
+ * @param {*} expectedVersion - Version the caller read
+ * @returns {boolean} True if the caller's copy is stale or has no version
+ */
+function isVersionConflict(entity, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null || expectedVersion === '') {
+    return true;
+  }
+  return Number(expectedVersion) !== (entity.version || 0);
+}
+
+/**
+ * Build the result returned when an update is rejected for a stale version
+ * @param {string} label - Entity label for the message (e.g. 'guard')
+ * @param {Object} entity - Current entity
+ * @param {Object} current - Current values in the shape the client lists them
+ * @returns {Object} Conflict result object
+ */
+function buildConflictResult(label, entity, current) {
+  const modifiedBy = entity.lastModifiedBy || 'another user';
+  const modifiedAt = entity.lastModified ? ' on ' + formatDateTimeString(entity.lastModified) : '';
+  return {
+    success: false,
+    conflict: true,
+    message: `This ${label} was changed by ${modifiedBy}${modifiedAt} after you opened it. Review the latest values, then merge your changes or reload.`,
+    current: current
+  };
+}
@@ -42,14 +42,14 @@ function validateDate(dateInput, fieldName) {
     return { valid: false, error: `${fieldName} is required` };
   }
 
-  const date = dateInput instanceof Date ? dateInput : new Date(dateInput);
+  const date = parseDateValue(dateInput);
 
-  if (isNaN(date.getTime())) {
+  if (!date) {
     return { valid: false, error: `Invalid ${fieldName} format` };
   }
 
-  const minDate = new Date('1900-01-01');
-  const maxDate = new Date('2100-12-31');
+  const minDate = new Date(1900, 0, 1);
+  const maxDate = new Date(2100, 11, 31);
   if (date < minDate || date > maxDate) {
     return { valid: false, error: `${fieldName} out of valid range` };
   }
@@ -57,20 +57,23 @@ function validateDate(dateInput, fieldName) {
   return {
     valid: true,
     date: date,
-    formatted: Utilities.formatDate(date, Session.getScriptTimeZone(), 'MMM dd, yyyy')
+    formatted: formatDateString(date)
   };
 }
 
 /**
- * Validate password strength
+ * Validate a new password against the password policy (see PasswordPolicy.js)
  * @param {string} password - Password to validate
+ * @param {Object} context - Optional { username, fullName } of the account, for the personal information rule
  * @returns {Object} Validation result
  */
-function validatePassword(password) {
-  if (!password || password.length < CONFIG.VALIDATION.MIN_PASSWORD_LENGTH) {
+function validatePassword(password, context) {
+  const policy = loadPasswordPolicy();
+
+  if (!password || typeof password !== 'string' || password.length < policy.minLength) {
     return {
       valid: false,
-      error: `Password must be at least ${CONFIG.VALIDATION.MIN_PASSWORD_LENGTH} characters`
+      error: `Password must be at least ${policy.minLength} characters`
     };
   }
 
@@ -78,49 +81,112 @@ function validatePassword(password) {
     return { valid: false, error: 'Password too long' };
   }
 
-  const hasUpper = /[A-Z]/.test(password);
-  const hasLower = /[a-z]/.test(password);
-  const hasNumber = /[0-9]/.test(password);
-
-  if (!(hasUpper && hasLower && hasNumber)) {
+  const missing = [];
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) missing.push('an uppercase letter');
+  if (policy.requireLowercase && !/[a-z]/.test(password)) missing.push('a lowercase letter');
+  if (policy.requireNumber && !/[0-9]/.test(password)) missing.push('a number');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) missing.push('a symbol');
+  if (missing.length > 0) {
     return {
       valid: false,
-      error: 'Password must contain uppercase, lowercase, and number'
+      error: 'Password must contain ' + missing.join(', ')
     };
   }
 
+  if (policy.disallowPersonalInfo && containsPersonalInfo(password, context)) {
+    return { valid: false, error: 'Password cannot contain your username or name' };
+  }
+
+  if (isBannedPassword(password, policy)) {
+    return { valid: false, error: 'Password is too common. Please choose a less predictable password.' };
+  }
+
   return { valid: true };
 }
 
 /**
- * Check if user has admin permission
- * @param {string} username - Username to check
- * @returns {boolean} True if user is admin
+ * Get the permissions a role grants (see CONFIG.ROLES)
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permission keys, empty for unknown roles
  */
-function hasAdminPermission(username) {
-  try {
-    const usersSheet = getSpreadsheet().getSheetByName(CONFIG.SHEET_NAMES.USERS);
-    if (!usersSheet) return false;
-
-    const data = usersSheet.getDataRange().getValues();
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][1] === username && data[i][4] === 'Admin') {
-        return true;
-      }
+function getRolePermissions(role) {
+  return Object.prototype.hasOwnProperty.call(CONFIG.ROLES, role) ? CONFIG.ROLES[role].slice() : [];
+}
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object} user - User entity, e.g. from getSessionUser
+ * @param {string} permission - Permission key from CONFIG.PERMISSIONS
+ * @returns {boolean} True if the role grants the permission
+ */
+function hasPermission(user, permission) {
+  return !!user && getRolePermissions(user.role).indexOf(permission) !== -1;
+}
+
+/**
+ * Result returned when the signed-in user's role lacks a permission
+ * The denial is logged as a security event for the user who tried.
+ * @param {string} permission - Permission key from CONFIG.PERMISSIONS
+ * @param {Object} sessionUser - Signed-in user, from getSessionUser
+ * @returns {Object} Result object
+ */
+function buildPermissionDeniedResult_(permission, sessionUser) {
+  if (sessionUser) {
+    logSecurityEvent_(sessionUser.username, 'Permission Denied', `Role ${sessionUser.role} tried to ${CONFIG.PERMISSIONS[permission] || permission}`);
+  }
+  return {
+    success: false,
+    permissionDenied: true,
+    message: `Permission denied. Your role is not allowed to ${CONFIG.PERMISSIONS[permission] || permission}.`
+  };
+}
+
+/**
+ * Version tag of the current password hash format: v1$<iterations>$<salt>$<hash>
+ * Hashes without a version tag are the legacy unsalted SHA-256 format.
+ */
+const PASSWORD_HASH_VERSION = 'v1';
+
+/**
+ * Hash a password with a per-user random salt and CONFIG.VALIDATION.PASSWORD_HASH_ITERATIONS
+ * rounds of HMAC-SHA256 (PBKDF2)
+ * @param {string} password - Plain text password
+ * @param {Array<number>} salt - Optional salt bytes, a new random salt by default
+ * @param {number} iterations - Optional iteration count, CONFIG.VALIDATION.PASSWORD_HASH_ITERATIONS by default
+ * @return {string} Versioned password hash
+ */
+function hashPassword(password, salt, iterations) {
+  const saltBytes = salt || generatePasswordSalt();
+  const rounds = iterations || CONFIG.VALIDATION.PASSWORD_HASH_ITERATIONS;
+  const key = Utilities.newBlob(String(password)).getBytes();
+
+  // PBKDF2 with a single block: U1 = HMAC(password, salt || INT(1)), Ui = HMAC(password, Ui-1)
+  let block = Utilities.computeHmacSha256Signature(saltBytes.concat([0, 0, 0, 1]), key);
+  const derived = block.slice();
+  for (let i = 1; i < rounds; i++) {
+    block = Utilities.computeHmacSha256Signature(block, key);
+    for (let j = 0; j < derived.length; j++) {
+      derived[j] ^= block[j];
     }
-    return false;
-  } catch (error) {
-    Logger.log('Error checking admin permission: ' + error.message);
-    return false;
   }
+
+  return [PASSWORD_HASH_VERSION, rounds, Utilities.base64Encode(saltBytes), Utilities.base64Encode(derived)].join('$');
+}
+
+/**
+ * Generate 16 random salt bytes
+ * @return {Array<number>} Salt bytes
+ */
+function generatePasswordSalt() {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid() + Utilities.getUuid()).slice(0, 16);
 }
 
 /**
- * Hash a password using SHA-256
+ * Hash a password in the legacy unsalted SHA-256 format, only used to verify old hashes
  * @param {string} password - Plain text password
- * @return {string} Hashed password
+ * @return {string} Legacy password hash
  */
-function hashPassword(password) {
+function hashLegacyPassword(password) {
   const rawHash = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, password);
   let hashString = '';
   for (let i = 0; i < rawHash.length; i++) {
@@ -135,26 +201,65 @@ function hashPassword(password) {
 }
 
 /**
- * Verify a password against a hash
+ * Verify a password against a hash in the current or the legacy format
  * @param {string} password - Plain text password to verify
  * @param {string} hash - Stored password hash
  * @return {boolean} True if password matches hash
  */
 function verifyPassword(password, hash) {
-  const computedHash = hashPassword(password);
-  return computedHash === hash;
+  if (!hash || typeof password !== 'string') return false;
+
+  const parts = String(hash).split('$');
+  if (parts.length === 1) {
+    return constantTimeEquals(hashLegacyPassword(password), parts[0]);
+  }
+  if (parts.length !== 4 || parts[0] !== PASSWORD_HASH_VERSION) {
+    return false;
+  }
+
+  const iterations = parseInt(parts[1], 10);
+  if (!(iterations > 0)) return false;
+  return constantTimeEquals(hashPassword(password, Utilities.base64Decode(parts[2]), iterations), String(hash));
+}
+
+/**
+ * Check whether a stored hash should be replaced by one in the current format
+ * (legacy hashes and hashes made with a different iteration count)
+ * @param {string} hash - Stored password hash
+ * @return {boolean} True when the hash should be upgraded
+ */
+function passwordHashNeedsUpgrade(hash) {
+  const parts = String(hash || '').split('$');
+  return parts[0] !== PASSWORD_HASH_VERSION ||
+    parseInt(parts[1], 10) !== CONFIG.VALIDATION.PASSWORD_HASH_ITERATIONS;
 }
 
 /**
- * Generate CSRF token for form protection
- * @param {string} username - Username to associate token with
+ * Compare two strings without returning early on the first difference
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @return {boolean} True when equal
+ */
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Generate a CSRF token for a session, replacing the previous one
+ * Tokens expire after CONFIG.VALIDATION.CSRF_TOKEN_MINUTES, so they rotate on that schedule and at every login.
+ * @param {string} sessionToken - Session the token belongs to
  * @returns {string} CSRF token
  */
-function generateCsrfToken(username) {
+function generateCsrfToken_(sessionToken) {
   try {
     const token = Utilities.getUuid();
     const cache = CacheService.getUserCache();
-    cache.put('csrf_token_' + username, token, 3600); // 1 hour expiry
+    cache.put('csrf_' + sessionToken, token, CONFIG.VALIDATION.CSRF_TOKEN_MINUTES * 60);
     return token;
   } catch (error) {
     Logger.log('Error generating CSRF token: ' + error.message);
@@ -164,15 +269,15 @@ function generateCsrfToken(username) {
 
 /**
  * Validate CSRF token
- * @param {string} username - Username associated with token
+ * @param {string} sessionToken - Session the token belongs to
  * @param {string} token - Token to validate
  * @returns {boolean} True if token is valid
  */
-function validateCsrfToken(username, token) {
+function validateCsrfToken(sessionToken, token) {
   try {
-    if (!token || !username) return false;
+    if (!token || !sessionToken || typeof token !== 'string' || typeof sessionToken !== 'string') return false;
     const cache = CacheService.getUserCache();
-    const storedToken = cache.get('csrf_token_' + username);
+    const storedToken = cache.get('csrf_' + sessionToken);
     return token === storedToken;
   } catch (error) {
     Logger.log('Error validating CSRF token: ' + error.message);
@@ -180,20 +285,46 @@ function validateCsrfToken(username, token) {
   }
 }
 
+/**
+ * Get the CSRF token of a session, issuing a new one when the current token has expired
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result with csrfToken
+ */
+function getCsrfToken(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken, { allowTwoFactorSetup: true, allowPasswordChange: true });
+  if (!sessionUser) return buildSessionExpiredResult();
+
+  const cache = CacheService.getUserCache();
+  return {
+    success: true,
+    csrfToken: cache.get('csrf_' + sessionToken) || generateCsrfToken_(sessionToken)
+  };
+}
+
 /**
  * Generate session token for authenticated user
  * @param {string} username - Username
+ * @param {boolean} twoFactorSetup - Optional; limit the session to two-factor enrollment (see getSessionUser)
  * @returns {string} Session token
  */
-function generateSessionToken(username) {
+function generateSessionToken_(username, twoFactorSetup) {
   try {
     const token = Utilities.getUuid();
     const cache = CacheService.getUserCache();
-    const sessionData = JSON.stringify({
+    const user = getRepository('USERS').findOne(u => u.username === username);
+    const now = new Date().toISOString();
+    const session = {
+      id: Utilities.getUuid(),
       username: username,
-      created: new Date().toISOString()
-    });
-    cache.put('session_' + token, sessionData, CONFIG.VALIDATION.SESSION_TIMEOUT_MINUTES * 60);
+      userId: user ? user.userId : '',
+      created: now,
+      lastActivity: now,
+      version: user ? user.sessionVersion || 0 : 0
+    };
+    if (twoFactorSetup) session.twoFactorSetup = true;
+    const sessionData = JSON.stringify(session);
+    cache.put('session_' + token, sessionData, getSessionTtlSeconds(session));
+    if (user) registerSession_(user, token);
     return token;
   } catch (error) {
     Logger.log('Error generating session token: ' + error.message);
@@ -201,18 +332,52 @@ function generateSessionToken(username) {
   }
 }
 
+/**
+ * Check a session against the absolute and idle timeouts
+ * The cache expiry is best effort, so sessions are checked against their timestamps as well.
+ * @param {Object} session - Session data
+ * @returns {boolean} True when the session has neither expired nor gone idle
+ */
+function isSessionActive(session) {
+  const now = Date.now();
+  const age = now - new Date(session.created).getTime();
+  const idle = now - new Date(session.lastActivity || session.created).getTime();
+  return age < CONFIG.VALIDATION.SESSION_TIMEOUT_MINUTES * 60000 &&
+    idle < CONFIG.VALIDATION.SESSION_IDLE_TIMEOUT_MINUTES * 60000;
+}
+
+/**
+ * Seconds a session stays in the cache: the idle timeout, capped by the time left before it expires
+ * @param {Object} session - Session data
+ * @returns {number} Cache expiration in seconds
+ */
+function getSessionTtlSeconds(session) {
+  const remaining = new Date(session.created).getTime() + CONFIG.VALIDATION.SESSION_TIMEOUT_MINUTES * 60000 - Date.now();
+  return Math.max(1, Math.min(CONFIG.VALIDATION.SESSION_IDLE_TIMEOUT_MINUTES * 60, Math.floor(remaining / 1000)));
+}
+
 /**
  * Validate session token and return username
+ * Every valid use records the activity and pushes the idle expiry out again.
  * @param {string} token - Session token
  * @returns {Object} Session data or null
  */
 function validateSessionToken(token) {
   try {
-    if (!token) return null;
+    if (!token || typeof token !== 'string') return null;
     const cache = CacheService.getUserCache();
     const sessionData = cache.get('session_' + token);
     if (!sessionData) return null;
-    return JSON.parse(sessionData);
+
+    const session = JSON.parse(sessionData);
+    if (!isSessionActive(session)) {
+      cache.remove('session_' + token);
+      return null;
+    }
+
+    session.lastActivity = new Date().toISOString();
+    cache.put('session_' + token, JSON.stringify(session), getSessionTtlSeconds(session));
+    return session;
   } catch (error) {
     Logger.log('Error validating session token: ' + error.message);
     return null;
@@ -225,10 +390,75 @@ function validateSessionToken(token) {
  */
 function invalidateSessionToken(token) {
   try {
-    if (!token) return;
+    if (!token || typeof token !== 'string') return;
     const cache = CacheService.getUserCache();
-    cache.remove('session_' + token);
+    cache.removeAll(['session_' + token, 'csrf_' + token]);
   } catch (error) {
     Logger.log('Error invalidating session token: ' + error.message);
   }
 }
+
+/**
+ * Resolve the user acting through a session token
+ * Every client-callable function that needs a login starts here and takes the
+ * acting username from the result, never from its arguments.
+ * Sessions of users who must still enroll in two-factor authentication only
+ * resolve for the enrollment functions, which pass allowTwoFactorSetup.
+ * Likewise, while a password change is forced or the password has expired, sessions
+ * only resolve for the functions the change needs, which pass allowPasswordChange.
+ * @param {string} sessionToken - Session token issued at login
+ * @param {Object} options - Optional { allowTwoFactorSetup: boolean, allowPasswordChange: boolean }
+ * @returns {Object|null} Active user entity, or null when the session is missing, expired or the user is no longer active
+ */
+function getSessionUser(sessionToken, options) {
+  const session = validateSessionToken(sessionToken);
+  if (!session) return null;
+  if (session.twoFactorSetup && !(options && options.allowTwoFactorSetup)) return null;
+
+  try {
+    // A session ends with its account, even when another account later takes the same username
+    const user = getRepository('USERS').findOne(u => u.username === session.username);
+    if (!user || user.status !== 'Active' || (session.userId && session.userId !== user.userId)) {
+      invalidateSessionToken(sessionToken);
+      return null;
+    }
+
+    // Sessions opened before the user's sessions were revoked (deactivation, password reset) are over
+    if ((session.version || 0) !== (user.sessionVersion || 0)) {
+      invalidateSessionToken(sessionToken);
+      return null;
+    }
+
+    if (!(options && options.allowPasswordChange) && (user.forcePasswordChange || isPasswordExpired(user))) {
+      return null;
+    }
+    return user;
+  } catch (error) {
+    Logger.log('Error resolving session user: ' + error.message);
+    return null;
+  }
+}
+
+/**
+ * Result returned by client-callable functions when the session is not valid
+ * @returns {Object} Result object the client treats as a logout
+ */
+function buildSessionExpiredResult() {
+  return {
+    success: false,
+    sessionExpired: true,
+    message: 'Your session has expired. Please log in again.'
+  };
+}
+
+/**
+ * Result returned by client-callable writes when the CSRF token is missing or expired
+ * @returns {Object} Result object; the client fetches a fresh token and retries
+ */
+function buildCsrfExpiredResult() {
+  return {
+    success: false,
+    csrfExpired: true,
+    message: 'Your security token has expired. Please try again.'
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * Guard Monitoring System - Security Report
+ * Reads the security events in the Audit Trail (see logSecurityEvent_) and flags bursts of failed
+ * logins across accounts, logins outside working hours and accounts that were locked out repeatedly
+ * Functions: getSecurityReport, exportSecurityReportCsv
+ */
+
+/**
+ * Get the security events logged since a date, oldest first
+ * @param {Date} since - Start of the period
+ * @returns {Array<Object>} Events: { timestamp, username, action, details }
+ */
+function getSecurityEvents_(since) {
+  const auditRepo = getRepository('AUDIT_TRAIL');
+  if (!auditRepo.exists()) return [];
+
+  return auditRepo.findAll(entry => entry.targetType === 'Security')
+    .map(entry => ({
+      timestamp: parseDateValue(entry.timestamp),
+      username: entry.username,
+      action: entry.action,
+      details: entry.details
+    }))
+    .filter(event => event.timestamp && event.timestamp >= since)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Find bursts of failed logins spread over several accounts, as in password spraying
+ * Overlapping windows that each pass the thresholds are merged into one burst.
+ * @param {Array<Object>} events - Security events, oldest first
+ * @returns {Array<Object>} Bursts: { start, end, failures, accounts }
+ */
+function findFailedLoginBursts(events) {
+  const settings = CONFIG.SECURITY_REPORT;
+  const failures = events.filter(event => event.action === 'Login Failed');
+  const windowMs = settings.BURST_WINDOW_MINUTES * 60000;
+  const ranges = [];
+
+  let first = 0;
+  for (let last = 0; last < failures.length; last++) {
+    while (failures[last].timestamp - failures[first].timestamp > windowMs) first++;
+
+    const accounts = new Set(failures.slice(first, last + 1).map(event => event.username));
+    if (last - first + 1 < settings.BURST_MIN_FAILURES || accounts.size < settings.BURST_MIN_ACCOUNTS) continue;
+
+    const previous = ranges[ranges.length - 1];
+    if (previous && first <= previous.last) {
+      previous.last = last;
+    } else {
+      ranges.push({ first: first, last: last });
+    }
+  }
+
+  return ranges.map(range => {
+    const burst = failures.slice(range.first, range.last + 1);
+    return {
+      start: formatDateTimeString(burst[0].timestamp),
+      end: formatDateTimeString(burst[burst.length - 1].timestamp),
+      failures: burst.length,
+      accounts: Array.from(new Set(burst.map(event => event.username))).sort()
+    };
+  });
+}
+
+/**
+ * Find successful logins outside CONFIG.SECURITY_REPORT working hours
+ * @param {Array<Object>} events - Security events, oldest first
+ * @returns {Array<Object>} Logins: { time, username, details }
+ */
+function findOddHourLogins(events) {
+  const settings = CONFIG.SECURITY_REPORT;
+  return events
+    .filter(event => event.action === 'Login')
+    .filter(event => {
+      const hour = Number(Utilities.formatDate(event.timestamp, Session.getScriptTimeZone(), 'HH'));
+      return hour < settings.WORK_HOURS_START || hour >= settings.WORK_HOURS_END;
+    })
+    .map(event => ({ time: formatDateTimeString(event.timestamp), username: event.username, details: event.details }));
+}
+
+/**
+ * Find accounts locked out at least CONFIG.SECURITY_REPORT.REPEATED_LOCKOUTS times
+ * @param {Array<Object>} events - Security events, oldest first
+ * @returns {Array<Object>} Accounts: { username, lockouts, lastLocked }, most lockouts first
+ */
+function findRepeatedLockouts(events) {
+  const byUser = {};
+  events
+    .filter(event => event.action === 'Account Locked')
+    .forEach(event => {
+      byUser[event.username] = byUser[event.username] || { username: event.username, lockouts: 0, lastLocked: null };
+      byUser[event.username].lockouts++;
+      byUser[event.username].lastLocked = event.timestamp;
+    });
+
+  return Object.keys(byUser)
+    .map(username => byUser[username])
+    .filter(entry => entry.lockouts >= CONFIG.SECURITY_REPORT.REPEATED_LOCKOUTS)
+    .sort((a, b) => b.lockouts - a.lockouts)
+    .map(entry => ({ username: entry.username, lockouts: entry.lockouts, lastLocked: formatDateTimeString(entry.lastLocked) }));
+}
+
+/**
+ * Build the suspicious-activity report for the last days
+ * @param {number} days - Report period in days
+ * @returns {Object} Report: { days, from, to, totals, failedLoginBursts, oddHourLogins, repeatedLockouts }
+ */
+function buildSecurityReport_(days) {
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 86400000);
+  const events = getSecurityEvents_(from);
+
+  const totals = {};
+  events.forEach(event => {
+    totals[event.action] = (totals[event.action] || 0) + 1;
+  });
+
+  return {
+    days: days,
+    from: formatDateTimeString(from),
+    to: formatDateTimeString(to),
+    totals: totals,
+    failedLoginBursts: findFailedLoginBursts(events),
+    oddHourLogins: findOddHourLogins(events),
+    repeatedLockouts: findRepeatedLockouts(events)
+  };
+}
+
+/**
+ * Report period from the client, falling back to CONFIG.SECURITY_REPORT.DAYS
+ * @param {*} days - Requested number of days
+ * @returns {number} Whole number of days between 1 and 365
+ */
+function normalizeReportDays(days) {
+  const value = Math.floor(Number(days));
+  return value >= 1 && value <= 365 ? value : CONFIG.SECURITY_REPORT.DAYS;
+}
+
+/**
+ * Get the suspicious-activity report (admin only)
+ * @param {string} sessionToken - Session token
+ * @param {number} days - Optional report period in days
+ * @returns {Object} Result with report
+ */
+function getSecurityReport(sessionToken, days) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  try {
+    return { success: true, report: buildSecurityReport_(normalizeReportDays(days)) };
+  } catch (error) {
+    Logger.log('Error in getSecurityReport: ' + error.message);
+    return { success: false, message: 'Error building security report: ' + error.message };
+  }
+}
+
+/**
+ * Export the suspicious-activity report as CSV, one finding per row (admin only)
+ * @param {string} sessionToken - Session token
+ * @param {number} days - Optional report period in days
+ * @returns {Object} Result with csv and fileName
+ */
+function exportSecurityReportCsv(sessionToken, days) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  try {
+    const report = buildSecurityReport_(normalizeReportDays(days));
+
+    // Typed usernames are untrusted; keep spreadsheet apps from reading them as formulas
+    const quote = value => {
+      const text = /^[=+\-@]/.test(String(value)) ? "'" + value : String(value);
+      return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+
+    const rows = [['Finding', 'Time', 'Username', 'Details']];
+    report.failedLoginBursts.forEach(burst => {
+      rows.push(['Failed login burst', burst.start + ' - ' + burst.end, burst.accounts.join('; '),
+        `${burst.failures} failed logins against ${burst.accounts.length} accounts`]);
+    });
+    report.oddHourLogins.forEach(login => {
+      rows.push(['Login outside working hours', login.time, login.username, login.details]);
+    });
+    report.repeatedLockouts.forEach(entry => {
+      rows.push(['Repeated lockouts', entry.lastLocked, entry.username, `Locked ${entry.lockouts} times`]);
+    });
+
+    logAudit_(sessionUser.username, 'Export', 'Security Report', `Last ${report.days} days`, `${rows.length - 1} finding(s)`);
+
+    return {
+      success: true,
+      csv: rows.map(row => row.map(quote).join(',')).join('\n'),
+      fileName: 'security-report-' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd') + '.csv'
+    };
+  } catch (error) {
+    Logger.log('Error in exportSecurityReportCsv: ' + error.message);
+    return { success: false, message: 'Error exporting security report: ' + error.message };
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Guard Monitoring System - Session Registry
+ * Lists the sessions each user has open so admins can see who is signed in and end sessions remotely.
+ * Every user's session shares one cache (the web app runs as the deploying user), so each user gets
+ * a list of their session tokens under SESSION_INDEX_PREFIX + username.
+ * Functions: getUserSessions, revokeUserSession, revokeAllUserSessions
+ */
+
+const SESSION_INDEX_PREFIX = 'user_sessions_';
+
+/**
+ * Add a session to its user's session list, dropping sessions that have ended
+ * @param {Object} user - User entity
+ * @param {string} token - Session token
+ */
+function registerSession_(user, token) {
+  withWriteLock(() => {
+    const tokens = getRegisteredSessions_(user).map(entry => entry.token);
+    tokens.push(token);
+    saveSessionIndex_(user.username, tokens);
+  });
+}
+
+/**
+ * Save a user's session list; it lives as long as the longest possible session
+ * @param {string} username - Username
+ * @param {Array<string>} tokens - Session tokens
+ */
+function saveSessionIndex_(username, tokens) {
+  const cache = CacheService.getUserCache();
+  if (tokens.length === 0) {
+    cache.remove(SESSION_INDEX_PREFIX + username);
+    return;
+  }
+  cache.put(SESSION_INDEX_PREFIX + username, JSON.stringify(tokens), CONFIG.VALIDATION.SESSION_TIMEOUT_MINUTES * 60);
+}
+
+/**
+ * Get the sessions users still have open, reading the cache in two batches
+ * Sessions that expired, went idle or were revoked through the user's sessionVersion are left out.
+ * @param {Array<Object>} users - User entities
+ * @returns {Object} Map of username to [{ token, session }]
+ */
+function getRegisteredSessionsByUser_(users) {
+  const cache = CacheService.getUserCache();
+  const indexes = cache.getAll(users.map(user => SESSION_INDEX_PREFIX + user.username));
+
+  const tokensByUser = {};
+  let sessionKeys = [];
+  users.forEach(user => {
+    const stored = indexes[SESSION_INDEX_PREFIX + user.username];
+    tokensByUser[user.username] = stored ? JSON.parse(stored) : [];
+    sessionKeys = sessionKeys.concat(tokensByUser[user.username].map(token => 'session_' + token));
+  });
+
+  const sessions = sessionKeys.length > 0 ? cache.getAll(sessionKeys) : {};
+  const result = {};
+  users.forEach(user => {
+    result[user.username] = tokensByUser[user.username]
+      .filter(token => sessions['session_' + token])
+      .map(token => ({ token: token, session: JSON.parse(sessions['session_' + token]) }))
+      .filter(entry => isSessionActive(entry.session) && (entry.session.version || 0) === (user.sessionVersion || 0));
+  });
+  return result;
+}
+
+/**
+ * Get the sessions one user still has open
+ * @param {Object} user - User entity
+ * @returns {Array<Object>} [{ token, session }]
+ */
+function getRegisteredSessions_(user) {
+  return getRegisteredSessionsByUser_([user])[user.username];
+}
+
+/**
+ * Count the sessions each user has open, for the users table
+ * @param {Array<Object>} users - User entities
+ * @returns {Object} Map of username to session count
+ */
+function countActiveSessions_(users) {
+  try {
+    const sessionsByUser = getRegisteredSessionsByUser_(users);
+    const counts = {};
+    Object.keys(sessionsByUser).forEach(username => {
+      counts[username] = sessionsByUser[username].length;
+    });
+    return counts;
+  } catch (error) {
+    Logger.log('Error counting sessions: ' + error.message);
+    return {};
+  }
+}
+
+/**
+ * End every session of a user, except optionally the caller's own
+ * Bumps the user's sessionVersion, so sessions missing from the session list end as well.
+ * The kept session is moved to the new version.
+ * @param {Object} user - User entity
+ * @param {string} keepToken - Optional session token to keep open
+ * @returns {number} Number of sessions ended
+ */
+function endUserSessions_(user, keepToken) {
+  const changes = buildRevokeSessionsChanges(user);
+  const sessions = getRegisteredSessions_(user);
+  getRepository('USERS').update(user.userId, changes);
+
+  const cache = CacheService.getUserCache();
+  const ended = sessions.filter(entry => entry.token !== keepToken);
+  const kept = sessions.filter(entry => entry.token === keepToken);
+  ended.forEach(entry => invalidateSessionToken(entry.token));
+  kept.forEach(entry => {
+    entry.session.version = changes.sessionVersion;
+    cache.put('session_' + entry.token, JSON.stringify(entry.session), getSessionTtlSeconds(entry.session));
+  });
+  saveSessionIndex_(user.username, kept.map(entry => entry.token));
+  return ended.length;
+}
+
+/**
+ * Session fields safe to send to the client (never the token)
+ * @param {Object} entry - { token, session } from getRegisteredSessions_
+ * @param {string} currentToken - Session token of the caller
+ * @returns {Object} Session summary
+ */
+function buildSessionSummary(entry, currentToken) {
+  const session = entry.session;
+  const lastActivity = new Date(session.lastActivity || session.created);
+  return {
+    sessionId: session.id,
+    createdAt: formatDateTimeString(new Date(session.created)),
+    lastActivity: formatDateTimeString(lastActivity),
+    idleMinutes: Math.max(0, Math.floor((Date.now() - lastActivity.getTime()) / 60000)),
+    twoFactorSetup: !!session.twoFactorSetup,
+    current: entry.token === currentToken
+  };
+}
+
+/**
+ * List the sessions a user has open (admin only)
+ * @param {string} sessionToken - Session token
+ * @param {string} userId - User ID
+ * @returns {Object} Result with username and sessions, most recently active first
+ */
+function getUserSessions(sessionToken, userId) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  try {
+    const user = getRepository('USERS').findById(userId);
+    if (!user) {
+      return { success: false, message: 'User not found' };
+    }
+
+    const sessions = getRegisteredSessions_(user)
+      .sort((a, b) => new Date(b.session.lastActivity || b.session.created) - new Date(a.session.lastActivity || a.session.created))
+      .map(entry => buildSessionSummary(entry, sessionToken));
+
+    return { success: true, username: user.username, sessions: sessions };
+  } catch (error) {
+    Logger.log('Error in getUserSessions: ' + error.message);
+    return { success: false, message: 'Error loading sessions: ' + error.message };
+  }
+}
+
+/**
+ * End one session of a user (admin only)
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID from getUserSessions
+ * @returns {Object} Result object
+ */
+function revokeUserSession(sessionToken, csrfToken, userId, sessionId) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const user = getRepository('USERS').findById(userId);
+      if (!user) {
+        return { success: false, message: 'User not found' };
+      }
+
+      const sessions = getRegisteredSessions_(user);
+      const target = sessions.find(entry => entry.session.id === sessionId);
+      if (!target) {
+        return { success: false, message: 'Session not found. It may have ended already.' };
+      }
+
+      invalidateSessionToken(target.token);
+      saveSessionIndex_(user.username, sessions.filter(entry => entry !== target).map(entry => entry.token));
+
+      logAudit_(sessionUser.username, 'Revoke Session', 'User', user.username,
+        'Ended the session started ' + formatDateTimeString(new Date(target.session.created)));
+      return { success: true, message: `Session of ${user.username} ended` };
+    } catch (error) {
+      Logger.log('Error in revokeUserSession: ' + error.message);
+      return { success: false, message: 'Error ending session: ' + error.message };
+    }
+  });
+}
+
+/**
+ * End every session of a user (admin only)
+ * Revoking your own sessions keeps the one you are using.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} userId - User ID
+ * @returns {Object} Result with the number of sessions ended
+ */
+function revokeAllUserSessions(sessionToken, csrfToken, userId) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const user = getRepository('USERS').findById(userId);
+      if (!user) {
+        return { success: false, message: 'User not found' };
+      }
+
+      const keepToken = user.username === sessionUser.username ? sessionToken : null;
+      const ended = endUserSessions_(user, keepToken);
+
+      logAudit_(sessionUser.username, 'Revoke Sessions', 'User', user.username, `Ended ${ended} session(s)`);
+      return {
+        success: true,
+        ended: ended,
+        message: `Ended ${ended} session${ended !== 1 ? 's' : ''} of ${user.username}`
+      };
+    } catch (error) {
+      Logger.log('Error in revokeAllUserSessions: ' + error.message);
+      return { success: false, message: 'Error ending sessions: ' + error.message };
+    }
+  });
+}
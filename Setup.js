@@ -5,219 +5,239 @@
 
 /**
  * Setup all required sheets with default data
- * Creates all 9 sheets and populates with default admin user and violation data
+ * Creates all 10 sheets and populates with default admin user and violation data
  * @returns {Object} Result object with success status and message
  */
 function setupSheets() {
-  try {
-    Logger.log('=== SETUP SHEETS STARTED ===');
-    const ss = getSpreadsheet();
-    Logger.log('Spreadsheet obtained: ' + ss.getName() + ' (ID: ' + ss.getId() + ')');
-
-    // Create Users sheet
-    Logger.log('Creating Users sheet...');
-    const usersSheet = createOrGetSheet(CONFIG.SHEET_NAMES.USERS, [
-      'User ID', 'Username', 'Password', 'Full Name', 'Role', 'Status', 'Created Date', 'Failed Attempts', 'Last Failed', 'Locked Until', 'Password History', 'Force Password Change'
-    ]);
-    Logger.log('Users sheet created/retrieved');
-
-    // Add default admin user if sheet is empty
-    if (usersSheet.getLastRow() === 1) {
-      const defaultPassword = hashPassword('ChangeMe2025!'); // Stronger default password
-      usersSheet.appendRow([
-        'USR001',
-        'admin',
-        defaultPassword,
-        'System Administrator',
-        'Admin',
-        'Active',
-        new Date(),
-        0, // Failed Attempts
-        '', // Last Failed
-        '', // Locked Until
-        JSON.stringify([defaultPassword]), // Password History
-        'TRUE' // Force Password Change on first login
-      ]);
-      Logger.log('Default admin user created with password: ChangeMe2025! (MUST BE CHANGED ON FIRST LOGIN)');
-    }
+  return withWriteLock(() => {
+    try {
+      Logger.log('=== SETUP SHEETS STARTED ===');
+      const ss = getSpreadsheet();
+      Logger.log('Spreadsheet obtained: ' + ss.getName() + ' (ID: ' + ss.getId() + ')');
+
+      // Create Users sheet
+      Logger.log('Creating Users sheet...');
+      const usersRepo = getRepository('USERS');
+      usersRepo.getSheet(true);
+      Logger.log('Users sheet created/retrieved');
+
+      // Add default admin user if sheet is empty
+      if (usersRepo.count() === 0) {
+        usersRepo.insert(buildDefaultAdminUser_());
+        Logger.log('Default admin user created with password: ChangeMe2025! (MUST BE CHANGED ON FIRST LOGIN)');
+      }
 
-    // Create Guards sheet
-    createOrGetSheet(CONFIG.SHEET_NAMES.GUARDS, [
-      'Guard ID', 'First Name', 'Middle Name', 'Last Name', 'Suffix',
-      'Date of Birth', 'Hired Date', 'End of Contract Date', 'Status', 'Photo URL'
-    ]);
-
-    // Create Documents sheet
-    createOrGetSheet(CONFIG.SHEET_NAMES.DOCUMENTS, [
-      'Guard ID', 'Guard Name', 'License Number', 'License Expiry',
-      'National Police Clearance', 'NBI Clearance', 'Drug Test Validity', 'Neuro Exam Validity'
-    ]);
-
-    // Create Licenses sheet
-    createOrGetSheet(CONFIG.SHEET_NAMES.LICENSES, [
-      'Guard ID', 'Guard Name', 'License Type', 'License Number', 'Issue Date', 'Expiry Date', 'Status'
-    ]);
-
-    // Create Performance sheet
-    createOrGetSheet(CONFIG.SHEET_NAMES.PERFORMANCE, [
-      'Record ID', 'Guard ID', 'Guard Name', 'Type', 'Type of Violation', 'Short Description', 'Date', 'Violation Sanction', 'PDF Link'
-    ]);
-
-    // Create Health Records sheet
-    createOrGetSheet(CONFIG.SHEET_NAMES.HEALTH, [
-      'Guard ID', 'Guard Name', 'Date', 'Height (cm)', 'Weight (kg)', 'BMI', 'Status', 'Notes'
-    ]);
-
-    // Create Violation Types sheet
-    const violationTypesSheet = createOrGetSheet(CONFIG.SHEET_NAMES.VIOLATION_TYPES, [
-      'Violation ID', 'Violation Name', 'Description', 'Created Date'
-    ]);
-
-    // Add default violation types if sheet is empty
-    if (violationTypesSheet.getLastRow() === 1) {
-      const defaultViolations = [
-        ['VT001', 'Late Arrival', 'Arriving late to assigned shift', new Date()],
-        ['VT002', 'Absence Without Leave', 'Not reporting to duty without prior notice', new Date()],
-        ['VT003', 'Sleeping on Duty', 'Found sleeping during assigned shift', new Date()],
-        ['VT004', 'Improper Uniform', 'Not wearing complete or proper uniform', new Date()],
-        ['VT005', 'Insubordination', 'Refusing to follow lawful orders', new Date()]
-      ];
-      violationTypesSheet.getRange(2, 1, defaultViolations.length, defaultViolations[0].length).setValues(defaultViolations);
-    }
+      // Create Guards sheet
+      createOrGetSheet(CONFIG.SHEET_NAMES.GUARDS, getSchemaHeaders('GUARDS'));
 
-    // Create Violation Sanctions sheet
-    const violationSanctionsSheet = createOrGetSheet(CONFIG.SHEET_NAMES.VIOLATION_SANCTIONS, [
-      'Sanction ID', 'Sanction Name', 'Description', 'Created Date'
-    ]);
-
-    // Add default sanctions if sheet is empty
-    if (violationSanctionsSheet.getLastRow() === 1) {
-      const defaultSanctions = [
-        ['VS001', 'Verbal Warning', 'Formal verbal warning documented in record', new Date()],
-        ['VS002', 'Written Warning', 'Written warning letter placed in personnel file', new Date()],
-        ['VS003', 'Suspension (1 Day)', 'One day suspension without pay', new Date()],
-        ['VS004', 'Suspension (3 Days)', 'Three days suspension without pay', new Date()],
-        ['VS005', 'Termination', 'Employment termination and return to agency', new Date()]
-      ];
-      violationSanctionsSheet.getRange(2, 1, defaultSanctions.length, defaultSanctions[0].length).setValues(defaultSanctions);
-    }
+      // Create Documents sheet
+      createOrGetSheet(CONFIG.SHEET_NAMES.DOCUMENTS, getSchemaHeaders('DOCUMENTS'));
 
-    // Create Audit Trail sheet
-    createOrGetSheet(CONFIG.SHEET_NAMES.AUDIT_TRAIL, [
-      'Audit ID', 'Timestamp', 'Username', 'Action', 'Target Type', 'Target Name', 'Details'
-    ]);
+      // Create Licenses sheet
+      createOrGetSheet(CONFIG.SHEET_NAMES.LICENSES, getSchemaHeaders('LICENSES'));
 
-    Logger.log('=== SETUP SHEETS COMPLETED SUCCESSFULLY ===');
+      // Create Performance sheet
+      createOrGetSheet(CONFIG.SHEET_NAMES.PERFORMANCE, getSchemaHeaders('PERFORMANCE'));
+
+      // Create Health Records sheet
+      createOrGetSheet(CONFIG.SHEET_NAMES.HEALTH, getSchemaHeaders('HEALTH'));
+
+      // Create Violation Types sheet
+      const violationTypesRepo = getRepository('VIOLATION_TYPES');
+      violationTypesRepo.getSheet(true);
+
+      // Add default violation types if sheet is empty
+      if (violationTypesRepo.count() === 0) {
+        violationTypesRepo.insertMany([
+          { id: 'VT001', name: 'Late Arrival', description: 'Arriving late to assigned shift', createdDate: new Date() },
+          { id: 'VT002', name: 'Absence Without Leave', description: 'Not reporting to duty without prior notice', createdDate: new Date() },
+          { id: 'VT003', name: 'Sleeping on Duty', description: 'Found sleeping during assigned shift', createdDate: new Date() },
+          { id: 'VT004', name: 'Improper Uniform', description: 'Not wearing complete or proper uniform', createdDate: new Date() },
+          { id: 'VT005', name: 'Insubordination', description: 'Refusing to follow lawful orders', createdDate: new Date() }
+        ]);
+      }
+
+      // Create Violation Sanctions sheet
+      const violationSanctionsRepo = getRepository('VIOLATION_SANCTIONS');
+      violationSanctionsRepo.getSheet(true);
+
+      // Add default sanctions if sheet is empty
+      if (violationSanctionsRepo.count() === 0) {
+        violationSanctionsRepo.insertMany([
+          { id: 'VS001', name: 'Verbal Warning', description: 'Formal verbal warning documented in record', createdDate: new Date() },
+          { id: 'VS002', name: 'Written Warning', description: 'Written warning letter placed in personnel file', createdDate: new Date() },
+          { id: 'VS003', name: 'Suspension (1 Day)', description: 'One day suspension without pay', createdDate: new Date() },
+          { id: 'VS004', name: 'Suspension (3 Days)', description: 'Three days suspension without pay', createdDate: new Date() },
+          { id: 'VS005', name: 'Termination', description: 'Employment termination and return to agency', createdDate: new Date() }
+        ]);
+      }
+
+      // Create Audit Trail sheet
+      createOrGetSheet(CONFIG.SHEET_NAMES.AUDIT_TRAIL, getSchemaHeaders('AUDIT_TRAIL'));
+
+      // Create Schema Migrations log sheet
+      createOrGetSheet(CONFIG.SHEET_NAMES.SCHEMA_MIGRATIONS, getSchemaHeaders('SCHEMA_MIGRATIONS'));
+
+      Logger.log('=== SETUP SHEETS COMPLETED SUCCESSFULLY ===');
+
+      // Try to show alert if in spreadsheet context, otherwise return message
+      try {
+        SpreadsheetApp.getUi().alert('Setup Complete!', 'All sheets have been created successfully.\n\nDefault login:\nUsername: admin\nPassword: ChangeMe2025!\n\n⚠️ You must change this password on first login.', SpreadsheetApp.getUi().ButtonSet.OK);
+      } catch (e) {
+        // Not in UI context, return success message
+        Logger.log('Returning success message (web app context)');
+        return {
+          success: true,
+          message: 'Setup complete! All sheets created successfully. Default login: admin / ChangeMe2025!'
+        };
+      }
 
-    // Try to show alert if in spreadsheet context, otherwise return message
-    try {
-      SpreadsheetApp.getUi().alert('Setup Complete!', 'All sheets have been created successfully.\n\nDefault login:\nUsername: admin\nPassword: ChangeMe2025!\n\n⚠️ You must change this password on first login.', SpreadsheetApp.getUi().ButtonSet.OK);
-    } catch (e) {
-      // Not in UI context, return success message
-      Logger.log('Returning success message (web app context)');
       return {
         success: true,
-        message: 'Setup complete! All sheets created successfully. Default login: admin / ChangeMe2025!'
+        message: 'Setup complete! All sheets created successfully.'
+      };
+
+    } catch (error) {
+      Logger.log('=== SETUP SHEETS FAILED ===');
+      Logger.log('Error: ' + error.message);
+      Logger.log('Stack: ' + error.stack);
+      return {
+        success: false,
+        message: 'Setup failed: ' + error.message
       };
     }
+  });
+}
 
-    return {
-      success: true,
-      message: 'Setup complete! All sheets created successfully.'
-    };
-
-  } catch (error) {
-    Logger.log('=== SETUP SHEETS FAILED ===');
-    Logger.log('Error: ' + error.message);
-    Logger.log('Stack: ' + error.stack);
-    return {
-      success: false,
-      message: 'Setup failed: ' + error.message
-    };
-  }
+/**
+ * Default admin account for an empty Users sheet (password ChangeMe2025!, to be changed at first login)
+ * @returns {Object} User entity
+ */
+function buildDefaultAdminUser_() {
+  const defaultPassword = hashPassword('ChangeMe2025!');
+  return {
+    userId: 'USR001',
+    username: 'admin',
+    passwordHash: defaultPassword,
+    fullName: 'System Administrator',
+    role: 'Admin',
+    status: 'Active',
+    createdDate: new Date(),
+    failedAttempts: 0,
+    lastFailed: '',
+    lockedUntil: '',
+    passwordHistory: [defaultPassword],
+    passwordChangedAt: new Date(),
+    forcePasswordChange: true // Force Password Change on first login
+  };
 }
 
 /**
  * Reset Database - Drop all sheets and rebuild from scratch
  * WARNING: This will delete ALL data in the database
  * Use this function to get a fresh start with clean sheets
+ * @param {string} sessionToken - Session token (the user must be an Admin)
+ * @param {string} csrfToken - CSRF token
  * @returns {Object} Result object with success status, message, and counts
  */
-function resetDatabase() {
-  try {
-    Logger.log('=== RESET DATABASE STARTED ===');
-    Logger.log('WARNING: This will delete all existing data!');
-
-    const ss = getSpreadsheet();
-    Logger.log('Spreadsheet obtained: ' + ss.getName() + ' (ID: ' + ss.getId() + ')');
-
-    // Get all sheet names from CONFIG
-    const sheetNames = Object.values(CONFIG.SHEET_NAMES);
-    Logger.log('Sheets to delete: ' + sheetNames.join(', '));
-
-    // Delete each sheet if it exists
-    let deletedCount = 0;
-    for (const sheetName of sheetNames) {
-      const sheet = ss.getSheetByName(sheetName);
-      if (sheet) {
-        ss.deleteSheet(sheet);
-        Logger.log(`Deleted sheet: ${sheetName}`);
-        deletedCount++;
-      } else {
-        Logger.log(`Sheet not found (skipped): ${sheetName}`);
+function resetDatabase(sessionToken, csrfToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'system.manage')) return buildPermissionDeniedResult_('system.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      Logger.log('=== RESET DATABASE STARTED ===');
+      Logger.log('WARNING: This will delete all existing data!');
+
+      const ss = getSpreadsheet();
+      Logger.log('Spreadsheet obtained: ' + ss.getName() + ' (ID: ' + ss.getId() + ')');
+
+      // Snapshot the current data first; an empty spreadsheet has nothing to back up
+      let backup = null;
+      if (ss.getSheetByName(CONFIG.SHEET_NAMES.USERS)) {
+        backup = createBackup_({ reason: 'pre-reset' });
+        if (!backup.success) {
+          return {
+            success: false,
+            message: 'Database was not reset because the backup failed: ' + backup.message
+          };
+        }
+        Logger.log('Backup created: ' + backup.fileName);
       }
-    }
 
-    Logger.log(`Total sheets deleted: ${deletedCount}`);
-    Logger.log('=== ALL SHEETS DELETED ===');
+      // Get all sheet names from CONFIG
+      const sheetNames = Object.values(CONFIG.SHEET_NAMES);
+      Logger.log('Sheets to delete: ' + sheetNames.join(', '));
+
+      // Delete each sheet if it exists
+      let deletedCount = 0;
+      for (const sheetName of sheetNames) {
+        const sheet = ss.getSheetByName(sheetName);
+        if (sheet) {
+          ss.deleteSheet(sheet);
+          Logger.log(`Deleted sheet: ${sheetName}`);
+          deletedCount++;
+        } else {
+          Logger.log(`Sheet not found (skipped): ${sheetName}`);
+        }
+      }
 
-    // Rebuild all sheets using setupSheets
-    Logger.log('Rebuilding sheets...');
-    const setupResult = setupSheets();
+      Logger.log(`Total sheets deleted: ${deletedCount}`);
+      invalidateCache_();
+      Logger.log('=== ALL SHEETS DELETED ===');
+
+      // Rebuild all sheets using setupSheets
+      Logger.log('Rebuilding sheets...');
+      const setupResult = setupSheets();
+
+      if (setupResult.success) {
+        Logger.log('=== RESET DATABASE COMPLETED SUCCESSFULLY ===');
+
+        // Try to show alert if in spreadsheet context
+        try {
+          SpreadsheetApp.getUi().alert(
+            'Database Reset Complete!',
+            `All sheets have been deleted and rebuilt.\n\nSheets deleted: ${deletedCount}\nSheets created: ${sheetNames.length}\n\nDefault login:\nUsername: admin\nPassword: ChangeMe2025!\n\n⚠️ You must change this password on first login.`,
+            SpreadsheetApp.getUi().ButtonSet.OK
+          );
+        } catch (e) {
+          Logger.log('Returning success message (web app context)');
+        }
+
+        return {
+          success: true,
+          message: `Database reset complete! ${deletedCount} sheets deleted and ${sheetNames.length} sheets recreated. Default login: admin / ChangeMe2025!` +
+            (backup ? ` Backup: ${backup.fileName}` : ''),
+          deletedCount: deletedCount,
+          createdCount: sheetNames.length,
+          backupFileName: backup ? backup.fileName : null
+        };
+      } else {
+        throw new Error('Failed to rebuild sheets: ' + setupResult.message);
+      }
 
-    if (setupResult.success) {
-      Logger.log('=== RESET DATABASE COMPLETED SUCCESSFULLY ===');
+    } catch (error) {
+      Logger.log('=== RESET DATABASE FAILED ===');
+      Logger.log('Error: ' + error.message);
+      Logger.log('Stack: ' + error.stack);
 
-      // Try to show alert if in spreadsheet context
+      // Try to show error alert
       try {
         SpreadsheetApp.getUi().alert(
-          'Database Reset Complete!',
-          `All sheets have been deleted and rebuilt.\n\nSheets deleted: ${deletedCount}\nSheets created: ${sheetNames.length}\n\nDefault login:\nUsername: admin\nPassword: ChangeMe2025!\n\n⚠️ You must change this password on first login.`,
+          'Reset Failed!',
+          'Error: ' + error.message,
           SpreadsheetApp.getUi().ButtonSet.OK
         );
       } catch (e) {
-        Logger.log('Returning success message (web app context)');
+        Logger.log('Cannot show UI alert (web app context)');
       }
 
       return {
-        success: true,
-        message: `Database reset complete! ${deletedCount} sheets deleted and ${sheetNames.length} sheets recreated. Default login: admin / ChangeMe2025!`,
-        deletedCount: deletedCount,
-        createdCount: sheetNames.length
+        success: false,
+        message: 'Reset failed: ' + error.message
       };
-    } else {
-      throw new Error('Failed to rebuild sheets: ' + setupResult.message);
     }
-
-  } catch (error) {
-    Logger.log('=== RESET DATABASE FAILED ===');
-    Logger.log('Error: ' + error.message);
-    Logger.log('Stack: ' + error.stack);
-
-    // Try to show error alert
-    try {
-      SpreadsheetApp.getUi().alert(
-        'Reset Failed!',
-        'Error: ' + error.message,
-        SpreadsheetApp.getUi().ButtonSet.OK
-      );
-    } catch (e) {
-      Logger.log('Cannot show UI alert (web app context)');
-    }
-
-    return {
-      success: false,
-      message: 'Reset failed: ' + error.message
-    };
-  }
+  });
 }
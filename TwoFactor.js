@@ -0,0 +1,493 @@
+/**
+ * Guard Monitoring System - Two-Factor Authentication
+ * TOTP (RFC 6238) codes from an authenticator app, one-time recovery codes,
+ * and the second login step after authenticateUser
+ * Functions: verifyTwoFactorLogin, getTwoFactorStatus, beginTwoFactorEnrollment, confirmTwoFactorEnrollment,
+ *            regenerateRecoveryCodes, disableTwoFactor, resetUserTwoFactor
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Second login step: exchange the challenge from authenticateUser and a code for a session
+ * The code is either a current authenticator code or an unused recovery code. Wrong codes
+ * count as failed login attempts and lock the account like wrong passwords.
+ * @param {string} challengeToken - Challenge token returned by authenticateUser
+ * @param {string} code - Authenticator or recovery code
+ * @returns {Object} Login result, as authenticateUser returns for users without two-factor authentication
+ */
+function verifyTwoFactorLogin(challengeToken, code) {
+  return withWriteLock(() => {
+    try {
+      const cache = CacheService.getUserCache();
+      const username = typeof challengeToken === 'string' && challengeToken ? cache.get('mfa_challenge_' + challengeToken) : null;
+      if (!username) {
+        return { success: false, challengeExpired: true, message: 'The login has expired. Please enter your password again.' };
+      }
+
+      const user = getRepository('USERS').findOne(u => u.username === username);
+      if (!user || user.status !== 'Active' || !user.twoFactorEnabled) {
+        cache.remove('mfa_challenge_' + challengeToken);
+        return { success: false, challengeExpired: true, message: 'The login has expired. Please enter your password again.' };
+      }
+
+      const lockedResult = buildAccountLockedResult(user);
+      if (lockedResult) {
+        cache.remove('mfa_challenge_' + challengeToken);
+        return lockedResult;
+      }
+
+      const step = findTotpStep(user.twoFactorSecret, code, user.twoFactorLastStep);
+      if (step !== null) {
+        getRepository('USERS').update(user.userId, { twoFactorLastStep: step });
+        cache.remove('mfa_challenge_' + challengeToken);
+        return completeLogin_(user);
+      }
+
+      const remainingCodes = consumeRecoveryCode(user, code);
+      if (remainingCodes) {
+        getRepository('USERS').update(user.userId, { twoFactorRecoveryCodes: remainingCodes });
+        cache.remove('mfa_challenge_' + challengeToken);
+        logAudit_(user.username, 'Recovery Code Login', 'User', user.username,
+          `Signed in with a recovery code, ${remainingCodes.length} left`);
+
+        const result = completeLogin_(user);
+        result.recoveryCodesLeft = remainingCodes.length;
+        return result;
+      }
+
+      const failed = recordFailedLogin_(user, 'Wrong two-factor code');
+      if (failed.locked) {
+        cache.remove('mfa_challenge_' + challengeToken);
+      } else {
+        failed.message = failed.message.replace('Invalid credentials', 'Invalid code');
+      }
+      return failed;
+    } catch (error) {
+      Logger.log('Two-factor login error: ' + error.message);
+      return { success: false, message: 'Authentication failed. Please try again.' };
+    }
+  });
+}
+
+/**
+ * Get the signed-in user's two-factor authentication status
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result with enabled, required and recoveryCodesLeft
+ */
+function getTwoFactorStatus(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken, { allowTwoFactorSetup: true, allowPasswordChange: true });
+  if (!sessionUser) return buildSessionExpiredResult();
+
+  return {
+    success: true,
+    enabled: !!sessionUser.twoFactorEnabled,
+    required: !!sessionUser.twoFactorRequired,
+    recoveryCodesLeft: sessionUser.twoFactorEnabled ? getRecoveryCodeHashes(sessionUser).length : 0
+  };
+}
+
+/**
+ * Start enrolling the signed-in user: create a secret to scan into an authenticator app
+ * Nothing is saved until confirmTwoFactorEnrollment receives a code made from the secret.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @returns {Object} Result with secret and otpauthUri (for the QR code)
+ */
+function beginTwoFactorEnrollment(sessionToken, csrfToken) {
+  const sessionUser = getSessionUser(sessionToken, { allowTwoFactorSetup: true, allowPasswordChange: true });
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+
+  try {
+    if (sessionUser.twoFactorEnabled) {
+      return { success: false, message: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = generateTotpSecret();
+    CacheService.getUserCache().put('mfa_enroll_' + sessionUser.username, secret, CONFIG.TWO_FACTOR.ENROLLMENT_MINUTES * 60);
+
+    return {
+      success: true,
+      secret: secret,
+      otpauthUri: buildOtpauthUri(sessionUser.username, secret)
+    };
+  } catch (error) {
+    Logger.log('Error starting two-factor enrollment: ' + error.message);
+    return { success: false, message: 'Error starting two-factor enrollment: ' + error.message };
+  }
+}
+
+/**
+ * Finish enrolling the signed-in user with a code from the new secret
+ * Returns the recovery codes, which are only shown this once. A session that was limited
+ * to enrollment is replaced by a full session, returned as sessionToken and csrfToken.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} code - Current authenticator code
+ * @returns {Object} Result with recoveryCodes
+ */
+function confirmTwoFactorEnrollment(sessionToken, csrfToken, code) {
+  const sessionUser = getSessionUser(sessionToken, { allowTwoFactorSetup: true, allowPasswordChange: true });
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      const cache = CacheService.getUserCache();
+      const secret = cache.get('mfa_enroll_' + username);
+      if (!secret) {
+        return { success: false, message: 'The setup has expired. Please start again.' };
+      }
+
+      const step = findTotpStep(secret, code, null);
+      if (step === null) {
+        return { success: false, message: 'Invalid code. Check the time on your device and try again.' };
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      getRepository('USERS').update(sessionUser.userId, {
+        twoFactorEnabled: true,
+        twoFactorSecret: secret,
+        twoFactorRecoveryCodes: recoveryCodes.map(recoveryCode => hashRecoveryCode(sessionUser, recoveryCode)),
+        twoFactorLastStep: step
+      });
+      cache.remove('mfa_enroll_' + username);
+      logAudit_(username, 'Enable 2FA', 'User', username, 'Enrolled in two-factor authentication');
+
+      const result = {
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes: recoveryCodes
+      };
+
+      const session = validateSessionToken(sessionToken);
+      if (session && session.twoFactorSetup) {
+        invalidateSessionToken(sessionToken);
+        result.sessionToken = generateSessionToken_(username);
+        result.csrfToken = generateCsrfToken_(result.sessionToken);
+      }
+      return result;
+    } catch (error) {
+      Logger.log('Error confirming two-factor enrollment: ' + error.message);
+      return { success: false, message: 'Error confirming two-factor enrollment: ' + error.message };
+    }
+  });
+}
+
+/**
+ * Replace the signed-in user's recovery codes with a new set
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} code - Current authenticator code
+ * @returns {Object} Result with recoveryCodes
+ */
+function regenerateRecoveryCodes(sessionToken, csrfToken, code) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      if (!sessionUser.twoFactorEnabled) {
+        return { success: false, message: 'Two-factor authentication is not enabled' };
+      }
+
+      const step = findTotpStep(sessionUser.twoFactorSecret, code, sessionUser.twoFactorLastStep);
+      if (step === null) {
+        return { success: false, message: 'Invalid code' };
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      getRepository('USERS').update(sessionUser.userId, {
+        twoFactorRecoveryCodes: recoveryCodes.map(recoveryCode => hashRecoveryCode(sessionUser, recoveryCode)),
+        twoFactorLastStep: step
+      });
+      logAudit_(username, 'Regenerate Recovery Codes', 'User', username, 'Replaced the two-factor recovery codes');
+
+      return {
+        success: true,
+        message: 'New recovery codes generated',
+        recoveryCodes: recoveryCodes
+      };
+    } catch (error) {
+      Logger.log('Error regenerating recovery codes: ' + error.message);
+      return { success: false, message: 'Error regenerating recovery codes: ' + error.message };
+    }
+  });
+}
+
+/**
+ * Turn off two-factor authentication for the signed-in user (not allowed while an admin requires it)
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} code - Current authenticator code
+ * @returns {Object} Result object
+ */
+function disableTwoFactor(sessionToken, csrfToken, code) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      if (!sessionUser.twoFactorEnabled) {
+        return { success: false, message: 'Two-factor authentication is not enabled' };
+      }
+      if (sessionUser.twoFactorRequired) {
+        return { success: false, message: 'An administrator requires two-factor authentication for your account' };
+      }
+      if (findTotpStep(sessionUser.twoFactorSecret, code, sessionUser.twoFactorLastStep) === null) {
+        return { success: false, message: 'Invalid code' };
+      }
+
+      getRepository('USERS').update(sessionUser.userId, buildTwoFactorResetChanges());
+      logAudit_(username, 'Disable 2FA', 'User', username, 'Turned off two-factor authentication');
+
+      return { success: true, message: 'Two-factor authentication disabled' };
+    } catch (error) {
+      Logger.log('Error disabling two-factor authentication: ' + error.message);
+      return { success: false, message: 'Error disabling two-factor authentication: ' + error.message };
+    }
+  });
+}
+
+/**
+ * Remove another user's two-factor enrollment, e.g. after a lost phone
+ * The user signs in with the password only and, if two-factor authentication is
+ * required for them, has to enroll again.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} userId - User ID
+ * @returns {Object} Result object
+ */
+function resetUserTwoFactor(sessionToken, csrfToken, userId) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+  const username = sessionUser.username;
+
+  return withWriteLock(() => {
+    try {
+      const usersRepo = getRepository('USERS');
+      const user = usersRepo.findById(userId);
+      if (!user) {
+        return { success: false, message: 'User not found' };
+      }
+      if (user.userId === sessionUser.userId) {
+        return { success: false, message: 'Use your own two-factor settings to change your enrollment' };
+      }
+      if (!user.twoFactorEnabled) {
+        return { success: false, message: 'Two-factor authentication is not enabled for ' + user.username };
+      }
+
+      usersRepo.update(user.userId, buildTwoFactorResetChanges());
+      logAudit_(username, 'Reset 2FA', 'User', user.username, `Reset two-factor authentication for ${user.username}`);
+
+      return { success: true, message: 'Two-factor authentication reset for ' + user.username };
+    } catch (error) {
+      Logger.log('Error resetting two-factor authentication: ' + error.message);
+      return { success: false, message: 'Error resetting two-factor authentication: ' + error.message };
+    }
+  });
+}
+
+/**
+ * Remember that a user passed the password step and may now enter a code
+ * @param {string} username - Username
+ * @returns {string} Challenge token for verifyTwoFactorLogin
+ */
+function createTwoFactorChallenge_(username) {
+  const token = Utilities.getUuid();
+  CacheService.getUserCache().put('mfa_challenge_' + token, username, CONFIG.TWO_FACTOR.CHALLENGE_MINUTES * 60);
+  return token;
+}
+
+/**
+ * User fields that remove a two-factor enrollment
+ * @returns {Object} Changes for the repository
+ */
+function buildTwoFactorResetChanges() {
+  return {
+    twoFactorEnabled: false,
+    twoFactorSecret: '',
+    twoFactorRecoveryCodes: [],
+    twoFactorLastStep: null
+  };
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from the enrollment QR code
+ * @param {string} username - Account name
+ * @param {string} secret - Base32 secret
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri(username, secret) {
+  const issuer = CONFIG.TWO_FACTOR.ISSUER;
+  return 'otpauth://totp/' + encodeURIComponent(issuer + ':' + username) +
+    '?secret=' + secret +
+    '&issuer=' + encodeURIComponent(issuer) +
+    '&algorithm=SHA1&digits=' + CONFIG.TWO_FACTOR.DIGITS +
+    '&period=' + CONFIG.TWO_FACTOR.PERIOD_SECONDS;
+}
+
+/**
+ * Generate a random 160-bit TOTP secret
+ * @returns {string} Base32 secret
+ */
+function generateTotpSecret() {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid() + Utilities.getUuid());
+  return base32Encode(bytes.slice(0, 20));
+}
+
+/**
+ * Compute the TOTP code of a secret for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix seconds / period)
+ * @returns {string} Zero-padded code
+ */
+function generateTotpCode(secret, step) {
+  // 8-byte big-endian counter, as signed bytes
+  const counter = [];
+  let value = step;
+  for (let i = 7; i >= 0; i--) {
+    const byte = value % 256;
+    counter[i] = byte > 127 ? byte - 256 : byte;
+    value = Math.floor(value / 256);
+  }
+
+  const hmac = Utilities.computeHmacSignature(Utilities.MacAlgorithm.HMAC_SHA_1, counter, base32Decode(secret));
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  const digits = CONFIG.TWO_FACTOR.DIGITS;
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+}
+
+/**
+ * Find the time step a TOTP code belongs to, within CONFIG.TWO_FACTOR.WINDOW_STEPS of now
+ * Steps at or before lastStep are refused so a code cannot be used twice.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastStep - Last accepted step for this secret
+ * @returns {number|null} Matching step, or null when the code is not valid
+ */
+function findTotpStep(secret, code, lastStep) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp('^\\d{' + CONFIG.TWO_FACTOR.DIGITS + '}$').test(normalized)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / CONFIG.TWO_FACTOR.PERIOD_SECONDS);
+  const windowSteps = CONFIG.TWO_FACTOR.WINDOW_STEPS;
+  for (let step = currentStep - windowSteps; step <= currentStep + windowSteps; step++) {
+    if (lastStep !== null && lastStep !== undefined && step <= lastStep) continue;
+    if (constantTimeEquals(generateTotpCode(secret, step), normalized)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generate a set of recovery codes (XXXXX-XXXXX, base32)
+ * @returns {Array<string>} Recovery codes
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < CONFIG.TWO_FACTOR.RECOVERY_CODE_COUNT; i++) {
+    const text = base32Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid()).slice(0, 7)).slice(0, 10);
+    codes.push(text.slice(0, 5) + '-' + text.slice(5));
+  }
+  return codes;
+}
+
+/**
+ * Hash a recovery code for storage; codes are random, so one keyed HMAC round is enough
+ * @param {Object} user - User entity
+ * @param {string} code - Recovery code in any letter case, with or without the dash
+ * @returns {string} Hash
+ */
+function hashRecoveryCode(user, code) {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+  return Utilities.base64Encode(Utilities.computeHmacSha256Signature(normalized, 'recovery:' + user.userId));
+}
+
+/**
+ * Get the stored hashes of a user's unused recovery codes
+ * @param {Object} user - User entity
+ * @returns {Array<string>} Hashes
+ */
+function getRecoveryCodeHashes(user) {
+  return Array.isArray(user.twoFactorRecoveryCodes) ? user.twoFactorRecoveryCodes : [];
+}
+
+/**
+ * Use up a recovery code
+ * @param {Object} user - User entity
+ * @param {string} code - Code entered by the user
+ * @returns {Array<string>|null} Remaining hashes, or null when the code is not an unused recovery code
+ */
+function consumeRecoveryCode(user, code) {
+  if (!/[A-Za-z]/.test(String(code || ''))) return null;
+
+  const hash = hashRecoveryCode(user, code);
+  const hashes = getRecoveryCodeHashes(user);
+  const index = hashes.findIndex(stored => constantTimeEquals(stored, hash));
+  if (index === -1) return null;
+  return hashes.filter((stored, i) => i !== index);
+}
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Array<number>} bytes - Bytes (signed or unsigned)
+ * @returns {string} Base32 text
+ */
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  bytes.forEach(byte => {
+    value = (value << 8) | (byte & 0xff);
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32 text, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Array<number>} Signed bytes, as Utilities expects
+ */
+function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (let i = 0; i < clean.length; i++) {
+    const index = BASE32_ALPHABET.indexOf(clean[i]);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      const byte = (value >>> (bits - 8)) & 0xff;
+      bytes.push(byte > 127 ? byte - 256 : byte);
+      bits -= 8;
+    }
+  }
+  return bytes;
+}
@@ -1,139 +1,350 @@
 /**
  * Guard Monitoring System - User Management & Authentication
- * Functions: authenticateUser, changePassword, getAllUsers, addUser, updateUser, deleteUser, getUserByUsername
+ * Functions: authenticateUser, getCurrentSession, getRoles, logoutUser, changePassword, getAllUsers, getUserByUsername,
+ *            addUser, updateUser, deleteUser, unlockUser, resetUserPassword
  */
 
-// TODO: Extract authenticateUser function
+/**
+ * Authenticate user credentials with rate limiting and account lockout
+ */
+function authenticateUser(username, password) {
+  return withWriteLock(() => {
+    try {
+      const usersRepo = getRepository('USERS');
 
-function changePassword(username, currentPassword, newPassword) {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.USERS);
-    if (!sheet) {
-      return { success: false, message: 'Users sheet not found' };
-    }
+      if (!usersRepo.exists()) {
+        return { success: false, message: 'System error. Please contact administrator.' };
+      }
 
-    const data = sheet.getDataRange().getValues();
-    let rowIndex = -1;
-    let storedPasswordHash = '';
+      // Input validation
+      if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
+        return { success: false, message: 'Invalid credentials' };
+      }
 
-    // Find the user row
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][1] === username) {
-        rowIndex = i + 1;
-        storedPasswordHash = data[i][2];
-        break;
+      if (username.length > 50 || password.length > 128) {
+        return { success: false, message: 'Invalid credentials' };
       }
-    }
 
-    if (rowIndex === -1) {
-      return { success: false, message: 'User not found' };
-    }
+      const user = usersRepo.findOne(u => u.username === username);
 
-    // Verify current password
-    if (!verifyPassword(currentPassword, storedPasswordHash)) {
-      return { success: false, message: 'Current password is incorrect' };
-    }
+      // Username not found - Use generic message to prevent user enumeration
+      if (!user) {
+        logSecurityEvent_(username, 'Login Failed', 'Unknown username');
+        return { success: false, message: 'Invalid credentials' };
+      }
 
-    // Validate new password
-    const pwdValidation = validatePassword(newPassword);
-    if (!pwdValidation.valid) {
-      return { success: false, message: pwdValidation.error };
-    }
+      // Inactive accounts get the same answer as unknown usernames
+      if (user.status !== 'Active') {
+        logSecurityEvent_(user.username, 'Login Failed', 'Account is inactive');
+        return { success: false, message: 'Invalid credentials' };
+      }
 
-    // Hash and check password history
-    const hashedNewPassword = hashPassword(newPassword);
-    const passwordHistory = data[rowIndex - 1][10] || '[]'; // Column 11: Password History
-    let history = [];
-    try {
-      history = JSON.parse(passwordHistory);
-    } catch (e) {
-      history = [];
-    }
+      // Check account lockout
+      const lockedResult = buildAccountLockedResult(user);
+      if (lockedResult) {
+        logSecurityEvent_(user.username, 'Login Failed', 'Account is locked');
+        return lockedResult;
+      }
 
-    // Check if password was used recently
-    if (history.includes(hashedNewPassword)) {
-      return {
-        success: false,
-        message: 'Password was used recently. Please choose a different password.'
-      };
-    }
+      // Verify password
+      if (verifyPassword(password, user.passwordHash)) {
+        // Re-hash legacy or outdated hashes now that the plain password is known
+        if (passwordHashNeedsUpgrade(user.passwordHash)) {
+          const upgradedHash = hashPassword(password);
+          usersRepo.update(user.userId, {
+            passwordHash: upgradedHash,
+            passwordHistory: upgradePasswordHistory(user, password, upgradedHash)
+          });
+        }
+
+        // Enrolled users confirm a code before they get a session (see verifyTwoFactorLogin)
+        if (user.twoFactorEnabled) {
+          return {
+            success: true,
+            twoFactorRequired: true,
+            challengeToken: createTwoFactorChallenge_(user.username),
+            message: 'Enter the code from your authenticator app.'
+          };
+        }
 
-    // Update password
-    sheet.getRange(rowIndex, 3).setValue(hashedNewPassword);
+        return completeLogin_(user);
+      }
 
-    // Update password history (keep last 5 passwords)
-    history.unshift(hashedNewPassword);
-    if (history.length > CONFIG.VALIDATION.PASSWORD_HISTORY_COUNT) {
-      history = history.slice(0, CONFIG.VALIDATION.PASSWORD_HISTORY_COUNT);
+      return recordFailedLogin_(user, 'Wrong password');
+    } catch (error) {
+      Logger.log('Authentication error: ' + error.message);
+      return { success: false, message: 'Authentication failed. Please try again.' };
     }
-    sheet.getRange(rowIndex, 11).setValue(JSON.stringify(history));
+  });
+}
+
+/**
+ * Finish a login once every factor is verified: reset failed attempts and issue the session
+ * Users required to use two-factor authentication who have not enrolled yet get a session
+ * that only works for enrollment (see getSessionUser).
+ * @param {Object} user - User entity
+ * @returns {Object} Login result with user, sessionToken and csrfToken
+ */
+function completeLogin_(user) {
+  getRepository('USERS').update(user.userId, {
+    failedAttempts: 0,
+    lastFailed: '',
+    lockedUntil: ''
+  });
+
+  const twoFactorSetupRequired = !!user.twoFactorRequired && !user.twoFactorEnabled;
+  const sessionToken = generateSessionToken_(user.username, twoFactorSetupRequired);
+  const csrfToken = generateCsrfToken_(sessionToken);
+  logSecurityEvent_(user.username, 'Login', user.twoFactorEnabled ? 'Signed in with two-factor authentication' : 'Signed in');
+  const passwordExpired = isPasswordExpired(user);
+
+  return {
+    success: true,
+    message: twoFactorSetupRequired ? 'Set up two-factor authentication to continue.' : 'Login successful!',
+    user: {
+      username: user.username,
+      fullName: user.fullName,
+      role: user.role,
+      permissions: getRolePermissions(user.role)
+    },
+    sessionToken: sessionToken,
+    csrfToken: csrfToken,
+    forcePasswordChange: !!user.forcePasswordChange || passwordExpired,
+    passwordExpired: passwordExpired,
+    twoFactorSetupRequired: twoFactorSetupRequired
+  };
+}
 
-    // Clear force password change flag
-    sheet.getRange(rowIndex, 12).setValue('FALSE');
+/**
+ * Result for a login attempt while the account is locked out
+ * @param {Object} user - User entity
+ * @returns {Object|null} Failed login result, or null when the account is not locked
+ */
+function buildAccountLockedResult(user) {
+  const now = new Date();
+  const lockedUntil = parseDateValue(user.lockedUntil);
+  if (!lockedUntil || now >= lockedUntil) {
+    return null;
+  }
 
-    Logger.log('Password changed successfully for user: ' + username);
-    return { success: true, message: 'Password changed successfully' };
-  } catch (error) {
-    Logger.log('Error in changePassword: ' + error.message);
-    return { success: false, message: 'Error changing password: ' + error.message };
+  const minutesLeft = Math.ceil((lockedUntil - now) / 60000);
+  return {
+    success: false,
+    message: `Account locked due to multiple failed login attempts. Try again in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}.`
+  };
+}
+
+/**
+ * Count a failed password or two-factor code and lock the account after too many
+ * Both the failure and the lockout are logged as security events.
+ * @param {Object} user - User entity
+ * @param {string} reason - What was wrong, for the security event
+ * @returns {Object} Failed login result
+ */
+function recordFailedLogin_(user, reason) {
+  const now = new Date();
+  const newFailedAttempts = (user.failedAttempts || 0) + 1;
+  const changes = { failedAttempts: newFailedAttempts, lastFailed: now };
+  const usersRepo = getRepository('USERS');
+  logSecurityEvent_(user.username, 'Login Failed', `${reason} (attempt ${newFailedAttempts} of ${CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS})`);
+
+  // Lock account after max attempts
+  if (newFailedAttempts >= CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS) {
+    changes.lockedUntil = new Date(now.getTime() + CONFIG.VALIDATION.LOCKOUT_DURATION_MINUTES * 60000);
+    usersRepo.update(user.userId, changes);
+    logSecurityEvent_(user.username, 'Account Locked', `Locked for ${CONFIG.VALIDATION.LOCKOUT_DURATION_MINUTES} minutes after ${newFailedAttempts} failed attempts`);
+    return {
+      success: false,
+      locked: true,
+      message: `Account locked due to multiple failed login attempts. Try again in ${CONFIG.VALIDATION.LOCKOUT_DURATION_MINUTES} minutes.`
+    };
   }
+
+  usersRepo.update(user.userId, changes);
+
+  const attemptsLeft = CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS - newFailedAttempts;
+  return {
+    success: false,
+    message: `Invalid credentials. ${attemptsLeft} attempt${attemptsLeft !== 1 ? 's' : ''} remaining.`
+  };
 }
 
 /**
- * Get all users from the Users sheet
- * @returns {Array} Array of user objects
+ * Replace the history entry of the current password with its upgraded hash
+ * @param {Object} user - User entity
+ * @param {string} password - Current plain text password
+ * @param {string} upgradedHash - New hash of the password
+ * @returns {Array<string>} Password history
  */
-function getAllUsers() {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.USERS);
-    if (!sheet) {
-      Logger.log('Users sheet not found');
-      return [];
-    }
+function upgradePasswordHistory(user, password, upgradedHash) {
+  const history = Array.isArray(user.passwordHistory) ? user.passwordHistory.slice() : [];
+  const index = history.indexOf(user.passwordHash);
+  if (index > -1) {
+    history[index] = upgradedHash;
+  } else if (!history.some(hash => verifyPassword(password, hash))) {
+    history.unshift(upgradedHash);
+  }
+  return history.slice(0, CONFIG.VALIDATION.PASSWORD_HISTORY_COUNT);
+}
 
-    const data = sheet.getDataRange().getValues();
-    if (data.length <= 1) {
-      Logger.log('No users found in sheet');
-      return [];
-    }
+/**
+ * Get the user behind a session token, used by the client to resume a saved login
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result with the signed-in user
+ */
+function getCurrentSession(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken, { allowPasswordChange: true });
+  if (!sessionUser) return buildSessionExpiredResult();
+
+  return {
+    success: true,
+    user: {
+      username: sessionUser.username,
+      fullName: sessionUser.fullName,
+      role: sessionUser.role,
+      permissions: getRolePermissions(sessionUser.role)
+    },
+    forcePasswordChange: !!sessionUser.forcePasswordChange || isPasswordExpired(sessionUser)
+  };
+}
 
-    const headers = data[0];
-    const users = [];
+/**
+ * Get the configured roles and their permissions, for the user forms
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result with roles: [{ name, permissions: [{ key, description }] }]
+ */
+function getRoles(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  return {
+    success: true,
+    roles: Object.keys(CONFIG.ROLES).map(name => ({
+      name: name,
+      permissions: CONFIG.ROLES[name].map(key => ({ key: key, description: CONFIG.PERMISSIONS[key] }))
+    }))
+  };
+}
+
+/**
+ * End a session (logout)
+ * @param {string} sessionToken - Session token
+ * @returns {Object} Result object
+ */
+function logoutUser(sessionToken) {
+  const session = validateSessionToken(sessionToken);
+  if (session) {
+    logSecurityEvent_(session.username, 'Logout', 'Signed out');
+  }
+  invalidateSessionToken(sessionToken);
+  return { success: true, message: 'Logged out' };
+}
+
+/**
+ * Change the signed-in user's password after verifying the current one
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} currentPassword - Current plain text password
+ * @param {string} newPassword - New plain text password
+ * @returns {Object} Result object
+ */
+function changePassword(sessionToken, csrfToken, currentPassword, newPassword) {
+  const sessionUser = getSessionUser(sessionToken, { allowPasswordChange: true });
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  const username = sessionUser.username;
 
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
+  return withWriteLock(() => {
+    try {
+      const usersRepo = getRepository('USERS');
+      if (!usersRepo.exists()) {
+        return { success: false, message: 'Users sheet not found' };
+      }
 
-      // Skip empty rows
-      if (!row[0] || row[0].toString().trim() === '') {
-        continue;
+      // Find the user row
+      const user = usersRepo.findOne(u => u.username === username);
+      if (!user) {
+        return { success: false, message: 'User not found' };
       }
 
-      // Format created date
-      let createdDate = '';
-      try {
-        if (row[6]) {
-          if (row[6] instanceof Date) {
-            createdDate = Utilities.formatDate(row[6], Session.getScriptTimeZone(), 'MMM dd, yyyy');
-          } else {
-            createdDate = row[6].toString();
-          }
-        }
-      } catch (e) {
-        createdDate = 'N/A';
-      }
-
-      const user = {
-        userId: row[0].toString(),
-        username: row[1].toString(),
-        password: row[2].toString(),
-        fullName: row[3].toString(),
-        role: row[4].toString(),
-        status: row[5].toString(),
-        createdDate: createdDate
+      // Verify current password
+      if (!verifyPassword(currentPassword, user.passwordHash)) {
+        logSecurityEvent_(username, 'Password Change Failed', 'Current password was incorrect');
+        return { success: false, message: 'Current password is incorrect' };
+      }
+
+      // Check if password was used recently (history may mix legacy and current hashes)
+      let history = Array.isArray(user.passwordHistory) ? user.passwordHistory : [];
+      if (history.some(hash => verifyPassword(newPassword, hash))) {
+        return {
+          success: false,
+          message: 'Password was used recently. Please choose a different password.'
+        };
+      }
+
+      // Validate new password against the password policy
+      const pwdValidation = validatePassword(newPassword, user);
+      if (!pwdValidation.valid) {
+        return { success: false, message: pwdValidation.error };
+      }
+
+      // Update password history (keep last 5 passwords)
+      const hashedNewPassword = hashPassword(newPassword);
+      history.unshift(hashedNewPassword);
+      if (history.length > CONFIG.VALIDATION.PASSWORD_HISTORY_COUNT) {
+        history = history.slice(0, CONFIG.VALIDATION.PASSWORD_HISTORY_COUNT);
+      }
+
+      // Update password and clear force password change flag
+      usersRepo.update(user.userId, {
+        passwordHash: hashedNewPassword,
+        passwordHistory: history,
+        passwordChangedAt: new Date(),
+        forcePasswordChange: false
+      });
+
+      // Anyone signed in with the old password is signed out; this session stays open
+      const ended = endUserSessions_(user, sessionToken);
+      logSecurityEvent_(username, 'Password Change', `Password changed, ${ended} other session(s) signed out`);
+
+      Logger.log('Password changed successfully for user: ' + username);
+      return {
+        success: true,
+        message: 'Password changed successfully' + (ended > 0 ? `. ${ended} other session${ended !== 1 ? 's were' : ' was'} signed out.` : '')
       };
-      users.push(user);
+    } catch (error) {
+      Logger.log('Error in changePassword: ' + error.message);
+      return { success: false, message: 'Error changing password: ' + error.message };
+    }
+  });
+}
+
+/**
+ * Get all users from the Users sheet (admin only)
+ * @param {string} sessionToken - Session token
+ * @returns {Array} Array of user objects
+ */
+function getAllUsers(sessionToken) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) {
+    throw new Error(buildPermissionDeniedResult_('users.manage', sessionUser).message);
+  }
+
+  try {
+    const usersRepo = getRepository('USERS');
+    if (!usersRepo.exists()) {
+      Logger.log('Users sheet not found');
+      return [];
+    }
+
+    const records = usersRepo.findAll();
+    const sessionCounts = countActiveSessions_(records);
+    const users = records.map(user => Object.assign(buildUserSummary(user), { activeSessions: sessionCounts[user.username] || 0 }));
+
+    if (users.length === 0) {
+      Logger.log('No users found in sheet');
     }
 
     Logger.log('Retrieved ' + users.length + ' users');
@@ -145,133 +356,439 @@ function getAllUsers() {
 }
 
 /**
- * Add a new user
- * @param {Object} userData - User data object
- * @param {string} currentUsername - Username of admin adding the user
- * @returns {Object} Result object
+ * Get one user by username (admin only)
+ * @param {string} sessionToken - Session token
+ * @param {string} username - Username, in any letter case
+ * @returns {Object} Result with user
  */
-function addUser(userData, currentUsername) {
+function getUserByUsername(sessionToken, username) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
   try {
-    // Check admin permission
-    if (!hasAdminPermission(currentUsername)) {
-      return {
-        success: false,
-        message: 'Permission denied. Admin access required.'
-      };
+    const wanted = String(username || '').toLowerCase();
+    const user = getRepository('USERS').findOne(u => String(u.username).toLowerCase() === wanted);
+    if (!user) {
+      return { success: false, message: 'User not found' };
     }
+    return { success: true, user: buildUserSummary(user) };
+  } catch (error) {
+    Logger.log('Error in getUserByUsername: ' + error.message);
+    return { success: false, message: 'Error loading user: ' + error.message };
+  }
+}
 
-    // Validate input
-    if (!userData || typeof userData !== 'object') {
-      return { success: false, message: 'Invalid user data' };
-    }
+/**
+ * User fields safe to send to the client (never the password hash or 2FA secret)
+ * @param {Object} user - User entity
+ * @returns {Object} User summary
+ */
+function buildUserSummary(user) {
+  const lockedUntil = parseDateValue(user.lockedUntil);
+  return {
+    userId: user.userId,
+    username: user.username,
+    fullName: user.fullName,
+    role: user.role,
+    status: user.status,
+    createdDate: formatDateString(user.createdDate),
+    failedAttempts: user.failedAttempts || 0,
+    locked: !!lockedUntil && lockedUntil > new Date(),
+    lockedUntil: lockedUntil ? formatDateTimeString(lockedUntil) : '',
+    forcePasswordChange: !!user.forcePasswordChange,
+    twoFactorEnabled: !!user.twoFactorEnabled,
+    twoFactorRequired: !!user.twoFactorRequired
+  };
+}
 
-    if (!userData.username || !userData.password || !userData.fullName || !userData.role) {
-      return { success: false, message: 'Missing required fields' };
-    }
+/**
+ * Check whether a change would leave the system without an active Admin
+ * @param {Object} user - User entity being changed
+ * @param {Object} changes - New role and/or status, or null when the user is deleted
+ * @returns {boolean} True when user is the last active Admin and would stop being one
+ */
+function isLastActiveAdmin(user, changes) {
+  if (user.role !== 'Admin' || user.status !== 'Active') return false;
+  if (changes && changes.role === 'Admin' && changes.status === 'Active') return false;
+  return getRepository('USERS').findAll(u => u.role === 'Admin' && u.status === 'Active').length <= 1;
+}
 
-    // Validate password strength
-    const pwdValidation = validatePassword(userData.password);
-    if (!pwdValidation.valid) {
-      return { success: false, message: pwdValidation.error };
-    }
+/**
+ * User field change that ends every session a user has open, e.g. after deactivation or a password reset
+ * Sessions remember the user's sessionVersion at login and getSessionUser refuses them once it changes.
+ * @param {Object} user - User entity
+ * @returns {Object} Changes for the repository
+ */
+function buildRevokeSessionsChanges(user) {
+  return { sessionVersion: (user.sessionVersion || 0) + 1 };
+}
+
+/**
+ * Validate and sanitize the fields an admin sets on a user account
+ * @param {Object} userData - User data object from the form
+ * @returns {Object} { valid, error } or { valid, fields } with the sanitized fields
+ */
+function validateUserData(userData) {
+  if (!userData || typeof userData !== 'object') {
+    return { valid: false, error: 'Invalid user data' };
+  }
 
-    // Sanitize inputs
-    userData.username = sanitizeInput(userData.username);
-    userData.fullName = sanitizeInput(userData.fullName);
+  const fields = {
+    username: sanitizeInput(userData.username),
+    fullName: sanitizeInput(userData.fullName),
+    role: userData.role,
+    status: userData.status
+  };
+  if (!fields.username || !fields.fullName || !fields.role || !fields.status) {
+    return { valid: false, error: 'Missing required fields' };
+  }
 
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.USERS);
-    if (!sheet) {
-      return { success: false, message: 'System error. Please contact administrator.' };
-    }
+  const usernameCheck = validateStringLength(fields.username, 'Username', CONFIG.VALIDATION.MAX_NAME_LENGTH);
+  if (!usernameCheck.valid) {
+    return { valid: false, error: usernameCheck.error };
+  }
+  if (!CONFIG.ROLES[fields.role]) {
+    return { valid: false, error: 'Unknown role: ' + fields.role };
+  }
+  if (CONFIG.USER_STATUSES.indexOf(fields.status) === -1) {
+    return { valid: false, error: 'Unknown status: ' + fields.status };
+  }
+  return { valid: true, fields: fields };
+}
 
-    // Check if username already exists
-    const data = sheet.getDataRange().getValues();
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][1].toLowerCase() === userData.username.toLowerCase()) {
-        return { success: false, message: 'Username already exists' };
+/**
+ * Add a new user
+ * @param {string} sessionToken - Session token of the admin adding the user
+ * @param {string} csrfToken - CSRF token
+ * @param {Object} userData - User data object
+ * @returns {Object} Result object
+ */
+function addUser(sessionToken, csrfToken, userData) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      // Validate and sanitize input
+      const validation = validateUserData(userData);
+      if (!validation.valid) {
+        return { success: false, message: validation.error };
+      }
+      const fields = validation.fields;
+      if (!userData.password) {
+        return { success: false, message: 'Missing required fields' };
       }
-    }
 
-    // Generate User ID
-    const userId = 'USR' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMddHHmmss');
+      // Validate password strength
+      const pwdValidation = validatePassword(userData.password, fields);
+      if (!pwdValidation.valid) {
+        return { success: false, message: pwdValidation.error };
+      }
 
-    // Get current date
-    const createdDate = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'MMM dd, yyyy');
+      const usersRepo = getRepository('USERS');
+      if (!usersRepo.exists()) {
+        return { success: false, message: 'System error. Please contact administrator.' };
+      }
 
-    // Hash the password before storing
-    const hashedPassword = hashPassword(userData.password);
+      // Check if username already exists
+      const newUsername = fields.username.toLowerCase();
+      if (usersRepo.findOne(u => u.username.toLowerCase() === newUsername)) {
+        return { success: false, message: 'Username already exists' };
+      }
 
-    // Append new user
-    sheet.appendRow([
-      userId,
-      userData.username,
-      hashedPassword,
-      userData.fullName,
-      userData.role,
-      userData.status,
-      createdDate
-    ]);
+      // Generate User ID
+      const userId = generateUniqueId('USR');
 
-    Logger.log('User added successfully: ' + userId);
-    return { success: true, userId: userId, message: 'User added successfully' };
-  } catch (error) {
-    Logger.log('Error in addUser: ' + error.message);
-    return { success: false, message: 'Error adding user: ' + error.message };
-  }
+      // Hash the password before storing
+      const hashedPassword = hashPassword(userData.password);
+
+      // Append new user; the admin-chosen password has to be changed at first login
+      usersRepo.insert({
+        userId: userId,
+        username: fields.username,
+        passwordHash: hashedPassword,
+        fullName: fields.fullName,
+        role: fields.role,
+        status: fields.status,
+        createdDate: getTodayDate(),
+        failedAttempts: 0,
+        lastFailed: '',
+        lockedUntil: '',
+        passwordHistory: [hashedPassword],
+        passwordChangedAt: new Date(),
+        forcePasswordChange: CONFIG.SECURITY.FORCE_PASSWORD_CHANGE_ON_FIRST_LOGIN,
+        twoFactorRequired: !!userData.twoFactorRequired
+      });
+
+      logAudit_(sessionUser.username, 'Add', 'User', fields.username, `Added ${fields.role} user ${fields.username}`);
+      Logger.log('User added successfully: ' + userId);
+      return { success: true, userId: userId, message: 'User added successfully' };
+    } catch (error) {
+      Logger.log('Error in addUser: ' + error.message);
+      return { success: false, message: 'Error adding user: ' + error.message };
+    }
+  });
 }
 
 /**
  * Update an existing user
+ * @param {string} sessionToken - Session token of the admin updating the user
+ * @param {string} csrfToken - CSRF token
  * @param {Object} userData - User data object with userId
  * @returns {Object} Result object
  */
-function updateUser(userData) {
-  try {
-    const ss = getSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.SHEET_NAMES.USERS);
-    if (!sheet) {
-      return { success: false, message: 'Users sheet not found' };
-    }
+function updateUser(sessionToken, csrfToken, userData) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const validation = validateUserData(userData);
+      if (!validation.valid) {
+        return { success: false, message: validation.error };
+      }
+      const fields = validation.fields;
+
+      const usersRepo = getRepository('USERS');
+      if (!usersRepo.exists()) {
+        return { success: false, message: 'Users sheet not found' };
+      }
+
+      const users = usersRepo.findAll();
+
+      // Find the user row
+      const user = users.find(u => u.userId === userData.userId);
+      if (!user) {
+        return { success: false, message: 'User not found' };
+      }
+
+      // Check if new username conflicts with another user
+      const newUsername = fields.username.toLowerCase();
+      if (users.some(u => u.userId !== userData.userId && u.username.toLowerCase() === newUsername)) {
+        return { success: false, message: 'Username already exists' };
+      }
 
-    const data = sheet.getDataRange().getValues();
-    let rowIndex = -1;
+      if (user.userId === sessionUser.userId && fields.status !== 'Active') {
+        return { success: false, message: 'You cannot deactivate your own account' };
+      }
+      if (isLastActiveAdmin(user, fields)) {
+        return { success: false, message: 'At least one active Admin is required' };
+      }
 
-    // Find the user row
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] === userData.userId) {
-        rowIndex = i + 1;
-        break;
+      // Update user data
+      const changes = {
+        username: fields.username,
+        fullName: fields.fullName,
+        role: fields.role,
+        status: fields.status,
+        twoFactorRequired: !!userData.twoFactorRequired
+      };
+      // Only update password if provided; like a reset, it has to be changed at the next login
+      const passwordChanged = !!(userData.password && userData.password.trim() !== '');
+      if (passwordChanged) {
+        if (user.userId === sessionUser.userId) {
+          return { success: false, message: 'Use Change Password for your own account' };
+        }
+        const pwdValidation = validatePassword(userData.password, fields);
+        if (!pwdValidation.valid) {
+          return { success: false, message: pwdValidation.error };
+        }
+        changes.passwordHash = hashPassword(userData.password);
+        changes.passwordChangedAt = new Date();
+        changes.forcePasswordChange = true;
       }
+
+      // Deactivation, admin-set passwords and renames end the user's open sessions;
+      // sessions are registered by username, so a rename ends them before the old name is freed
+      const deactivated = user.status === 'Active' && fields.status !== 'Active';
+      const renamed = user.username !== fields.username;
+      if (renamed) {
+        endUserSessions_(user);
+      } else if (deactivated || passwordChanged) {
+        Object.assign(changes, buildRevokeSessionsChanges(user));
+      }
+      usersRepo.update(userData.userId, changes);
+
+      const details = [`Updated user ${fields.username}`];
+      if (renamed) details.push(`username ${user.username} -> ${fields.username}`);
+      if (user.role !== fields.role) details.push(`role ${user.role} -> ${fields.role}`);
+      if (user.status !== fields.status) details.push(`status ${user.status} -> ${fields.status}`);
+      if (passwordChanged) details.push('password set by admin');
+      logAudit_(sessionUser.username, deactivated ? 'Deactivate' : 'Update', 'User', fields.username, details.join(', '));
+
+      Logger.log('User updated successfully: ' + userData.userId);
+      if (renamed && user.userId === sessionUser.userId) {
+        return { success: true, message: 'User updated successfully. Please log in again with your new username.' };
+      }
+      return { success: true, message: 'User updated successfully' };
+    } catch (error) {
+      Logger.log('Error in updateUser: ' + error.message);
+      return { success: false, message: 'Error updating user: ' + error.message };
     }
+  });
+}
 
-    if (rowIndex === -1) {
-      return { success: false, message: 'User not found' };
+/**
+ * Delete a user account for good
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} userId - User ID
+ * @returns {Object} Result object
+ */
+function deleteUser(sessionToken, csrfToken, userId) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const usersRepo = getRepository('USERS');
+      const user = usersRepo.findById(userId);
+      if (!user) {
+        return { success: false, message: 'User not found' };
+      }
+      if (user.userId === sessionUser.userId) {
+        return { success: false, message: 'You cannot delete your own account' };
+      }
+      if (isLastActiveAdmin(user, null)) {
+        return { success: false, message: 'At least one active Admin is required' };
+      }
+
+      endUserSessions_(user);
+      usersRepo.delete(userId);
+      logAudit_(sessionUser.username, 'Delete', 'User', user.username, `Deleted ${user.role} user ${user.username}`);
+
+      return { success: true, message: 'User deleted successfully' };
+    } catch (error) {
+      Logger.log('Error in deleteUser: ' + error.message);
+      return { success: false, message: 'Error deleting user: ' + error.message };
     }
+  });
+}
 
-    // Check if new username conflicts with another user
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] !== userData.userId && data[i][1].toLowerCase() === userData.username.toLowerCase()) {
-        return { success: false, message: 'Username already exists' };
+/**
+ * Clear a lockout caused by failed login attempts
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} userId - User ID
+ * @returns {Object} Result object
+ */
+function unlockUser(sessionToken, csrfToken, userId) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const usersRepo = getRepository('USERS');
+      const user = usersRepo.findById(userId);
+      if (!user) {
+        return { success: false, message: 'User not found' };
       }
+
+      usersRepo.update(userId, { failedAttempts: 0, lastFailed: '', lockedUntil: '' });
+      logAudit_(sessionUser.username, 'Unlock', 'User', user.username,
+        `Unlocked ${user.username} after ${user.failedAttempts || 0} failed attempt(s)`);
+
+      return { success: true, message: `${user.username} can sign in again` };
+    } catch (error) {
+      Logger.log('Error in unlockUser: ' + error.message);
+      return { success: false, message: 'Error unlocking user: ' + error.message };
     }
+  });
+}
 
-    // Update user data
-    sheet.getRange(rowIndex, 2).setValue(userData.username); // Username
-    // Only update password if provided (hash it before storing)
-    if (userData.password && userData.password.trim() !== '') {
-      const hashedPassword = hashPassword(userData.password);
-      sheet.getRange(rowIndex, 3).setValue(hashedPassword); // Hashed Password
+/**
+ * Give a user a temporary password that must be changed at the next login
+ * The account is unlocked and the user's open sessions end. The temporary password
+ * is returned once for the admin to pass on and is never logged.
+ * @param {string} sessionToken - Session token
+ * @param {string} csrfToken - CSRF token
+ * @param {string} userId - User ID
+ * @returns {Object} Result with temporaryPassword
+ */
+function resetUserPassword(sessionToken, csrfToken, userId) {
+  const sessionUser = getSessionUser(sessionToken);
+  if (!sessionUser) return buildSessionExpiredResult();
+  if (!validateCsrfToken(sessionToken, csrfToken)) return buildCsrfExpiredResult();
+  if (!hasPermission(sessionUser, 'users.manage')) return buildPermissionDeniedResult_('users.manage', sessionUser);
+
+  return withWriteLock(() => {
+    try {
+      const usersRepo = getRepository('USERS');
+      const user = usersRepo.findById(userId);
+      if (!user) {
+        return { success: false, message: 'User not found' };
+      }
+      if (user.userId === sessionUser.userId) {
+        return { success: false, message: 'Use Change Password for your own account' };
+      }
+
+      const temporaryPassword = generateTemporaryPassword();
+      const passwordHash = hashPassword(temporaryPassword);
+      const history = [passwordHash].concat(Array.isArray(user.passwordHistory) ? user.passwordHistory : [])
+        .slice(0, CONFIG.VALIDATION.PASSWORD_HISTORY_COUNT);
+
+      usersRepo.update(userId, {
+        passwordHash: passwordHash,
+        passwordHistory: history,
+        passwordChangedAt: new Date(),
+        forcePasswordChange: true,
+        failedAttempts: 0,
+        lastFailed: '',
+        lockedUntil: '',
+        ...buildRevokeSessionsChanges(user)
+      });
+      logAudit_(sessionUser.username, 'Reset Password', 'User', user.username, `Issued a temporary password to ${user.username}`);
+
+      return {
+        success: true,
+        temporaryPassword: temporaryPassword,
+        message: `Temporary password issued to ${user.username}. They must change it at the next login.`
+      };
+    } catch (error) {
+      Logger.log('Error in resetUserPassword: ' + error.message);
+      return { success: false, message: 'Error resetting password: ' + error.message };
     }
-    sheet.getRange(rowIndex, 4).setValue(userData.fullName); // Full Name
-    sheet.getRange(rowIndex, 5).setValue(userData.role); // Role
-    sheet.getRange(rowIndex, 6).setValue(userData.status); // Status
+  });
+}
 
-    Logger.log('User updated successfully: ' + userData.userId);
-    return { success: true, message: 'User updated successfully' };
-  } catch (error) {
-    Logger.log('Error in updateUser: ' + error.message);
-    return { success: false, message: 'Error updating user: ' + error.message };
+/**
+ * Generate a random temporary password that passes the password policy
+ * Look-alike characters (0/O, 1/l/I) are left out so it can be read out or copied by hand.
+ * @returns {string} Temporary password
+ */
+function generateTemporaryPassword() {
+  const policy = loadPasswordPolicy();
+  const length = Math.max(12, policy.minLength);
+  const groups = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnpqrstuvwxyz', '23456789'];
+  if (policy.requireSymbol) groups.push('!#%*+=?@');
+  const all = groups.join('');
+
+  // Two random bytes per character: one to pick it, one to shuffle it
+  let bytes = [];
+  while (bytes.length < length * 2) {
+    bytes = bytes.concat(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid()));
+  }
+  const pick = (alphabet, byte) => alphabet[(byte & 0xff) % alphabet.length];
+
+  // One character from each group, then random characters from all of them
+  const chars = groups.map((group, i) => pick(group, bytes[i]));
+  for (let i = groups.length; i < length; i++) {
+    chars.push(pick(all, bytes[i]));
   }
-}
 
+  // Shuffle so the guaranteed characters are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = (bytes[length + i] & 0xff) % (i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
@@ -56,6 +56,7 @@ function createOrGetSheet(sheetName, headers) {
 
 /**
  * Generate unique ID using UUID for guaranteed uniqueness
+ * Used for every new record ID so concurrent saves never collide.
  * @param {string} prefix - ID prefix
  * @param {Sheet} sheet - Sheet to check for uniqueness (optional, for backwards compatibility)
  * @returns {string} Unique ID
@@ -66,14 +67,50 @@ function generateUniqueId(prefix, sheet) {
   return prefix + uuid;
 }
 
+// Lock held by the current execution, so nested writes (e.g. logAudit_ inside addGuard) reuse it
+let activeWriteLock = null;
+
 /**
- * Format date helper
+ * Run a write operation while holding the script lock
+ * Retries with exponential backoff while another user is writing. If the lock
+ * still cannot be acquired, a busy result is returned instead of running the operation.
+ * @param {Function} operation - Function performing the sheet writes
+ * @returns {*} Result of the operation, or { success: false, busy: true, message }
  */
-function formatDateString(dateValue) {
-  if (!dateValue) return '';
-  if (dateValue instanceof Date) {
-    return Utilities.formatDate(dateValue, Session.getScriptTimeZone(), 'MMM dd, yyyy');
+function withWriteLock(operation) {
+  if (activeWriteLock) {
+    return operation();
+  }
+
+  const lock = LockService.getScriptLock();
+  let acquired = false;
+
+  for (let attempt = 1; attempt <= CONFIG.LOCK.MAX_ATTEMPTS; attempt++) {
+    acquired = lock.tryLock(CONFIG.LOCK.WAIT_MS);
+    if (acquired || attempt === CONFIG.LOCK.MAX_ATTEMPTS) break;
+
+    // Back off with jitter so waiting users do not retry in lockstep
+    const delay = CONFIG.LOCK.BACKOFF_MS * Math.pow(2, attempt - 1);
+    Utilities.sleep(delay + Math.floor(Math.random() * CONFIG.LOCK.BACKOFF_MS));
+  }
+
+  if (!acquired) {
+    Logger.log('Write lock busy after ' + CONFIG.LOCK.MAX_ATTEMPTS + ' attempts');
+    return {
+      success: false,
+      busy: true,
+      message: 'The system is busy saving another change. Please try again in a few seconds.'
+    };
+  }
+
+  activeWriteLock = lock;
+  try {
+    const result = operation();
+    // Commit pending writes before other executions can read the sheets
+    SpreadsheetApp.flush();
+    return result;
+  } finally {
+    activeWriteLock = null;
+    lock.releaseLock();
   }
-  const date = new Date(dateValue);
-  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'MMM dd, yyyy');
 }
@@ -0,0 +1,141 @@
+/**
+ * Tests for JSON backups, restore and retention (Backup.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  function setupWithGuard() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    const added = app.gs.addGuard(...writeAs(app.gs), { firstName: 'juan', lastName: 'cruz', hiredDate: '2020-01-01', status: 'Active' });
+    return Object.assign(app, { guardId: added.guardId });
+  }
+
+  test('createBackup writes every system sheet to a JSON file', () => {
+    const { gs, state } = setupWithGuard();
+    const result = gs.createBackup(...writeAs(gs));
+    assert.ok(result.success, result.message);
+    assert.ok(/-manual\.json$/.test(result.fileName), result.fileName);
+
+    const file = state.drive.files.get(result.fileId);
+    const snapshot = JSON.parse(file.getBlob().getDataAsString());
+    assert.strictEqual(snapshot.format, 'guard-monitoring-backup');
+    assert.strictEqual(snapshot.schemaVersion, gs.getSchemaVersion());
+    assert.strictEqual(snapshot.sheets.Guards.rows.length, 1);
+    assert.ok(snapshot.sheets.Users.headers.indexOf('Username') > -1);
+    assert.strictEqual(file.getSharingAccess(), 'PRIVATE');
+    assert.ok(gs.getRecentActivity_(5).some(entry => entry.action === 'Backup'));
+  });
+
+  test('restoreBackup reloads the data and keeps a safety backup', () => {
+    const { gs, guardId } = setupWithGuard();
+    const backup = gs.createBackup(...writeAs(gs));
+    gs.deleteGuard(...writeAs(gs), guardId, 1);
+    gs.addGuard(...writeAs(gs), { firstName: 'pedro', lastName: 'santos', status: 'Active' });
+
+    const result = gs.restoreBackup(...writeAs(gs), backup.fileId);
+    assert.ok(result.success, result.message);
+    assert.ok(result.safetyBackup);
+
+    const guards = gs.getAllGuards_();
+    assert.strictEqual(guards.length, 1);
+    assert.strictEqual(guards[0].guardId, guardId);
+    assert.strictEqual(guards[0].hiredDate, 'Jan 01, 2020');
+    assert.ok(gs.authenticateUser('admin', 'ChangeMe2025!').success);
+  });
+
+  test('restoreBackup dry run validates without changing data', () => {
+    const { gs } = setupWithGuard();
+    const backup = gs.createBackup(...writeAs(gs));
+    gs.addGuard(...writeAs(gs), { firstName: 'pedro', lastName: 'santos', status: 'Active' });
+
+    const result = gs.restoreBackup(...writeAs(gs), backup.fileId, { dryRun: true });
+    assert.ok(result.success, result.message);
+    assert.ok(result.sheets.some(sheet => sheet.name === 'Guards' && sheet.rows === 1));
+    assert.strictEqual(gs.getAllGuards_().length, 2);
+  });
+
+  test('restoreBackup rejects files that are not valid backups', () => {
+    const { gs, state } = setupWithGuard();
+    const folder = state.getFolder('uploads');
+    const notJson = folder.createFile('notes.json', 'not json');
+    const noAdmin = folder.createFile('no-admin.json', JSON.stringify({
+      format: 'guard-monitoring-backup',
+      formatVersion: 1,
+      schemaVersion: 0,
+      sheets: { Users: { headers: ['User ID', 'Username', 'Role', 'Status'], rows: [] } }
+    }));
+    const unknownSheet = folder.createFile('unknown.json', JSON.stringify({
+      format: 'guard-monitoring-backup',
+      formatVersion: 1,
+      schemaVersion: 0,
+      sheets: { Secrets: { headers: ['A'], rows: [] } }
+    }));
+
+    assert.ok(/not valid JSON/.test(gs.restoreBackup_(notJson.getId()).message));
+    assert.ok(/no active Admin/.test(gs.restoreBackup_(noAdmin.getId()).message));
+    assert.ok(/unknown sheet/.test(gs.restoreBackup_(unknownSheet.getId()).message));
+    // Through the endpoint only files in the backup folder can be restored
+    assert.ok(/not found in the backup folder/.test(gs.restoreBackup(...writeAs(gs), noAdmin.getId()).message));
+    assert.strictEqual(gs.getAllGuards_().length, 1);
+  });
+
+  test('scheduled backups rotate out beyond the retention count', () => {
+    const { gs, state } = setupWithGuard();
+    const manual = gs.createBackup(...writeAs(gs));
+    const retention = gs.CONFIG.BACKUP.RETENTION_COUNT;
+    for (let i = 0; i < retention + 2; i++) {
+      state.clock.advance(1000);
+      gs.runScheduledBackup_();
+    }
+
+    const backups = gs.listBackups(signIn(gs)).backups;
+    assert.strictEqual(backups.filter(backup => /-scheduled\.json$/.test(backup.fileName)).length, retention);
+    assert.ok(backups.some(backup => backup.fileId === manual.fileId));
+  });
+
+  test('installBackupSchedule keeps a single daily trigger', () => {
+    const { gs, state } = loadApp();
+    gs.ScriptApp.newTrigger('runScheduledBackup').timeBased().everyDays(1).create();
+    gs.installBackupSchedule_();
+    gs.installBackupSchedule_();
+    assert.strictEqual(state.triggers.length, 1);
+    assert.strictEqual(state.triggers[0].getHandlerFunction(), 'runScheduledBackup_');
+  });
+
+  test('backups can only be taken, listed and restored by signed-in admins', () => {
+    const { gs } = setupWithGuard();
+    gs.getRepository('USERS').insert({ userId: 'USR-2', username: 'encoder', role: 'Encoder', status: 'Active' });
+    const backup = gs.createBackup(...writeAs(gs));
+
+    assert.strictEqual(gs.createBackup('not-a-session', 'x').sessionExpired, true);
+    assert.strictEqual(gs.listBackups('not-a-session').sessionExpired, true);
+    assert.strictEqual(gs.restoreBackup('not-a-session', 'x', backup.fileId).sessionExpired, true);
+    assert.strictEqual(gs.createBackup(signIn(gs), 'wrong-csrf').csrfExpired, true);
+
+    assert.strictEqual(gs.createBackup(...writeAs(gs, 'encoder')).permissionDenied, true);
+    assert.strictEqual(gs.listBackups(signIn(gs, 'encoder')).permissionDenied, true);
+    assert.strictEqual(gs.restoreBackup(...writeAs(gs, 'encoder'), backup.fileId).permissionDenied, true);
+    assert.strictEqual(gs.listBackups(signIn(gs)).backups.length, 1);
+  });
+
+  test('clearAllData and resetDatabase take a backup first', () => {
+    const { gs } = setupWithGuard();
+    const cleared = gs.clearAllData_();
+    assert.ok(cleared.success, cleared.message);
+    assert.ok(/pre-clear/.test(cleared.backupFileName));
+
+    // The re-created admin has the setup password and must change it at first login
+    const admin = gs.getRepository('USERS').findById('USR001');
+    assert.strictEqual(admin.forcePasswordChange, true);
+    assert.strictEqual(admin.passwordHistory.length, 1);
+    assert.ok(admin.passwordChangedAt instanceof gs.Date);
+    assert.strictEqual(gs.authenticateUser('admin', 'admin123').success, false);
+    assert.strictEqual(gs.authenticateUser('admin', 'ChangeMe2025!').forcePasswordChange, true);
+
+    gs.addGuard(...writeAs(gs), { firstName: 'pedro', lastName: 'santos', status: 'Active' });
+    const reset = gs.resetDatabase(...writeAs(gs));
+    assert.ok(reset.success, reset.message);
+    assert.ok(/pre-reset/.test(reset.backupFileName));
+    assert.strictEqual(gs.getAllGuards_().length, 0);
+  });
+};
@@ -0,0 +1,111 @@
+/**
+ * Tests for the dashboard reporting engine and its cache (Dashboard.js, Cache.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  function setupWithSamples() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.generateSampleGuards(...writeAs(app.gs));
+    app.gs.generateSamplePerformance(...writeAs(app.gs));
+    return app;
+  }
+
+  test('getDashboardStats counts guards, licenses, BMI and records in the range', () => {
+    const { gs } = loadApp();
+    gs.setupSheets();
+    const active = gs.addGuard(...writeAs(gs), { firstName: 'a', lastName: 'one', status: 'Active', licenseExpiry: '2020-01-01', height: 170, weight: 95 });
+    gs.addGuard(...writeAs(gs), { firstName: 'b', lastName: 'two', status: 'Banned', licenseExpiry: '2020-01-01', height: 170, weight: 70 });
+    gs.addPerformanceRecord(...writeAs(gs), { guardId: active.guardId, guardName: 'A ONE', type: 'Violation', typeOfViolation: 'Late Arrival', date: '2026-02-10' });
+    gs.addPerformanceRecord(...writeAs(gs), { guardId: active.guardId, guardName: 'A ONE', type: 'Accomplishment', date: '2026-02-11' });
+    gs.addPerformanceRecord(...writeAs(gs), { guardId: active.guardId, guardName: 'A ONE', type: 'Violation', typeOfViolation: 'Late Arrival', date: '2026-03-01' });
+
+    const stats = gs.getDashboardStats(signIn(gs), { startDate: '2026-02-01', endDate: '2026-02-28' });
+    assert.strictEqual(stats.totalGuards, 2);
+    assert.strictEqual(stats.activeGuards, 1);
+    assert.strictEqual(stats.expiredLicenses, 1);
+    assert.strictEqual(stats.bmiObese, 1);
+    assert.strictEqual(stats.bmiNormal, 0);
+    assert.strictEqual(stats.monthlyViolations, 1);
+    assert.strictEqual(stats.monthlyAccomplishments, 1);
+  });
+
+  test('getDashboardReport matches the record query totals for a date range', () => {
+    const { gs } = setupWithSamples();
+    const report = gs.getDashboardReport(signIn(gs), { startDate: '2026-01-01', endDate: '2026-03-31' });
+    assert.ok(report.success, report.message);
+    assert.strictEqual(report.range.startDate, '2026-01-01');
+    assert.strictEqual(report.range.endDate, '2026-03-31');
+
+    const records = gs.queryPerformanceRecords(signIn(gs), { startDate: '2026-01-01', endDate: '2026-03-31', pageSize: 0 });
+    assert.strictEqual(report.stats.monthlyViolations, records.totals.byType.Violation || 0);
+    assert.strictEqual(report.stats.monthlyAccomplishments, records.totals.byType.Accomplishment || 0);
+
+    const topType = Object.keys(records.totals.byViolationType)
+      .map(name => records.totals.byViolationType[name])
+      .sort((a, b) => b - a)[0];
+    assert.strictEqual(report.topViolationTypes[0].count, topType);
+    assert.ok(report.topGuardsViolations.length <= 5);
+    assert.ok(report.topGuardsAccomplishments.length <= 5);
+  });
+
+  test('month and year arguments still work and cover whole months', () => {
+    const { gs } = setupWithSamples();
+    const february = gs.getDashboardReport(signIn(gs), { month: 2, year: 2026 });
+    assert.strictEqual(february.range.endDate, '2026-02-28');
+    assert.strictEqual(JSON.stringify(gs.getDashboardStats(signIn(gs), 2, 2026)), JSON.stringify(february.stats));
+    assert.strictEqual(JSON.stringify(gs.getTopGuardsViolations(signIn(gs), 2, 2026)), JSON.stringify(february.topGuardsViolations));
+
+    const year = gs.getDashboardReport(signIn(gs), { month: null, year: 2026 });
+    assert.strictEqual(year.range.startDate, '2026-01-01');
+    assert.strictEqual(year.range.endDate, '2026-12-31');
+  });
+
+  test('getDashboardReport rejects a reversed range', () => {
+    const { gs } = loadApp();
+    gs.setupSheets();
+    const report = gs.getDashboardReport(signIn(gs), { startDate: '2026-05-01', endDate: '2026-04-01' });
+    assert.strictEqual(report.success, false);
+    assert.strictEqual(report.stats.totalGuards, 0);
+
+    const stats = gs.getDashboardStats(signIn(gs), { startDate: '2026-05-01', endDate: '2026-04-01' });
+    assert.strictEqual(stats.success, false);
+    assert.strictEqual(stats.message, report.message);
+    assert.strictEqual(gs.getTopViolationTypes('not-a-session', 2, 2026).sessionExpired, true);
+  });
+
+  test('reports are served from the cache until guards or records change', () => {
+    const { gs } = setupWithSamples();
+    gs.resetCacheDiagnostics_();
+
+    const before = gs.getDashboardStats(signIn(gs), null, 2026);
+    assert.strictEqual(JSON.stringify(gs.getDashboardStats(signIn(gs), null, 2026)), JSON.stringify(before));
+    const entry = gs.getCacheDiagnostics_().entries['aggregate:dashboardReport'];
+    assert.strictEqual(entry.misses, 1);
+    assert.strictEqual(entry.hits, 1);
+
+    const added = gs.addGuard(...writeAs(gs), { firstName: 'cache', lastName: 'test', status: 'Active' });
+    assert.strictEqual(gs.getDashboardStats(signIn(gs), null, 2026).totalGuards, before.totalGuards + 1);
+
+    gs.addPerformanceRecord(...writeAs(gs), { guardId: added.guardId, guardName: 'CACHE TEST', type: 'Violation', typeOfViolation: 'Late Arrival', date: '2026-05-05' });
+    assert.strictEqual(gs.getDashboardStats(signIn(gs), null, 2026).monthlyViolations, before.monthlyViolations + 1);
+  });
+
+  test('cached snapshots larger than one cache entry round-trip with their dates', () => {
+    const { gs } = setupWithSamples();
+    const fresh = gs.getCachedEntities_('PERFORMANCE');
+    const cached = gs.getCachedEntities_('PERFORMANCE');
+    assert.strictEqual(cached.length, 2000);
+    assert.ok(gs.serializeCacheValue(fresh).length > gs.CONFIG.CACHE.CHUNK_SIZE);
+    assert.ok(cached[0].lastModified instanceof gs.Date);
+    assert.strictEqual(cached[0].lastModified.getTime(), fresh[0].lastModified.getTime());
+    assert.ok(gs.getCacheDiagnostics_().entries['entities:PERFORMANCE'].hits >= 1);
+  });
+
+  test('sheets holding credentials are never cached', () => {
+    const { gs } = loadApp();
+    gs.setupSheets();
+    assert.throws(() => gs.getCachedEntities_('USERS'), /not cached: USERS/);
+    assert.strictEqual(gs.getCacheDiagnostics_().entries['entities:USERS'], undefined);
+  });
+};
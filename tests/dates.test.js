@@ -0,0 +1,64 @@
+/**
+ * Tests for shared date parsing and formatting (Dates.js)
+ */
+
+module.exports = ({ test, assert, loadApp, writeAs }) => {
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    return app;
+  }
+
+  test('every accepted text form parses to the same local day', () => {
+    const { gs } = loadApp();
+    ['2024-01-05', 'Jan 05, 2024', 'January 5 2024', '5 Jan 2024', '01/05/2024', '2024-01-05 00:00'].forEach(text => {
+      assert.strictEqual(gs.formatInputDate(text), '2024-01-05', text);
+    });
+    assert.strictEqual(gs.formatDateTimeString('Sept 30, 2024 14:30'), 'Sep 30, 2024 14:30');
+    assert.strictEqual(gs.formatDateTimeString('2024-01-04T20:00:00Z'), 'Jan 05, 2024 04:00');
+  });
+
+  test('blank, impossible and free-text values do not parse', () => {
+    const { gs } = loadApp();
+    ['', null, undefined, 'someday', '2024-02-30', 'Foo 05, 2024', '13/01/2024', '2024-01-05 25:00', NaN].forEach(value => {
+      assert.strictEqual(gs.parseDateValue(value), null, String(value));
+    });
+    assert.strictEqual(gs.formatDateString(''), '');
+    assert.strictEqual(gs.formatDateString('someday'), 'someday');
+    assert.strictEqual(gs.formatInputDate('someday'), '');
+  });
+
+  test('guards and performance records are stored as date cells', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), { firstName: 'Juan', lastName: 'Dela Cruz', dateOfBirth: '1990-01-02', licenseExpiry: '2027-01-01' });
+    assert.ok(added.success, added.message);
+    gs.addPerformanceRecord(...writeAs(gs), { guardId: added.guardId, guardName: 'JUAN DELA CRUZ', type: 'Accomplishment', date: '2026-02-10' });
+
+    const isDateCell = (sheetName, header) => {
+      const sheet = gs.getSpreadsheet().getSheetByName(sheetName);
+      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      const value = sheet.getRange(2, headers.indexOf(header) + 1).getValue();
+      return Object.prototype.toString.call(value) === '[object Date]';
+    };
+    assert.ok(isDateCell('Guards', 'Date of Birth'));
+    assert.ok(isDateCell('Guards', 'Hired Date'));
+    assert.ok(isDateCell('Documents', 'License Expiry'));
+    assert.ok(isDateCell('Performance', 'Date'));
+
+    const guard = gs.getAllGuards_()[0];
+    assert.strictEqual(guard.dateOfBirth, 'Jan 02, 1990');
+    assert.strictEqual(guard.documents.licenseExpiry, 'Jan 01, 2027');
+  });
+
+  test('legacy text dates are still read as dates', () => {
+    const { gs } = setup();
+    gs.getRepository('PERFORMANCE').insert({ recordId: 'PERF-1', type: 'Violation', date: '' });
+    const sheet = gs.getSpreadsheet().getSheetByName('Performance');
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    sheet.getRange(2, headers.indexOf('Date') + 1).setValue('Feb 10, 2026');
+
+    const record = gs.getRepository('PERFORMANCE').findById('PERF-1');
+    assert.strictEqual(gs.formatInputDate(record.date), '2026-02-10');
+    assert.strictEqual(Object.prototype.toString.call(record.date), '[object Date]');
+  });
+};
@@ -0,0 +1,681 @@
+/**
+ * Guard Monitoring System - In-memory Apps Script service fakes
+ * Implements the subset of SpreadsheetApp, DriveApp, CacheService, Utilities,
+ * Session, Logger, LockService and PropertiesService used by the server code.
+ */
+
+const crypto = require('crypto');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Date constructor of the script realm; set by createAppsScriptFakes so that
+// dates handed back to script code pass its `instanceof Date` checks
+let ScriptDate = Date;
+
+function isDate(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+/**
+ * Copy a cell value so callers can't mutate sheet storage through it
+ */
+function copyCell(value) {
+  return isDate(value) ? new ScriptDate(value.getTime()) : value;
+}
+
+function isEmptyCell(value) {
+  return value === '' || value === null || value === undefined;
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`Invalid range: row ${row}, column ${column}, ${numRows}x${numColumns}`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const source = this.sheet.rows[this.row - 1 + r] || [];
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        const value = source[this.column - 1 + c];
+        row.push(value === undefined || value === null ? '' : copyCell(value));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(value => isDate(value) ? value.toString() : String(value)));
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numColumns})`);
+    }
+    values.forEach((row, r) => {
+      row.forEach((value, c) => this.sheet.setCell(this.row + r, this.column + c, value));
+    });
+    return this;
+  }
+
+  setValue(value) {
+    this.sheet.setCell(this.row, this.column, value);
+    return this;
+  }
+
+  clearContent() {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.setCell(this.row + r, this.column + c, '');
+      }
+    }
+    return this;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+
+  setBackground() { return this; }
+  setFontColor() { return this; }
+  setFontWeight() { return this; }
+  setHorizontalAlignment() { return this; }
+  setNumberFormat() { return this; }
+
+  setNote(note) {
+    this.sheet.notes[this.row + ',' + this.column] = note;
+    return this;
+  }
+
+  getNote() {
+    return this.sheet.notes[this.row + ',' + this.column] || '';
+  }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.rows = [];
+    this.notes = {};
+    this.frozenRows = 0;
+  }
+
+  setCell(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const target = this.rows[row - 1];
+    while (target.length < column) target.push('');
+    target[column - 1] = value === undefined || value === null ? '' : copyCell(value);
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getParent() { return this.spreadsheet; }
+
+  getLastRow() {
+    for (let r = this.rows.length - 1; r >= 0; r--) {
+      if (this.rows[r].some(value => !isEmptyCell(value))) return r + 1;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.rows.forEach(row => {
+      for (let c = row.length - 1; c >= last; c--) {
+        if (!isEmptyCell(row[c])) {
+          last = c + 1;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  getRange(row, column, numRows, numColumns) {
+    return new FakeRange(this, row, column, numRows || 1, numColumns || 1);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    values.forEach((value, c) => this.setCell(row, c + 1, value));
+    return this;
+  }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+  }
+
+  deleteRows(row, count) {
+    this.rows.splice(row - 1, count);
+  }
+
+  insertRowsAfter(row, count) {
+    if (this.rows.length > row) {
+      this.rows.splice(row, 0, ...new Array(count).fill(null).map(() => []));
+    }
+    return this;
+  }
+
+  insertColumnAfter(column) {
+    return this.insertColumnsAfter(column, 1);
+  }
+
+  insertColumnsAfter(column, count) {
+    this.rows.forEach(row => {
+      while (row.length < column) row.push('');
+      row.splice(column, 0, ...new Array(count).fill(''));
+    });
+    return this;
+  }
+
+  deleteColumn(column) {
+    this.rows.forEach(row => row.splice(column - 1, 1));
+  }
+
+  clear() {
+    this.rows = [];
+    return this;
+  }
+
+  clearContents() {
+    return this.clear();
+  }
+
+  setFrozenRows(count) { this.frozenRows = count; }
+  getFrozenRows() { return this.frozenRows; }
+  autoResizeColumn() { return this; }
+  setColumnWidth() { return this; }
+}
+
+class FakeSpreadsheet {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+    this.sheets = [];
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return 'https://docs.google.com/spreadsheets/d/' + this.id; }
+  getSheets() { return this.sheets.slice(); }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.getName() === name) || null;
+  }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists.`);
+    }
+    const sheet = new FakeSheet(this, name);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+
+  /**
+   * Test helper: create a sheet from a 2D array (header row first)
+   */
+  seedSheet(name, rows) {
+    const existing = this.getSheetByName(name);
+    if (existing) this.deleteSheet(existing);
+    const sheet = this.insertSheet(name);
+    rows.forEach((row, r) => row.forEach((value, c) => sheet.setCell(r + 1, c + 1, value)));
+    return sheet;
+  }
+}
+
+class FakeCache {
+  constructor(clock) {
+    this.clock = clock;
+    this.store = new Map();
+  }
+
+  get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    if (entry.expires <= this.clock.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  getAll(keys) {
+    const result = {};
+    keys.forEach(key => {
+      const value = this.get(key);
+      if (value !== null) result[key] = value;
+    });
+    return result;
+  }
+
+  put(key, value, seconds) {
+    const ttl = Math.min(seconds === undefined ? 600 : seconds, 21600);
+    if (String(value).length > 100 * 1024) {
+      throw new Error('Argument too large: value');
+    }
+    this.store.set(key, { value: String(value), expires: this.clock.now() + ttl * 1000 });
+  }
+
+  putAll(values, seconds) {
+    Object.keys(values).forEach(key => this.put(key, values[key], seconds));
+  }
+
+  remove(key) {
+    this.store.delete(key);
+  }
+
+  removeAll(keys) {
+    keys.forEach(key => this.store.delete(key));
+  }
+}
+
+class FakeProperties {
+  constructor() {
+    this.store = {};
+  }
+
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null;
+  }
+
+  setProperty(key, value) {
+    this.store[key] = String(value);
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this.store[key];
+    return this;
+  }
+
+  getProperties() {
+    return Object.assign({}, this.store);
+  }
+
+  setProperties(values) {
+    Object.keys(values).forEach(key => this.setProperty(key, values[key]));
+    return this;
+  }
+
+  getKeys() {
+    return Object.keys(this.store);
+  }
+}
+
+class FakeBlob {
+  constructor(bytes, contentType, name) {
+    this.bytes = bytes ? Array.from(bytes) : [];
+    this.contentType = contentType || null;
+    this.name = name || null;
+  }
+
+  getBytes() { return this.bytes.slice(); }
+  getContentType() { return this.contentType; }
+  setContentType(contentType) { this.contentType = contentType; return this; }
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getDataAsString() { return Buffer.from(this.bytes.map(b => b & 0xff)).toString('utf8'); }
+  copyBlob() { return new FakeBlob(this.bytes, this.contentType, this.name); }
+}
+
+class FakeFile {
+  constructor(drive, folder, blob) {
+    this.drive = drive;
+    this.folder = folder;
+    this.id = 'file_' + (++drive.sequence);
+    this.blob = blob.copyBlob();
+    this.name = blob.getName();
+    this.trashed = false;
+    this.access = 'PRIVATE';
+    this.permission = 'NONE';
+    this.created = new ScriptDate(drive.clock.now());
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getUrl() { return 'https://drive.google.com/file/d/' + this.id + '/view?usp=drivesdk'; }
+  getMimeType() { return this.blob.getContentType(); }
+  getSize() { return this.blob.getBytes().length; }
+  getBlob() { return this.blob.copyBlob().setName(this.name); }
+  getDateCreated() { return new ScriptDate(this.created.getTime()); }
+  getParents() { return new FakeIterator([this.folder]); }
+  isTrashed() { return this.trashed; }
+  setTrashed(trashed) { this.trashed = trashed; return this; }
+  getSharingAccess() { return this.access; }
+  getSharingPermission() { return this.permission; }
+  setContent(content) { this.blob = new FakeBlob(Array.from(Buffer.from(content, 'utf8')), 'text/plain', this.name); return this; }
+
+  setSharing(access, permission) {
+    this.access = access;
+    this.permission = permission;
+    return this;
+  }
+}
+
+class FakeIterator {
+  constructor(items) {
+    this.items = items.slice();
+  }
+
+  hasNext() { return this.items.length > 0; }
+  next() {
+    if (!this.items.length) throw new Error('No more items');
+    return this.items.shift();
+  }
+}
+
+class FakeFolder {
+  constructor(drive, id, name) {
+    this.drive = drive;
+    this.id = id;
+    this.name = name;
+    this.files = [];
+    this.folders = [];
+    this.access = 'PRIVATE';
+    this.permission = 'NONE';
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getSharingAccess() { return this.access; }
+  getSharingPermission() { return this.permission; }
+
+  setSharing(access, permission) {
+    this.access = access;
+    this.permission = permission;
+    return this;
+  }
+
+  createFolder(name) {
+    const folder = new FakeFolder(this.drive, 'folder_' + (++this.drive.sequence), name);
+    this.folders.push(folder);
+    this.drive.folders.set(folder.id, folder);
+    return folder;
+  }
+
+  getFolders() {
+    return new FakeIterator(this.folders);
+  }
+
+  createFile(blobOrName, content, mimeType) {
+    const blob = typeof blobOrName === 'string'
+      ? new FakeBlob(Array.from(Buffer.from(content || '', 'utf8')), mimeType || 'text/plain', blobOrName)
+      : blobOrName;
+    const file = new FakeFile(this.drive, this, blob);
+    this.files.push(file);
+    this.drive.files.set(file.id, file);
+    return file;
+  }
+
+  getFiles() {
+    return new FakeIterator(this.files.filter(file => !file.trashed));
+  }
+
+  getFilesByName(name) {
+    return new FakeIterator(this.files.filter(file => !file.trashed && file.name === name));
+  }
+}
+
+/**
+ * Build a fresh set of Apps Script globals backed by in-memory state
+ * @param {Object} options - { Date: script realm Date constructor }
+ * @returns {Object} { globals, state } where globals are injected into the script context
+ */
+function createAppsScriptFakes(options) {
+  const opts = options || {};
+  ScriptDate = opts.Date || Date;
+  let offset = 0;
+  const clock = {
+    now: () => Date.now() + offset,
+    advance: (ms) => { offset += ms; }
+  };
+
+  const spreadsheet = new FakeSpreadsheet('test-spreadsheet', 'Guard Monitoring (test)');
+  const drive = { sequence: 0, clock: clock, files: new Map(), folders: new Map() };
+  const logs = [];
+  const userCache = new FakeCache(clock);
+  const scriptCache = new FakeCache(clock);
+  const scriptProperties = new FakeProperties();
+  const documentProperties = new FakeProperties();
+  const triggers = [];
+
+  const getFolder = (id) => {
+    if (!drive.folders.has(id)) {
+      drive.folders.set(id, new FakeFolder(drive, id, 'Folder ' + id));
+    }
+    return drive.folders.get(id);
+  };
+
+  const toSignedBytes = (buffer) => Array.from(buffer).map(b => (b > 127 ? b - 256 : b));
+  const toBuffer = (value) => {
+    if (typeof value === 'string') return Buffer.from(value, 'utf8');
+    return Buffer.from(value.map(b => b & 0xff));
+  };
+
+  const formatDate = (date, timeZone, pattern) => {
+    if (!isDate(date) || isNaN(date.getTime())) {
+      throw new Error('Invalid argument: date');
+    }
+    const pad = (n, width) => String(n).padStart(width || 2, '0');
+    const tokens = {
+      yyyy: () => String(date.getFullYear()),
+      yy: () => pad(date.getFullYear() % 100),
+      MMM: () => MONTHS[date.getMonth()],
+      MM: () => pad(date.getMonth() + 1),
+      dd: () => pad(date.getDate()),
+      HH: () => pad(date.getHours()),
+      mm: () => pad(date.getMinutes()),
+      ss: () => pad(date.getSeconds()),
+      SSS: () => pad(date.getMilliseconds(), 3),
+      "'T'": () => 'T',
+      Z: () => {
+        const minutes = -date.getTimezoneOffset();
+        const sign = minutes >= 0 ? '+' : '-';
+        return sign + pad(Math.floor(Math.abs(minutes) / 60)) + pad(Math.abs(minutes) % 60);
+      }
+    };
+    return pattern.replace(/yyyy|yy|MMM|MM|dd|HH|mm|ss|SSS|'T'|Z/g, token => tokens[token]());
+  };
+
+  const parseCsv = (text, delimiter) => {
+    const sep = delimiter || ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === sep) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  };
+
+  let lockHeld = false;
+  const lockControl = { busy: false };
+  const createLock = () => ({
+    tryLock: () => {
+      if (lockControl.busy || lockHeld) return false;
+      lockHeld = true;
+      return true;
+    },
+    waitLock: (timeout) => {
+      if (lockControl.busy || lockHeld) throw new Error('Lock timeout: another process was holding the lock for too long.');
+      lockHeld = true;
+    },
+    releaseLock: () => { lockHeld = false; },
+    hasLock: () => lockHeld
+  });
+
+  const globals = {
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => spreadsheet,
+      openById: () => spreadsheet,
+      flush: () => {},
+      getUi: () => { throw new Error('Cannot call SpreadsheetApp.getUi() from this context.'); }
+    },
+
+    DriveApp: {
+      Access: { ANYONE: 'ANYONE', ANYONE_WITH_LINK: 'ANYONE_WITH_LINK', DOMAIN: 'DOMAIN', DOMAIN_WITH_LINK: 'DOMAIN_WITH_LINK', PRIVATE: 'PRIVATE' },
+      Permission: { VIEW: 'VIEW', EDIT: 'EDIT', COMMENT: 'COMMENT', NONE: 'NONE' },
+      getFolderById: (id) => getFolder(id),
+      getFileById: (id) => {
+        const file = drive.files.get(id);
+        if (!file) throw new Error('No item with the given ID could be found.');
+        return file;
+      },
+      getRootFolder: () => getFolder('root'),
+      createFolder: (name) => {
+        const folder = getFolder('folder_' + (++drive.sequence));
+        folder.name = name;
+        return folder;
+      }
+    },
+
+    CacheService: {
+      getUserCache: () => userCache,
+      getScriptCache: () => scriptCache,
+      getDocumentCache: () => scriptCache
+    },
+
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getDocumentProperties: () => documentProperties,
+      getUserProperties: () => documentProperties
+    },
+
+    LockService: {
+      getScriptLock: () => createLock(),
+      getDocumentLock: () => createLock(),
+      getUserLock: () => createLock()
+    },
+
+    ScriptApp: {
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger: (trigger) => {
+        const index = triggers.indexOf(trigger);
+        if (index > -1) triggers.splice(index, 1);
+      },
+      newTrigger: (handler) => {
+        const trigger = { handler: handler, getHandlerFunction: () => handler };
+        const builder = {
+          timeBased: () => builder,
+          everyDays: () => builder,
+          everyHours: () => builder,
+          everyWeeks: () => builder,
+          onWeekDay: () => builder,
+          atHour: () => builder,
+          create: () => {
+            triggers.push(trigger);
+            return trigger;
+          }
+        };
+        return builder;
+      },
+      WeekDay: { SUNDAY: 'SUNDAY', MONDAY: 'MONDAY' }
+    },
+
+    Utilities: {
+      DigestAlgorithm: { SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512', MD5: 'md5' },
+      MacAlgorithm: { HMAC_SHA_1: 'sha1', HMAC_SHA_256: 'sha256', HMAC_SHA_512: 'sha512' },
+      Charset: { UTF_8: 'UTF_8' },
+      getUuid: () => crypto.randomUUID(),
+      formatDate: formatDate,
+      sleep: (ms) => clock.advance(ms),
+      computeDigest: (algorithm, value) => toSignedBytes(crypto.createHash(algorithm).update(toBuffer(value)).digest()),
+      computeHmacSignature: (algorithm, value, key) => toSignedBytes(crypto.createHmac(algorithm, toBuffer(key)).update(toBuffer(value)).digest()),
+      computeHmacSha256Signature: (value, key) => toSignedBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+      base64Encode: (value) => toBuffer(value).toString('base64'),
+      base64EncodeWebSafe: (value) => toBuffer(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+      base64Decode: (value) => toSignedBytes(Buffer.from(value, 'base64')),
+      base64DecodeWebSafe: (value) => toSignedBytes(Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+      newBlob: (data, contentType, name) => new FakeBlob(typeof data === 'string' ? Array.from(Buffer.from(data, 'utf8')) : data, contentType, name),
+      parseCsv: parseCsv
+    },
+
+    Session: {
+      getScriptTimeZone: () => 'Asia/Manila',
+      getActiveUser: () => ({ getEmail: () => '' }),
+      getEffectiveUser: () => ({ getEmail: () => 'owner@example.com' })
+    },
+
+    Logger: {
+      log: (message) => { logs.push(String(message)); }
+    },
+
+    HtmlService: {
+      XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' }
+    }
+  };
+
+  return {
+    globals: globals,
+    state: {
+      spreadsheet: spreadsheet,
+      drive: drive,
+      getFolder: getFolder,
+      logs: logs,
+      userCache: userCache,
+      scriptCache: scriptCache,
+      scriptProperties: scriptProperties,
+      triggers: triggers,
+      lock: lockControl,
+      clock: clock
+    }
+  };
+}
+
+module.exports = { createAppsScriptFakes: createAppsScriptFakes };
@@ -0,0 +1,166 @@
+/**
+ * Tests for upload checks and private guard photos and attachments (Files.js, Guards.js, Performance.js, Migrations.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const PNG_BASE64 = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.from('photo')]).toString('base64');
+  const JPEG_BASE64 = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]).toString('base64');
+  const PDF_BASE64 = Buffer.from('%PDF-1.4 incident report').toString('base64');
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    return app;
+  }
+
+  function addGuardWithPhoto(gs) {
+    const result = gs.addGuard(...writeAs(gs), {
+      firstName: 'juan', lastName: 'dela cruz', dateOfBirth: '1990-01-02', hiredDate: '2020-01-01', status: 'Active',
+      photo: { base64: 'data:image/png;base64,' + PNG_BASE64, filename: 'juan.png', mimeType: 'image/png' }
+    });
+    assert.ok(result.success, result.message);
+    return result.guardId;
+  }
+
+  function addRecordWithAttachment(gs, guardId) {
+    const upload = gs.uploadPDFToDrive(...writeAs(gs), {
+      content: 'data:application/pdf;base64,' + PDF_BASE64, mimeType: 'application/pdf', filename: 'report.pdf'
+    });
+    assert.ok(upload.success, upload.message);
+    const record = gs.addPerformanceRecord(...writeAs(gs), {
+      guardId: guardId, guardName: 'JUAN DELA CRUZ', type: 'Accomplishment', date: '2026-02-10', pdfLink: upload.fileUrl
+    });
+    assert.ok(record.success, record.message);
+    return { fileId: upload.fileId, recordId: gs.getRepository('PERFORMANCE').findAll()[0].recordId };
+  }
+
+  test('uploaded photos and attachments stay private and are served to signed-in users', () => {
+    const { gs, state } = setup();
+    const guardId = addGuardWithPhoto(gs);
+    const attachment = addRecordWithAttachment(gs, guardId);
+
+    state.drive.files.forEach(file => assert.strictEqual(file.getSharingAccess(), 'PRIVATE', file.getName()));
+
+    const guard = gs.getAllGuards_()[0];
+    assert.strictEqual(guard.hasPhoto, true);
+    assert.strictEqual(guard.photoUrl, undefined);
+
+    const photo = gs.getGuardPhoto(signIn(gs), guardId);
+    assert.ok(photo.success, photo.message);
+    assert.strictEqual(photo.dataUrl, 'data:image/png;base64,' + PNG_BASE64);
+
+    const pdf = gs.getPerformanceAttachment(signIn(gs), attachment.recordId);
+    assert.ok(pdf.success, pdf.message);
+    assert.strictEqual(pdf.base64, PDF_BASE64);
+    assert.strictEqual(pdf.mimeType, 'application/pdf');
+
+    assert.strictEqual(gs.getGuardPhoto('not-a-session', guardId).sessionExpired, true);
+    assert.strictEqual(gs.getPerformanceAttachment('not-a-session', attachment.recordId).sessionExpired, true);
+  });
+
+  test('photos and attachments of items in the recycle bin are not served', () => {
+    const { gs } = setup();
+    const guardId = addGuardWithPhoto(gs);
+    const attachment = addRecordWithAttachment(gs, guardId);
+
+    assert.ok(gs.deletePerformanceRecord(...writeAs(gs), attachment.recordId, 1).success);
+    assert.ok(gs.deleteGuard(...writeAs(gs), guardId, 1).success);
+    assert.strictEqual(gs.getGuardPhoto(signIn(gs), guardId).message, 'Guard not found');
+    assert.strictEqual(gs.getPerformanceAttachment(signIn(gs), attachment.recordId).message, 'Record not found');
+  });
+
+  test('records pointing at Drive files outside the upload folders are not served', () => {
+    const { gs, state } = setup();
+    const guardId = addGuardWithPhoto(gs);
+    const attachment = addRecordWithAttachment(gs, guardId);
+
+    const other = state.getFolder('private-folder').createFile(gs.Utilities.newBlob('payroll', 'text/plain', 'payroll.txt'));
+    gs.getRepository('PERFORMANCE').update(attachment.recordId, { pdfLink: other.getUrl() });
+    gs.getRepository('GUARDS').update(guardId, { photoUrl: 'https://drive.google.com/open?id=' + other.getId() });
+
+    assert.ok(/upload folder/.test(gs.getPerformanceAttachment(signIn(gs), attachment.recordId).message));
+    assert.ok(/upload folder/.test(gs.getGuardPhoto(signIn(gs), guardId).message));
+
+    gs.getRepository('PERFORMANCE').update(attachment.recordId, { pdfLink: '' });
+    assert.ok(/no attachment/.test(gs.getPerformanceAttachment(signIn(gs), attachment.recordId).message));
+  });
+
+  test('uploads are typed by their content, renamed safely and rejected with an audited reason', () => {
+    const { gs, state } = setup();
+    const upload = fileData => gs.uploadPDFToDrive(...writeAs(gs), fileData);
+    const pdf = 'data:application/pdf;base64,' + PDF_BASE64;
+
+    const stored = upload({ content: pdf, mimeType: 'application/pdf', filename: '..\\reports/=Incident <March>.PDF' });
+    assert.ok(stored.success, stored.message);
+    assert.strictEqual(state.drive.files.get(stored.fileId).getName(), 'Incident _March.pdf');
+    assert.ok(upload({ content: pdf, filename: 'no-extension' }).success);
+
+    const rejections = [
+      [{ content: 'data:application/pdf;base64,' + Buffer.from('MZ\x90\x00program').toString('base64'), mimeType: 'application/pdf', filename: 'report.pdf' }, /programs and scripts/],
+      [{ content: pdf, mimeType: 'application/pdf', filename: 'report.pdf.exe' }, /programs and scripts/],
+      [{ content: 'data:application/pdf;base64,' + JPEG_BASE64, mimeType: 'application/pdf', filename: 'report.pdf' }, /content is not PDF/],
+      [{ content: pdf, mimeType: 'image/png', filename: 'report.pdf' }, /claims to be image\/png/],
+      [{ content: pdf, mimeType: 'application/pdf', filename: 'report.docx' }, /ends in \.docx/],
+      [{ content: '', mimeType: 'application/pdf', filename: 'empty.pdf' }, /empty/],
+      [{ content: Buffer.alloc(gs.CONFIG.UPLOADS.DOCUMENT.MAX_BYTES + 1, 0x25).toString('base64'), filename: 'big.pdf' }, /larger than 5 MB/]
+    ];
+    rejections.forEach(([fileData, pattern]) => {
+      const result = upload(fileData);
+      assert.strictEqual(result.success, false, fileData.filename);
+      assert.ok(pattern.test(result.message), result.message);
+    });
+    assert.strictEqual(state.drive.files.size, 2);
+
+    const events = gs.getRepository('AUDIT_TRAIL').findAll(entry => entry.action === 'Upload Rejected');
+    assert.strictEqual(events.length, rejections.length);
+    assert.strictEqual(events[0].username, 'admin');
+    assert.ok(/^PDF "report\.pdf": programs and scripts/.test(events[0].details), events[0].details);
+  });
+
+  test('a photo whose content is not an image fails the guard save', () => {
+    const { gs, state } = setup();
+    const result = gs.addGuard(...writeAs(gs), {
+      firstName: 'juan', lastName: 'dela cruz', dateOfBirth: '1990-01-02', hiredDate: '2020-01-01', status: 'Active',
+      photo: { base64: 'data:image/png;base64,' + PDF_BASE64, filename: 'juan.png', mimeType: 'image/png' }
+    });
+    assert.strictEqual(result.success, false);
+    assert.ok(/Photo rejected: the file content is not JPEG or PNG/.test(result.message), result.message);
+    assert.strictEqual(gs.getRepository('GUARDS').count(), 0);
+    assert.strictEqual(state.drive.files.size, 0);
+
+    const guardId = addGuardWithPhoto(gs);
+    const updated = gs.updateGuard(...writeAs(gs), guardId, {
+      firstName: 'juan', lastName: 'dela cruz', status: 'Active', version: 1,
+      photo: { base64: JPEG_BASE64, filename: 'juan.jpeg', mimeType: 'image/jpeg' }
+    });
+    assert.ok(updated.success, updated.message);
+    assert.ok(/^data:image\/jpeg;base64,/.test(gs.getGuardPhoto(signIn(gs), guardId).dataUrl));
+  });
+
+  test('the migration stops sharing existing files by link', () => {
+    const { gs, state } = setup();
+    const photos = state.getFolder(gs.CONFIG.PHOTO_FOLDER_ID);
+    const pdfs = state.getFolder(gs.CONFIG.GOOGLE_DRIVE_FOLDER_ID);
+    const shared = [
+      photos.createFile(gs.Utilities.newBlob('a', 'image/png', 'GRD1_photo.png')),
+      photos.createFile(gs.Utilities.newBlob('b', 'image/png', 'GRD2_photo.png')),
+      pdfs.createFile(gs.Utilities.newBlob('c', 'application/pdf', 'report.pdf'))
+    ];
+    const archive = photos.createFolder('Archive');
+    shared.push(archive.createFile(gs.Utilities.newBlob('e', 'image/png', 'GRD4_photo.png')));
+    shared.forEach(file => file.setSharing('ANYONE_WITH_LINK', 'VIEW'));
+    photos.createFile(gs.Utilities.newBlob('d', 'image/png', 'GRD3_photo.png'));
+    const folders = [photos, archive, pdfs];
+    folders.forEach(folder => folder.setSharing('ANYONE_WITH_LINK', 'VIEW'));
+
+    const preview = gs.runMigrations_({ dryRun: true });
+    const previewChanges = preview.migrations.find(migration => migration.version === 11).changes;
+    assert.ok(previewChanges.some(change => /Stop sharing 3 file\(s\) and 2 folder\(s\)/.test(change)), previewChanges.join('; '));
+    assert.strictEqual(shared[0].getSharingAccess(), 'ANYONE_WITH_LINK');
+    assert.strictEqual(photos.getSharingAccess(), 'ANYONE_WITH_LINK');
+
+    assert.ok(gs.runMigrations_().success);
+    shared.forEach(file => assert.strictEqual(file.getSharingAccess(), 'PRIVATE', file.getName()));
+    folders.forEach(folder => assert.strictEqual(folder.getSharingAccess(), 'PRIVATE', folder.getName()));
+  });
+};
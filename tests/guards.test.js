@@ -0,0 +1,154 @@
+/**
+ * Tests for guard CRUD, row versions and guard queries (Guards.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const GUARD = {
+    firstName: 'juan',
+    lastName: 'dela cruz',
+    dateOfBirth: '1990-01-02',
+    hiredDate: '2020-01-01',
+    status: 'Active',
+    licenseNumber: 'LIC-001',
+    licenseExpiry: '2020-01-01',
+    height: 170,
+    weight: 70
+  };
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.getRepository('USERS').insert({ userId: 'USR-2', username: 'encoder', role: 'Encoder', status: 'Active' });
+    return app;
+  }
+
+  test('addGuard stores the guard with documents, health record and audit entry', () => {
+    const { gs } = setup();
+    const result = gs.addGuard(...writeAs(gs), GUARD);
+    assert.ok(result.success, result.message);
+
+    const guards = gs.getAllGuards_();
+    assert.strictEqual(guards.length, 1);
+    assert.strictEqual(guards[0].guardId, result.guardId);
+    assert.strictEqual(guards[0].firstName, 'JUAN');
+    assert.strictEqual(guards[0].version, 1);
+    assert.strictEqual(guards[0].documents.licenseNumber, 'LIC-001');
+    assert.strictEqual(guards[0].health.bmi, 24.2);
+    assert.ok(gs.getRecentActivity_(10).some(entry => entry.action === 'Add' && entry.targetType === 'Guard'));
+  });
+
+  test('addGuard generates distinct IDs', () => {
+    const { gs } = setup();
+    const first = gs.addGuard(...writeAs(gs), GUARD);
+    const second = gs.addGuard(...writeAs(gs), GUARD);
+    assert.notStrictEqual(first.guardId, second.guardId);
+  });
+
+  test('updateGuard changes guard, documents and health and bumps the version', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), GUARD);
+    const result = gs.updateGuard(...writeAs(gs, 'encoder'), added.guardId, Object.assign({}, GUARD, { status: 'Banned', licenseNumber: 'LIC-002', weight: 80, version: 1 }));
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.version, 2);
+
+    const guard = gs.getAllGuards_()[0];
+    assert.strictEqual(guard.status, 'Banned');
+    assert.strictEqual(guard.documents.licenseNumber, 'LIC-002');
+    assert.strictEqual(guard.lastModifiedBy, 'encoder');
+  });
+
+  test('updateGuard reports a conflict for a stale version', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), GUARD);
+    gs.updateGuard(...writeAs(gs), added.guardId, Object.assign({}, GUARD, { firstName: 'pedro', version: 1 }));
+
+    const result = gs.updateGuard(...writeAs(gs, 'encoder'), added.guardId, Object.assign({}, GUARD, { firstName: 'jose', version: 1 }));
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.conflict, true);
+    assert.strictEqual(result.current.firstName, 'PEDRO');
+    assert.strictEqual(gs.getAllGuards_()[0].firstName, 'PEDRO');
+  });
+
+  test('updateGuard and deleteGuard treat a missing or stale version as a conflict', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), GUARD);
+
+    assert.strictEqual(gs.updateGuard(...writeAs(gs), added.guardId, Object.assign({}, GUARD, { firstName: 'pedro' })).conflict, true);
+    assert.strictEqual(gs.deleteGuard(...writeAs(gs), added.guardId).conflict, true);
+    assert.ok(gs.updateGuard(...writeAs(gs), added.guardId, Object.assign({}, GUARD, { firstName: 'pedro', version: 1 })).success);
+    const stale = gs.deleteGuard(...writeAs(gs), added.guardId, 1);
+    assert.strictEqual(stale.conflict, true);
+    assert.strictEqual(stale.current.firstName, 'PEDRO');
+    assert.strictEqual(gs.getAllGuards_().length, 1);
+  });
+
+  test('updateGuard validates the guard data the same way addGuard does', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), GUARD);
+
+    const missing = gs.updateGuard(...writeAs(gs), added.guardId);
+    assert.strictEqual(missing.success, false);
+    assert.ok(/is required/.test(missing.message), missing.message);
+    const invalid = gs.updateGuard(...writeAs(gs), added.guardId, Object.assign({}, GUARD, { status: 'Retired', weight: 5000, version: 1 }));
+    assert.strictEqual(invalid.success, false);
+    assert.ok(/Status must be one of/.test(invalid.message), invalid.message);
+    assert.strictEqual(gs.getRepository('GUARDS').findById(added.guardId).version, 1);
+  });
+
+  test('updateGuard and deleteGuard report unknown guards', () => {
+    const { gs } = setup();
+    assert.strictEqual(gs.updateGuard(...writeAs(gs), 'GRD-missing', GUARD).success, false);
+    assert.strictEqual(gs.deleteGuard(...writeAs(gs), 'GRD-missing').message, 'Guard not found');
+  });
+
+  test('deleteGuard moves the guard to the recycle bin', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), GUARD);
+    const result = gs.deleteGuard(...writeAs(gs), added.guardId, 1);
+    assert.ok(result.success, result.message);
+    assert.strictEqual(gs.getAllGuards_().length, 0);
+
+    const guard = gs.getRepository('GUARDS').findById(added.guardId);
+    assert.ok(guard.deletedAt);
+    assert.strictEqual(guard.deletedBy, 'admin');
+    assert.ok(gs.getRepository('DOCUMENTS').findById(added.guardId));
+    assert.strictEqual(gs.deleteGuard(...writeAs(gs), added.guardId, 1).message, 'Guard not found');
+    assert.strictEqual(gs.updateGuard(...writeAs(gs), added.guardId, GUARD).success, false);
+  });
+
+  test('writes return a busy result while another execution holds the lock', () => {
+    const { gs, state } = setup();
+    state.lock.busy = true;
+    const result = gs.addGuard(...writeAs(gs), GUARD);
+    state.lock.busy = false;
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.busy, true);
+    assert.strictEqual(gs.getAllGuards_().length, 0);
+  });
+
+  test('queryGuards filters, sorts and pages on the server', () => {
+    const { gs } = setup();
+    gs.generateSampleGuards(...writeAs(gs));
+
+    const firstPage = gs.queryGuards(signIn(gs), { pageSize: 10, sortBy: 'name' });
+    assert.ok(firstPage.success, firstPage.message);
+    assert.strictEqual(firstPage.items.length, 10);
+    assert.strictEqual(firstPage.total, 200);
+    assert.ok(firstPage.nextCursor);
+
+    const secondPage = gs.queryGuards(signIn(gs), { pageSize: 10, sortBy: 'name', cursor: firstPage.nextCursor });
+    assert.strictEqual(secondPage.page, 2);
+    assert.ok(firstPage.items[9].lastName.localeCompare(secondPage.items[0].lastName) <= 0);
+
+    const active = gs.queryGuards(signIn(gs), { status: 'Active', pageSize: 0 });
+    assert.ok(active.items.every(guard => guard.status === 'Active'));
+    assert.strictEqual(active.total, active.totals.byStatus.Active);
+
+    const expired = gs.queryGuards(signIn(gs), { documentStatus: 'Expired', pageSize: 0 });
+    assert.ok(expired.items.every(guard => guard.documentStatus === 'Expired'));
+
+    const lastPage = gs.queryGuards(signIn(gs), { page: 9999, pageSize: 10 });
+    assert.strictEqual(lastPage.page, lastPage.totalPages);
+  });
+};
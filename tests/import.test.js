@@ -0,0 +1,140 @@
+/**
+ * Tests for the bulk guard CSV import (Import.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const HEADER = 'First Name,Last Name,Date of Birth,Status,License Number,License Expiry,Height (cm),Weight (kg)';
+
+  function csv(lines) {
+    return [HEADER].concat(lines).join('\n');
+  }
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    return app;
+  }
+
+  function importAudits(gs) {
+    return gs.getRecentActivity_(50).filter(entry => entry.action === 'Import');
+  }
+
+  test('a dry run reports per-row errors and writes nothing', () => {
+    const { gs } = setup();
+    const result = gs.importGuardsFromCsv(...writeAs(gs), csv([
+      'Juan,Dela Cruz,1990-01-02,Active,LIC-1,2027-01-01,170,70',
+      ',Santos,1991-05-05,Active,LIC-2,2027-01-01,,',
+      'Pedro,Reyes,not a date,Retired,LIC-3,2027-01-01,999,70'
+    ]), { dryRun: true });
+
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.total, 3);
+    assert.strictEqual(result.validCount, 1);
+    assert.strictEqual(result.errorCount, 2);
+    assert.strictEqual(result.rows[0].errors.length, 0);
+    assert.strictEqual(result.rows[0].name, 'JUAN DELA CRUZ');
+    assert.strictEqual(result.rows[1].rowNumber, 3);
+    assert.ok(result.rows[1].errors.indexOf('First Name is required') !== -1);
+    assert.strictEqual(result.rows[2].errors.length, 3);
+    assert.strictEqual(gs.getAllGuards_().length, 0);
+  });
+
+  test('rows duplicating an existing guard or an earlier row are rejected', () => {
+    const { gs } = setup();
+    gs.addGuard(...writeAs(gs), { firstName: 'juan', lastName: 'dela cruz', dateOfBirth: '1990-01-02' });
+
+    const result = gs.importGuardsFromCsv(...writeAs(gs), csv([
+      'JUAN,DELA CRUZ,1990-01-02,,,,,',
+      'Maria,Santos,1991-05-05,,,,,',
+      'maria,santos,1991-05-05,,,,,',
+      'Maria,Santos,1992-05-05,,,,,'
+    ]), { dryRun: true });
+
+    assert.strictEqual(JSON.stringify(result.rows.map(row => row.errors.join())), JSON.stringify([
+      'Duplicate of an existing guard',
+      '',
+      'Duplicate of row 3',
+      ''
+    ]));
+  });
+
+  test('a commit writes guards, documents and health in batches with one audit entry', () => {
+    const { gs } = setup();
+    gs.CONFIG.IMPORT.BATCH_SIZE = 2;
+
+    const lines = [];
+    for (let i = 1; i <= 5; i++) {
+      lines.push(`Guard${i},Test,1990-01-0${i},active,LIC-${i},2027-01-01,170,70`);
+    }
+    const result = gs.importGuardsFromCsv(...writeAs(gs), csv(lines), {});
+
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.importedCount, 5);
+
+    const guards = gs.getAllGuards_();
+    assert.strictEqual(guards.length, 5);
+    assert.strictEqual(new Set(guards.map(guard => guard.guardId)).size, 5);
+    assert.ok(guards.every(guard => guard.status === 'Active' && guard.version === 1));
+    assert.ok(guards.every(guard => guard.documents.licenseExpiry === 'Jan 01, 2027'));
+    assert.ok(guards.every(guard => guard.health.bmi === 24.2));
+
+    const audits = importAudits(gs);
+    assert.strictEqual(audits.length, 1);
+    assert.strictEqual(audits[0].username, 'admin');
+    assert.ok(gs.getRecentActivity_(50).every(entry => entry.action !== 'Add'));
+  });
+
+  test('a commit is refused while rows have errors unless invalid rows are skipped', () => {
+    const { gs } = setup();
+    const text = csv([
+      'Juan,Dela Cruz,1990-01-02,Active,,,,',
+      'Pedro,,1990-01-02,Active,,,,'
+    ]);
+
+    const refused = gs.importGuardsFromCsv(...writeAs(gs), text, {});
+    assert.strictEqual(refused.success, false);
+    assert.strictEqual(refused.errorCount, 1);
+    assert.strictEqual(gs.getAllGuards_().length, 0);
+    assert.strictEqual(importAudits(gs).length, 0);
+
+    const skipped = gs.importGuardsFromCsv(...writeAs(gs), text, { skipInvalid: true });
+    assert.ok(skipped.success, skipped.message);
+    assert.strictEqual(skipped.importedCount, 1);
+    assert.strictEqual(gs.getAllGuards_().length, 1);
+    assert.ok(/skipped 1 row/.test(importAudits(gs)[0].details));
+  });
+
+  test('columns are matched loosely and unusable files are rejected', () => {
+    const { gs } = setup();
+    const loose = gs.importGuardsFromCsv(...writeAs(gs), '\uFEFFfirstname,LAST NAME,Shoe Size\nJuan,Dela Cruz,42\n\n', { dryRun: true });
+    assert.ok(loose.success, loose.message);
+    assert.strictEqual(loose.total, 1);
+    assert.strictEqual(Array.from(loose.ignoredColumns).join(), 'Shoe Size');
+
+    const missing = gs.importGuardsFromCsv(...writeAs(gs), 'First Name,Status\nJuan,Active', { dryRun: true });
+    assert.strictEqual(missing.success, false);
+    assert.ok(/Last Name/.test(missing.message));
+
+    gs.CONFIG.IMPORT.MAX_ROWS = 1;
+    const tooMany = gs.importGuardsFromCsv(...writeAs(gs), csv(['A,B,,,,,,', 'C,D,,,,,,']), { dryRun: true });
+    assert.strictEqual(tooMany.success, false);
+  });
+
+  test('the template header row parses as a valid import', () => {
+    const { gs } = setup();
+    const template = gs.getGuardImportTemplate(signIn(gs));
+    const result = gs.importGuardsFromCsv(...writeAs(gs), template.csv, { dryRun: true });
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.validCount, 1);
+    assert.strictEqual(result.ignoredColumns.length, 0);
+  });
+
+  test('addGuard rejects data the import would reject', () => {
+    const { gs } = setup();
+    const result = gs.addGuard(...writeAs(gs), { firstName: 'Juan', lastName: '', status: 'Retired' });
+    assert.strictEqual(result.success, false);
+    assert.ok(/Last Name is required/.test(result.message));
+    assert.ok(/Status must be one of/.test(result.message));
+    assert.strictEqual(gs.getAllGuards_().length, 0);
+  });
+};
@@ -0,0 +1,118 @@
+/**
+ * Tests for the data integrity scan and repairs (Integrity.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    return app;
+  }
+
+  function issueCounts(scan) {
+    const counts = {};
+    Object.keys(scan.checks).forEach(key => {
+      counts[key] = scan.checks[key].issues.length;
+    });
+    return JSON.stringify(counts);
+  }
+
+  // One healthy guard plus one instance of every problem the scan looks for
+  function seedProblems(gs) {
+    const healthy = gs.addGuard(...writeAs(gs), { firstName: 'Juan', lastName: 'Dela Cruz', height: 170, weight: 70 });
+    gs.getRepository('GUARDS').insertMany([
+      { guardId: 'GRD-DUP', firstName: 'ANA', lastName: 'REYES', version: 1 },
+      { guardId: 'GRD-DUP', firstName: 'BEN', lastName: 'SANTOS', version: 1 },
+      { guardId: 'GRD-NODOC', firstName: 'CARLO', lastName: 'LIM', version: 1 }
+    ]);
+    gs.getRepository('DOCUMENTS').insert({ guardId: 'GRD-DUP', guardName: 'ANA REYES' });
+    gs.getRepository('DOCUMENTS').insert({ guardId: 'GRD-GONE', guardName: 'GONE GUARD', licenseExpiry: 'someday' });
+    gs.getRepository('HEALTH').insert({ guardId: 'GRD-GONE', guardName: 'GONE GUARD', height: 170, weight: 70 });
+    gs.getRepository('PERFORMANCE').insertMany([
+      { recordId: 'PERF-1', guardId: healthy.guardId, guardName: 'JUAN DELA CRUZ', type: 'Violation', typeOfViolation: 'Loitering Near Vault', violationSanction: 'Public Reprimand', date: 'Feb 10, 2026' },
+      { recordId: 'PERF-2', guardId: 'GRD-GONE', guardName: 'GONE GUARD', type: 'Accomplishment', typeOfViolation: 'N/A', date: '2026-02-11' }
+    ]);
+    return healthy;
+  }
+
+  test('a clean database has no integrity problems', () => {
+    const { gs } = setup();
+    gs.addGuard(...writeAs(gs), { firstName: 'Juan', lastName: 'Dela Cruz', height: 170, weight: 70 });
+    const scan = gs.runIntegrityScan(signIn(gs));
+    assert.ok(scan.success, scan.message);
+    assert.strictEqual(scan.issueCount, 0);
+  });
+
+  test('the scan reports every kind of problem', () => {
+    const { gs } = setup();
+    seedProblems(gs);
+
+    const scan = gs.runIntegrityScan(signIn(gs));
+    assert.ok(scan.success, scan.message);
+    assert.strictEqual(issueCounts(scan), JSON.stringify({
+      duplicateGuardIds: 1,
+      missingDocuments: 1,
+      orphanDocuments: 1,
+      orphanHealth: 1,
+      orphanPerformance: 1,
+      unknownViolationTypes: 1,
+      unknownSanctions: 1,
+      unparseableDates: 1
+    }));
+    assert.ok(/Loitering Near Vault/.test(scan.checks.unknownViolationTypes.issues[0].message));
+    assert.ok(/someday/.test(scan.checks.unparseableDates.issues[0].message));
+  });
+
+  test('only the selected repairs are applied, each with an audit entry', () => {
+    const { gs } = setup();
+    seedProblems(gs);
+
+    const result = gs.repairIntegrityIssues(...writeAs(gs), ['orphanHealth', 'unknownViolationTypes']);
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.repaired.orphanHealth, 1);
+    assert.strictEqual(result.repaired.unknownViolationTypes, 1);
+    assert.strictEqual(result.scan.checks.orphanHealth.issues.length, 0);
+    assert.strictEqual(result.scan.checks.orphanPerformance.issues.length, 1);
+    assert.ok(gs.getViolationTypes(signIn(gs)).some(type => type.name === 'Loitering Near Vault'));
+
+    const repairs = gs.getRecentActivity_(50).filter(entry => entry.action === 'Repair');
+    assert.strictEqual(repairs.length, 2);
+  });
+
+  test('repairing everything leaves a clean scan', () => {
+    const { gs } = setup();
+    seedProblems(gs);
+
+    const result = gs.repairIntegrityIssues(...writeAs(gs), Object.keys(gs.INTEGRITY_CHECKS));
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.scan.issueCount, 0);
+
+    // The second guard sharing GRD-DUP got its own ID and a Documents row
+    const ids = gs.getRepository('GUARDS').findAll().map(guard => guard.guardId);
+    assert.strictEqual(new Set(ids).size, 4);
+    assert.strictEqual(gs.getRepository('DOCUMENTS').count(), 4);
+    assert.strictEqual(gs.getRepository('PERFORMANCE').findById('PERF-2'), null);
+  });
+
+  test('repairs require an admin', () => {
+    const { gs } = setup();
+    seedProblems(gs);
+    gs.getRepository('USERS').insert({ userId: 'USR-2', username: 'viewer', role: 'Viewer', status: 'Active' });
+
+    const result = gs.repairIntegrityIssues(...writeAs(gs, 'viewer'), ['orphanHealth']);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(gs.repairIntegrityIssues('not-a-session', 'x', ['orphanHealth']).sessionExpired, true);
+    assert.strictEqual(gs.runIntegrityScan(signIn(gs, 'viewer')).permissionDenied, true);
+    assert.strictEqual(gs.getRepository('HEALTH').findById('GRD-GONE').guardName, 'GONE GUARD');
+  });
+
+  test('purging a deleted guard removes its health record too', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), { firstName: 'Juan', lastName: 'Dela Cruz', height: 170, weight: 70 });
+    assert.ok(gs.deleteGuard(...writeAs(gs), added.guardId, 1).success);
+    assert.strictEqual(gs.runIntegrityScan(signIn(gs)).issueCount, 0);
+    assert.ok(gs.purgeDeletedItem(...writeAs(gs), 'guard', added.guardId).success);
+    assert.strictEqual(gs.getRepository('HEALTH').count(), 0);
+    assert.strictEqual(gs.runIntegrityScan(signIn(gs)).issueCount, 0);
+  });
+};
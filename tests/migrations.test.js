@@ -0,0 +1,84 @@
+/**
+ * Tests for schema migrations (Migrations.js)
+ */
+
+module.exports = ({ test, assert, loadApp }) => {
+  function seedLegacySheets(gs) {
+    const spreadsheet = gs.getSpreadsheet();
+    const passwordHash = gs.hashPassword('ChangeMe2025!');
+    spreadsheet.seedSheet('Users', [
+      ['User ID', 'Username', 'Password', 'Full Name', 'Role', 'Status', 'Created Date'],
+      ['USR001', 'admin', passwordHash, 'System Administrator', 'Admin', 'Active', new Date()],
+      ['USR002', 'clerk', passwordHash, 'Data Clerk', 'User', 'Active', new Date()]
+    ]);
+    spreadsheet.seedSheet('Guards', [
+      ['Guard ID', 'First Name', 'Middle Name', 'Last Name', 'Suffix', 'Date of Birth', 'Hired Date', 'End of Contract Date', 'Status', 'Notes'],
+      ['GRD001', 'JUAN', '', 'CRUZ', '', '', '', '', 'Active', 'kept']
+    ]);
+    return passwordHash;
+  }
+
+  test('a dry run reports pending migrations without changing anything', () => {
+    const { gs } = loadApp();
+    seedLegacySheets(gs);
+    const preview = gs.runMigrations_({ dryRun: true });
+    assert.ok(preview.success, preview.message);
+    assert.strictEqual(preview.migrations.length, gs.getLatestSchemaVersion());
+    assert.strictEqual(gs.getSchemaVersion(), 0);
+    assert.strictEqual(gs.getSpreadsheet().getSheetByName('Users').getLastColumn(), 7);
+  });
+
+  test('runMigrations_ upgrades legacy sheets and keeps unknown columns', () => {
+    const { gs } = loadApp();
+    const passwordHash = seedLegacySheets(gs);
+    const result = gs.runMigrations_();
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.toVersion, gs.getLatestSchemaVersion());
+
+    const admin = gs.getRepository('USERS').findById('USR001');
+    assert.strictEqual(admin.failedAttempts, 0);
+    assert.deepStrictEqual(Array.from(admin.passwordHistory), [passwordHash]);
+
+    const headers = gs.getSpreadsheet().getSheetByName('Guards').getRange(1, 1, 1, 11).getValues()[0];
+    assert.strictEqual(headers[9], 'Photo URL');
+    assert.strictEqual(headers[10], 'Notes');
+    assert.strictEqual(gs.getRepository('GUARDS').findById('GRD001').version, 1);
+    assert.strictEqual(gs.getRepository('USERS').findById('USR002').role, 'Encoder');
+    assert.strictEqual(admin.role, 'Admin');
+    assert.ok(gs.authenticateUser('admin', 'ChangeMe2025!').success);
+  });
+
+  test('text dates are converted to date cells and unparseable ones are flagged', () => {
+    const { gs } = loadApp();
+    seedLegacySheets(gs);
+    const guards = gs.getSpreadsheet().getSheetByName('Guards');
+    guards.getRange(2, 6).setValue('Jan 05, 1990');
+    guards.getRange(2, 7).setValue('2024-03-01');
+    guards.getRange(2, 8).setValue('until further notice');
+
+    const preview = gs.runMigrations_({ dryRun: true });
+    const previewChanges = preview.migrations.find(migration => migration.version === 4).changes;
+    assert.ok(previewChanges.some(change => /until further notice/.test(change)));
+    assert.strictEqual(typeof guards.getRange(2, 6).getValue(), 'string');
+
+    const result = gs.runMigrations_();
+    assert.ok(result.success, result.message);
+
+    const dateOfBirth = guards.getRange(2, 6).getValue();
+    assert.strictEqual(Object.prototype.toString.call(dateOfBirth), '[object Date]');
+    assert.strictEqual(gs.formatInputDate(dateOfBirth), '1990-01-05');
+    assert.strictEqual(gs.formatInputDate(guards.getRange(2, 7).getValue()), '2024-03-01');
+    assert.strictEqual(guards.getRange(2, 8).getValue(), 'until further notice');
+    assert.ok(/migration 4/.test(guards.getRange(2, 8).getNote()));
+    assert.strictEqual(guards.getRange(2, 6).getNote(), '');
+  });
+
+  test('runMigrations_ is a no-op once the schema is current', () => {
+    const { gs } = loadApp();
+    gs.autoInitialize();
+    assert.strictEqual(gs.getSchemaVersion(), gs.getLatestSchemaVersion());
+    const result = gs.runMigrations_();
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.migrations.length, 0);
+  });
+};
@@ -0,0 +1,120 @@
+/**
+ * Tests for the password policy (PasswordPolicy.js, Security.js, Users.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const DEFAULT_PASSWORD = 'ChangeMe2025!';
+  const POLICY = {
+    minLength: 12,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: true,
+    maxAgeDays: 30,
+    disallowPersonalInfo: true,
+    bannedPasswords: 'Bluebird\n  bluebird \n\nMakati'
+  };
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.getRepository('USERS').insert({
+      userId: 'USR-2', username: 'encoder', passwordHash: app.gs.hashPassword(DEFAULT_PASSWORD),
+      fullName: 'Maria Santos', role: 'Encoder', status: 'Active', passwordChangedAt: new Date()
+    });
+    return app;
+  }
+
+  test('the default policy refuses common passwords, personal information and missing character classes', () => {
+    const { gs } = setup();
+    const context = { username: 'encoder', fullName: 'Maria Santos' };
+    const error = password => gs.validatePassword(password, context).error || '';
+
+    ['Password123', 'P@ssw0rd1!', 'Welcome2025', 'Qwerty123!', 'Guard2026'].forEach(password => {
+      assert.ok(/too common/.test(error(password)), password + ': ' + error(password));
+    });
+    assert.ok(/username or name/.test(error('Encoder-Shift9')));
+    assert.ok(/username or name/.test(error('Santos-Shift9')));
+    assert.ok(/at least 8/.test(error('Ab1')));
+    assert.ok(/uppercase/.test(error('harbor-lamp-42')));
+    assert.strictEqual(gs.validatePassword('Harbor-Lamp-42', context).valid, true);
+  });
+
+  test('admins save a stricter policy that every password change follows', () => {
+    const { gs } = setup();
+    assert.strictEqual(gs.updatePasswordPolicy(...writeAs(gs, 'encoder'), POLICY).permissionDenied, true);
+    assert.ok(/Minimum length/.test(gs.updatePasswordPolicy(...writeAs(gs), Object.assign({}, POLICY, { minLength: 4 })).message));
+    assert.ok(/Maximum password age/.test(gs.updatePasswordPolicy(...writeAs(gs), Object.assign({}, POLICY, { maxAgeDays: -1 })).message));
+
+    const saved = gs.updatePasswordPolicy(...writeAs(gs), POLICY);
+    assert.ok(saved.success, saved.message);
+    assert.strictEqual(saved.policy.bannedPasswords.join(), 'bluebird,makati');
+    assert.ok(saved.rules.indexOf('Expires after 30 days') > -1);
+    assert.strictEqual(gs.getRecentActivity_(10).filter(entry => entry.targetName === 'Password Policy').length, 1);
+
+    const added = gs.addUser(...writeAs(gs), { username: 'clerk', password: 'Harbor-Lmp4', fullName: 'Clerk', role: 'Viewer', status: 'Active' });
+    assert.ok(/at least 12/.test(added.message), added.message);
+    const banned = gs.addUser(...writeAs(gs), { username: 'clerk', password: 'Bluebird-2026!', fullName: 'Clerk', role: 'Viewer', status: 'Active' });
+    assert.ok(/too common/.test(banned.message), banned.message);
+
+    const changed = gs.changePassword(...writeAs(gs, 'encoder'), DEFAULT_PASSWORD, 'Harbor-Lamp-2026');
+    assert.ok(changed.success, changed.message);
+
+    // Everyone sees the rules, only admins the banned list
+    const forEncoder = gs.getPasswordPolicy(signIn(gs, 'encoder'));
+    assert.strictEqual(forEncoder.policy.minLength, 12);
+    assert.strictEqual(forEncoder.policy.bannedPasswords, undefined);
+    assert.strictEqual(gs.getPasswordPolicy(signIn(gs)).policy.bannedPasswords.length, 2);
+  });
+
+  test('an expired password must be changed at login', () => {
+    const { gs } = setup();
+    const usersRepo = gs.getRepository('USERS');
+    const maxAgeDays = gs.CONFIG.PASSWORD_POLICY.DEFAULTS.maxAgeDays;
+    usersRepo.update('USR-2', { passwordChangedAt: new Date(Date.now() - (maxAgeDays + 1) * 86400000) });
+
+    const login = gs.authenticateUser('encoder', DEFAULT_PASSWORD);
+    assert.ok(login.success, login.message);
+    assert.strictEqual(login.passwordExpired, true);
+    assert.strictEqual(login.forcePasswordChange, true);
+    assert.strictEqual(gs.getCurrentSession(login.sessionToken).forcePasswordChange, true);
+    assert.ok(gs.getPasswordPolicy(login.sessionToken).success);
+
+    // Until the password is changed the server refuses everything else
+    assert.strictEqual(gs.queryGuards(login.sessionToken, {}).sessionExpired, true);
+    assert.strictEqual(gs.addGuard(login.sessionToken, login.csrfToken, { firstName: 'Juan', lastName: 'Dela Cruz', status: 'Active' }).sessionExpired, true);
+    assert.strictEqual(gs.getRepository('GUARDS').count(), 0);
+
+    assert.ok(gs.changePassword(login.sessionToken, login.csrfToken, DEFAULT_PASSWORD, 'Harbor-Lamp-42').success);
+    assert.strictEqual(gs.getCurrentSession(login.sessionToken).forcePasswordChange, false);
+    assert.ok(gs.queryGuards(login.sessionToken, {}).success);
+
+    // A maximum age of 0 turns expiry off
+    usersRepo.update('USR-2', { passwordChangedAt: new Date(2000, 0, 1) });
+    assert.ok(gs.updatePasswordPolicy(...writeAs(gs), Object.assign({}, POLICY, { maxAgeDays: 0 })).success);
+    assert.strictEqual(gs.authenticateUser('encoder', 'Harbor-Lamp-42').passwordExpired, false);
+  });
+
+  test('a forced password change holds back every other call until it is made', () => {
+    const { gs } = setup();
+    gs.getRepository('USERS').update('USR-2', { forcePasswordChange: true });
+    const sessionToken = gs.generateSessionToken_('encoder');
+    const csrfToken = gs.getCsrfToken(sessionToken).csrfToken;
+
+    assert.strictEqual(gs.getCurrentSession(sessionToken).forcePasswordChange, true);
+    assert.strictEqual(gs.getDashboardStats(sessionToken, null, 2026).sessionExpired, true);
+    assert.ok(gs.changePassword(sessionToken, csrfToken, DEFAULT_PASSWORD, 'Harbor-Lamp-42').success);
+    assert.strictEqual(gs.getDashboardStats(sessionToken, null, 2026).sessionExpired, undefined);
+    assert.ok(gs.logoutUser(sessionToken).success);
+  });
+
+  test('temporary passwords follow the saved policy', () => {
+    const { gs } = setup();
+    assert.ok(gs.updatePasswordPolicy(...writeAs(gs), Object.assign({}, POLICY, { minLength: 20 })).success);
+    const reset = gs.resetUserPassword(...writeAs(gs), 'USR-2');
+    assert.ok(reset.success, reset.message);
+    assert.strictEqual(reset.temporaryPassword.length, 20);
+    assert.ok(/[^A-Za-z0-9]/.test(reset.temporaryPassword), reset.temporaryPassword);
+    assert.strictEqual(gs.validatePassword(reset.temporaryPassword).valid, true);
+  });
+};
@@ -0,0 +1,117 @@
+/**
+ * Tests for performance record CRUD and record queries (Performance.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const VIOLATION = {
+    guardId: 'GRD-1',
+    type: 'Violation',
+    typeOfViolation: 'Late Arrival',
+    violationSanction: 'Verbal Warning',
+    shortDescription: 'Late for the morning shift',
+    date: '2026-02-10'
+  };
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.getRepository('GUARDS').insert({ guardId: 'GRD-1', firstName: 'JUAN', lastName: 'DELA CRUZ', status: 'Active' });
+    app.gs.getRepository('USERS').insert({ userId: 'USR-2', username: 'encoder', role: 'Encoder', status: 'Active' });
+    return app;
+  }
+
+  test('addPerformanceRecord stores a violation with its sanction', () => {
+    const { gs } = setup();
+    const result = gs.addPerformanceRecord(...writeAs(gs), Object.assign({ guardName: 'MADE UP' }, VIOLATION));
+    assert.ok(result.success, result.message);
+
+    const records = gs.getAllPerformanceRecords_();
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].recordId, result.recordId);
+    assert.strictEqual(records[0].guardName, 'JUAN DELA CRUZ');
+    assert.strictEqual(records[0].typeOfViolation, 'Late Arrival');
+    assert.strictEqual(records[0].violationSanction, 'Verbal Warning');
+    assert.strictEqual(records[0].date, 'Feb 10, 2026');
+    assert.strictEqual(records[0].version, 1);
+  });
+
+  test('addPerformanceRecord refuses unknown and deleted guards', () => {
+    const { gs } = setup();
+    assert.strictEqual(gs.addPerformanceRecord(...writeAs(gs), Object.assign({}, VIOLATION, { guardId: 'GRD-404' })).message, 'Guard not found');
+    assert.strictEqual(gs.addPerformanceRecord(...writeAs(gs), Object.assign({}, VIOLATION, { guardId: '' })).message, 'Guard not found');
+    gs.getRepository('GUARDS').update('GRD-1', { deletedAt: new Date(), deletedBy: 'admin' });
+    assert.strictEqual(gs.addPerformanceRecord(...writeAs(gs), VIOLATION).message, 'Guard not found');
+    assert.strictEqual(gs.getRepository('PERFORMANCE').count(), 0);
+  });
+
+  test('accomplishments never carry a violation type or sanction', () => {
+    const { gs } = setup();
+    gs.addPerformanceRecord(...writeAs(gs), Object.assign({}, VIOLATION, { type: 'Accomplishment' }));
+    const record = gs.getAllPerformanceRecords_()[0];
+    assert.strictEqual(record.typeOfViolation, 'N/A');
+    assert.strictEqual(record.violationSanction, 'N/A');
+  });
+
+  test('updatePerformanceRecord updates the record and detects stale versions', () => {
+    const { gs } = setup();
+    const added = gs.addPerformanceRecord(...writeAs(gs), VIOLATION);
+
+    let result = gs.updatePerformanceRecord(...writeAs(gs), added.recordId, Object.assign({}, VIOLATION, { date: '2026-02-11', version: 1 }));
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.version, 2);
+    assert.strictEqual(gs.getAllPerformanceRecords_()[0].date, 'Feb 11, 2026');
+
+    result = gs.updatePerformanceRecord(...writeAs(gs, 'encoder'), added.recordId, Object.assign({}, VIOLATION, { date: '2026-02-12', version: 1 }));
+    assert.strictEqual(result.conflict, true);
+    assert.strictEqual(result.current.version, 2);
+    assert.strictEqual(gs.getAllPerformanceRecords_()[0].date, 'Feb 11, 2026');
+  });
+
+  test('deletePerformanceRecord removes the record', () => {
+    const { gs } = setup();
+    const added = gs.addPerformanceRecord(...writeAs(gs), VIOLATION);
+    assert.ok(gs.deletePerformanceRecord(...writeAs(gs), added.recordId, 1).success);
+    assert.strictEqual(gs.getAllPerformanceRecords_().length, 0);
+    assert.strictEqual(gs.deletePerformanceRecord(...writeAs(gs), added.recordId, 1).message, 'Record not found');
+  });
+
+  test('updatePerformanceRecord and deletePerformanceRecord refuse a missing or stale version', () => {
+    const { gs } = setup();
+    const added = gs.addPerformanceRecord(...writeAs(gs), VIOLATION);
+
+    assert.strictEqual(gs.updatePerformanceRecord(...writeAs(gs), added.recordId, Object.assign({}, VIOLATION, { date: '2026-02-11' })).conflict, true);
+    assert.strictEqual(gs.deletePerformanceRecord(...writeAs(gs), added.recordId).conflict, true);
+    assert.ok(gs.updatePerformanceRecord(...writeAs(gs), added.recordId, Object.assign({}, VIOLATION, { version: 1 })).success);
+    assert.strictEqual(gs.deletePerformanceRecord(...writeAs(gs), added.recordId, 1).conflict, true);
+    assert.ok(gs.deletePerformanceRecord(...writeAs(gs), added.recordId, 2).success);
+  });
+
+  test('getAllPerformanceRecords_ returns the newest records first', () => {
+    const { gs } = setup();
+    gs.addPerformanceRecord(...writeAs(gs), Object.assign({}, VIOLATION, { date: '2026-01-05' }));
+    gs.addPerformanceRecord(...writeAs(gs), Object.assign({}, VIOLATION, { date: '2026-03-05' }));
+    gs.addPerformanceRecord(...writeAs(gs), Object.assign({}, VIOLATION, { date: '2026-02-05' }));
+    const dates = gs.getAllPerformanceRecords_().map(record => record.date);
+    assert.deepStrictEqual(Array.from(dates), ['Mar 05, 2026', 'Feb 05, 2026', 'Jan 05, 2026']);
+  });
+
+  test('queryPerformanceRecords filters by type, violation and inclusive date range', () => {
+    const { gs } = setup();
+    gs.generateSampleGuards(...writeAs(gs));
+    assert.strictEqual(gs.generateSamplePerformance('not-a-session', 'x').sessionExpired, true);
+    assert.strictEqual(gs.getRepository('PERFORMANCE').count(), 0);
+    gs.generateSamplePerformance(...writeAs(gs));
+
+    const lateArrivals = gs.queryPerformanceRecords(signIn(gs), { type: 'Violation', violationType: 'Late Arrival', pageSize: 5 });
+    assert.ok(lateArrivals.success, lateArrivals.message);
+    assert.ok(lateArrivals.items.length <= 5);
+    assert.ok(lateArrivals.items.every(record => record.typeOfViolation === 'Late Arrival'));
+
+    const firstQuarter = gs.queryPerformanceRecords(signIn(gs), { startDate: '2026-01-01', endDate: '2026-03-31', pageSize: 0 });
+    assert.ok(firstQuarter.items.every(record => {
+      const date = new Date(record.date);
+      return date >= new Date(2026, 0, 1) && date <= new Date(2026, 2, 31);
+    }));
+    assert.strictEqual(firstQuarter.total, (firstQuarter.totals.byType.Violation || 0) + (firstQuarter.totals.byType.Accomplishment || 0));
+  });
+};
@@ -0,0 +1,92 @@
+/**
+ * Tests for the role and permission matrix (Config.js, Security.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const GUARD = { firstName: 'Juan', lastName: 'Dela Cruz', status: 'Active', height: 170, weight: 70 };
+  const VIOLATION = {
+    type: 'Violation',
+    typeOfViolation: 'Late Arrival',
+    violationSanction: 'Verbal Warning',
+    date: '2026-02-10'
+  };
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.getRepository('USERS').insertMany([
+      { userId: 'USR-2', username: 'hr', role: 'HR Officer', status: 'Active' },
+      { userId: 'USR-3', username: 'supervisor', role: 'Supervisor', status: 'Active' },
+      { userId: 'USR-4', username: 'viewer', role: 'Viewer', status: 'Active' }
+    ]);
+    return app;
+  }
+
+  test('every role grants only known permissions and Admin grants them all', () => {
+    const { gs } = setup();
+    const keys = Object.keys(gs.CONFIG.PERMISSIONS);
+    Object.keys(gs.CONFIG.ROLES).forEach(role => {
+      gs.CONFIG.ROLES[role].forEach(permission => assert.ok(keys.indexOf(permission) > -1, role + ': ' + permission));
+    });
+    assert.strictEqual(JSON.stringify(gs.getRolePermissions('Admin').sort()), JSON.stringify(keys.slice().sort()));
+    assert.strictEqual(gs.getRolePermissions('User').length, 0);
+  });
+
+  test('a viewer can read but not write or delete', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), GUARD);
+    const record = gs.addPerformanceRecord(...writeAs(gs), Object.assign({ guardId: added.guardId }, VIOLATION));
+
+    assert.ok(gs.queryGuards(signIn(gs, 'viewer'), {}).success);
+    assert.ok(gs.queryPerformanceRecords(signIn(gs, 'viewer'), {}).success);
+
+    const denied = gs.addGuard(...writeAs(gs, 'viewer'), GUARD);
+    assert.strictEqual(denied.permissionDenied, true);
+    assert.ok(/add and edit guards/.test(denied.message), denied.message);
+    assert.strictEqual(gs.updateGuard(...writeAs(gs, 'viewer'), Object.assign({ guardId: added.guardId }, GUARD)).permissionDenied, true);
+    assert.strictEqual(gs.deletePerformanceRecord(...writeAs(gs, 'viewer'), record.recordId, 1).permissionDenied, true);
+    assert.strictEqual(gs.getAllGuards_().length, 1);
+    assert.strictEqual(gs.getAllPerformanceRecords_().length, 1);
+  });
+
+  test('a supervisor manages performance records but not guards', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), GUARD);
+    const record = gs.addPerformanceRecord(...writeAs(gs, 'supervisor'), Object.assign({ guardId: added.guardId }, VIOLATION));
+    assert.ok(record.success, record.message);
+    assert.ok(gs.deletePerformanceRecord(...writeAs(gs, 'supervisor'), record.recordId, 1).success);
+    assert.strictEqual(gs.deleteGuard(...writeAs(gs, 'supervisor'), added.guardId, 1).permissionDenied, true);
+    assert.strictEqual(gs.importGuardsFromCsv(...writeAs(gs, 'supervisor'), 'First Name,Last Name\nAna,Reyes').permissionDenied, true);
+  });
+
+  test('an HR officer deletes guards but cannot manage users or settings', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs, 'hr'), GUARD);
+    assert.ok(gs.deleteGuard(...writeAs(gs, 'hr'), added.guardId, 1).success);
+
+    assert.strictEqual(gs.addViolationType(...writeAs(gs, 'hr'), 'Sleeping on Duty', '').permissionDenied, true);
+    assert.strictEqual(gs.addUser(...writeAs(gs, 'hr'), { username: 'new', fullName: 'New', role: 'Viewer', password: 'Str0ng!Pass' }).permissionDenied, true);
+    assert.strictEqual(gs.getRoles(signIn(gs, 'hr')).permissionDenied, true);
+    assert.strictEqual(gs.runIntegrityScan(signIn(gs, 'hr')).permissionDenied, true);
+
+    // Restoring needs the same permission as deleting, purging needs system.manage
+    const bin = gs.getRecycleBin(signIn(gs, 'hr'));
+    assert.strictEqual(bin.items.length, 1);
+    assert.strictEqual(gs.purgeDeletedItem(...writeAs(gs, 'hr'), 'guard', added.guardId).permissionDenied, true);
+    assert.ok(gs.restoreDeletedItem(...writeAs(gs, 'hr'), 'guard', added.guardId).success);
+  });
+
+  test('sessions carry the role permissions and users get only known roles', () => {
+    const { gs } = setup();
+    const session = gs.getCurrentSession(signIn(gs, 'viewer'));
+    assert.strictEqual(JSON.stringify(session.user.permissions), JSON.stringify(gs.CONFIG.ROLES.Viewer));
+
+    const roles = gs.getRoles(signIn(gs));
+    assert.ok(roles.success);
+    assert.strictEqual(roles.roles.map(role => role.name).join(), Object.keys(gs.CONFIG.ROLES).join());
+
+    const result = gs.addUser(...writeAs(gs), { username: 'new', fullName: 'New', role: 'Superuser', status: 'Active', password: 'Str0ng!Pass' });
+    assert.strictEqual(result.success, false);
+    assert.ok(/Unknown role/.test(result.message), result.message);
+  });
+};
@@ -0,0 +1,94 @@
+/**
+ * Tests for soft deletion and the recycle bin (RecycleBin.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.getRepository('USERS').insert({ userId: 'USR-2', username: 'supervisor', role: 'Supervisor', status: 'Active' });
+    const guard = app.gs.addGuard(...writeAs(app.gs), { firstName: 'Juan', lastName: 'Dela Cruz', status: 'Active', height: 170, weight: 70 });
+    const record = app.gs.addPerformanceRecord(...writeAs(app.gs, 'supervisor'), { guardId: guard.guardId, type: 'Accomplishment', shortDescription: 'Stopped a theft', date: '2026-02-10' });
+    return Object.assign(app, { guardId: guard.guardId, recordId: record.recordId });
+  }
+
+  test('deleted guards and records leave the lists and appear in the recycle bin', () => {
+    const { gs, guardId, recordId } = setup();
+    assert.ok(gs.deletePerformanceRecord(...writeAs(gs, 'supervisor'), recordId, 1).success);
+    assert.ok(gs.deleteGuard(...writeAs(gs), guardId, 1).success);
+
+    assert.strictEqual(gs.getAllGuards_().length, 0);
+    assert.strictEqual(gs.getAllPerformanceRecords_().length, 0);
+    const stats = gs.getDashboardStats(signIn(gs), { startDate: '2026-02-01', endDate: '2026-02-28' });
+    assert.strictEqual(stats.totalGuards, 0);
+    assert.strictEqual(stats.monthlyAccomplishments, 0);
+
+    const bin = gs.getRecycleBin(signIn(gs));
+    assert.ok(bin.success, bin.message);
+    assert.strictEqual(JSON.stringify(bin.items.map(item => [item.type, item.id, item.deletedBy]).sort()), JSON.stringify([
+      ['guard', guardId, 'admin'],
+      ['record', recordId, 'supervisor']
+    ]));
+    assert.strictEqual(bin.items.find(item => item.type === 'guard').name, 'JUAN DELA CRUZ');
+  });
+
+  test('restoring brings an item back with its history intact', () => {
+    const { gs, guardId, recordId } = setup();
+    gs.deleteGuard(...writeAs(gs), guardId, 1);
+    gs.deletePerformanceRecord(...writeAs(gs, 'supervisor'), recordId, 1);
+
+    assert.strictEqual(gs.restoreDeletedItem(...writeAs(gs, 'supervisor'), 'guard', guardId).success, false);
+    assert.ok(gs.restoreDeletedItem(...writeAs(gs), 'guard', guardId).success);
+    assert.ok(gs.restoreDeletedItem(...writeAs(gs, 'supervisor'), 'record', recordId).success);
+    assert.strictEqual(gs.restoreDeletedItem(...writeAs(gs, 'supervisor'), 'record', recordId).success, false);
+
+    const guards = gs.getAllGuards_();
+    assert.strictEqual(guards.length, 1);
+    assert.strictEqual(guards[0].health.bmi, 24.2);
+    assert.strictEqual(gs.getAllPerformanceRecords_().length, 1);
+    assert.strictEqual(gs.getRecycleBin(signIn(gs)).items.length, 0);
+    assert.strictEqual(gs.getRecentActivity_(50).filter(entry => entry.action === 'Restore').length, 2);
+  });
+
+  test('purging needs an admin and removes a guard with its related rows', () => {
+    const { gs, guardId } = setup();
+    gs.deleteGuard(...writeAs(gs), guardId, 1);
+
+    assert.strictEqual(gs.purgeDeletedItem(...writeAs(gs, 'supervisor'), 'guard', guardId).success, false);
+    assert.ok(gs.getRepository('GUARDS').findById(guardId));
+
+    assert.ok(gs.purgeDeletedItem(...writeAs(gs), 'guard', guardId).success);
+    assert.strictEqual(gs.getRepository('GUARDS').findById(guardId), null);
+    assert.strictEqual(gs.getRepository('DOCUMENTS').findById(guardId), null);
+    assert.strictEqual(gs.getRepository('HEALTH').findById(guardId), null);
+    assert.ok(gs.getRecentActivity_(50).some(entry => entry.action === 'Purge'));
+  });
+
+  test('items that are not in the recycle bin cannot be purged', () => {
+    const { gs, recordId } = setup();
+    assert.strictEqual(gs.purgeDeletedItem(...writeAs(gs), 'record', recordId).success, false);
+    assert.strictEqual(gs.getAllPerformanceRecords_().length, 1);
+  });
+
+  test('the scheduled purge only removes items older than the retention period', () => {
+    const { gs, guardId, recordId } = setup();
+    gs.deleteGuard(...writeAs(gs), guardId, 1);
+    gs.deletePerformanceRecord(...writeAs(gs, 'supervisor'), recordId, 1);
+    const old = new Date(Date.now() - (gs.CONFIG.RECYCLE_BIN.PURGE_AFTER_DAYS + 1) * 86400000);
+    gs.getRepository('PERFORMANCE').update(recordId, { deletedAt: old });
+    gs.invalidateCache_(['PERFORMANCE']);
+
+    const result = gs.purgeRecycleBin_();
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.purgedCount, 1);
+    assert.strictEqual(gs.getRepository('PERFORMANCE').findById(recordId), null);
+    assert.ok(gs.getRepository('GUARDS').findById(guardId));
+
+    gs.ScriptApp.newTrigger('purgeRecycleBin').timeBased().everyDays(1).create();
+    gs.installRecycleBinSchedule_();
+    gs.installRecycleBinSchedule_();
+    const triggers = gs.ScriptApp.getProjectTriggers();
+    assert.strictEqual(triggers.length, 1);
+    assert.strictEqual(triggers[0].getHandlerFunction(), 'purgeRecycleBin_');
+  });
+};
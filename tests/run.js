@@ -0,0 +1,104 @@
+/**
+ * Guard Monitoring System - Local test runner
+ * Loads the Apps Script .js files into a shared global scope backed by the
+ * in-memory service fakes and runs every tests/*.test.js suite.
+ *
+ * Usage: node tests/run.js [filter]
+ */
+
+// Match the script time zone in appsscript.json so date formatting is deterministic
+process.env.TZ = process.env.TZ || 'Asia/Manila';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+const { createAppsScriptFakes } = require('./fakes');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE_FILES = fs.readdirSync(ROOT)
+  .filter(file => file.endsWith('.js'))
+  .sort();
+
+/**
+ * Create a fresh Apps Script environment with every source file loaded
+ * @param {Object} options - Passed to createAppsScriptFakes
+ * @returns {Object} { gs, state } where gs is the script global scope
+ */
+function loadApp(options) {
+  const context = vm.createContext({ console: console });
+  const fakes = createAppsScriptFakes(Object.assign({ Date: vm.runInContext('Date', context) }, options));
+  Object.assign(context, fakes.globals);
+
+  SOURCE_FILES.forEach(file => {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  });
+
+  // Top-level const/let live in the script scope, not on the context object
+  const gs = new Proxy({}, {
+    get: (target, name) => vm.runInContext(`typeof ${String(name)} === 'undefined' ? undefined : ${String(name)}`, context)
+  });
+
+  return { gs: gs, state: fakes.state, context: context };
+}
+
+/**
+ * Start a session without a password, as authenticateUser does after a successful login
+ * The user is treated as having made any forced password change already, since getSessionUser
+ * refuses such sessions until then; call gs.generateSessionToken_ directly to test that.
+ * @param {Object} gs - Script global scope from loadApp
+ * @param {string} username - Username (default: admin)
+ * @returns {string} Session token
+ */
+function signIn(gs, username) {
+  const users = gs.getRepository('USERS');
+  const user = users.findOne(u => u.username === (username || 'admin'));
+  if (user && user.forcePasswordChange) {
+    users.update(user.userId, { forcePasswordChange: false });
+  }
+  return gs.generateSessionToken_(username || 'admin');
+}
+
+/**
+ * Start a session and get its CSRF token, for spreading into write calls: gs.addGuard(...writeAs(gs), data)
+ * @param {Object} gs - Script global scope from loadApp
+ * @param {string} username - Username (default: admin)
+ * @returns {Array<string>} [sessionToken, csrfToken]
+ */
+function writeAs(gs, username) {
+  const sessionToken = signIn(gs, username);
+  return [sessionToken, gs.generateCsrfToken_(sessionToken)];
+}
+
+const tests = [];
+global.test = (name, fn) => tests.push({ name: name, fn: fn });
+
+const filter = process.argv[2] || '';
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .sort()
+  .forEach(file => {
+    const before = tests.length;
+    require(path.join(__dirname, file))({ test: global.test, assert: assert, loadApp: loadApp, signIn: signIn, writeAs: writeAs });
+    tests.slice(before).forEach(t => { t.name = file.replace('.test.js', '') + ' > ' + t.name; });
+  });
+
+let passed = 0;
+let failed = 0;
+tests
+  .filter(t => t.name.indexOf(filter) > -1)
+  .forEach(t => {
+    try {
+      t.fn();
+      passed++;
+      console.log('  ok   ' + t.name);
+    } catch (error) {
+      failed++;
+      console.log('  FAIL ' + t.name);
+      console.log('       ' + (error.stack || error.message).split('\n').slice(0, 6).join('\n       '));
+    }
+  });
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
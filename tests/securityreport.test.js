@@ -0,0 +1,146 @@
+/**
+ * Tests for security event logging and the suspicious-activity report (Audit.js, Users.js, SecurityReport.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const DEFAULT_PASSWORD = 'ChangeMe2025!';
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.getRepository('USERS').insert({
+      userId: 'USR-2', username: 'encoder', passwordHash: app.gs.hashPassword(DEFAULT_PASSWORD),
+      fullName: 'Encoder', role: 'Encoder', status: 'Active'
+    });
+    return app;
+  }
+
+  function securityEvents(gs, action) {
+    return gs.getRepository('AUDIT_TRAIL').findAll(entry => entry.targetType === 'Security' && (!action || entry.action === action));
+  }
+
+  // Yesterday at the given hour in the script time zone
+  function yesterdayAt(hour, minute) {
+    const date = new Date();
+    date.setDate(date.getDate() - 1);
+    date.setHours(hour, minute || 0, 0, 0);
+    return date;
+  }
+
+  function seedEvent(gs, timestamp, username, action) {
+    gs.getRepository('AUDIT_TRAIL').insert({
+      auditId: gs.generateUniqueId('AUD'), timestamp: timestamp, username: username,
+      action: action, targetType: 'Security', targetName: username, details: ''
+    });
+  }
+
+  test('logins, failures, lockouts, logouts and password changes are security events', () => {
+    const { gs } = setup();
+    const login = gs.authenticateUser('encoder', DEFAULT_PASSWORD);
+    assert.ok(login.success, login.message);
+    gs.logoutUser(login.sessionToken);
+    gs.authenticateUser('nobody', 'whatever');
+
+    for (let i = 0; i < gs.CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS; i++) {
+      gs.authenticateUser('encoder', 'wrong-password');
+    }
+    gs.authenticateUser('encoder', DEFAULT_PASSWORD);
+
+    assert.strictEqual(securityEvents(gs, 'Login').length, 1);
+    assert.strictEqual(securityEvents(gs, 'Logout').length, 1);
+    assert.strictEqual(securityEvents(gs, 'Account Locked').length, 1);
+    const failures = securityEvents(gs, 'Login Failed');
+    assert.strictEqual(failures.length, gs.CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS + 2);
+    assert.ok(failures.some(entry => entry.username === 'nobody' && entry.details === 'Unknown username'));
+    assert.ok(failures.some(entry => /Wrong password \(attempt 1 of/.test(entry.details)));
+    assert.ok(failures.some(entry => entry.details === 'Account is locked'));
+
+    const admin = gs.authenticateUser('admin', DEFAULT_PASSWORD);
+    gs.changePassword(admin.sessionToken, admin.csrfToken, 'wrong-password', 'N3w-Passw0rd!');
+    assert.ok(gs.changePassword(admin.sessionToken, admin.csrfToken, DEFAULT_PASSWORD, 'N3w-Passw0rd!').success);
+    assert.strictEqual(securityEvents(gs, 'Password Change Failed').length, 1);
+    assert.strictEqual(securityEvents(gs, 'Password Change').length, 1);
+  });
+
+  test('permission denials are logged for the user who tried', () => {
+    const { gs } = setup();
+    assert.strictEqual(gs.runIntegrityScan(signIn(gs, 'encoder')).permissionDenied, true);
+
+    const denials = securityEvents(gs, 'Permission Denied');
+    assert.strictEqual(denials.length, 1);
+    assert.strictEqual(denials[0].username, 'encoder');
+    assert.ok(/Role Encoder tried to run maintenance/.test(denials[0].details), denials[0].details);
+  });
+
+  test('typed usernames that look like formulas are stored as text', () => {
+    const { gs } = setup();
+    gs.authenticateUser('=HYPERLINK("http://evil")', 'whatever');
+    assert.strictEqual(securityEvents(gs, 'Login Failed')[0].username, '\'=HYPERLINK("http://evil")');
+  });
+
+  test('the report flags failure bursts across accounts, odd-hour logins and repeated lockouts', () => {
+    const { gs } = setup();
+    ['amy', 'ben', 'cal', 'amy', 'dan'].forEach((username, i) => seedEvent(gs, yesterdayAt(10, i), username, 'Login Failed'));
+    // Many failures on one account are not a spray across accounts
+    [0, 1, 2, 3, 4, 5].forEach(i => seedEvent(gs, yesterdayAt(14, i), 'encoder', 'Login Failed'));
+    seedEvent(gs, yesterdayAt(3), 'encoder', 'Login');
+    seedEvent(gs, yesterdayAt(9), 'admin', 'Login');
+    seedEvent(gs, yesterdayAt(11), 'encoder', 'Account Locked');
+    seedEvent(gs, yesterdayAt(15), 'encoder', 'Account Locked');
+    seedEvent(gs, yesterdayAt(16), 'admin', 'Account Locked');
+
+    const result = gs.getSecurityReport(signIn(gs), 7);
+    assert.ok(result.success, result.message);
+    const report = result.report;
+
+    assert.strictEqual(report.failedLoginBursts.length, 1);
+    assert.strictEqual(report.failedLoginBursts[0].failures, 5);
+    assert.strictEqual(report.failedLoginBursts[0].accounts.join(), 'amy,ben,cal,dan');
+    assert.strictEqual(report.oddHourLogins.length, 1);
+    assert.strictEqual(report.oddHourLogins[0].username, 'encoder');
+    assert.strictEqual(report.repeatedLockouts.length, 1);
+    assert.strictEqual(report.repeatedLockouts[0].lockouts, 2);
+    assert.strictEqual(report.totals['Login Failed'], 11);
+  });
+
+  test('old events fall outside the report period', () => {
+    const { gs } = setup();
+    const old = new Date(Date.now() - 10 * 86400000);
+    old.setHours(3, 0, 0, 0);
+    seedEvent(gs, old, 'encoder', 'Login');
+
+    assert.strictEqual(gs.getSecurityReport(signIn(gs), 7).report.oddHourLogins.length, 0);
+    assert.strictEqual(gs.getSecurityReport(signIn(gs), 30).report.oddHourLogins.length, 1);
+  });
+
+  test('the report exports as CSV for admins only', () => {
+    const { gs } = setup();
+    seedEvent(gs, yesterdayAt(2), '=cmd', 'Login');
+
+    assert.strictEqual(gs.exportSecurityReportCsv(signIn(gs, 'encoder')).permissionDenied, true);
+    const exported = gs.exportSecurityReportCsv(signIn(gs));
+    assert.ok(exported.success, exported.message);
+    assert.ok(/^security-report-\d{4}-\d{2}-\d{2}\.csv$/.test(exported.fileName), exported.fileName);
+
+    const lines = exported.csv.split('\n');
+    assert.strictEqual(lines[0], 'Finding,Time,Username,Details');
+    assert.ok(/^Login outside working hours,.*,'=cmd,/.test(lines[1]), lines[1]);
+    assert.strictEqual(gs.getRecentActivity_(10).filter(entry => entry.targetType === 'Security Report').length, 1);
+  });
+
+  test('recent activity needs a session and hides security events from non-admins', () => {
+    const { gs } = setup();
+    gs.addGuard(...writeAs(gs), { firstName: 'juan', lastName: 'dela cruz', status: 'Active' });
+    gs.authenticateUser('encoder', 'wrong password');
+
+    assert.strictEqual(gs.getRecentActivity('not-a-session', 10).sessionExpired, true);
+
+    const adminView = gs.getRecentActivity(signIn(gs), 50);
+    assert.ok(adminView.some(entry => entry.targetType === 'Security'));
+    assert.ok(adminView.some(entry => entry.action === 'Add' && entry.targetType === 'Guard'));
+
+    const encoderView = gs.getRecentActivity(signIn(gs, 'encoder'), 50);
+    assert.ok(encoderView.length > 0);
+    assert.ok(encoderView.every(entry => entry.targetType !== 'Security'));
+  });
+};
@@ -0,0 +1,198 @@
+/**
+ * Tests for server-side session and CSRF validation on client-callable functions (Security.js, Users.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const DEFAULT_PASSWORD = 'ChangeMe2025!';
+  const GUARD = { firstName: 'Juan', lastName: 'Dela Cruz', status: 'Active', height: 170, weight: 70 };
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.getRepository('USERS').insert({ userId: 'USR-2', username: 'encoder', fullName: 'Encoder', role: 'Encoder', status: 'Active' });
+    return app;
+  }
+
+  test('a username or forged token in place of the session token is rejected', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs), GUARD);
+
+    ['admin', 'not-a-token', '', null, { username: 'admin' }].forEach(token => {
+      const result = gs.deleteGuard(token, added.guardId);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.sessionExpired, true);
+    });
+    assert.strictEqual(gs.deleteGuard(added.guardId, 'admin').sessionExpired, true);
+    assert.strictEqual(gs.getAllGuards_().length, 1);
+    assert.strictEqual(gs.getViolationTypes('admin').sessionExpired, true);
+  });
+
+  test('the acting user comes from the session, not from the arguments', () => {
+    const { gs } = setup();
+    const added = gs.addGuard(...writeAs(gs, 'encoder'), Object.assign({}, GUARD, { username: 'admin' }));
+    assert.ok(added.success, added.message);
+    assert.strictEqual(gs.getAllGuards_()[0].lastModifiedBy, 'encoder');
+
+    // An encoder session cannot use admin-only functions
+    assert.strictEqual(gs.deleteGuard(...writeAs(gs, 'encoder'), added.guardId, 1).success, false);
+    assert.strictEqual(gs.getAllGuards_().length, 1);
+  });
+
+  test('expired sessions and sessions of deactivated users are rejected', () => {
+    const { gs, state } = setup();
+    const token = signIn(gs, 'encoder');
+    assert.ok(gs.getCurrentSession(token).success);
+
+    state.clock.advance((gs.CONFIG.VALIDATION.SESSION_TIMEOUT_MINUTES + 1) * 60000);
+    assert.strictEqual(gs.getCurrentSession(token).sessionExpired, true);
+
+    const fresh = signIn(gs, 'encoder');
+    const usersRepo = gs.getRepository('USERS');
+    usersRepo.update('USR-2', { status: 'Inactive' });
+    assert.strictEqual(gs.queryGuards(fresh, {}).sessionExpired, true);
+
+    // Reactivating the user does not bring the ended session back
+    usersRepo.update('USR-2', { status: 'Active' });
+    assert.strictEqual(gs.queryGuards(fresh, {}).sessionExpired, true);
+  });
+
+  test('a login session resumes with the server-side user and ends at logout', () => {
+    const { gs } = setup();
+    const login = gs.authenticateUser('admin', DEFAULT_PASSWORD);
+    assert.ok(login.success, login.message);
+
+    const session = gs.getCurrentSession(login.sessionToken);
+    assert.ok(session.success);
+    assert.strictEqual(session.user.username, 'admin');
+    assert.strictEqual(session.user.role, 'Admin');
+
+    assert.ok(gs.logoutUser(login.sessionToken).success);
+    assert.strictEqual(gs.getCurrentSession(login.sessionToken).sessionExpired, true);
+    assert.strictEqual(gs.addGuard(login.sessionToken, GUARD).sessionExpired, true);
+  });
+
+  test('writes without a valid CSRF token are rejected', () => {
+    const { gs } = setup();
+    const sessionToken = signIn(gs);
+    const otherSession = writeAs(gs);
+
+    [undefined, 'forged', otherSession[1]].forEach(csrfToken => {
+      const result = gs.addGuard(sessionToken, csrfToken, GUARD);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.csrfExpired, true);
+    });
+    assert.strictEqual(gs.getAllGuards_().length, 0);
+
+    // Reads only need the session
+    assert.ok(gs.queryGuards(sessionToken, {}).success);
+  });
+
+  test('CSRF tokens come with the login and rotate on schedule', () => {
+    const { gs, state } = setup();
+    // Skip the default admin's first-login password change, which would hold back the writes
+    gs.getRepository('USERS').update('USR001', { forcePasswordChange: false });
+    const login = gs.authenticateUser('admin', DEFAULT_PASSWORD);
+    assert.ok(gs.addGuard(login.sessionToken, login.csrfToken, GUARD).success);
+    assert.strictEqual(gs.getCsrfToken(login.sessionToken).csrfToken, login.csrfToken);
+
+    // Stay active within the idle timeout while the CSRF token ages
+    for (let minutes = 0; minutes <= gs.CONFIG.VALIDATION.CSRF_TOKEN_MINUTES; minutes += 20) {
+      assert.ok(gs.getCurrentSession(login.sessionToken).success);
+      state.clock.advance(20 * 60000);
+    }
+    assert.strictEqual(gs.addGuard(login.sessionToken, login.csrfToken, GUARD).csrfExpired, true);
+
+    const rotated = gs.getCsrfToken(login.sessionToken).csrfToken;
+    assert.notStrictEqual(rotated, login.csrfToken);
+    assert.ok(gs.addGuard(login.sessionToken, rotated, GUARD).success);
+
+    // A new login rotates the token as well
+    const again = gs.authenticateUser('admin', DEFAULT_PASSWORD);
+    assert.notStrictEqual(again.csrfToken, rotated);
+    assert.strictEqual(gs.getCsrfToken('not-a-session').sessionExpired, true);
+  });
+
+  test('resetDatabase needs an admin session and CSRF token', () => {
+    const { gs } = setup();
+    const sessionToken = signIn(gs);
+    assert.strictEqual(gs.resetDatabase(sessionToken, 'forged').csrfExpired, true);
+    assert.strictEqual(gs.resetDatabase(...writeAs(gs, 'encoder')).success, false);
+    assert.ok(gs.getRepository('USERS').findOne(user => user.username === 'encoder'));
+  });
+
+  test('sessions end after the idle timeout unless they are used', () => {
+    const { gs, state } = setup();
+    const token = signIn(gs, 'encoder');
+    const idleMs = gs.CONFIG.VALIDATION.SESSION_IDLE_TIMEOUT_MINUTES * 60000;
+
+    state.clock.advance(idleMs - 60000);
+    assert.ok(gs.queryGuards(token, {}).success);
+    state.clock.advance(idleMs - 60000);
+    assert.ok(gs.queryGuards(token, {}).success);
+
+    state.clock.advance(idleMs + 60000);
+    assert.strictEqual(gs.queryGuards(token, {}).sessionExpired, true);
+  });
+
+  test('admins list and end the sessions of a user', () => {
+    const { gs } = setup();
+    const first = signIn(gs, 'encoder');
+    const second = signIn(gs, 'encoder');
+    gs.logoutUser(signIn(gs, 'encoder'));
+
+    const listed = gs.getUserSessions(signIn(gs), 'USR-2');
+    assert.ok(listed.success, listed.message);
+    assert.strictEqual(listed.sessions.length, 2);
+    assert.ok(JSON.stringify(listed).indexOf(first) === -1, 'session tokens are not sent to the client');
+    assert.strictEqual(gs.getAllUsers(signIn(gs)).find(user => user.userId === 'USR-2').activeSessions, 2);
+    assert.strictEqual(gs.getUserSessions(first, 'USR-2').permissionDenied, true);
+
+    // Ending one session leaves the other open
+    const revoked = gs.revokeUserSession(...writeAs(gs), 'USR-2', listed.sessions[0].sessionId);
+    assert.ok(revoked.success, revoked.message);
+    const open = [first, second].filter(token => gs.getCurrentSession(token).success);
+    assert.strictEqual(open.length, 1);
+    assert.strictEqual(gs.revokeUserSession(...writeAs(gs), 'USR-2', listed.sessions[0].sessionId).success, false);
+
+    const all = gs.revokeAllUserSessions(...writeAs(gs), 'USR-2');
+    assert.ok(all.success, all.message);
+    assert.strictEqual(all.ended, 1);
+    assert.strictEqual(gs.getCurrentSession(open[0]).sessionExpired, true);
+    assert.strictEqual(gs.getUserSessions(signIn(gs), 'USR-2').sessions.length, 0);
+    assert.strictEqual(gs.getRecentActivity_(10).filter(entry => entry.action === 'Revoke Session' || entry.action === 'Revoke Sessions').length, 2);
+  });
+
+  test('revoking your own sessions keeps the one in use', () => {
+    const { gs } = setup();
+    const other = signIn(gs);
+    const [sessionToken, csrfToken] = writeAs(gs);
+    const result = gs.revokeAllUserSessions(sessionToken, csrfToken, 'USR001');
+    assert.ok(result.success, result.message);
+    assert.strictEqual(gs.getCurrentSession(other).sessionExpired, true);
+    assert.ok(gs.getCurrentSession(sessionToken).success);
+    assert.ok(gs.getUserSessions(sessionToken, 'USR001').sessions[0].current);
+  });
+
+  test('changing your password signs out your other sessions', () => {
+    const { gs } = setup();
+    const elsewhere = gs.authenticateUser('admin', DEFAULT_PASSWORD);
+    const login = gs.authenticateUser('admin', DEFAULT_PASSWORD);
+
+    const changed = gs.changePassword(login.sessionToken, login.csrfToken, DEFAULT_PASSWORD, 'N3w-Passw0rd!');
+    assert.ok(changed.success, changed.message);
+    assert.ok(/1 other session was signed out/.test(changed.message), changed.message);
+    assert.strictEqual(gs.getCurrentSession(elsewhere.sessionToken).sessionExpired, true);
+    assert.ok(gs.addGuard(login.sessionToken, login.csrfToken, GUARD).success);
+  });
+
+  test('token minting is private to the server', () => {
+    const { gs } = setup();
+    assert.strictEqual(gs.generateSessionToken, undefined);
+    assert.strictEqual(gs.generateCsrfToken, undefined);
+    assert.strictEqual(gs.clearAllData, undefined);
+    assert.strictEqual(gs.uploadGuardPhoto, undefined);
+    assert.strictEqual(gs.registerSession, undefined);
+    assert.strictEqual(gs.getRegisteredSessions, undefined);
+    assert.strictEqual(gs.endUserSessions, undefined);
+  });
+};
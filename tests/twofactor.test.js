@@ -0,0 +1,186 @@
+/**
+ * Tests for TOTP two-factor authentication (TwoFactor.js, Users.js)
+ */
+
+const crypto = require('crypto');
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const DEFAULT_PASSWORD = 'ChangeMe2025!';
+
+  // Reference TOTP (RFC 6238, HMAC-SHA1) computed outside the app
+  function totp(secret, time) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = '';
+    secret.split('').forEach(char => { bits += alphabet.indexOf(char).toString(2).padStart(5, '0'); });
+    const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(time / 1000 / 30), 4);
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+  }
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.getRepository('USERS').insert({
+      userId: 'USR-2', username: 'encoder', passwordHash: app.gs.hashPassword(DEFAULT_PASSWORD),
+      fullName: 'Encoder', role: 'Encoder', status: 'Active'
+    });
+    return app;
+  }
+
+  // Enroll a user through the API and return the secret and recovery codes
+  function enroll(app, username) {
+    const [sessionToken, csrfToken] = writeAs(app.gs, username);
+    const started = app.gs.beginTwoFactorEnrollment(sessionToken, csrfToken);
+    assert.ok(started.success, started.message);
+    const confirmed = app.gs.confirmTwoFactorEnrollment(sessionToken, csrfToken, totp(started.secret, app.state.clock.now()));
+    assert.ok(confirmed.success, confirmed.message);
+    return { secret: started.secret, recoveryCodes: confirmed.recoveryCodes };
+  }
+
+  test('TOTP codes match the RFC 6238 reference', () => {
+    const { gs } = setup();
+    const secret = gs.base32Encode(Array.from(Buffer.from('12345678901234567890')));
+    assert.strictEqual(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.strictEqual(gs.generateTotpCode(secret, 1), '287082');
+    assert.strictEqual(gs.generateTotpCode(secret, Math.floor(1111111109 / 30)), '081804');
+    assert.strictEqual(gs.base32Decode(secret).length, 20);
+  });
+
+  test('enrollment shows an otpauth URI and only saves a confirmed secret', () => {
+    const app = setup();
+    const { gs, state } = app;
+    const [sessionToken, csrfToken] = writeAs(gs, 'encoder');
+    const started = gs.beginTwoFactorEnrollment(sessionToken, csrfToken);
+    assert.ok(/^otpauth:\/\/totp\/Guard%20Monitoring%20System%3Aencoder\?secret=[A-Z2-7]{32}&issuer=/.test(started.otpauthUri), started.otpauthUri);
+
+    assert.strictEqual(gs.confirmTwoFactorEnrollment(sessionToken, csrfToken, '000000').success, false);
+    assert.strictEqual(gs.getTwoFactorStatus(sessionToken).enabled, false);
+
+    const confirmed = gs.confirmTwoFactorEnrollment(sessionToken, csrfToken, totp(started.secret, state.clock.now()));
+    assert.ok(confirmed.success, confirmed.message);
+    assert.strictEqual(confirmed.recoveryCodes.length, gs.CONFIG.TWO_FACTOR.RECOVERY_CODE_COUNT);
+    assert.ok(confirmed.recoveryCodes.every(code => /^[A-Z2-7]{5}-[A-Z2-7]{5}$/.test(code)));
+
+    const user = gs.getRepository('USERS').findById('USR-2');
+    assert.strictEqual(user.twoFactorEnabled, true);
+    assert.ok(user.twoFactorRecoveryCodes.indexOf(confirmed.recoveryCodes[0]) === -1, 'recovery codes are stored hashed');
+    assert.strictEqual(gs.getRecentActivity_(10).filter(entry => entry.action === 'Enable 2FA').length, 1);
+  });
+
+  test('an enrolled user needs a code after the password', () => {
+    const app = setup();
+    const { gs, state } = app;
+    const { secret } = enroll(app, 'encoder');
+    state.clock.advance(30000);
+
+    const first = gs.authenticateUser('encoder', DEFAULT_PASSWORD);
+    assert.ok(first.success);
+    assert.strictEqual(first.twoFactorRequired, true);
+    assert.strictEqual(first.sessionToken, undefined);
+
+    const wrong = gs.verifyTwoFactorLogin(first.challengeToken, '000000');
+    assert.strictEqual(wrong.success, false);
+    assert.ok(/Invalid code/.test(wrong.message), wrong.message);
+
+    const code = totp(secret, state.clock.now());
+    const login = gs.verifyTwoFactorLogin(first.challengeToken, code);
+    assert.ok(login.success, login.message);
+    assert.ok(gs.getCurrentSession(login.sessionToken).success);
+    assert.strictEqual(gs.getRepository('USERS').findById('USR-2').failedAttempts, 0);
+
+    // Challenges and codes work once
+    assert.strictEqual(gs.verifyTwoFactorLogin(first.challengeToken, code).challengeExpired, true);
+    const again = gs.authenticateUser('encoder', DEFAULT_PASSWORD);
+    assert.strictEqual(gs.verifyTwoFactorLogin(again.challengeToken, code).success, false);
+  });
+
+  test('wrong codes lock the account and challenges expire', () => {
+    const app = setup();
+    const { gs, state } = app;
+    const { secret } = enroll(app, 'encoder');
+
+    const stale = gs.authenticateUser('encoder', DEFAULT_PASSWORD);
+    state.clock.advance((gs.CONFIG.TWO_FACTOR.CHALLENGE_MINUTES + 1) * 60000);
+    assert.strictEqual(gs.verifyTwoFactorLogin(stale.challengeToken, totp(secret, state.clock.now())).challengeExpired, true);
+
+    const challenge = gs.authenticateUser('encoder', DEFAULT_PASSWORD).challengeToken;
+    let result;
+    for (let i = 0; i < gs.CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS; i++) {
+      result = gs.verifyTwoFactorLogin(challenge, '000000');
+    }
+    assert.ok(/Account locked/.test(result.message), result.message);
+    assert.strictEqual(gs.verifyTwoFactorLogin(challenge, totp(secret, state.clock.now())).success, false);
+  });
+
+  test('recovery codes sign in once each', () => {
+    const app = setup();
+    const { gs } = app;
+    const { recoveryCodes } = enroll(app, 'encoder');
+
+    const challenge = gs.authenticateUser('encoder', DEFAULT_PASSWORD).challengeToken;
+    const login = gs.verifyTwoFactorLogin(challenge, recoveryCodes[0].toLowerCase());
+    assert.ok(login.success, login.message);
+    assert.strictEqual(login.recoveryCodesLeft, recoveryCodes.length - 1);
+
+    const reuse = gs.verifyTwoFactorLogin(gs.authenticateUser('encoder', DEFAULT_PASSWORD).challengeToken, recoveryCodes[0]);
+    assert.strictEqual(reuse.success, false);
+    assert.strictEqual(gs.getRecentActivity_(10).filter(entry => entry.action === 'Recovery Code Login').length, 1);
+  });
+
+  test('a required user gets an enrollment-only session until enrolled', () => {
+    const { gs, state } = setup();
+    gs.getRepository('USERS').update('USR-2', { twoFactorRequired: true });
+
+    const login = gs.authenticateUser('encoder', DEFAULT_PASSWORD);
+    assert.ok(login.success);
+    assert.strictEqual(login.twoFactorSetupRequired, true);
+    assert.strictEqual(gs.queryGuards(login.sessionToken, {}).sessionExpired, true);
+    assert.strictEqual(gs.getTwoFactorStatus(login.sessionToken).required, true);
+
+    const started = gs.beginTwoFactorEnrollment(login.sessionToken, login.csrfToken);
+    const confirmed = gs.confirmTwoFactorEnrollment(login.sessionToken, login.csrfToken, totp(started.secret, state.clock.now()));
+    assert.ok(confirmed.success, confirmed.message);
+    assert.ok(confirmed.sessionToken && confirmed.sessionToken !== login.sessionToken);
+    assert.strictEqual(gs.getCurrentSession(login.sessionToken).sessionExpired, true);
+    assert.ok(gs.queryGuards(confirmed.sessionToken, {}).success);
+
+    // Required users cannot turn it off themselves
+    state.clock.advance(30000);
+    const code = totp(started.secret, state.clock.now());
+    const disabled = gs.disableTwoFactor(confirmed.sessionToken, confirmed.csrfToken, code);
+    assert.strictEqual(disabled.success, false);
+    assert.ok(/requires/.test(disabled.message), disabled.message);
+  });
+
+  test('admins can require and reset two-factor authentication, with an audit entry', () => {
+    const app = setup();
+    const { gs } = app;
+    enroll(app, 'encoder');
+
+    assert.strictEqual(gs.resetUserTwoFactor(...writeAs(gs, 'encoder'), 'USR-2').permissionDenied, true);
+    const reset = gs.resetUserTwoFactor(...writeAs(gs), 'USR-2');
+    assert.ok(reset.success, reset.message);
+
+    const user = gs.getRepository('USERS').findById('USR-2');
+    assert.strictEqual(user.twoFactorEnabled, false);
+    assert.strictEqual(user.twoFactorSecret, '');
+    assert.ok(gs.authenticateUser('encoder', DEFAULT_PASSWORD).sessionToken);
+    assert.strictEqual(gs.getRecentActivity_(10).filter(entry => entry.action === 'Reset 2FA').length, 1);
+
+    const updated = gs.updateUser(...writeAs(gs), { userId: 'USR-2', username: 'encoder', fullName: 'Encoder', role: 'Encoder', status: 'Active', twoFactorRequired: true });
+    assert.ok(updated.success, updated.message);
+    assert.strictEqual(gs.authenticateUser('encoder', DEFAULT_PASSWORD).twoFactorSetupRequired, true);
+    assert.strictEqual(gs.getAllUsers(signIn(gs)).find(u => u.userId === 'USR-2').twoFactorRequired, true);
+  });
+
+  test('login helpers are private to the server', () => {
+    const { gs } = setup();
+    assert.strictEqual(gs.completeLogin, undefined);
+    assert.strictEqual(gs.createTwoFactorChallenge, undefined);
+    assert.strictEqual(gs.recordFailedLogin, undefined);
+  });
+};
@@ -0,0 +1,283 @@
+/**
+ * Tests for authentication, lockouts and password changes (Users.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  const DEFAULT_PASSWORD = 'ChangeMe2025!';
+
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    return app;
+  }
+
+  test('authenticateUser signs in the default admin and asks for a password change', () => {
+    const { gs } = setup();
+    const result = gs.authenticateUser('admin', DEFAULT_PASSWORD);
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.user.role, 'Admin');
+    assert.strictEqual(result.forcePasswordChange, true);
+    assert.ok(result.sessionToken);
+  });
+
+  test('authenticateUser counts failed attempts and locks the account', () => {
+    const { gs } = setup();
+    const max = gs.CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS;
+
+    let result = gs.authenticateUser('admin', 'wrong-password');
+    assert.strictEqual(result.success, false);
+    assert.ok(result.message.indexOf(`${max - 1} attempts remaining`) > -1, result.message);
+
+    for (let i = 1; i < max; i++) {
+      result = gs.authenticateUser('admin', 'wrong-password');
+    }
+    assert.ok(/Account locked/.test(result.message), result.message);
+
+    // The correct password is refused while the lock is active
+    result = gs.authenticateUser('admin', DEFAULT_PASSWORD);
+    assert.strictEqual(result.success, false);
+    assert.ok(/Account locked/.test(result.message), result.message);
+  });
+
+  test('authenticateUser allows sign in again once the lockout expires', () => {
+    const { gs } = setup();
+    for (let i = 0; i < gs.CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS; i++) {
+      gs.authenticateUser('admin', 'wrong-password');
+    }
+
+    const usersRepo = gs.getRepository('USERS');
+    const admin = usersRepo.findOne(user => user.username === 'admin');
+    usersRepo.update(admin.userId, { lockedUntil: new Date(Date.now() - 60000) });
+
+    const result = gs.authenticateUser('admin', DEFAULT_PASSWORD);
+    assert.ok(result.success, result.message);
+    assert.strictEqual(usersRepo.findById(admin.userId).failedAttempts, 0);
+  });
+
+  test('authenticateUser gives the same answer for unknown and inactive users', () => {
+    const { gs } = setup();
+    assert.strictEqual(gs.authenticateUser('nobody', 'whatever1A!').message, 'Invalid credentials');
+
+    const added = gs.addUser(...writeAs(gs), { username: 'encoder', password: 'Tr4ck-Shift-9', fullName: 'Encoder', role: 'Encoder', status: 'Inactive' });
+    assert.ok(added.success, added.message);
+    assert.strictEqual(gs.authenticateUser('encoder', 'Tr4ck-Shift-9').message, 'Invalid credentials');
+    assert.strictEqual(gs.authenticateUser('encoder', 'whatever1A!').message, 'Invalid credentials');
+  });
+
+  test('password hashes are salted, iterated and versioned', () => {
+    const { gs } = setup();
+    const first = gs.hashPassword(DEFAULT_PASSWORD);
+    const second = gs.hashPassword(DEFAULT_PASSWORD);
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(first.split('$')[0], 'v1');
+    assert.strictEqual(Number(first.split('$')[1]), gs.CONFIG.VALIDATION.PASSWORD_HASH_ITERATIONS);
+    assert.ok(gs.verifyPassword(DEFAULT_PASSWORD, first));
+    assert.ok(gs.verifyPassword(DEFAULT_PASSWORD, second));
+    assert.strictEqual(gs.verifyPassword('wrong-password', first), false);
+    assert.strictEqual(gs.verifyPassword(DEFAULT_PASSWORD, 'v9$1$AAAA$AAAA'), false);
+  });
+
+  test('a legacy hash is upgraded at the next successful login', () => {
+    const { gs } = setup();
+    const usersRepo = gs.getRepository('USERS');
+    const admin = usersRepo.findOne(user => user.username === 'admin');
+    const legacy = gs.hashLegacyPassword(DEFAULT_PASSWORD);
+    const oldLegacy = gs.hashLegacyPassword('OldPassw0rd!');
+    usersRepo.update(admin.userId, { passwordHash: legacy, passwordHistory: [legacy, oldLegacy] });
+
+    // A failed login leaves the hash alone
+    gs.authenticateUser('admin', 'wrong-password');
+    assert.strictEqual(usersRepo.findById(admin.userId).passwordHash, legacy);
+
+    assert.ok(gs.authenticateUser('admin', DEFAULT_PASSWORD).success);
+    const upgraded = usersRepo.findById(admin.userId);
+    assert.strictEqual(gs.passwordHashNeedsUpgrade(upgraded.passwordHash), false);
+    assert.strictEqual(upgraded.passwordHistory[0], upgraded.passwordHash);
+    assert.strictEqual(upgraded.passwordHistory[1], oldLegacy);
+    assert.ok(gs.authenticateUser('admin', DEFAULT_PASSWORD).success);
+
+    // The history check matches both formats
+    assert.ok(/used recently/.test(gs.changePassword(...writeAs(gs), DEFAULT_PASSWORD, 'OldPassw0rd!').message));
+    assert.ok(/used recently/.test(gs.changePassword(...writeAs(gs), DEFAULT_PASSWORD, DEFAULT_PASSWORD).message));
+  });
+
+  test('changePassword rejects a wrong current password', () => {
+    const { gs } = setup();
+    const result = gs.changePassword(...writeAs(gs), 'not-the-password', 'NewPassw0rd!');
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.message, 'Current password is incorrect');
+  });
+
+  test('changePassword keeps a history and blocks recently used passwords', () => {
+    const { gs } = setup();
+    let result = gs.changePassword(...writeAs(gs), DEFAULT_PASSWORD, 'NewPassw0rd!1');
+    assert.ok(result.success, result.message);
+    assert.strictEqual(gs.authenticateUser('admin', 'NewPassw0rd!1').forcePasswordChange, false);
+
+    // The seeded default password is in the history
+    result = gs.changePassword(...writeAs(gs), 'NewPassw0rd!1', DEFAULT_PASSWORD);
+    assert.strictEqual(result.success, false);
+    assert.ok(/used recently/.test(result.message), result.message);
+
+    // Only the last PASSWORD_HISTORY_COUNT passwords are remembered
+    const historyCount = gs.CONFIG.VALIDATION.PASSWORD_HISTORY_COUNT;
+    let current = 'NewPassw0rd!1';
+    for (let i = 2; i <= historyCount + 1; i++) {
+      result = gs.changePassword(...writeAs(gs), current, 'NewPassw0rd!' + i);
+      assert.ok(result.success, result.message);
+      current = 'NewPassw0rd!' + i;
+    }
+    const admin = gs.getRepository('USERS').findOne(user => user.username === 'admin');
+    assert.strictEqual(admin.passwordHistory.length, historyCount);
+
+    result = gs.changePassword(...writeAs(gs), current, 'NewPassw0rd!1');
+    assert.ok(result.success, result.message);
+  });
+
+  // Add an encoder through the API and return its user ID
+  function addEncoder(gs) {
+    const added = gs.addUser(...writeAs(gs), { username: 'encoder', password: 'Tr4ck-Shift-9', fullName: 'Encoder', role: 'Encoder', status: 'Active' });
+    assert.ok(added.success, added.message);
+    return added.userId;
+  }
+
+  function auditActions(gs, action) {
+    return gs.getRecentActivity_(50).filter(entry => entry.action === action);
+  }
+
+  test('addUser initialises the lockout, history and password change columns', () => {
+    const { gs } = setup();
+    const userId = addEncoder(gs);
+    const user = gs.getRepository('USERS').findById(userId);
+    assert.strictEqual(user.failedAttempts, 0);
+    assert.strictEqual(user.passwordHistory.length, 1);
+    assert.strictEqual(user.passwordHistory[0], user.passwordHash);
+    assert.strictEqual(user.forcePasswordChange, true);
+    assert.strictEqual(gs.authenticateUser('encoder', 'Tr4ck-Shift-9').forcePasswordChange, true);
+    assert.strictEqual(auditActions(gs, 'Add').filter(entry => entry.targetType === 'User').length, 1);
+  });
+
+  test('getUserByUsername returns the user without secrets', () => {
+    const { gs } = setup();
+    addEncoder(gs);
+    const result = gs.getUserByUsername(signIn(gs), 'ENCODER');
+    assert.ok(result.success, result.message);
+    assert.strictEqual(result.user.username, 'encoder');
+    assert.strictEqual(result.user.passwordHash, undefined);
+    assert.strictEqual(result.user.twoFactorSecret, undefined);
+    assert.strictEqual(gs.getUserByUsername(signIn(gs), 'nobody').success, false);
+    assert.strictEqual(gs.getUserByUsername(signIn(gs, 'encoder'), 'admin').permissionDenied, true);
+  });
+
+  test('unlockUser clears a lockout', () => {
+    const { gs } = setup();
+    const userId = addEncoder(gs);
+    for (let i = 0; i < gs.CONFIG.VALIDATION.MAX_LOGIN_ATTEMPTS; i++) {
+      gs.authenticateUser('encoder', 'wrong-password');
+    }
+    assert.strictEqual(gs.getUserByUsername(signIn(gs), 'encoder').user.locked, true);
+
+    assert.strictEqual(gs.unlockUser(...writeAs(gs, 'encoder'), userId).permissionDenied, true);
+    assert.ok(gs.unlockUser(...writeAs(gs), userId).success);
+    assert.ok(gs.authenticateUser('encoder', 'Tr4ck-Shift-9').success);
+    assert.strictEqual(auditActions(gs, 'Unlock').length, 1);
+  });
+
+  test('resetUserPassword issues a temporary password and ends open sessions', () => {
+    const { gs } = setup();
+    const userId = addEncoder(gs);
+    const session = signIn(gs, 'encoder');
+
+    const result = gs.resetUserPassword(...writeAs(gs), userId);
+    assert.ok(result.success, result.message);
+    assert.ok(gs.validatePassword(result.temporaryPassword).valid, result.temporaryPassword);
+    assert.strictEqual(gs.getCurrentSession(session).sessionExpired, true);
+
+    assert.strictEqual(gs.authenticateUser('encoder', 'Tr4ck-Shift-9').success, false);
+    const login = gs.authenticateUser('encoder', result.temporaryPassword);
+    assert.ok(login.success, login.message);
+    assert.strictEqual(login.forcePasswordChange, true);
+
+    const audit = auditActions(gs, 'Reset Password');
+    assert.strictEqual(audit.length, 1);
+    assert.ok(audit[0].details.indexOf(result.temporaryPassword) === -1);
+  });
+
+  test('deactivating a user ends their sessions for good', () => {
+    const { gs } = setup();
+    const userId = addEncoder(gs);
+    const session = signIn(gs, 'encoder');
+
+    const user = { userId: userId, username: 'encoder', fullName: 'Encoder', role: 'Encoder' };
+    assert.ok(gs.updateUser(...writeAs(gs), Object.assign({ status: 'Inactive' }, user)).success);
+    assert.ok(gs.updateUser(...writeAs(gs), Object.assign({ status: 'Active' }, user)).success);
+    assert.strictEqual(gs.getCurrentSession(session).sessionExpired, true);
+    assert.strictEqual(auditActions(gs, 'Deactivate').length, 1);
+    assert.ok(gs.getCurrentSession(signIn(gs, 'encoder')).success);
+  });
+
+  test('admins cannot remove their own access or the last active Admin', () => {
+    const { gs } = setup();
+    const admin = gs.getRepository('USERS').findOne(user => user.username === 'admin');
+    const self = { userId: admin.userId, username: 'admin', fullName: admin.fullName, role: 'Admin', status: 'Active' };
+
+    assert.strictEqual(gs.updateUser(...writeAs(gs), Object.assign({}, self, { status: 'Inactive' })).success, false);
+    assert.strictEqual(gs.deleteUser(...writeAs(gs), admin.userId).success, false);
+
+    gs.getRepository('USERS').insert({ userId: 'USR-9', username: 'second', role: 'Admin', status: 'Active' });
+    assert.ok(gs.updateUser(...writeAs(gs, 'second'), Object.assign({}, self, { role: 'Viewer' })).success);
+    const demoteLast = gs.updateUser(...writeAs(gs, 'second'), { userId: 'USR-9', username: 'second', fullName: 'Second', role: 'Viewer', status: 'Active' });
+    assert.ok(/active Admin/.test(demoteLast.message), demoteLast.message);
+  });
+
+  test('deleteUser removes the account and its sessions', () => {
+    const { gs } = setup();
+    const userId = addEncoder(gs);
+    const session = signIn(gs, 'encoder');
+
+    assert.strictEqual(gs.deleteUser(...writeAs(gs, 'encoder'), userId).permissionDenied, true);
+    const result = gs.deleteUser(...writeAs(gs), userId);
+    assert.ok(result.success, result.message);
+    assert.strictEqual(gs.getRepository('USERS').findById(userId), null);
+    assert.strictEqual(gs.getCurrentSession(session).sessionExpired, true);
+    assert.strictEqual(auditActions(gs, 'Delete').filter(entry => entry.targetType === 'User').length, 1);
+  });
+
+  test('sessions of a deleted or renamed user do not carry over to a new account with the same username', () => {
+    const { gs } = setup();
+    const userId = addEncoder(gs);
+    const deletedSession = signIn(gs, 'encoder');
+    assert.ok(gs.deleteUser(...writeAs(gs), userId).success);
+    const recreatedId = addEncoder(gs);
+    assert.strictEqual(gs.getCurrentSession(deletedSession).sessionExpired, true);
+    assert.strictEqual(gs.getUserSessions(signIn(gs), recreatedId).sessions.length, 0);
+
+    const renamedSession = signIn(gs, 'encoder');
+    const renamed = gs.updateUser(...writeAs(gs), { userId: recreatedId, username: 'clerk', fullName: 'Encoder', role: 'Encoder', status: 'Active' });
+    assert.ok(renamed.success, renamed.message);
+    const newcomer = gs.addUser(...writeAs(gs), { username: 'encoder', password: 'Tr4ck-Shift-9', fullName: 'New Encoder', role: 'Viewer', status: 'Active' });
+    assert.ok(newcomer.success, newcomer.message);
+    assert.strictEqual(gs.getCurrentSession(renamedSession).sessionExpired, true);
+    assert.ok(auditActions(gs, 'Update').some(entry => /username encoder -> clerk/.test(entry.details)));
+  });
+
+  test('addUser and updateUser validate and sanitize the same user fields', () => {
+    const { gs } = setup();
+    const badStatus = gs.addUser(...writeAs(gs), { username: 'encoder', password: 'Tr4ck-Shift-9', fullName: 'Encoder', role: 'Encoder', status: 'Suspended' });
+    assert.ok(/Unknown status/.test(badStatus.message), badStatus.message);
+
+    const userId = addEncoder(gs);
+    const noUsername = gs.updateUser(...writeAs(gs), { userId: userId, fullName: 'Encoder', role: 'Encoder', status: 'Active' });
+    assert.strictEqual(noUsername.message, 'Missing required fields');
+    const update = { userId: userId, username: 'encoder', fullName: 'Encoder', role: 'Encoder', status: 'Active' };
+    const stillBadStatus = gs.updateUser(...writeAs(gs), Object.assign({}, update, { status: 'Suspended' }));
+    assert.ok(/Unknown status/.test(stillBadStatus.message), stillBadStatus.message);
+    const longName = gs.updateUser(...writeAs(gs), Object.assign({}, update, { username: 'x'.repeat(gs.CONFIG.VALIDATION.MAX_NAME_LENGTH + 1) }));
+    assert.ok(/Username exceeds/.test(longName.message), longName.message);
+
+    assert.ok(gs.updateUser(...writeAs(gs), Object.assign({}, update, { fullName: ' <b>Enc"oder</b> ' })).success);
+    const saved = gs.getRepository('USERS').findById(userId);
+    assert.strictEqual(saved.fullName, 'bEncoder/b');
+    assert.strictEqual(saved.status, 'Active');
+  });
+};
@@ -0,0 +1,143 @@
+/**
+ * Tests for violation types, sanctions and the records referencing them (Guards.js, Performance.js)
+ */
+
+module.exports = ({ test, assert, loadApp, signIn, writeAs }) => {
+  function setup() {
+    const app = loadApp();
+    app.gs.setupSheets();
+    app.gs.getRepository('GUARDS').insert({ guardId: 'GRD-1', firstName: 'JUAN', lastName: 'DELA CRUZ', status: 'Active' });
+    return app;
+  }
+
+  function addViolation(gs, fields) {
+    return gs.addPerformanceRecord(...writeAs(gs), Object.assign({
+      guardId: 'GRD-1',
+      type: 'Violation',
+      violationTypeId: 'VT001',
+      violationSanctionId: 'VS001',
+      shortDescription: 'Late for the morning shift',
+      date: '2026-02-10'
+    }, fields));
+  }
+
+  test('records store IDs and reject unknown violation types and sanctions', () => {
+    const { gs } = setup();
+    assert.ok(addViolation(gs).success);
+    assert.ok(addViolation(gs, { violationTypeId: '', typeOfViolation: 'late arrival' }).success);
+
+    const stored = gs.getRepository('PERFORMANCE').findAll();
+    assert.ok(stored.every(record => record.violationTypeId === 'VT001' && record.violationSanctionId === 'VS001'));
+    assert.strictEqual(stored[1].typeOfViolation, 'Late Arrival');
+
+    const unknownType = addViolation(gs, { violationTypeId: 'VT999' });
+    assert.strictEqual(unknownType.success, false);
+    assert.ok(/Unknown violation type/.test(unknownType.message));
+    assert.strictEqual(addViolation(gs, { violationSanctionId: 'VS999' }).success, false);
+    assert.strictEqual(gs.getRepository('PERFORMANCE').count(), 2);
+  });
+
+  test('renaming a violation type keeps its records grouped under the new name', () => {
+    const { gs } = setup();
+    addViolation(gs);
+    addViolation(gs, { date: '2026-02-11' });
+
+    assert.ok(gs.updateViolationType(...writeAs(gs), 'VT001', 'Tardiness', 'Arriving late').success);
+
+    const records = gs.getAllPerformanceRecords_();
+    assert.ok(records.every(record => record.typeOfViolation === 'Tardiness'));
+    assert.ok(gs.getRepository('PERFORMANCE').findAll().every(record => record.typeOfViolation === 'Tardiness'));
+
+    const top = gs.getDashboardReport(signIn(gs), { startDate: '2026-02-01', endDate: '2026-02-28' }).topViolationTypes;
+    assert.strictEqual(JSON.stringify(top), JSON.stringify([{ count: 2, violationType: 'Tardiness' }]));
+  });
+
+  test('guard names are resolved from the guard when records are read', () => {
+    const { gs } = setup();
+    const guard = gs.addGuard(...writeAs(gs), { firstName: 'Juan', lastName: 'Dela Cruz' });
+    addViolation(gs, { guardId: guard.guardId, guardName: 'someone else' });
+    assert.strictEqual(gs.getAllPerformanceRecords_()[0].guardName, 'JUAN DELA CRUZ');
+
+    gs.getRepository('GUARDS').update(guard.guardId, { lastName: 'SANTOS' });
+    gs.invalidateCache_(['GUARDS']);
+    assert.strictEqual(gs.getAllPerformanceRecords_()[0].guardName, 'JUAN SANTOS');
+  });
+
+  test('deleting an in-use violation type is refused unless its records are reassigned', () => {
+    const { gs } = setup();
+    addViolation(gs);
+    addViolation(gs, { violationSanctionId: 'VS002' });
+
+    const refused = gs.deleteViolationType(...writeAs(gs), 'VT001');
+    assert.strictEqual(refused.success, false);
+    assert.strictEqual(refused.inUse, true);
+    assert.strictEqual(refused.usageCount, 2);
+    assert.ok(gs.getViolationTypes(signIn(gs)).some(type => type.id === 'VT001'));
+
+    assert.strictEqual(gs.deleteViolationType(...writeAs(gs), 'VT001', { reassignTo: 'VT001' }).success, false);
+
+    const deleted = gs.deleteViolationType(...writeAs(gs), 'VT001', { reassignTo: 'VT002' });
+    assert.ok(deleted.success, deleted.message);
+    assert.strictEqual(deleted.reassigned, 2);
+    assert.ok(gs.getViolationTypes(signIn(gs)).every(type => type.id !== 'VT001'));
+    assert.ok(gs.getAllPerformanceRecords_().every(record => record.violationTypeId === 'VT002' && record.typeOfViolation === 'Absence Without Leave'));
+
+    assert.ok(gs.deleteViolationSanction(...writeAs(gs), 'VS003').success);
+    assert.strictEqual(gs.deleteViolationSanction(...writeAs(gs), 'VS002').inUse, true);
+  });
+
+  test('violation type and sanction changes are written to the audit trail', () => {
+    const { gs } = setup();
+    addViolation(gs);
+    const typeId = gs.addViolationType(...writeAs(gs), 'Sleeping on Duty', '').id;
+    const sanctionId = gs.addViolationSanction(...writeAs(gs), 'Suspension', '3 days').id;
+    assert.ok(gs.updateViolationType(...writeAs(gs), typeId, 'Sleeping on Post', '').success);
+    assert.ok(gs.updateViolationSanction(...writeAs(gs), sanctionId, 'Suspension', '5 days').success);
+    assert.ok(gs.deleteViolationType(...writeAs(gs), 'VT001', { reassignTo: typeId }).success);
+    assert.ok(gs.deleteViolationSanction(...writeAs(gs), sanctionId).success);
+
+    const entries = gs.getRepository('AUDIT_TRAIL').findAll(entry => entry.targetType === 'Violation type' || entry.targetType === 'Sanction');
+    const summary = entries.map(entry => [entry.username, entry.action, entry.targetType, entry.targetName].join(' '));
+    assert.strictEqual(JSON.stringify(summary), JSON.stringify([
+      'admin Add Violation type Sleeping on Duty',
+      'admin Add Sanction Suspension',
+      'admin Update Violation type Sleeping on Post',
+      'admin Update Sanction Suspension',
+      'admin Delete Violation type Late Arrival',
+      'admin Delete Sanction Suspension'
+    ]));
+    assert.ok(/renamed from "Sleeping on Duty"/.test(entries[2].details), entries[2].details);
+    assert.ok(/1 record\(s\) reassigned to "Sleeping on Post"/.test(entries[4].details), entries[4].details);
+  });
+
+  test('the migration links legacy records to master data by name', () => {
+    const { gs } = loadApp();
+    const spreadsheet = gs.getSpreadsheet();
+    spreadsheet.seedSheet('Violation Types', [
+      ['Violation ID', 'Violation Name', 'Description', 'Created Date'],
+      ['VT001', 'Late Arrival', '', new Date()]
+    ]);
+    spreadsheet.seedSheet('Violation Sanctions', [
+      ['Sanction ID', 'Sanction Name', 'Description', 'Created Date'],
+      ['VS001', 'Verbal Warning', '', new Date()]
+    ]);
+    spreadsheet.seedSheet('Performance', [
+      ['Record ID', 'Guard ID', 'Guard Name', 'Type', 'Type of Violation', 'Short Description', 'Date', 'Violation Sanction', 'PDF Link'],
+      ['PERF-1', 'GRD-1', 'JUAN', 'Violation', ' late arrival', 'Late', 'Feb 10, 2026', 'Verbal Warning', ''],
+      ['PERF-2', 'GRD-1', 'JUAN', 'Violation', 'Loitering', 'Loitering', 'Feb 11, 2026', 'Verbal Warning', ''],
+      ['PERF-3', 'GRD-1', 'JUAN', 'Accomplishment', 'N/A', 'Good work', 'Feb 12, 2026', 'N/A', '']
+    ]);
+
+    const result = gs.runMigrations_();
+    assert.ok(result.success, result.message);
+
+    const headers = spreadsheet.getSheetByName('Performance').getRange(1, 1, 1, 6).getValues()[0];
+    assert.strictEqual(headers[5], 'Violation Type ID');
+
+    const repo = gs.getRepository('PERFORMANCE');
+    assert.strictEqual(repo.findById('PERF-1').violationTypeId, 'VT001');
+    assert.strictEqual(repo.findById('PERF-2').violationTypeId, '');
+    assert.strictEqual(repo.findById('PERF-2').violationSanctionId, 'VS001');
+    assert.strictEqual(repo.findById('PERF-3').violationTypeId, '');
+  });
+};